@@ -6,8 +6,22 @@ CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
 -- Add routing_strategy to profiles table if it doesn't exist
 ALTER TABLE profiles ADD COLUMN IF NOT EXISTS routing_strategy TEXT DEFAULT 'single_number_ivr';
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS router_agent_id UUID; -- receptionist agent for routing_strategy 'ai_router' (built-in one when unset)
 ALTER TABLE profiles ADD COLUMN IF NOT EXISTS call_recording_enabled BOOLEAN DEFAULT true;
 ALTER TABLE profiles ADD COLUMN IF NOT EXISTS transcription_enabled BOOLEAN DEFAULT true;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS caller_memory_enabled BOOLEAN DEFAULT true; -- tell agents about a returning caller's earlier calls
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS caller_memory_days INTEGER DEFAULT 90 CHECK (caller_memory_days BETWEEN 1 AND 365); -- how far back caller memory looks
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS twilio_account_sid TEXT;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS twilio_auth_token TEXT;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS overflow_action TEXT DEFAULT 'busy' CHECK (overflow_action IN ('queue', 'busy', 'backup_agent')); -- when max_concurrent_calls is reached
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS overflow_agent_id UUID; -- backup agent for overflow_action 'backup_agent'
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS overflow_message TEXT;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS overflow_hold_music_url TEXT;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS overflow_queue_timeout_seconds INTEGER DEFAULT 120;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS minute_warning_threshold INTEGER DEFAULT 80; -- percent of monthly_minute_limit
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS quota_exceeded_action TEXT DEFAULT 'reject' CHECK (quota_exceeded_action IN ('reject', 'forward'));
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS quota_forward_number TEXT; -- number calls are forwarded to when over quota
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS usage_alert_state JSONB DEFAULT '{}'; -- { period: 'YYYY-MM', level: 'soft' | 'hard' } of the last usage.threshold_reached event
 
 -- Create ai_agents table if it doesn't exist
 CREATE TABLE IF NOT EXISTS ai_agents (
@@ -37,6 +51,19 @@ CREATE TABLE IF NOT EXISTS ai_agents (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Play the agent greeting with Twilio <Say> before the media stream connects
+ALTER TABLE ai_agents ADD COLUMN IF NOT EXISTS twilio_greeting_enabled BOOLEAN DEFAULT false;
+
+-- Functions (Gemini tools) the agent may call, and their per-agent parameters, e.g.
+-- {"check_availability": {"slot_minutes": 30}, "calculate_pricing": {"price_table": {"consultation": 100}, "currency": "USD"}}
+ALTER TABLE ai_agents ADD COLUMN IF NOT EXISTS enabled_functions TEXT[] DEFAULT '{}';
+ALTER TABLE ai_agents ADD COLUMN IF NOT EXISTS function_settings JSONB DEFAULT '{}';
+
+-- Caller silence: the agent checks in after silence_prompt_seconds and the call ends
+-- (outcome 'silence_timeout') after dead_air_timeout_seconds; 0 turns either off
+ALTER TABLE ai_agents ADD COLUMN IF NOT EXISTS silence_prompt_seconds INTEGER DEFAULT 10;
+ALTER TABLE ai_agents ADD COLUMN IF NOT EXISTS dead_air_timeout_seconds INTEGER DEFAULT 30;
+
 -- Create phone_numbers table
 CREATE TABLE IF NOT EXISTS phone_numbers (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
@@ -51,6 +78,9 @@ CREATE TABLE IF NOT EXISTS phone_numbers (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Optional per-number public base URL (e.g. https://calls.example.com) used for Twilio webhooks and streams
+ALTER TABLE phone_numbers ADD COLUMN IF NOT EXISTS public_base_url TEXT;
+
 -- Create ivr_menus table
 CREATE TABLE IF NOT EXISTS ivr_menus (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
@@ -77,6 +107,87 @@ CREATE TABLE IF NOT EXISTS ivr_options (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- IVR flows are graphs: options lead to other menus ('submenu', and after 'play_message' or 'webhook')
+ALTER TABLE ivr_menus ADD COLUMN IF NOT EXISTS is_entry BOOLEAN DEFAULT false; -- the menu callers hear first
+ALTER TABLE ivr_menus ADD COLUMN IF NOT EXISTS input_type TEXT DEFAULT 'dtmf'; -- 'dtmf', 'speech', 'dtmf speech'
+ALTER TABLE ivr_menus ADD COLUMN IF NOT EXISTS max_digits INTEGER DEFAULT 1; -- longer input ends with # or the timeout
+ALTER TABLE ivr_menus ADD COLUMN IF NOT EXISTS collect_variable TEXT; -- saves the caller's input under this name for the agent
+ALTER TABLE ivr_options ADD COLUMN IF NOT EXISTS speech_phrases TEXT[]; -- spoken phrases choosing the option (default: its description)
+ALTER TABLE ivr_options ADD COLUMN IF NOT EXISTS match_any BOOLEAN DEFAULT false; -- chosen by any input no other option matches
+ALTER TABLE ivr_options ADD COLUMN IF NOT EXISTS next_menu_id UUID REFERENCES ivr_menus(id) ON DELETE SET NULL;
+-- action_type: 'agent', 'transfer', 'voicemail', 'submenu', 'play_message', 'hangup', 'callback_request', 'webhook'
+-- action_data: { phone_number } (transfer), { message } (play_message, hangup, callback_request), { url, secret } (webhook)
+
+-- Create callback_requests table for callers asking to be called back from the IVR
+CREATE TABLE IF NOT EXISTS callback_requests (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    profile_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+    call_sid TEXT,
+    phone_number TEXT NOT NULL,
+    ivr_option_id UUID REFERENCES ivr_options(id) ON DELETE SET NULL,
+    ivr_variables JSONB DEFAULT '{}', -- what the caller entered in the menus
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'canceled')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create holiday_sets table: named lists of closed dates shared by schedules
+CREATE TABLE IF NOT EXISTS holiday_sets (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    profile_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    holidays JSONB DEFAULT '[]', -- [{ date: 'YYYY-MM-DD' or 'MM-DD' (every year), name }]
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create schedules table: opening hours for agents, phone numbers and IVR options
+CREATE TABLE IF NOT EXISTS schedules (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    profile_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    timezone TEXT NOT NULL DEFAULT 'America/New_York',
+    weekly_rules JSONB DEFAULT '[]', -- [{ day: 0-6 (0 = Sunday), start: 'HH:MM', end: 'HH:MM' }]; end <= start runs overnight
+    overrides JSONB DEFAULT '[]', -- [{ date: 'YYYY-MM-DD', intervals: [{ start, end }], name }]; no intervals closes the day
+    holiday_set_ids UUID[] DEFAULT '{}', -- holidays are closed unless overridden
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Schedules limit when agents take calls (time-based routing, the AI receptionist, IVR),
+-- when numbers route normally (outside it calls go to after_hours_agent_id, or voicemail)
+-- and when IVR options can be chosen
+ALTER TABLE ai_agents ADD COLUMN IF NOT EXISTS schedule_id UUID REFERENCES schedules(id) ON DELETE SET NULL;
+ALTER TABLE phone_numbers ADD COLUMN IF NOT EXISTS schedule_id UUID REFERENCES schedules(id) ON DELETE SET NULL;
+ALTER TABLE phone_numbers ADD COLUMN IF NOT EXISTS after_hours_agent_id UUID REFERENCES ai_agents(id) ON DELETE SET NULL;
+ALTER TABLE ivr_options ADD COLUMN IF NOT EXISTS schedule_id UUID REFERENCES schedules(id) ON DELETE SET NULL;
+
+-- Create contact_lists table: named lists of caller numbers (VIPs, known spammers) for caller rules
+CREATE TABLE IF NOT EXISTS contact_lists (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    profile_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    description TEXT,
+    phone_numbers TEXT[] DEFAULT '{}', -- E.164
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create caller_rules table: rules on the caller's number checked in order before routing
+CREATE TABLE IF NOT EXISTS caller_rules (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    profile_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0, -- the first active rule that matches wins
+    is_active BOOLEAN DEFAULT true,
+    match TEXT NOT NULL DEFAULT 'all' CHECK (match IN ('all', 'any')),
+    conditions JSONB DEFAULT '[]', -- [{ type: 'from_pattern' | 'area_code' | 'country_code' | 'contact_list' | 'lead_status' | 'recent_caller', negate, ... }]
+    action_type TEXT NOT NULL CHECK (action_type IN ('agent', 'greeting', 'block', 'human')),
+    action_data JSONB DEFAULT '{}', -- { agent_id, greeting, message, phone_number }
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create external_integrations table
 CREATE TABLE IF NOT EXISTS external_integrations (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
@@ -101,6 +212,58 @@ CREATE TABLE IF NOT EXISTS call_sessions (
     expires_at TIMESTAMP WITH TIME ZONE DEFAULT (NOW() + INTERVAL '24 hours')
 );
 
+-- Create call_slots table tracking live AI calls for concurrency limits
+-- (rows are kept alive by the server handling the call and expire otherwise)
+CREATE TABLE IF NOT EXISTS call_slots (
+    call_sid TEXT PRIMARY KEY,
+    profile_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+    agent_id UUID REFERENCES ai_agents(id) ON DELETE SET NULL,
+    state TEXT NOT NULL DEFAULT 'active' CHECK (state IN ('active', 'waiting')),
+    queued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create custom_functions table for tenant-defined HTTP tools
+-- (an agent can call one when its name is in ai_agents.enabled_functions)
+CREATE TABLE IF NOT EXISTS custom_functions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    profile_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+    name TEXT NOT NULL CHECK (name ~ '^[a-zA-Z_][a-zA-Z0-9_]{0,63}$'),
+    description TEXT NOT NULL,
+    parameters JSONB DEFAULT '{"type": "object", "properties": {}}', -- JSON schema of the arguments
+    url TEXT NOT NULL,
+    method TEXT DEFAULT 'POST', -- 'GET', 'POST', 'PUT', 'PATCH', 'DELETE'
+    headers JSONB DEFAULT '{}',
+    secret_key TEXT, -- signs requests (X-Function-Signature)
+    timeout_ms INTEGER DEFAULT 5000,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(profile_id, name)
+);
+
+-- Create voicemails table for messages left through the IVR or after a failed transfer
+CREATE TABLE IF NOT EXISTS voicemails (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    profile_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+    call_sid TEXT,
+    recording_sid TEXT UNIQUE, -- the transcription callback finds its voicemail by this
+    recording_url TEXT, -- Twilio recording URL; served to the dashboard through the API
+    recording_duration_seconds INTEGER,
+    phone_number_from TEXT,
+    phone_number_to TEXT,
+    agent_id UUID REFERENCES ai_agents(id) ON DELETE SET NULL,
+    ivr_option_id UUID REFERENCES ivr_options(id) ON DELETE SET NULL,
+    call_log_id UUID REFERENCES call_logs(id) ON DELETE SET NULL,
+    transcription_text TEXT,
+    transcription_status TEXT, -- Twilio TranscriptionStatus: 'completed', 'failed'
+    status TEXT NOT NULL DEFAULT 'new' CHECK (status IN ('new', 'handled')),
+    handled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Update call_logs table if it exists
 ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS agent_id UUID REFERENCES ai_agents(id) ON DELETE SET NULL;
 ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS call_sid TEXT;
@@ -112,6 +275,29 @@ ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS outcome TEXT;
 ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS follow_up_required BOOLEAN DEFAULT false;
 ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS follow_up_date TIMESTAMP WITH TIME ZONE;
 ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS tags TEXT[];
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS transcript_segments JSONB; -- [{ speaker, text, started_at, ended_at, offset_ms, final }]
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS transfer_reason TEXT;
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS transfer_summary TEXT;
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS transferred_to TEXT;
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS transferred_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS transfer_status TEXT; -- Twilio DialCallStatus: 'completed', 'no-answer', 'busy', 'failed', 'canceled'
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS recording_url TEXT; -- dashboard API path serving the recording
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS recording_path TEXT; -- key in the recording storage (RECORDING_STORAGE)
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS recording_duration_seconds INTEGER;
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS campaign_id UUID REFERENCES outbound_campaigns(id) ON DELETE SET NULL;
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS lead_id UUID REFERENCES campaign_leads(id) ON DELETE SET NULL;
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS answered_by TEXT; -- Twilio AnsweredBy: 'human', 'machine_start', 'fax', ...
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS sip_response_code INTEGER;
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS billed_minutes INTEGER DEFAULT 0; -- minutes added to profiles.minutes_used for this call
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS duration_source TEXT; -- 'stream' (wall-clock) until Twilio's status callback reports it ('twilio')
+
+-- Update campaign tables for the server-side dialer (dialer-worker.js)
+ALTER TABLE outbound_campaigns ADD COLUMN IF NOT EXISTS dialing_rate NUMERIC DEFAULT 2; -- calls started per minute
+ALTER TABLE outbound_campaigns ADD COLUMN IF NOT EXISTS dialer_state JSONB DEFAULT '{}'; -- { worker_id, heartbeat_at, last_dial_at, calls_placed, reason }
+ALTER TABLE campaign_leads ADD COLUMN IF NOT EXISTS call_sid TEXT;
+ALTER TABLE campaign_leads ADD COLUMN IF NOT EXISTS leased_by TEXT;
+ALTER TABLE campaign_leads ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE campaign_leads ADD COLUMN IF NOT EXISTS next_call_at TIMESTAMP WITH TIME ZONE;
 
 -- Enable Row Level Security
 ALTER TABLE ai_agents ENABLE ROW LEVEL SECURITY;
@@ -120,6 +306,14 @@ ALTER TABLE ivr_menus ENABLE ROW LEVEL SECURITY;
 ALTER TABLE ivr_options ENABLE ROW LEVEL SECURITY;
 ALTER TABLE external_integrations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE call_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE custom_functions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE call_slots ENABLE ROW LEVEL SECURITY;
+ALTER TABLE voicemails ENABLE ROW LEVEL SECURITY;
+ALTER TABLE callback_requests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE schedules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE holiday_sets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE contact_lists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE caller_rules ENABLE ROW LEVEL SECURITY;
 
 -- Create RLS policies
 CREATE POLICY "Users can view own AI agents" ON ai_agents FOR SELECT USING (profile_id = auth.uid());
@@ -152,6 +346,41 @@ CREATE POLICY "Users can insert own call sessions" ON call_sessions FOR INSERT W
 CREATE POLICY "Users can update own call sessions" ON call_sessions FOR UPDATE USING (profile_id = auth.uid());
 CREATE POLICY "Users can delete own call sessions" ON call_sessions FOR DELETE USING (profile_id = auth.uid());
 
+CREATE POLICY "Users can view own custom functions" ON custom_functions FOR SELECT USING (profile_id = auth.uid());
+CREATE POLICY "Users can insert own custom functions" ON custom_functions FOR INSERT WITH CHECK (profile_id = auth.uid());
+CREATE POLICY "Users can update own custom functions" ON custom_functions FOR UPDATE USING (profile_id = auth.uid());
+CREATE POLICY "Users can delete own custom functions" ON custom_functions FOR DELETE USING (profile_id = auth.uid());
+
+CREATE POLICY "Users can view own call slots" ON call_slots FOR SELECT USING (profile_id = auth.uid());
+
+CREATE POLICY "Users can view own voicemails" ON voicemails FOR SELECT USING (profile_id = auth.uid());
+CREATE POLICY "Users can update own voicemails" ON voicemails FOR UPDATE USING (profile_id = auth.uid());
+CREATE POLICY "Users can delete own voicemails" ON voicemails FOR DELETE USING (profile_id = auth.uid());
+
+CREATE POLICY "Users can view own callback requests" ON callback_requests FOR SELECT USING (profile_id = auth.uid());
+CREATE POLICY "Users can update own callback requests" ON callback_requests FOR UPDATE USING (profile_id = auth.uid());
+CREATE POLICY "Users can delete own callback requests" ON callback_requests FOR DELETE USING (profile_id = auth.uid());
+
+CREATE POLICY "Users can view own schedules" ON schedules FOR SELECT USING (profile_id = auth.uid());
+CREATE POLICY "Users can insert own schedules" ON schedules FOR INSERT WITH CHECK (profile_id = auth.uid());
+CREATE POLICY "Users can update own schedules" ON schedules FOR UPDATE USING (profile_id = auth.uid());
+CREATE POLICY "Users can delete own schedules" ON schedules FOR DELETE USING (profile_id = auth.uid());
+
+CREATE POLICY "Users can view own holiday sets" ON holiday_sets FOR SELECT USING (profile_id = auth.uid());
+CREATE POLICY "Users can insert own holiday sets" ON holiday_sets FOR INSERT WITH CHECK (profile_id = auth.uid());
+CREATE POLICY "Users can update own holiday sets" ON holiday_sets FOR UPDATE USING (profile_id = auth.uid());
+CREATE POLICY "Users can delete own holiday sets" ON holiday_sets FOR DELETE USING (profile_id = auth.uid());
+
+CREATE POLICY "Users can view own contact lists" ON contact_lists FOR SELECT USING (profile_id = auth.uid());
+CREATE POLICY "Users can insert own contact lists" ON contact_lists FOR INSERT WITH CHECK (profile_id = auth.uid());
+CREATE POLICY "Users can update own contact lists" ON contact_lists FOR UPDATE USING (profile_id = auth.uid());
+CREATE POLICY "Users can delete own contact lists" ON contact_lists FOR DELETE USING (profile_id = auth.uid());
+
+CREATE POLICY "Users can view own caller rules" ON caller_rules FOR SELECT USING (profile_id = auth.uid());
+CREATE POLICY "Users can insert own caller rules" ON caller_rules FOR INSERT WITH CHECK (profile_id = auth.uid());
+CREATE POLICY "Users can update own caller rules" ON caller_rules FOR UPDATE USING (profile_id = auth.uid());
+CREATE POLICY "Users can delete own caller rules" ON caller_rules FOR DELETE USING (profile_id = auth.uid());
+
 -- Create function to clean up expired call sessions
 CREATE OR REPLACE FUNCTION cleanup_expired_call_sessions()
 RETURNS TRIGGER AS $$
@@ -167,6 +396,45 @@ CREATE TRIGGER trigger_cleanup_expired_call_sessions
   AFTER INSERT ON call_sessions
   EXECUTE FUNCTION cleanup_expired_call_sessions();
 
+-- Record a call's duration and bill its minutes. The media stream reports a
+-- wall-clock duration when it closes; Twilio's status callback reports the
+-- authoritative one, which wins whichever arrives first. Returns the minutes
+-- added to the tenant's usage (negative when Twilio's duration is shorter).
+CREATE OR REPLACE FUNCTION record_call_duration(p_call_log_id UUID, p_duration_seconds INTEGER, p_authoritative BOOLEAN)
+RETURNS INTEGER AS $$
+DECLARE
+  v_call call_logs%ROWTYPE;
+  v_minutes INTEGER := CEIL(GREATEST(p_duration_seconds, 0) / 60.0);
+  v_delta INTEGER;
+BEGIN
+  SELECT * INTO v_call FROM call_logs WHERE id = p_call_log_id FOR UPDATE;
+
+  IF NOT FOUND OR (v_call.duration_source = 'twilio' AND NOT p_authoritative) THEN
+    RETURN 0;
+  END IF;
+
+  v_delta := v_minutes - COALESCE(v_call.billed_minutes, 0);
+
+  UPDATE call_logs
+  SET duration_seconds = p_duration_seconds,
+      billed_minutes = v_minutes,
+      duration_source = CASE WHEN p_authoritative THEN 'twilio' ELSE 'stream' END
+  WHERE id = p_call_log_id;
+
+  IF v_delta <> 0 AND v_call.profile_id IS NOT NULL THEN
+    UPDATE profiles
+    SET minutes_used = GREATEST(minutes_used + v_delta, 0)
+    WHERE id = v_call.profile_id;
+  END IF;
+
+  RETURN v_delta;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Billing runs on the server only; tenants must not change their own usage
+REVOKE EXECUTE ON FUNCTION record_call_duration(UUID, INTEGER, BOOLEAN) FROM public, anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_call_duration(UUID, INTEGER, BOOLEAN) TO service_role;
+
 -- Create function to increment minutes used
 CREATE OR REPLACE FUNCTION increment_minutes_used(p_profile_id UUID, p_minutes INTEGER)
 RETURNS VOID AS $$
@@ -177,6 +445,110 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
+-- Take a concurrency slot for a call. Returns 'acquired', 'profile_limit' or
+-- 'agent_limit'. Calls already holding a slot can move to another agent.
+-- With p_queue, a refused call waits in line: it keeps a 'waiting' row and
+-- later callers don't get a slot ahead of it.
+CREATE OR REPLACE FUNCTION acquire_call_slot(
+  p_call_sid TEXT,
+  p_profile_id UUID,
+  p_agent_id UUID,
+  p_profile_limit INTEGER,
+  p_agent_limit INTEGER,
+  p_ttl_seconds INTEGER,
+  p_queue BOOLEAN DEFAULT false
+)
+RETURNS TEXT AS $$
+DECLARE
+  v_profile_active INTEGER;
+  v_agent_active INTEGER;
+  v_waiting_ahead INTEGER;
+  v_queued_at TIMESTAMP WITH TIME ZONE;
+  v_result TEXT := 'acquired';
+BEGIN
+  -- Serialise slot changes per tenant
+  PERFORM pg_advisory_xact_lock(hashtext(p_profile_id::text));
+
+  DELETE FROM call_slots WHERE profile_id = p_profile_id AND expires_at < NOW();
+
+  SELECT queued_at INTO v_queued_at FROM call_slots WHERE call_sid = p_call_sid;
+
+  SELECT COUNT(*) INTO v_profile_active FROM call_slots
+  WHERE profile_id = p_profile_id AND state = 'active' AND call_sid <> p_call_sid;
+
+  SELECT COUNT(*) INTO v_agent_active FROM call_slots
+  WHERE agent_id = p_agent_id AND state = 'active' AND call_sid <> p_call_sid;
+
+  -- Every waiting call is ahead of a new one; ties are broken by call SID
+  SELECT COUNT(*) INTO v_waiting_ahead FROM call_slots
+  WHERE profile_id = p_profile_id AND state = 'waiting' AND call_sid <> p_call_sid
+    AND (v_queued_at IS NULL OR (queued_at, call_sid) < (v_queued_at, p_call_sid));
+
+  IF v_profile_active + v_waiting_ahead >= p_profile_limit THEN
+    v_result := 'profile_limit';
+  ELSIF p_agent_id IS NOT NULL AND v_agent_active >= p_agent_limit THEN
+    v_result := 'agent_limit';
+  END IF;
+
+  IF v_result = 'acquired' THEN
+    INSERT INTO call_slots (call_sid, profile_id, agent_id, state, expires_at)
+    VALUES (p_call_sid, p_profile_id, p_agent_id, 'active', NOW() + make_interval(secs => p_ttl_seconds))
+    ON CONFLICT (call_sid) DO UPDATE
+    SET agent_id = EXCLUDED.agent_id, state = 'active', expires_at = EXCLUDED.expires_at;
+  ELSIF p_queue THEN
+    INSERT INTO call_slots (call_sid, profile_id, agent_id, state, expires_at)
+    VALUES (p_call_sid, p_profile_id, p_agent_id, 'waiting', NOW() + make_interval(secs => p_ttl_seconds))
+    ON CONFLICT (call_sid) DO UPDATE
+    SET agent_id = EXCLUDED.agent_id, expires_at = EXCLUDED.expires_at;
+  END IF;
+
+  RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the call servers take slots; tenants must not fill them with calls that don't exist
+REVOKE EXECUTE ON FUNCTION acquire_call_slot(TEXT, UUID, UUID, INTEGER, INTEGER, INTEGER, BOOLEAN) FROM public, anon, authenticated;
+GRANT EXECUTE ON FUNCTION acquire_call_slot(TEXT, UUID, UUID, INTEGER, INTEGER, INTEGER, BOOLEAN) TO service_role;
+
+-- Lease the next callable leads of a campaign to a dialer worker. Leads are
+-- callable when pending or retryable, within the first call plus
+-- retry_attempts retries, past the retry delay and not leased by another
+-- worker. Leases with a call in progress (call_sid set) only end when the
+-- call is finished.
+CREATE OR REPLACE FUNCTION lease_campaign_leads(p_campaign_id UUID, p_worker_id TEXT, p_limit INTEGER, p_lease_seconds INTEGER)
+RETURNS SETOF campaign_leads AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE campaign_leads
+  SET leased_by = p_worker_id,
+      lease_expires_at = NOW() + make_interval(secs => p_lease_seconds),
+      call_sid = NULL,
+      updated_at = NOW()
+  WHERE id IN (
+    SELECT l.id
+    FROM campaign_leads l
+    JOIN outbound_campaigns c ON c.id = l.campaign_id
+    WHERE l.campaign_id = p_campaign_id
+      AND l.status IN ('pending', 'retry', 'no_answer', 'busy')
+      AND (l.leased_by IS NULL OR (l.lease_expires_at < NOW() AND l.call_sid IS NULL))
+      AND COALESCE(l.call_attempts, 0) < COALESCE(c.retry_attempts, 3) + 1
+      AND (l.last_call_at IS NULL OR l.last_call_at < NOW() - make_interval(mins => COALESCE(c.retry_delay_minutes, 60)))
+      AND (l.next_call_at IS NULL OR l.next_call_at <= NOW())
+    ORDER BY
+      CASE l.priority WHEN 'urgent' THEN 4 WHEN 'high' THEN 3 WHEN 'low' THEN 1 ELSE 2 END DESC,
+      l.last_call_at ASC NULLS FIRST,
+      l.created_at ASC
+    LIMIT p_limit
+    FOR UPDATE OF l SKIP LOCKED
+  )
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the dialer workers lease leads, for any tenant's campaign
+REVOKE EXECUTE ON FUNCTION lease_campaign_leads(UUID, TEXT, INTEGER, INTEGER) FROM public, anon, authenticated;
+GRANT EXECUTE ON FUNCTION lease_campaign_leads(UUID, TEXT, INTEGER, INTEGER) TO service_role;
+
 -- Create indexes for performance
 CREATE INDEX IF NOT EXISTS idx_ai_agents_profile_id ON ai_agents(profile_id);
 CREATE INDEX IF NOT EXISTS idx_phone_numbers_profile_id ON phone_numbers(profile_id);
@@ -186,6 +558,40 @@ CREATE INDEX IF NOT EXISTS idx_ivr_options_ivr_menu_id ON ivr_options(ivr_menu_i
 CREATE INDEX IF NOT EXISTS idx_external_integrations_profile_id ON external_integrations(profile_id);
 CREATE INDEX IF NOT EXISTS idx_call_sessions_call_sid ON call_sessions(call_sid);
 CREATE INDEX IF NOT EXISTS idx_call_sessions_profile_id ON call_sessions(profile_id);
+CREATE INDEX IF NOT EXISTS idx_custom_functions_profile_id ON custom_functions(profile_id);
 CREATE INDEX IF NOT EXISTS idx_call_logs_profile_id ON call_logs(profile_id);
 CREATE INDEX IF NOT EXISTS idx_call_logs_agent_id ON call_logs(agent_id);
-CREATE INDEX IF NOT EXISTS idx_call_logs_call_sid ON call_logs(call_sid);
\ No newline at end of file
+-- Unique so call logs can be upserted by call SID from the stream and the status callback.
+-- Older duplicates of a call SID are removed first, keeping its newest row, and
+-- voicemails linked to a removed row are moved to the one kept.
+WITH ranked AS (
+    SELECT id, FIRST_VALUE(id) OVER (PARTITION BY call_sid ORDER BY created_at DESC NULLS LAST, id DESC) AS kept_id
+    FROM call_logs
+    WHERE call_sid IS NOT NULL
+)
+UPDATE voicemails SET call_log_id = ranked.kept_id
+FROM ranked
+WHERE voicemails.call_log_id = ranked.id AND ranked.id <> ranked.kept_id;
+
+DELETE FROM call_logs
+WHERE id IN (
+    SELECT id FROM (
+        SELECT id, ROW_NUMBER() OVER (PARTITION BY call_sid ORDER BY created_at DESC NULLS LAST, id DESC) AS position
+        FROM call_logs
+        WHERE call_sid IS NOT NULL
+    ) ranked
+    WHERE position > 1
+);
+
+DROP INDEX IF EXISTS idx_call_logs_call_sid;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_call_logs_call_sid_key ON call_logs(call_sid);
+CREATE INDEX IF NOT EXISTS idx_campaign_leads_lease ON campaign_leads(campaign_id, lease_expires_at);
+CREATE INDEX IF NOT EXISTS idx_call_slots_profile_id ON call_slots(profile_id);
+CREATE INDEX IF NOT EXISTS idx_call_slots_agent_id ON call_slots(agent_id);
+CREATE INDEX IF NOT EXISTS idx_callback_requests_profile_id ON callback_requests(profile_id, status);
+CREATE INDEX IF NOT EXISTS idx_schedules_profile_id ON schedules(profile_id);
+CREATE INDEX IF NOT EXISTS idx_holiday_sets_profile_id ON holiday_sets(profile_id);
+CREATE INDEX IF NOT EXISTS idx_contact_lists_phone_numbers ON contact_lists USING GIN(phone_numbers);
+CREATE INDEX IF NOT EXISTS idx_caller_rules_profile_position ON caller_rules(profile_id, position);
+CREATE INDEX IF NOT EXISTS idx_campaign_leads_phone_number ON campaign_leads(phone_number);
+CREATE INDEX IF NOT EXISTS idx_call_logs_from_created ON call_logs(profile_id, phone_number_from, created_at);
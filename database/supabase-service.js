@@ -22,6 +22,15 @@ const supabase = createClient(supabaseUrl, supabaseServiceKey);
 const clientConfigCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
+// Fill in the function (tool) configuration of an agent row
+function normaliseAgent(agent) {
+  return {
+    ...agent,
+    enabled_functions: agent.enabled_functions || [],
+    function_settings: agent.function_settings || {}
+  };
+}
+
 // Get client configuration by phone number
 export async function getClientConfigByPhoneNumber(phoneNumber) {
   // Check cache first
@@ -46,8 +55,8 @@ export async function getClientConfigByPhoneNumber(phoneNumber) {
       return null;
     }
 
-    // Get the client profile
-    const clientProfile = phoneData.profiles;
+    // Get the client profile (kept off the phone number, which is persisted with call sessions)
+    const { profiles: clientProfile, ...phoneNumberData } = phoneData;
     
     // Get all phone numbers for this client
     const { data: allPhoneNumbers } = await supabase
@@ -62,19 +71,38 @@ export async function getClientConfigByPhoneNumber(phoneNumber) {
       .eq('profile_id', clientProfile.id)
       .eq('is_active', true);
       
-    // Get IVR menu if using single number with IVR
-    let ivrMenu = null;
-    if (clientProfile.routing_strategy === 'single_number_ivr' && phoneData.is_primary) {
+    // Get the IVR flow's menus if using single number with IVR
+    let ivrMenus = [];
+    if (clientProfile.routing_strategy === 'single_number_ivr' && phoneNumberData.is_primary) {
       const { data: ivrData } = await supabase
         .from('ivr_menus')
         .select('*, ivr_options(*)')
         .eq('profile_id', clientProfile.id)
         .eq('is_active', true)
-        .single();
+        .order('created_at');
         
-      ivrMenu = ivrData;
+      ivrMenus = ivrData || [];
     }
     
+    // Get the opening hours of agents, numbers and IVR options
+    const { data: schedules } = await supabase
+      .from('schedules')
+      .select('*')
+      .eq('profile_id', clientProfile.id);
+      
+    const { data: holidaySets } = await supabase
+      .from('holiday_sets')
+      .select('*')
+      .eq('profile_id', clientProfile.id);
+    
+    // Get the caller rules checked before routing, in order
+    const { data: callerRules } = await supabase
+      .from('caller_rules')
+      .select('*')
+      .eq('profile_id', clientProfile.id)
+      .eq('is_active', true)
+      .order('position');
+    
     // Get external integration if any
     const { data: integrations } = await supabase
       .from('external_integrations')
@@ -87,16 +115,33 @@ export async function getClientConfigByPhoneNumber(phoneNumber) {
       clientId: clientProfile.id,
       clientName: clientProfile.client_name || clientProfile.full_name,
       routingStrategy: clientProfile.routing_strategy || 'single_number_ivr',
-      phoneNumber: phoneData,
+      routerAgentId: clientProfile.router_agent_id || null,
+      phoneNumber: phoneNumberData,
       allPhoneNumbers: allPhoneNumbers || [],
-      agents: allAgents || [],
-      ivrMenu: ivrMenu,
+      agents: (allAgents || []).map(normaliseAgent),
+      ivrMenus,
+      schedules: schedules || [],
+      holidaySets: holidaySets || [],
+      callerRules: callerRules || [],
       externalIntegrations: integrations || [],
-      recordingEnabled: clientProfile.call_recording_enabled || true,
-      transcriptionEnabled: clientProfile.transcription_enabled || true,
+      recordingEnabled: clientProfile.call_recording_enabled !== false,
+      transcriptionEnabled: clientProfile.transcription_enabled !== false,
       maxConcurrentCalls: clientProfile.max_concurrent_calls || 5,
+      overflow: {
+        action: clientProfile.overflow_action || 'busy',
+        agentId: clientProfile.overflow_agent_id || null,
+        message: clientProfile.overflow_message || null,
+        holdMusicUrl: clientProfile.overflow_hold_music_url || null,
+        queueTimeoutSeconds: clientProfile.overflow_queue_timeout_seconds || 120
+      },
       minutesLimit: clientProfile.monthly_minute_limit || 1000,
-      minutesUsed: clientProfile.minutes_used || 0
+      minutesUsed: clientProfile.minutes_used || 0,
+      quotaExceededAction: clientProfile.quota_exceeded_action || 'reject',
+      quotaForwardNumber: clientProfile.quota_forward_number || null,
+      callerMemory: {
+        enabled: clientProfile.caller_memory_enabled !== false,
+        days: clientProfile.caller_memory_days || 90
+      }
     };
     
     // Cache the configuration
@@ -112,6 +157,15 @@ export async function getClientConfigByPhoneNumber(phoneNumber) {
   }
 }
 
+// Drop a tenant's cached configurations, e.g. after its IVR flow changed
+export function clearClientConfigCache(profileId) {
+  for (const [phoneNumber, cachedConfig] of clientConfigCache) {
+    if (cachedConfig.data.clientId === profileId) {
+      clientConfigCache.delete(phoneNumber);
+    }
+  }
+}
+
 // Get agent by ID
 export async function getAgentById(agentId) {
   try {
@@ -126,13 +180,78 @@ export async function getAgentById(agentId) {
       return null;
     }
     
-    return data;
+    return normaliseAgent(data);
   } catch (error) {
     console.error('Error fetching agent:', error);
     return null;
   }
 }
 
+// Get the Twilio credentials of the tenant owning one of the given numbers.
+// Numbers are tried in order; the credentials are never added to the cached
+// client configuration, since that is persisted with call sessions.
+export async function getTwilioCredentialsByPhoneNumber(phoneNumbers) {
+  try {
+    const { data, error } = await supabase
+      .from('phone_numbers')
+      .select('*, profiles(twilio_account_sid, twilio_auth_token)')
+      .in('phone_number', phoneNumbers);
+      
+    if (error) {
+      console.error('Error fetching Twilio credentials:', error);
+      return null;
+    }
+    
+    for (const phoneNumber of phoneNumbers) {
+      const match = data?.find(row => row.phone_number === phoneNumber);
+      
+      if (match) {
+        const { profiles: profile, ...phoneData } = match;
+        return {
+          phoneNumber: phoneData,
+          accountSid: profile?.twilio_account_sid || null,
+          authToken: profile?.twilio_auth_token || null
+        };
+      }
+    }
+    
+    return null;
+  } catch (error) {
+    console.error('Error fetching Twilio credentials:', error);
+    return null;
+  }
+}
+
+// Get a tenant's Twilio credentials and numbers by its Twilio account SID
+export async function getTwilioCredentialsByAccountSid(accountSid) {
+  try {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('twilio_account_sid, twilio_auth_token, phone_numbers(*)')
+      .eq('twilio_account_sid', accountSid)
+      .not('twilio_auth_token', 'is', null)
+      .limit(1);
+      
+    if (error) {
+      console.error('Error fetching Twilio credentials by account:', error);
+      return null;
+    }
+    
+    if (!data?.length) {
+      return null;
+    }
+    
+    return {
+      phoneNumbers: data[0].phone_numbers || [],
+      accountSid: data[0].twilio_account_sid,
+      authToken: data[0].twilio_auth_token
+    };
+  } catch (error) {
+    console.error('Error fetching Twilio credentials by account:', error);
+    return null;
+  }
+}
+
 // Store call session in database
 export async function storeCallSession(callSid, sessionData) {
   try {
@@ -182,23 +301,65 @@ export async function getCallSession(callSid) {
   }
 }
 
-// Create call log
-export async function createCallLog(callData) {
+// Create or update the call log of a call, by call SID. With
+// ignoreDuplicates an existing call log is left as it is (and null returned).
+export async function upsertCallLog(callData, { ignoreDuplicates = false } = {}) {
   try {
     const { data, error } = await supabase
       .from('call_logs')
-      .insert(callData)
-      .select()
+      .upsert(callData, { onConflict: 'call_sid', ignoreDuplicates })
+      .select();
+      
+    if (error) {
+      console.error('Error saving call log:', error);
+      return null;
+    }
+    
+    return data[0] || null;
+  } catch (error) {
+    console.error('Error saving call log:', error);
+    return null;
+  }
+}
+
+// Get call log by ID
+export async function getCallLog(callLogId) {
+  try {
+    const { data, error } = await supabase
+      .from('call_logs')
+      .select('*')
+      .eq('id', callLogId)
       .single();
       
     if (error) {
-      console.error('Error creating call log:', error);
+      console.error('Error fetching call log:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error fetching call log:', error);
+    return null;
+  }
+}
+
+// Get call log by call SID; null when the call has none
+export async function getCallLogByCallSid(callSid) {
+  try {
+    const { data, error } = await supabase
+      .from('call_logs')
+      .select('*')
+      .eq('call_sid', callSid)
+      .maybeSingle();
+      
+    if (error) {
+      console.error('Error fetching call log:', error);
       return null;
     }
     
     return data;
   } catch (error) {
-    console.error('Error creating call log:', error);
+    console.error('Error fetching call log:', error);
     return null;
   }
 }
@@ -245,5 +406,875 @@ export async function incrementMinutesUsed(profileId, minutes) {
   }
 }
 
+// Record a call's duration and bill its minutes (see record_call_duration).
+// Returns the minutes added to the tenant's usage, or null on error.
+export async function recordCallDuration(callLogId, durationSeconds, authoritative) {
+  try {
+    const { data, error } = await supabase.rpc('record_call_duration', {
+      p_call_log_id: callLogId,
+      p_duration_seconds: durationSeconds,
+      p_authoritative: authoritative
+    });
+      
+    if (error) {
+      console.error('Error recording call duration:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error recording call duration:', error);
+    return null;
+  }
+}
+
+// Take a concurrency slot for a call ('acquired', 'profile_limit' or
+// 'agent_limit'); null when the check itself failed
+export async function acquireCallSlot({ callSid, profileId, agentId, profileLimit, agentLimit, ttlSeconds, queue = false }) {
+  try {
+    const { data, error } = await supabase.rpc('acquire_call_slot', {
+      p_call_sid: callSid,
+      p_profile_id: profileId,
+      p_agent_id: agentId || null,
+      p_profile_limit: profileLimit,
+      p_agent_limit: agentLimit,
+      p_ttl_seconds: ttlSeconds,
+      p_queue: queue
+    });
+    
+    if (error) {
+      console.error('Error acquiring call slot:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error acquiring call slot:', error);
+    return null;
+  }
+}
+
+// Keep a call's concurrency slot alive
+export async function refreshCallSlot(callSid, ttlSeconds) {
+  try {
+    const { error } = await supabase
+      .from('call_slots')
+      .update({ expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString() })
+      .eq('call_sid', callSid);
+      
+    if (error) {
+      console.error('Error refreshing call slot:', error);
+      return false;
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Error refreshing call slot:', error);
+    return false;
+  }
+}
+
+// Free a call's concurrency slot
+export async function releaseCallSlot(callSid) {
+  try {
+    const { error } = await supabase
+      .from('call_slots')
+      .delete()
+      .eq('call_sid', callSid);
+      
+    if (error) {
+      console.error('Error releasing call slot:', error);
+      return false;
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Error releasing call slot:', error);
+    return false;
+  }
+}
+
+// Get a tenant's current minute usage (uncached, for quota checks)
+export async function getMinuteUsage(profileId) {
+  try {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('monthly_minute_limit, minutes_used, minute_warning_threshold, usage_alert_state')
+      .eq('id', profileId)
+      .single();
+      
+    if (error) {
+      console.error('Error fetching minute usage:', error);
+      return null;
+    }
+    
+    return {
+      minutesLimit: data.monthly_minute_limit || 1000,
+      minutesUsed: data.minutes_used || 0,
+      warningThreshold: data.minute_warning_threshold || 80,
+      alertState: data.usage_alert_state || {}
+    };
+  } catch (error) {
+    console.error('Error fetching minute usage:', error);
+    return null;
+  }
+}
+
+// Record the last usage alert sent to a tenant
+export async function updateUsageAlertState(profileId, alertState) {
+  try {
+    const { error } = await supabase
+      .from('profiles')
+      .update({ usage_alert_state: alertState })
+      .eq('id', profileId);
+      
+    if (error) {
+      console.error('Error updating usage alert state:', error);
+      return false;
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Error updating usage alert state:', error);
+    return false;
+  }
+}
+
+// Get the start times of a tenant's calls in progress, other than one call
+export async function getActiveCallStartTimes(profileId, { since, excludeCallSid }) {
+  try {
+    let query = supabase
+      .from('call_logs')
+      .select('started_at')
+      .eq('profile_id', profileId)
+      .eq('status', 'in_progress')
+      .gte('started_at', since.toISOString());
+      
+    if (excludeCallSid) {
+      query = query.neq('call_sid', excludeCallSid);
+    }
+    
+    const { data, error } = await query;
+      
+    if (error) {
+      console.error('Error fetching active calls:', error);
+      return null;
+    }
+    
+    return data.map(callLog => new Date(callLog.started_at));
+  } catch (error) {
+    console.error('Error fetching active calls:', error);
+    return null;
+  }
+}
+
+// Get campaign by ID
+export async function getCampaignById(campaignId) {
+  try {
+    const { data, error } = await supabase
+      .from('outbound_campaigns')
+      .select('*')
+      .eq('id', campaignId)
+      .single();
+      
+    if (error) {
+      console.error('Error fetching campaign:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error fetching campaign:', error);
+    return null;
+  }
+}
+
+// Get campaign lead by ID
+export async function getCampaignLead(leadId) {
+  try {
+    const { data, error } = await supabase
+      .from('campaign_leads')
+      .select('*')
+      .eq('id', leadId)
+      .single();
+      
+    if (error) {
+      console.error('Error fetching campaign lead:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error fetching campaign lead:', error);
+    return null;
+  }
+}
+
+// Update campaign lead
+export async function updateCampaignLead(leadId, updates) {
+  try {
+    const { data, error } = await supabase
+      .from('campaign_leads')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', leadId)
+      .select()
+      .single();
+      
+    if (error) {
+      console.error('Error updating campaign lead:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error updating campaign lead:', error);
+    return null;
+  }
+}
+
+// Get campaigns the dialer should be working on
+export async function getActiveCampaigns() {
+  try {
+    const { data, error } = await supabase
+      .from('outbound_campaigns')
+      .select('*')
+      .eq('status', 'active');
+      
+    if (error) {
+      console.error('Error fetching active campaigns:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error fetching active campaigns:', error);
+    return null;
+  }
+}
+
+// Update campaign
+export async function updateCampaign(campaignId, updates) {
+  try {
+    const { data, error } = await supabase
+      .from('outbound_campaigns')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', campaignId)
+      .select()
+      .single();
+      
+    if (error) {
+      console.error('Error updating campaign:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error updating campaign:', error);
+    return null;
+  }
+}
+
+// Lease the next callable leads of a campaign to a dialer worker
+export async function leaseCampaignLeads(campaignId, workerId, limit, leaseSeconds) {
+  try {
+    const { data, error } = await supabase.rpc('lease_campaign_leads', {
+      p_campaign_id: campaignId,
+      p_worker_id: workerId,
+      p_limit: limit,
+      p_lease_seconds: leaseSeconds
+    });
+    
+    if (error) {
+      console.error('Error leasing campaign leads:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error leasing campaign leads:', error);
+    return null;
+  }
+}
+
+// Release a leased lead, applying the given updates. Returns null when the
+// lead was not leased (already released by someone else).
+export async function releaseCampaignLead(leadId, updates = {}) {
+  try {
+    const { data, error } = await supabase
+      .from('campaign_leads')
+      .update({
+        ...updates,
+        leased_by: null,
+        lease_expires_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', leadId)
+      .not('leased_by', 'is', null)
+      .select();
+      
+    if (error) {
+      console.error('Error releasing campaign lead:', error);
+      return null;
+    }
+    
+    return data[0] || null;
+  } catch (error) {
+    console.error('Error releasing campaign lead:', error);
+    return null;
+  }
+}
+
+// Get leased leads with a call in progress, optionally for one campaign
+export async function getInFlightCampaignLeads(campaignId) {
+  try {
+    let query = supabase
+      .from('campaign_leads')
+      .select('*')
+      .not('leased_by', 'is', null)
+      .not('call_sid', 'is', null);
+
+    if (campaignId) {
+      query = query.eq('campaign_id', campaignId);
+    }
+
+    const { data, error } = await query;
+      
+    if (error) {
+      console.error('Error fetching in-flight campaign leads:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error fetching in-flight campaign leads:', error);
+    return null;
+  }
+}
+
+// Count a campaign's leased leads: calls in progress plus leads about to be dialled
+export async function countLeasedCampaignLeads(campaignId) {
+  try {
+    const { count, error } = await supabase
+      .from('campaign_leads')
+      .select('id', { count: 'exact', head: true })
+      .eq('campaign_id', campaignId)
+      .not('leased_by', 'is', null)
+      .or(`call_sid.not.is.null,lease_expires_at.gt.${new Date().toISOString()}`);
+      
+    if (error) {
+      console.error('Error counting leased campaign leads:', error);
+      return null;
+    }
+    
+    return count || 0;
+  } catch (error) {
+    console.error('Error counting leased campaign leads:', error);
+    return null;
+  }
+}
+
+// Count leads that may still be called, now or after their retry delay
+export async function countRemainingCampaignLeads(campaignId, maxAttempts) {
+  try {
+    const { count, error } = await supabase
+      .from('campaign_leads')
+      .select('id', { count: 'exact', head: true })
+      .eq('campaign_id', campaignId)
+      .in('status', ['pending', 'retry', 'no_answer', 'busy'])
+      .or(`call_attempts.is.null,call_attempts.lt.${maxAttempts}`);
+      
+    if (error) {
+      console.error('Error counting remaining campaign leads:', error);
+      return null;
+    }
+    
+    return count || 0;
+  } catch (error) {
+    console.error('Error counting remaining campaign leads:', error);
+    return null;
+  }
+}
+
+// Check the tenant's Do Not Call list; null when the check itself failed
+export async function isOnDncList(profileId, phoneNumber) {
+  try {
+    const { data, error } = await supabase
+      .from('dnc_lists')
+      .select('id')
+      .eq('profile_id', profileId)
+      .eq('phone_number', phoneNumber)
+      .limit(1);
+      
+    if (error) {
+      console.error('Error checking DNC list:', error);
+      return null;
+    }
+    
+    return data.length > 0;
+  } catch (error) {
+    console.error('Error checking DNC list:', error);
+    return null;
+  }
+}
+
+// Get the latest unrevoked TCPA consent for a number
+export async function getTcpaConsent(profileId, phoneNumber) {
+  try {
+    const { data, error } = await supabase
+      .from('tcpa_consents')
+      .select('*')
+      .eq('profile_id', profileId)
+      .eq('phone_number', phoneNumber)
+      .is('revoked_at', null)
+      .order('created_at', { ascending: false })
+      .limit(1);
+      
+    if (error) {
+      console.error('Error fetching TCPA consent:', error);
+      return null;
+    }
+    
+    return data[0] || null;
+  } catch (error) {
+    console.error('Error fetching TCPA consent:', error);
+    return null;
+  }
+}
+
+// Count calls to a number since a point in time; null when the count failed
+export async function countCallsToNumberSince(profileId, phoneNumber, since) {
+  try {
+    const { count, error } = await supabase
+      .from('call_logs')
+      .select('id', { count: 'exact', head: true })
+      .eq('profile_id', profileId)
+      .eq('phone_number_to', phoneNumber)
+      .gte('created_at', since.toISOString());
+      
+    if (error) {
+      console.error('Error counting calls:', error);
+      return null;
+    }
+    
+    return count || 0;
+  } catch (error) {
+    console.error('Error counting calls:', error);
+    return null;
+  }
+}
+
+// Count calls from a number since a point in time; null when the count failed
+export async function countCallsFromNumberSince(profileId, phoneNumber, since) {
+  try {
+    const { count, error } = await supabase
+      .from('call_logs')
+      .select('id', { count: 'exact', head: true })
+      .eq('profile_id', profileId)
+      .eq('phone_number_from', phoneNumber)
+      .gte('created_at', since.toISOString());
+      
+    if (error) {
+      console.error('Error counting calls:', error);
+      return null;
+    }
+    
+    return count || 0;
+  } catch (error) {
+    console.error('Error counting calls:', error);
+    return null;
+  }
+}
+
+// Get the tenant's campaign leads for a number, in any campaign, latest first;
+// with since, only the ones updated since then
+export async function getCampaignLeadsForNumber(profileId, phoneNumber, { since } = {}) {
+  try {
+    let query = supabase
+      .from('campaign_leads')
+      .select('id, campaign_id, status, first_name, last_name, company, outcome, notes, last_call_at, updated_at, outbound_campaigns!inner(profile_id, name)')
+      .eq('outbound_campaigns.profile_id', profileId)
+      .eq('phone_number', phoneNumber)
+      .order('updated_at', { ascending: false });
+      
+    if (since) {
+      query = query.gte('updated_at', since.toISOString());
+    }
+    
+    const { data, error } = await query;
+      
+    if (error) {
+      console.error('Error fetching campaign leads for number:', error);
+      return null;
+    }
+    
+    return data.map(({ outbound_campaigns, ...lead }) => ({ ...lead, campaign_name: outbound_campaigns.name }));
+  } catch (error) {
+    console.error('Error fetching campaign leads for number:', error);
+    return null;
+  }
+}
+
+// Get the tenant's latest calls with a number since a point in time, other
+// than the given call
+export async function getRecentCallLogsForNumber(profileId, phoneNumber, { since, limit, excludeCallSid }) {
+  try {
+    let query = supabase
+      .from('call_logs')
+      .select('started_at, created_at, direction, status, call_summary, outcome, follow_up_required, follow_up_date, transfer_reason')
+      .eq('profile_id', profileId)
+      .or(`phone_number_from.eq.${phoneNumber},phone_number_to.eq.${phoneNumber}`)
+      .gte('created_at', since.toISOString())
+      .order('created_at', { ascending: false })
+      .limit(limit);
+      
+    if (excludeCallSid) {
+      query = query.neq('call_sid', excludeCallSid);
+    }
+    
+    const { data, error } = await query;
+      
+    if (error) {
+      console.error('Error fetching recent calls for number:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error fetching recent calls for number:', error);
+    return null;
+  }
+}
+
+// Get the IDs of the tenant's contact lists that include a number
+export async function getContactListIdsForNumber(profileId, phoneNumber) {
+  try {
+    const { data, error } = await supabase
+      .from('contact_lists')
+      .select('id')
+      .eq('profile_id', profileId)
+      .contains('phone_numbers', [phoneNumber]);
+      
+    if (error) {
+      console.error('Error checking contact lists:', error);
+      return null;
+    }
+    
+    return data.map(contactList => contactList.id);
+  } catch (error) {
+    console.error('Error checking contact lists:', error);
+    return null;
+  }
+}
+
+// Create or update a voicemail by its Twilio recording SID. The recording and
+// its transcription arrive in separate callbacks, in either order.
+export async function upsertVoicemail(voicemail) {
+  try {
+    const { data, error } = await supabase
+      .from('voicemails')
+      .upsert({ ...voicemail, updated_at: new Date().toISOString() }, { onConflict: 'recording_sid' })
+      .select()
+      .single();
+      
+    if (error) {
+      console.error('Error saving voicemail:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error saving voicemail:', error);
+    return null;
+  }
+}
+
+// Get voicemail by ID
+export async function getVoicemail(voicemailId) {
+  try {
+    const { data, error } = await supabase
+      .from('voicemails')
+      .select('*')
+      .eq('id', voicemailId)
+      .single();
+      
+    if (error) {
+      console.error('Error fetching voicemail:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error fetching voicemail:', error);
+    return null;
+  }
+}
+
+// List a tenant's voicemails, newest first, optionally only 'new' or 'handled' ones
+export async function listVoicemails(profileId, { status, limit = 50, offset = 0 } = {}) {
+  try {
+    let query = supabase
+      .from('voicemails')
+      .select('*, ai_agents(name), ivr_options(digit, description)')
+      .eq('profile_id', profileId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+      
+    if (status) {
+      query = query.eq('status', status);
+    }
+    
+    const { data, error } = await query;
+      
+    if (error) {
+      console.error('Error listing voicemails:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error listing voicemails:', error);
+    return null;
+  }
+}
+
+// Update voicemail
+export async function updateVoicemail(voicemailId, updates) {
+  try {
+    const { data, error } = await supabase
+      .from('voicemails')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', voicemailId)
+      .select()
+      .single();
+      
+    if (error) {
+      console.error('Error updating voicemail:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error updating voicemail:', error);
+    return null;
+  }
+}
+
+// Get a tenant's IVR flow: its menus with their options
+export async function getIvrFlow(profileId) {
+  try {
+    const { data, error } = await supabase
+      .from('ivr_menus')
+      .select('*, ivr_options(*)')
+      .eq('profile_id', profileId)
+      .order('created_at');
+      
+    if (error) {
+      console.error('Error fetching IVR flow:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error fetching IVR flow:', error);
+    return null;
+  }
+}
+
+// Replace a tenant's IVR flow with the given menus (see prepareIvrFlow).
+// Menus and options missing from it are deleted.
+export async function saveIvrFlow(profileId, menus) {
+  try {
+    const now = new Date().toISOString();
+    const menuRows = menus.map(({ ivr_options, ...menu }) => ({
+      ...menu,
+      profile_id: profileId,
+      is_active: true,
+      updated_at: now
+    }));
+    const optionRows = menus.flatMap(menu => menu.ivr_options.map(option => ({ ...option, updated_at: now })));
+    const menuIds = menuRows.map(menu => menu.id);
+    
+    // Menus first, so the options' next_menu_id references exist
+    if (menuRows.length > 0) {
+      const { error } = await supabase.from('ivr_menus').upsert(menuRows);
+      if (error) throw error;
+    }
+    
+    if (optionRows.length > 0) {
+      const { error } = await supabase.from('ivr_options').upsert(optionRows);
+      if (error) throw error;
+    }
+    
+    const { data: staleOptions, error: staleError } = await supabase
+      .from('ivr_options')
+      .select('id, ivr_menus!inner(profile_id)')
+      .eq('ivr_menus.profile_id', profileId);
+    if (staleError) throw staleError;
+    
+    const optionIds = new Set(optionRows.map(option => option.id));
+    const staleOptionIds = staleOptions.map(option => option.id).filter(id => !optionIds.has(id));
+    if (staleOptionIds.length > 0) {
+      const { error } = await supabase.from('ivr_options').delete().in('id', staleOptionIds);
+      if (error) throw error;
+    }
+    
+    let deleteMenus = supabase.from('ivr_menus').delete().eq('profile_id', profileId);
+    if (menuIds.length > 0) {
+      deleteMenus = deleteMenus.not('id', 'in', `(${menuIds.join(',')})`);
+    }
+    const { error: deleteError } = await deleteMenus;
+    if (deleteError) throw deleteError;
+    
+    clearClientConfigCache(profileId);
+    
+    return getIvrFlow(profileId);
+  } catch (error) {
+    console.error('Error saving IVR flow:', error);
+    return null;
+  }
+}
+
+// Get a tenant's schedules and holiday sets
+export async function getSchedules(profileId) {
+  try {
+    const [schedules, holidaySets] = await Promise.all([
+      supabase.from('schedules').select('*').eq('profile_id', profileId).order('created_at'),
+      supabase.from('holiday_sets').select('*').eq('profile_id', profileId).order('created_at')
+    ]);
+    
+    if (schedules.error || holidaySets.error) {
+      console.error('Error fetching schedules:', schedules.error || holidaySets.error);
+      return null;
+    }
+    
+    return { schedules: schedules.data, holidaySets: holidaySets.data };
+  } catch (error) {
+    console.error('Error fetching schedules:', error);
+    return null;
+  }
+}
+
+// Replace a tenant's schedules and holiday sets (see prepareSchedules). Ones
+// missing from them are deleted, which unassigns deleted schedules.
+export async function saveSchedules(profileId, { schedules, holidaySets }) {
+  try {
+    const now = new Date().toISOString();
+    const rows = (items) => items.map(item => ({ ...item, profile_id: profileId, updated_at: now }));
+    
+    for (const [table, items] of [['holiday_sets', holidaySets], ['schedules', schedules]]) {
+      if (items.length > 0) {
+        const { error } = await supabase.from(table).upsert(rows(items));
+        if (error) throw error;
+      }
+      
+      let deleteStale = supabase.from(table).delete().eq('profile_id', profileId);
+      if (items.length > 0) {
+        deleteStale = deleteStale.not('id', 'in', `(${items.map(item => item.id).join(',')})`);
+      }
+      const { error: deleteError } = await deleteStale;
+      if (deleteError) throw deleteError;
+    }
+    
+    clearClientConfigCache(profileId);
+    
+    return getSchedules(profileId);
+  } catch (error) {
+    console.error('Error saving schedules:', error);
+    return null;
+  }
+}
+
+// Get a tenant's caller rules, in order, and contact lists
+export async function getCallerRules(profileId) {
+  try {
+    const [rules, contactLists] = await Promise.all([
+      supabase.from('caller_rules').select('*').eq('profile_id', profileId).order('position'),
+      supabase.from('contact_lists').select('*').eq('profile_id', profileId).order('created_at')
+    ]);
+    
+    if (rules.error || contactLists.error) {
+      console.error('Error fetching caller rules:', rules.error || contactLists.error);
+      return null;
+    }
+    
+    return { rules: rules.data, contactLists: contactLists.data };
+  } catch (error) {
+    console.error('Error fetching caller rules:', error);
+    return null;
+  }
+}
+
+// Replace a tenant's caller rules and contact lists (see prepareCallerRules).
+// Ones missing from them are deleted.
+export async function saveCallerRules(profileId, { rules, contactLists }) {
+  try {
+    const now = new Date().toISOString();
+    const rows = (items) => items.map(item => ({ ...item, profile_id: profileId, updated_at: now }));
+    
+    for (const [table, items] of [['contact_lists', contactLists], ['caller_rules', rules]]) {
+      if (items.length > 0) {
+        const { error } = await supabase.from(table).upsert(rows(items));
+        if (error) throw error;
+      }
+      
+      let deleteStale = supabase.from(table).delete().eq('profile_id', profileId);
+      if (items.length > 0) {
+        deleteStale = deleteStale.not('id', 'in', `(${items.map(item => item.id).join(',')})`);
+      }
+      const { error: deleteError } = await deleteStale;
+      if (deleteError) throw deleteError;
+    }
+    
+    clearClientConfigCache(profileId);
+    
+    return getCallerRules(profileId);
+  } catch (error) {
+    console.error('Error saving caller rules:', error);
+    return null;
+  }
+}
+
+// Get the IDs of a tenant's active agents
+export async function getActiveAgentIds(profileId) {
+  try {
+    const { data, error } = await supabase
+      .from('ai_agents')
+      .select('id')
+      .eq('profile_id', profileId)
+      .eq('is_active', true);
+      
+    if (error) {
+      console.error('Error fetching agents:', error);
+      return null;
+    }
+    
+    return data.map(agent => agent.id);
+  } catch (error) {
+    console.error('Error fetching agents:', error);
+    return null;
+  }
+}
+
+// Save a caller's request, made in the IVR, to be called back
+export async function createCallbackRequest(callbackRequest) {
+  try {
+    const { data, error } = await supabase
+      .from('callback_requests')
+      .insert(callbackRequest)
+      .select()
+      .single();
+      
+    if (error) {
+      console.error('Error saving callback request:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error saving callback request:', error);
+    return null;
+  }
+}
+
 // Export the Supabase client for direct use if needed
 export { supabase };
\ No newline at end of file
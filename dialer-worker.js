@@ -0,0 +1,38 @@
+// Campaign dialer worker
+// Runs next to server-standalone-multitenant.js and places the calls of
+// active outbound campaigns. Run a single instance; campaigns are controlled
+// through their status (POST /api/campaigns/:id/{start,pause,resume,stop}).
+import dotenv from 'dotenv';
+import { CampaignDialer } from './lib/campaign-dialer.js';
+
+// Load environment variables
+dotenv.config();
+
+// Validate required environment variables
+const requiredEnvVars = ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'];
+const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
+
+if (missingEnvVars.length > 0) {
+    console.error('❌ Missing required environment variables:', missingEnvVars.join(', '));
+    console.error('Please check your .env file or environment configuration.');
+    process.exit(1);
+}
+
+// Twilio fetches TwiML for placed calls from the multitenant server, which
+// the worker can only find through configuration
+if (!process.env.PUBLIC_BASE_URL) {
+    console.warn('⚠️ PUBLIC_BASE_URL not set, campaign calls only work for numbers with a public_base_url');
+}
+
+const dialer = new CampaignDialer();
+dialer.start();
+
+// Finish the current tick before exiting; calls in progress keep their leases
+async function shutdown(signal) {
+    console.log(`🛑 Received ${signal}, stopping campaign dialer...`);
+    await dialer.stop();
+    process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -36,6 +36,23 @@ module.exports = {
       log_file: './logs/backend-multitenant-combined.log',
       time: true
     },
+    {
+      name: 'ai-call-dialer-worker',
+      script: 'dialer-worker.js',
+      cwd: '/workspace/AI-Call-Front-Back-V3',
+      env: {
+        NODE_ENV: 'production'
+      },
+      instances: 1,
+      exec_mode: 'fork',
+      watch: false,
+      max_memory_restart: '500M',
+      kill_timeout: 30000,
+      error_file: './logs/dialer-worker-error.log',
+      out_file: './logs/dialer-worker-out.log',
+      log_file: './logs/dialer-worker-combined.log',
+      time: true
+    },
     {
       name: 'ai-call-frontend',
       script: 'npx',
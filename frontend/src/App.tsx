@@ -9,6 +9,7 @@ import DashboardPage from './pages/DashboardPage';
 import AgentsPage from './pages/AgentsPage';
 import CallsPage from './pages/CallsPage';
 import LiveCallsPage from './pages/LiveCallsPage';
+import VoicemailsPage from './pages/VoicemailsPage';
 import AppointmentsPage from './pages/AppointmentsPage';
 import CampaignsPage from './pages/CampaignsPage';
 import EnhancedCampaignsPage from './pages/EnhancedCampaignsPage';
@@ -70,6 +71,11 @@ function AppContent() {
             <CallsPage />
           </ProtectedRoute>
         } />
+        <Route path="/voicemails" element={
+          <ProtectedRoute requiredPermission="calls">
+            <VoicemailsPage />
+          </ProtectedRoute>
+        } />
         <Route path="/live-calls" element={
           <ProtectedRoute requiredPermission="calls">
             <LiveCallsPage />
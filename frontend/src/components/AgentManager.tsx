@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { DatabaseService } from '../services/database';
+import { BackendAPI } from '../services/backend-api';
 import { useAuth } from '../hooks/useAuth';
-import type { AIAgent } from '../lib/supabase';
+import type { AIAgent, CustomFunction, Schedule } from '../lib/supabase';
 
 const VOICE_OPTIONS = [
   { value: 'Puck', label: 'Puck (Male, Neutral)' },
@@ -50,6 +51,36 @@ const TIMEZONE_OPTIONS = [
   { value: 'Australia/Sydney', label: 'Australian Eastern Time (AET)' }
 ];
 
+const ESCALATION_TYPES = [
+  { value: 'human_agent', label: 'Transfer to a Team Member' },
+  { value: 'supervisor', label: 'Transfer to a Supervisor' },
+  { value: 'voicemail', label: 'Take a Voicemail' },
+  { value: 'callback', label: 'Request a Callback' }
+];
+
+const FUNCTION_OPTIONS = [
+  { value: 'schedule_appointment', label: 'Schedule Appointments' },
+  { value: 'check_availability', label: 'Check Availability' },
+  { value: 'update_lead_status', label: 'Update Lead Status' },
+  { value: 'get_customer_info', label: 'Look Up Customer Info' },
+  { value: 'calculate_pricing', label: 'Calculate Pricing' },
+  { value: 'send_followup_email', label: 'Send Follow-up Email' },
+  { value: 'add_to_dnc', label: 'Add to Do Not Call List' }
+];
+
+// Price tables are edited as one "service: price" pair per line
+const formatPriceTable = (priceTable?: Record<string, number>) =>
+  Object.entries(priceTable || {}).map(([service, price]) => `${service}: ${price}`).join('\n');
+
+const parsePriceTable = (text: string) =>
+  text.split('\n').reduce<Record<string, number>>((table, line) => {
+    const [service, price] = line.split(':').map(part => part.trim());
+    if (service && price && !isNaN(Number(price))) {
+      table[service] = Number(price);
+    }
+    return table;
+  }, {});
+
 const DEFAULT_SYSTEM_INSTRUCTIONS = {
   customer_service: 'You are a professional customer service AI assistant. Be friendly, helpful, and efficient. Your goal is to provide excellent customer service by addressing customer inquiries, resolving issues, and ensuring customer satisfaction. Start with a warm greeting and always maintain a positive, professional tone throughout the conversation.',
   sales: 'You are a professional sales AI assistant. Be persuasive, knowledgeable, and helpful. Your goal is to understand customer needs and guide them toward making a purchase decision. Highlight product benefits, address objections professionally, and focus on value rather than just features. Start with an engaging greeting and maintain an enthusiastic tone.',
@@ -63,6 +94,8 @@ const DEFAULT_SYSTEM_INSTRUCTIONS = {
 const AgentManager: React.FC = () => {
   const { user } = useAuth();
   const [agents, setAgents] = useState<AIAgent[]>([]);
+  const [customFunctions, setCustomFunctions] = useState<CustomFunction[]>([]);
+  const [schedules, setSchedules] = useState<Schedule[]>([]);
   const [loading, setLoading] = useState(true);
   const [editingAgent, setEditingAgent] = useState<AIAgent | null>(null);
   const [showForm, setShowForm] = useState(false);
@@ -97,8 +130,14 @@ const AgentManager: React.FC = () => {
         return;
       }
       
-      const agentData = await DatabaseService.getAIAgents(user.id);
+      const [agentData, customFunctionData, scheduleData] = await Promise.all([
+        DatabaseService.getAIAgents(user.id),
+        DatabaseService.getCustomFunctions(user.id),
+        BackendAPI.getSchedules()
+      ]);
       setAgents(agentData);
+      setCustomFunctions(customFunctionData.filter(f => f.is_active));
+      setSchedules(scheduleData.schedules);
     } catch (error) {
       console.error('Error loading agents:', error);
     } finally {
@@ -135,6 +174,26 @@ const AgentManager: React.FC = () => {
     });
   };
 
+  const handleFunctionToggle = (functionName: string) => {
+    setFormData(prev => {
+      const currentFunctions = prev.enabled_functions || [];
+      const newFunctions = currentFunctions.includes(functionName)
+        ? currentFunctions.filter(f => f !== functionName)
+        : [...currentFunctions, functionName];
+      return { ...prev, enabled_functions: newFunctions };
+    });
+  };
+
+  const handleFunctionSettingChange = (functionName: string, key: string, value: unknown) => {
+    setFormData(prev => ({
+      ...prev,
+      function_settings: {
+        ...prev.function_settings,
+        [functionName]: { ...prev.function_settings?.[functionName], [key]: value }
+      }
+    }));
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     
@@ -190,11 +249,21 @@ const AgentManager: React.FC = () => {
       language_code: agent.language_code,
       system_instruction: agent.system_instruction || DEFAULT_SYSTEM_INSTRUCTIONS[agent.agent_type as keyof typeof DEFAULT_SYSTEM_INSTRUCTIONS] || '',
       greeting: agent.greeting || '',
+      twilio_greeting_enabled: agent.twilio_greeting_enabled || false,
       max_concurrent_calls: agent.max_concurrent_calls,
       timezone: agent.timezone,
       business_hours_start: agent.business_hours_start || '09:00',
       business_hours_end: agent.business_hours_end || '17:00',
       business_days: agent.business_days || [1, 2, 3, 4, 5],
+      schedule_id: agent.schedule_id || null,
+      escalation_enabled: agent.escalation_enabled || false,
+      escalation_type: agent.escalation_type || 'human_agent',
+      escalation_phone_number: agent.escalation_phone_number || '',
+      escalation_email: agent.escalation_email || '',
+      enabled_functions: agent.enabled_functions || [],
+      function_settings: agent.function_settings || {},
+      silence_prompt_seconds: agent.silence_prompt_seconds ?? 10,
+      dead_air_timeout_seconds: agent.dead_air_timeout_seconds ?? 30,
       is_active: agent.is_active
     });
     setShowForm(true);
@@ -361,6 +430,16 @@ const AgentManager: React.FC = () => {
                       rows={2}
                       placeholder="Hello! Thank you for calling. How can I help you today?"
                     />
+                    <label className="inline-flex items-center mt-2">
+                      <input
+                        type="checkbox"
+                        name="twilio_greeting_enabled"
+                        checked={formData.twilio_greeting_enabled || false}
+                        onChange={handleCheckboxChange}
+                        className="form-checkbox h-5 w-5 text-blue-600"
+                      />
+                      <span className="ml-2">Play greeting with Twilio's voice before the AI joins the call</span>
+                    </label>
                   </div>
                   
                   <div className="md:col-span-2">
@@ -387,6 +466,49 @@ const AgentManager: React.FC = () => {
                     />
                   </div>
                   
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Silence Prompt (seconds)</label>
+                    <input
+                      type="number"
+                      name="silence_prompt_seconds"
+                      value={formData.silence_prompt_seconds ?? 10}
+                      onChange={handleInputChange}
+                      className="w-full border rounded p-2"
+                      min="0"
+                      max="120"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Ask "Are you still there?" after this much silence (0 = off)</p>
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Dead Air Hangup (seconds)</label>
+                    <input
+                      type="number"
+                      name="dead_air_timeout_seconds"
+                      value={formData.dead_air_timeout_seconds ?? 30}
+                      onChange={handleInputChange}
+                      className="w-full border rounded p-2"
+                      min="0"
+                      max="600"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">End the call after this much silence (0 = off)</p>
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Schedule</label>
+                    <select
+                      value={formData.schedule_id || ''}
+                      onChange={(e) => setFormData(prev => ({ ...prev, schedule_id: e.target.value || null }))}
+                      className="w-full border rounded p-2"
+                    >
+                      <option value="">None (business hours below)</option>
+                      {schedules.map(schedule => (
+                        <option key={schedule.id} value={schedule.id}>{schedule.name}</option>
+                      ))}
+                    </select>
+                    <p className="text-xs text-gray-500 mt-1">Agents with a schedule only take calls while it's open</p>
+                  </div>
+                  
                   <div>
                     <label className="block text-sm font-medium mb-1">Timezone</label>
                     <select
@@ -450,6 +572,113 @@ const AgentManager: React.FC = () => {
                     </div>
                   </div>
                   
+                  <div className="md:col-span-2">
+                    <label className="block text-sm font-medium mb-1">Tools</label>
+                    <p className="text-xs text-gray-500 mb-2">Actions the agent can take during a call</p>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                      {[
+                        ...FUNCTION_OPTIONS,
+                        ...customFunctions.map(f => ({ value: f.name, label: `${f.name} (custom)` }))
+                      ].map(option => (
+                        <label key={option.value} className="inline-flex items-center">
+                          <input
+                            type="checkbox"
+                            checked={(formData.enabled_functions || []).includes(option.value)}
+                            onChange={() => handleFunctionToggle(option.value)}
+                            className="form-checkbox h-5 w-5 text-blue-600"
+                          />
+                          <span className="ml-2">{option.label}</span>
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                  
+                  {(formData.enabled_functions || []).includes('check_availability') && (
+                    <div>
+                      <label className="block text-sm font-medium mb-1">Appointment Slot Length (minutes)</label>
+                      <input
+                        type="number"
+                        min="5"
+                        value={Number(formData.function_settings?.check_availability?.slot_minutes || 60)}
+                        onChange={(e) => handleFunctionSettingChange('check_availability', 'slot_minutes', parseInt(e.target.value, 10))}
+                        className="w-full p-2 border rounded"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">Slots are offered within the business hours and days above</p>
+                    </div>
+                  )}
+                  
+                  {(formData.enabled_functions || []).includes('calculate_pricing') && (
+                    <div className="md:col-span-2">
+                      <label className="block text-sm font-medium mb-1">Price Table</label>
+                      <textarea
+                        defaultValue={formatPriceTable(formData.function_settings?.calculate_pricing?.price_table as Record<string, number> | undefined)}
+                        onBlur={(e) => handleFunctionSettingChange('calculate_pricing', 'price_table', parsePriceTable(e.target.value))}
+                        className="w-full p-2 border rounded font-mono text-sm"
+                        rows={4}
+                        placeholder={'consultation: 100\nbasic_service: 200'}
+                      />
+                      <p className="text-xs text-gray-500 mt-1">One service per line as "service: price"</p>
+                    </div>
+                  )}
+                  
+                  <div className="md:col-span-2">
+                    <label className="inline-flex items-center">
+                      <input
+                        type="checkbox"
+                        name="escalation_enabled"
+                        checked={formData.escalation_enabled || false}
+                        onChange={handleCheckboxChange}
+                        className="form-checkbox h-5 w-5 text-blue-600"
+                      />
+                      <span className="ml-2">Allow transfers to a human</span>
+                    </label>
+                    <p className="text-xs text-gray-500 mt-1">The agent can hand the call over when the caller asks for a person</p>
+                  </div>
+                  
+                  {formData.escalation_enabled && (
+                    <>
+                      <div>
+                        <label className="block text-sm font-medium mb-1">Escalation</label>
+                        <select
+                          name="escalation_type"
+                          value={formData.escalation_type || 'human_agent'}
+                          onChange={handleInputChange}
+                          className="w-full p-2 border rounded"
+                        >
+                          {ESCALATION_TYPES.map(option => (
+                            <option key={option.value} value={option.value}>
+                              {option.label}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      
+                      <div>
+                        <label className="block text-sm font-medium mb-1">Escalation Phone Number</label>
+                        <input
+                          type="tel"
+                          name="escalation_phone_number"
+                          value={formData.escalation_phone_number || ''}
+                          onChange={handleInputChange}
+                          className="w-full p-2 border rounded"
+                          placeholder="+15551234567"
+                          required={formData.escalation_type === 'human_agent' || formData.escalation_type === 'supervisor'}
+                        />
+                      </div>
+                      
+                      <div>
+                        <label className="block text-sm font-medium mb-1">Escalation Email</label>
+                        <input
+                          type="email"
+                          name="escalation_email"
+                          value={formData.escalation_email || ''}
+                          onChange={handleInputChange}
+                          className="w-full p-2 border rounded"
+                        />
+                      </div>
+                    </>
+                  )}
+                  
                   <div className="md:col-span-2">
                     <label className="inline-flex items-center">
                       <input
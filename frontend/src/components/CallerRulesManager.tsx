@@ -0,0 +1,505 @@
+import React, { useState, useEffect } from 'react';
+import { BackendAPI } from '../services/backend-api';
+import type { CallerRule, CallerRuleCondition, CallerRuleDryRun, CampaignLead, ContactList } from '../lib/supabase';
+
+interface Agent {
+  id: string;
+  name: string;
+}
+
+type DraftRule = Pick<CallerRule, 'id' | 'name' | 'is_active' | 'match' | 'conditions' | 'action_type' | 'action_data'>;
+type DraftContactList = Pick<ContactList, 'id' | 'name' | 'description' | 'phone_numbers'>;
+
+const CONDITION_TYPES: { value: CallerRuleCondition['type']; label: string }[] = [
+  { value: 'from_pattern', label: 'Number matches' },
+  { value: 'area_code', label: 'Area code is' },
+  { value: 'country_code', label: 'Country code is' },
+  { value: 'contact_list', label: 'Is on contact list' },
+  { value: 'lead_status', label: 'Campaign lead status is' },
+  { value: 'recent_caller', label: 'Called recently' }
+];
+
+const ACTION_TYPES: { value: CallerRule['action_type']; label: string }[] = [
+  { value: 'agent', label: 'Connect to Agent' },
+  { value: 'greeting', label: 'Change Greeting' },
+  { value: 'human', label: 'Transfer to a Person' },
+  { value: 'block', label: 'Block' }
+];
+
+const LEAD_STATUSES: CampaignLead['status'][] = ['pending', 'called', 'answered', 'no_answer', 'busy', 'failed', 'completed'];
+
+// Temporary IDs for new rules and contact lists; the backend assigns the real ones
+let draftCounter = 0;
+const draftId = () => `draft-${++draftCounter}`;
+
+const newCondition = (type: CallerRuleCondition['type'], contactLists: DraftContactList[]): CallerRuleCondition => {
+  switch (type) {
+    case 'from_pattern': return { type, pattern: '' };
+    case 'area_code': return { type, area_codes: [] };
+    case 'country_code': return { type, country_codes: [] };
+    case 'contact_list': return { type, contact_list_id: contactLists[0]?.id || '' };
+    case 'lead_status': return { type, statuses: ['answered'] };
+    case 'recent_caller': return { type, hours: 24, min_calls: 1 };
+  }
+};
+
+const splitCodes = (value: string) => value.split(',').map(code => code.trim());
+
+// Empty entries left by editing the comma-separated code lists
+const cleanCondition = (condition: CallerRuleCondition): CallerRuleCondition => {
+  switch (condition.type) {
+    case 'area_code': return { ...condition, area_codes: condition.area_codes.filter(Boolean) };
+    case 'country_code': return { ...condition, country_codes: condition.country_codes.filter(Boolean) };
+    default: return condition;
+  }
+};
+
+interface ConditionEditorProps {
+  condition: CallerRuleCondition;
+  contactLists: DraftContactList[];
+  onChange: (condition: CallerRuleCondition) => void;
+}
+
+const ConditionEditor: React.FC<ConditionEditorProps> = ({ condition, contactLists, onChange }) => {
+  switch (condition.type) {
+    case 'from_pattern':
+      return (
+        <input
+          type="text"
+          placeholder="+1415555*"
+          value={condition.pattern}
+          onChange={(e) => onChange({ ...condition, pattern: e.target.value })}
+          className="w-44 border rounded p-1 text-sm"
+        />
+      );
+    case 'area_code':
+      return (
+        <input
+          type="text"
+          placeholder="212, 646"
+          value={condition.area_codes.join(',')}
+          onChange={(e) => onChange({ ...condition, area_codes: splitCodes(e.target.value) })}
+          className="w-44 border rounded p-1 text-sm"
+        />
+      );
+    case 'country_code':
+      return (
+        <input
+          type="text"
+          placeholder="44, 33"
+          value={condition.country_codes.join(',')}
+          onChange={(e) => onChange({ ...condition, country_codes: splitCodes(e.target.value) })}
+          className="w-44 border rounded p-1 text-sm"
+        />
+      );
+    case 'contact_list':
+      return (
+        <select
+          className="border rounded p-1 text-sm"
+          value={condition.contact_list_id}
+          onChange={(e) => onChange({ ...condition, contact_list_id: e.target.value })}
+        >
+          <option value="">Select a contact list</option>
+          {contactLists.map(list => (
+            <option key={list.id} value={list.id}>{list.name}</option>
+          ))}
+        </select>
+      );
+    case 'lead_status':
+      return (
+        <span className="inline-flex flex-wrap gap-2">
+          {LEAD_STATUSES.map(status => (
+            <label key={status} className="inline-flex items-center text-sm">
+              <input
+                type="checkbox"
+                checked={condition.statuses.includes(status)}
+                onChange={(e) => onChange({
+                  ...condition,
+                  statuses: e.target.checked
+                    ? [...condition.statuses, status]
+                    : condition.statuses.filter(item => item !== status)
+                })}
+                className="h-4 w-4 text-blue-600"
+              />
+              <span className="ml-1">{status}</span>
+            </label>
+          ))}
+        </span>
+      );
+    case 'recent_caller':
+      return (
+        <span className="inline-flex items-center space-x-1 text-sm">
+          <input
+            type="number"
+            min={1}
+            value={condition.min_calls ?? 1}
+            onChange={(e) => onChange({ ...condition, min_calls: parseInt(e.target.value, 10) })}
+            className="w-16 border rounded p-1"
+          />
+          <span>or more times in the last</span>
+          <input
+            type="number"
+            min={1}
+            value={condition.hours}
+            onChange={(e) => onChange({ ...condition, hours: parseInt(e.target.value, 10) })}
+            className="w-20 border rounded p-1"
+          />
+          <span>hours</span>
+        </span>
+      );
+  }
+};
+
+// Editor for the caller rules checked, in order, before a call is routed, and
+// the contact lists (VIPs, known spammers) they can match on
+const CallerRulesManager: React.FC<{ agents: Agent[] }> = ({ agents }) => {
+  const [rules, setRules] = useState<DraftRule[]>([]);
+  const [contactLists, setContactLists] = useState<DraftContactList[]>([]);
+  const [problems, setProblems] = useState<string[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [testNumber, setTestNumber] = useState('');
+  const [testAt, setTestAt] = useState('');
+  const [dryRun, setDryRun] = useState<CallerRuleDryRun | null>(null);
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  const loadRules = async () => {
+    setLoading(true);
+    const { rules: saved, contactLists: savedLists, error } = await BackendAPI.getCallerRules();
+
+    if (error) {
+      console.error('Error loading caller rules:', error);
+    }
+
+    setRules(saved);
+    setContactLists(savedLists);
+    setLoading(false);
+  };
+
+  const updateRule = (ruleId: string, changes: Partial<DraftRule>) => {
+    setRules(prev => prev.map(rule => rule.id === ruleId ? { ...rule, ...changes } : rule));
+  };
+
+  const updateContactList = (listId: string, changes: Partial<DraftContactList>) => {
+    setContactLists(prev => prev.map(list => list.id === listId ? { ...list, ...changes } : list));
+  };
+
+  const moveRule = (index: number, offset: number) => {
+    setRules(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const addRule = () => {
+    setRules(prev => [...prev, {
+      id: draftId(),
+      name: 'New Rule',
+      is_active: true,
+      match: 'all',
+      conditions: [newCondition('area_code', contactLists)],
+      action_type: 'greeting',
+      action_data: { greeting: '' }
+    }]);
+  };
+
+  const saveAll = async () => {
+    setSaving(true);
+    const result = await BackendAPI.saveCallerRules(
+      rules.map(rule => ({ ...rule, conditions: rule.conditions.map(cleanCondition) })) as CallerRule[],
+      contactLists as ContactList[]
+    );
+    setSaving(false);
+
+    if (!result.rules || !result.contactLists) {
+      setProblems(result.violations || []);
+      if (!result.violations?.length) {
+        alert(result.error || 'Error saving caller rules');
+      }
+      return;
+    }
+
+    setProblems([]);
+    setRules(result.rules);
+    setContactLists(result.contactLists);
+    setDryRun(null);
+    alert('Caller rules saved successfully!');
+  };
+
+  // Check which saved rule a call from the number would match
+  const runDryRun = async () => {
+    if (!testNumber) return;
+
+    const { result, error } = await BackendAPI.dryRunCallerRules(testNumber, testAt ? new Date(testAt).toISOString() : undefined);
+
+    if (error) {
+      alert(error);
+      return;
+    }
+
+    setDryRun(result);
+  };
+
+  if (loading) {
+    return <div className="mt-4 p-4 border rounded">Loading caller rules...</div>;
+  }
+
+  return (
+    <div className="mt-4 p-4 border rounded">
+      <h3 className="text-lg font-semibold">Caller Rules</h3>
+      <p className="mt-1 text-sm text-gray-600">
+        Checked from the top on every incoming call, before opening hours and the routing strategy. The first active rule that matches the caller's number decides the call.
+      </p>
+
+      {rules.map((rule, index) => (
+        <div key={rule.id} className={`mt-4 p-3 border rounded ${rule.is_active ? 'bg-gray-50' : 'bg-gray-100 opacity-75'}`}>
+          <div className="flex items-center space-x-4">
+            <span className="text-sm text-gray-500">{index + 1}.</span>
+            <input
+              type="text"
+              value={rule.name}
+              onChange={(e) => updateRule(rule.id, { name: e.target.value })}
+              className="flex-1 border rounded p-1 font-medium"
+            />
+            <label className="inline-flex items-center text-sm">
+              <input
+                type="checkbox"
+                checked={rule.is_active}
+                onChange={(e) => updateRule(rule.id, { is_active: e.target.checked })}
+                className="h-4 w-4 text-blue-600"
+              />
+              <span className="ml-1">Active</span>
+            </label>
+            <button className="text-sm disabled:opacity-30" onClick={() => moveRule(index, -1)} disabled={index === 0}>↑</button>
+            <button className="text-sm disabled:opacity-30" onClick={() => moveRule(index, 1)} disabled={index === rules.length - 1}>↓</button>
+            <button
+              className="p-1 text-red-600 text-sm"
+              onClick={() => setRules(prev => prev.filter(item => item.id !== rule.id))}
+            >
+              Remove
+            </button>
+          </div>
+
+          <div className="mt-2 text-sm">
+            When
+            <select
+              className="mx-1 border rounded p-1"
+              value={rule.match}
+              onChange={(e) => updateRule(rule.id, { match: e.target.value as DraftRule['match'] })}
+            >
+              <option value="all">all</option>
+              <option value="any">any</option>
+            </select>
+            of these match:
+          </div>
+          {rule.conditions.map((condition, conditionIndex) => (
+            <div key={conditionIndex} className="mt-1 flex flex-wrap items-center gap-2">
+              <label className="inline-flex items-center text-sm">
+                <input
+                  type="checkbox"
+                  checked={Boolean(condition.negate)}
+                  onChange={(e) => updateRule(rule.id, {
+                    conditions: rule.conditions.map((item, i) => i === conditionIndex ? { ...item, negate: e.target.checked } : item)
+                  })}
+                  className="h-4 w-4 text-blue-600"
+                />
+                <span className="ml-1">Not</span>
+              </label>
+              <select
+                className="border rounded p-1 text-sm"
+                value={condition.type}
+                onChange={(e) => updateRule(rule.id, {
+                  conditions: rule.conditions.map((item, i) => i === conditionIndex
+                    ? newCondition(e.target.value as CallerRuleCondition['type'], contactLists)
+                    : item)
+                })}
+              >
+                {CONDITION_TYPES.map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+              <ConditionEditor
+                condition={condition}
+                contactLists={contactLists}
+                onChange={(changed) => updateRule(rule.id, {
+                  conditions: rule.conditions.map((item, i) => i === conditionIndex ? changed : item)
+                })}
+              />
+              <button
+                className="text-red-600 text-sm"
+                onClick={() => updateRule(rule.id, { conditions: rule.conditions.filter((_, i) => i !== conditionIndex) })}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <button
+            className="mt-1 text-blue-600 text-sm"
+            onClick={() => updateRule(rule.id, { conditions: [...rule.conditions, newCondition('from_pattern', contactLists)] })}
+          >
+            + Condition
+          </button>
+
+          <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+            <span className="font-medium">Then</span>
+            <select
+              className="border rounded p-1"
+              value={rule.action_type}
+              onChange={(e) => updateRule(rule.id, { action_type: e.target.value as DraftRule['action_type'], action_data: {} })}
+            >
+              {ACTION_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            {rule.action_type === 'agent' && (
+              <select
+                className="border rounded p-1"
+                value={rule.action_data.agent_id || ''}
+                onChange={(e) => updateRule(rule.id, { action_data: { ...rule.action_data, agent_id: e.target.value } })}
+              >
+                <option value="">Select an agent</option>
+                {agents.map(agent => (
+                  <option key={agent.id} value={agent.id}>{agent.name}</option>
+                ))}
+              </select>
+            )}
+            {rule.action_type === 'human' && (
+              <input
+                type="tel"
+                placeholder="+14155550100"
+                value={rule.action_data.phone_number || ''}
+                onChange={(e) => updateRule(rule.id, { action_data: { ...rule.action_data, phone_number: e.target.value } })}
+                className="w-40 border rounded p-1"
+              />
+            )}
+            {(rule.action_type === 'agent' || rule.action_type === 'greeting') && (
+              <input
+                type="text"
+                placeholder={rule.action_type === 'agent' ? 'Greeting (optional)' : 'Greeting'}
+                value={rule.action_data.greeting || ''}
+                onChange={(e) => updateRule(rule.id, { action_data: { ...rule.action_data, greeting: e.target.value } })}
+                className="flex-1 border rounded p-1"
+              />
+            )}
+            {(rule.action_type === 'human' || rule.action_type === 'block') && (
+              <input
+                type="text"
+                placeholder={rule.action_type === 'block' ? 'Message before hanging up (optional, rejects the call without one)' : 'Message before transferring (optional)'}
+                value={rule.action_data.message || ''}
+                onChange={(e) => updateRule(rule.id, { action_data: { ...rule.action_data, message: e.target.value } })}
+                className="flex-1 border rounded p-1"
+              />
+            )}
+          </div>
+        </div>
+      ))}
+
+      <button className="mt-4 p-2 bg-blue-500 text-white rounded" onClick={addRule}>
+        Add Rule
+      </button>
+
+      <h3 className="mt-6 text-lg font-semibold">Contact Lists</h3>
+      {contactLists.map(list => (
+        <div key={list.id} className="mt-2 p-3 border rounded bg-gray-50">
+          <div className="flex items-center space-x-4">
+            <input
+              type="text"
+              value={list.name}
+              onChange={(e) => updateContactList(list.id, { name: e.target.value })}
+              className="flex-1 border rounded p-1 font-medium"
+            />
+            <button
+              className="p-1 text-red-600 text-sm"
+              onClick={() => setContactLists(prev => prev.filter(item => item.id !== list.id))}
+            >
+              Remove
+            </button>
+          </div>
+          <textarea
+            rows={4}
+            placeholder="One phone number per line"
+            value={list.phone_numbers.join('\n')}
+            onChange={(e) => updateContactList(list.id, { phone_numbers: e.target.value.split('\n') })}
+            className="mt-2 w-full border rounded p-1 text-sm font-mono"
+          />
+          <p className="text-xs text-gray-500 mt-1">Numbers without a country code are taken as US numbers.</p>
+        </div>
+      ))}
+
+      <button
+        className="mt-2 p-2 bg-blue-500 text-white rounded"
+        onClick={() => setContactLists(prev => [...prev, { id: draftId(), name: 'VIP Callers', phone_numbers: [] }])}
+      >
+        Add Contact List
+      </button>
+
+      {problems.length > 0 && (
+        <div className="mt-4 p-3 border border-red-200 rounded bg-red-50 text-sm text-red-700">
+          <p className="font-medium">The caller rules couldn't be saved:</p>
+          <ul className="mt-1 list-disc list-inside">
+            {problems.map(problem => (
+              <li key={problem}>{problem}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="mt-4 flex flex-wrap items-center gap-2">
+        <button
+          className="p-2 bg-green-500 text-white rounded disabled:opacity-50"
+          onClick={saveAll}
+          disabled={saving}
+        >
+          {saving ? 'Saving...' : 'Save Caller Rules'}
+        </button>
+        <span className="ml-4 text-sm text-gray-600">Test saved rules with a call from</span>
+        <input
+          type="tel"
+          placeholder="+14155550100"
+          value={testNumber}
+          onChange={(e) => setTestNumber(e.target.value)}
+          className="w-40 border rounded p-1 text-sm"
+        />
+        <input
+          type="datetime-local"
+          value={testAt}
+          onChange={(e) => setTestAt(e.target.value)}
+          className="border rounded p-1 text-sm"
+        />
+        <button
+          className="p-1 border rounded text-sm disabled:opacity-50"
+          onClick={runDryRun}
+          disabled={!testNumber}
+        >
+          Test
+        </button>
+      </div>
+
+      {dryRun && (
+        <div className="mt-2 p-3 border rounded bg-gray-50 text-sm">
+          <p className="font-medium">
+            {dryRun.rule
+              ? `${dryRun.from} matches "${dryRun.rule.name}": ${ACTION_TYPES.find(type => type.value === dryRun.rule?.action_type)?.label}`
+              : `${dryRun.from} matches no rule and is routed as usual`}
+          </p>
+          <ul className="mt-1 space-y-1">
+            {dryRun.trace.map(entry => (
+              <li key={entry.rule_id} className={entry.matched ? 'text-green-700' : 'text-gray-600'}>
+                {entry.name}: {entry.skipped ? 'inactive' : entry.matched ? 'matched' : 'no match'}
+                {entry.conditions.length > 0 && ` (${entry.conditions
+                  .map(condition => `${condition.type} ${condition.error || (condition.matched ? 'yes' : 'no')}`)
+                  .join(', ')})`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CallerRulesManager;
@@ -0,0 +1,457 @@
+import React, { useState, useEffect } from 'react';
+import { BackendAPI } from '../services/backend-api';
+import type { IVRMenu, IVROption, Schedule } from '../lib/supabase';
+
+interface Agent {
+  id: string;
+  name: string;
+}
+
+type DraftOption = Pick<IVROption, 'id' | 'digit' | 'description' | 'action_type' | 'speech_phrases' | 'match_any' | 'next_menu_id' | 'schedule_id'> & {
+  agent_id: string | null;
+  action_data?: Record<string, string>;
+};
+
+type DraftMenu = Pick<IVRMenu, 'id' | 'name' | 'greeting_text' | 'timeout_seconds' | 'max_attempts' | 'is_entry' | 'input_type' | 'max_digits' | 'collect_variable'> & {
+  ivr_options: DraftOption[];
+};
+
+const ACTION_TYPES = [
+  { value: 'agent', label: 'Connect to Agent' },
+  { value: 'transfer', label: 'Transfer to External Number' },
+  { value: 'voicemail', label: 'Send to Voicemail' },
+  { value: 'submenu', label: 'Go to Menu' },
+  { value: 'play_message', label: 'Play Message' },
+  { value: 'callback_request', label: 'Request Callback' },
+  { value: 'webhook', label: 'Call Webhook' },
+  { value: 'hangup', label: 'Hang Up' }
+];
+
+const INPUT_TYPES = [
+  { value: 'dtmf', label: 'Keypad' },
+  { value: 'speech', label: 'Speech' },
+  { value: 'dtmf speech', label: 'Keypad or Speech' }
+];
+
+// Actions that continue with a menu afterwards
+const NEXT_MENU_ACTIONS = ['submenu', 'play_message', 'webhook'];
+
+// Temporary IDs for new menus and options; the backend assigns the real ones
+let draftCounter = 0;
+const draftId = () => `draft-${++draftCounter}`;
+
+const newMenu = (isEntry: boolean): DraftMenu => ({
+  id: draftId(),
+  name: isEntry ? 'Main Menu' : 'New Menu',
+  greeting_text: 'Thank you for calling. Please select from the following options.',
+  timeout_seconds: 10,
+  max_attempts: 3,
+  is_entry: isEntry,
+  input_type: 'dtmf',
+  max_digits: 1,
+  collect_variable: null,
+  ivr_options: []
+});
+
+const newOption = (digit: string): DraftOption => ({
+  id: draftId(),
+  digit,
+  description: `Option ${digit}`,
+  agent_id: null,
+  action_type: 'agent',
+  speech_phrases: null,
+  match_any: false,
+  next_menu_id: null,
+  schedule_id: null
+});
+
+const toDraft = (menu: IVRMenu): DraftMenu => ({
+  id: menu.id,
+  name: menu.name,
+  greeting_text: menu.greeting_text,
+  timeout_seconds: menu.timeout_seconds || 10,
+  max_attempts: menu.max_attempts || 3,
+  is_entry: menu.is_entry,
+  input_type: menu.input_type || 'dtmf',
+  max_digits: menu.max_digits || 1,
+  collect_variable: menu.collect_variable,
+  ivr_options: (menu.ivr_options || []).map(option => ({
+    id: option.id,
+    digit: option.digit,
+    description: option.description,
+    agent_id: option.agent_id || null,
+    action_type: option.action_type,
+    action_data: option.action_data,
+    speech_phrases: option.speech_phrases,
+    match_any: option.match_any,
+    next_menu_id: option.next_menu_id,
+    schedule_id: option.schedule_id || null
+  }))
+});
+
+// Editor for the single-number IVR: a flow of menus whose options connect
+// agents, transfer, take voicemail or lead on to other menus
+const IVRFlowEditor: React.FC<{ agents: Agent[]; schedules: Pick<Schedule, 'id' | 'name'>[] }> = ({ agents, schedules }) => {
+  const [menus, setMenus] = useState<DraftMenu[]>([]);
+  const [problems, setProblems] = useState<string[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadFlow();
+  }, []);
+
+  const loadFlow = async () => {
+    setLoading(true);
+    const { menus: savedMenus, error } = await BackendAPI.getIvrFlow();
+
+    if (error) {
+      console.error('Error loading IVR flow:', error);
+    }
+
+    if (savedMenus.length > 0) {
+      setMenus(savedMenus.map(toDraft));
+    } else {
+      // Start from a default menu if none exist
+      const mainMenu = newMenu(true);
+      mainMenu.ivr_options = [
+        { ...newOption('1'), description: 'Sales' },
+        { ...newOption('2'), description: 'Support' },
+        { ...newOption('3'), description: 'General Inquiries' }
+      ];
+      setMenus([mainMenu]);
+    }
+
+    setLoading(false);
+  };
+
+  const updateMenu = (menuId: string, changes: Partial<DraftMenu>) => {
+    setMenus(prev => prev.map(menu => menu.id === menuId ? { ...menu, ...changes } : menu));
+  };
+
+  const setEntryMenu = (menuId: string) => {
+    setMenus(prev => prev.map(menu => ({ ...menu, is_entry: menu.id === menuId })));
+  };
+
+  const handleAddMenu = () => {
+    setMenus(prev => [...prev, newMenu(prev.length === 0)]);
+  };
+
+  const handleRemoveMenu = (menuId: string) => {
+    setMenus(prev => prev
+      .filter(menu => menu.id !== menuId)
+      .map(menu => ({
+        ...menu,
+        ivr_options: menu.ivr_options.map(option =>
+          option.next_menu_id === menuId ? { ...option, next_menu_id: null } : option)
+      })));
+  };
+
+  const updateOption = (menuId: string, optionId: string, changes: Partial<DraftOption>) => {
+    setMenus(prev => prev.map(menu => menu.id !== menuId ? menu : {
+      ...menu,
+      ivr_options: menu.ivr_options.map(option => option.id === optionId ? { ...option, ...changes } : option)
+    }));
+  };
+
+  const handleAddOption = (menu: DraftMenu) => {
+    updateMenu(menu.id, {
+      ivr_options: [...menu.ivr_options, newOption((menu.ivr_options.length + 1).toString())]
+    });
+  };
+
+  const handleRemoveOption = (menu: DraftMenu, optionId: string) => {
+    updateMenu(menu.id, {
+      ivr_options: menu.ivr_options.filter(option => option.id !== optionId)
+    });
+  };
+
+  const saveFlow = async () => {
+    setSaving(true);
+    const { menus: savedMenus, error, violations } = await BackendAPI.saveIvrFlow(menus as unknown as IVRMenu[]);
+    setSaving(false);
+
+    if (!savedMenus) {
+      setProblems(violations || []);
+      if (!violations?.length) {
+        alert(error || 'Error saving IVR configuration');
+      }
+      return;
+    }
+
+    setProblems([]);
+    setMenus(savedMenus.map(toDraft));
+    alert('IVR configuration saved successfully!');
+  };
+
+  const renderActionField = (menu: DraftMenu, option: DraftOption) => {
+    const data = option.action_data || {};
+    const setData = (changes: Record<string, string>) =>
+      updateOption(menu.id, option.id, { action_data: { ...data, ...changes } });
+
+    switch (option.action_type) {
+      case 'agent':
+        return (
+          <select
+            className="w-full border rounded p-1"
+            value={option.agent_id || ''}
+            onChange={(e) => updateOption(menu.id, option.id, { agent_id: e.target.value || null })}
+          >
+            <option value="">Select Agent</option>
+            {agents.map(agent => (
+              <option key={agent.id} value={agent.id}>{agent.name}</option>
+            ))}
+          </select>
+        );
+      case 'transfer':
+        return (
+          <input
+            type="tel"
+            placeholder="Phone number"
+            value={data.phone_number || ''}
+            onChange={(e) => setData({ phone_number: e.target.value })}
+            className="w-full border rounded p-1"
+          />
+        );
+      case 'play_message':
+      case 'hangup':
+      case 'callback_request':
+        return (
+          <input
+            type="text"
+            placeholder={option.action_type === 'play_message' ? 'Message' : 'Goodbye message (optional)'}
+            value={data.message || ''}
+            onChange={(e) => setData({ message: e.target.value })}
+            className="w-full border rounded p-1"
+          />
+        );
+      case 'webhook':
+        return (
+          <input
+            type="url"
+            placeholder="https://example.com/ivr"
+            value={data.url || ''}
+            onChange={(e) => setData({ url: e.target.value })}
+            className="w-full border rounded p-1"
+          />
+        );
+      default:
+        return null;
+    }
+  };
+
+  if (loading) {
+    return <div className="mt-4 p-4 border rounded">Loading IVR configuration...</div>;
+  }
+
+  return (
+    <div className="mt-4 p-4 border rounded">
+      <h3 className="text-lg font-semibold">IVR Menu Configuration</h3>
+      <p className="mt-1 text-sm text-gray-600">
+        Callers start at the entry menu. Options can lead to other menus; menus that save input pass it on to the agent.
+      </p>
+
+      {menus.map(menu => (
+        <div key={menu.id} className="mt-4 p-3 border rounded bg-gray-50">
+          <div className="flex items-center space-x-4">
+            <input
+              type="text"
+              value={menu.name}
+              onChange={(e) => updateMenu(menu.id, { name: e.target.value })}
+              className="flex-1 border rounded p-1 font-medium"
+            />
+            <label className="inline-flex items-center text-sm">
+              <input
+                type="radio"
+                checked={menu.is_entry}
+                onChange={() => setEntryMenu(menu.id)}
+                className="h-4 w-4 text-blue-600"
+              />
+              <span className="ml-1">Entry menu</span>
+            </label>
+            <button
+              className="p-1 text-red-600 text-sm"
+              onClick={() => handleRemoveMenu(menu.id)}
+            >
+              Remove Menu
+            </button>
+          </div>
+
+          <div className="mt-2">
+            <label className="block text-sm font-medium">Greeting Message</label>
+            <textarea
+              className="mt-1 block w-full border rounded p-2"
+              value={menu.greeting_text}
+              onChange={(e) => updateMenu(menu.id, { greeting_text: e.target.value })}
+              rows={2}
+            />
+          </div>
+
+          <div className="mt-2 grid grid-cols-1 md:grid-cols-3 gap-2">
+            <div>
+              <label className="block text-sm font-medium">Caller Input</label>
+              <select
+                className="w-full border rounded p-1"
+                value={menu.input_type}
+                onChange={(e) => updateMenu(menu.id, { input_type: e.target.value as DraftMenu['input_type'] })}
+              >
+                {INPUT_TYPES.map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium">Max Digits</label>
+              <input
+                type="number"
+                min={1}
+                max={20}
+                value={menu.max_digits}
+                onChange={(e) => updateMenu(menu.id, { max_digits: parseInt(e.target.value) || 1 })}
+                className="w-full border rounded p-1"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium">Save Input As</label>
+              <input
+                type="text"
+                placeholder="e.g. account_number"
+                value={menu.collect_variable || ''}
+                onChange={(e) => updateMenu(menu.id, { collect_variable: e.target.value || null })}
+                className="w-full border rounded p-1"
+              />
+            </div>
+          </div>
+
+          <h4 className="mt-3 font-medium">Options</h4>
+
+          {menu.ivr_options.map(option => (
+            <div key={option.id} className="mt-2 p-2 border rounded bg-white">
+              <div className="flex items-center space-x-2">
+                {option.match_any ? (
+                  <div className="w-20 text-center text-sm text-gray-600">Any input</div>
+                ) : (
+                  <input
+                    type="text"
+                    value={option.digit}
+                    onChange={(e) => updateOption(menu.id, option.id, { digit: e.target.value })}
+                    className="w-20 border rounded p-1 text-center font-bold"
+                    placeholder="Keys"
+                  />
+                )}
+                <input
+                  type="text"
+                  value={option.description}
+                  onChange={(e) => updateOption(menu.id, option.id, { description: e.target.value })}
+                  className="flex-1 border rounded p-1"
+                />
+                <select
+                  className="w-44 border rounded p-1"
+                  value={option.action_type}
+                  onChange={(e) => updateOption(menu.id, option.id, { action_type: e.target.value })}
+                >
+                  {ACTION_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+                <button
+                  className="p-1 text-red-600"
+                  onClick={() => handleRemoveOption(menu, option.id)}
+                >
+                  Remove
+                </button>
+              </div>
+
+              <div className="mt-2 flex items-center space-x-2">
+                <label className="inline-flex items-center text-sm w-32">
+                  <input
+                    type="checkbox"
+                    checked={option.match_any}
+                    onChange={(e) => updateOption(menu.id, option.id, { match_any: e.target.checked })}
+                    className="h-4 w-4 text-blue-600"
+                  />
+                  <span className="ml-1">Any other input</span>
+                </label>
+                <div className="flex-1">{renderActionField(menu, option)}</div>
+                {NEXT_MENU_ACTIONS.includes(option.action_type) && (
+                  <select
+                    className="w-44 border rounded p-1"
+                    value={option.next_menu_id || ''}
+                    onChange={(e) => updateOption(menu.id, option.id, { next_menu_id: e.target.value || null })}
+                  >
+                    <option value="">{option.action_type === 'submenu' ? 'Select Menu' : 'Repeat this menu'}</option>
+                    {menus.filter(target => target.id !== menu.id).map(target => (
+                      <option key={target.id} value={target.id}>{target.name}</option>
+                    ))}
+                  </select>
+                )}
+                {schedules.length > 0 && (
+                  <select
+                    className="w-44 border rounded p-1"
+                    value={option.schedule_id || ''}
+                    onChange={(e) => updateOption(menu.id, option.id, { schedule_id: e.target.value || null })}
+                    title="Callers choosing the option outside its schedule hear that it's closed"
+                  >
+                    <option value="">Always available</option>
+                    {schedules.map(schedule => (
+                      <option key={schedule.id} value={schedule.id}>{schedule.name}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+
+              {menu.input_type !== 'dtmf' && !option.match_any && (
+                <input
+                  type="text"
+                  placeholder="Spoken phrases, comma separated (default: the description)"
+                  value={(option.speech_phrases || []).join(', ')}
+                  onChange={(e) => updateOption(menu.id, option.id, {
+                    speech_phrases: e.target.value.split(',').map(phrase => phrase.trim()).filter(Boolean)
+                  })}
+                  className="mt-2 w-full border rounded p-1 text-sm"
+                />
+              )}
+            </div>
+          ))}
+
+          <button
+            className="mt-2 p-2 bg-blue-500 text-white rounded"
+            onClick={() => handleAddOption(menu)}
+          >
+            Add Option
+          </button>
+        </div>
+      ))}
+
+      <button
+        className="mt-4 p-2 bg-blue-500 text-white rounded"
+        onClick={handleAddMenu}
+      >
+        Add Menu
+      </button>
+
+      {problems.length > 0 && (
+        <div className="mt-4 p-3 border border-red-200 rounded bg-red-50 text-sm text-red-700">
+          <p className="font-medium">The IVR configuration couldn't be saved:</p>
+          <ul className="mt-1 list-disc list-inside">
+            {problems.map(problem => (
+              <li key={problem}>{problem}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div>
+        <button
+          className="mt-4 p-2 bg-green-500 text-white rounded disabled:opacity-50"
+          onClick={saveFlow}
+          disabled={saving}
+        >
+          {saving ? 'Saving...' : 'Save IVR Configuration'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default IVRFlowEditor;
@@ -17,6 +17,7 @@ import {
   UsersIcon,
   SignalIcon,
   ArrowsRightLeftIcon,
+  InboxIcon,
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../hooks/useAuth';
 import { usePermissions } from '../hooks/usePermissions';
@@ -28,6 +29,7 @@ const navigation = [
   { name: 'AI Agents', href: '/agents', icon: UserGroupIcon, permission: 'agents' },
   { name: 'Call Routing', href: '/routing', icon: ArrowsRightLeftIcon, permission: 'agents' },
   { name: 'Call History', href: '/calls', icon: PhoneIcon, permission: 'calls' },
+  { name: 'Voicemails', href: '/voicemails', icon: InboxIcon, permission: 'calls' },
   { name: 'Appointments', href: '/appointments', icon: CalendarIcon, permission: 'appointments' },
   { name: 'Analytics', href: '/analytics', icon: ChartBarIcon, permission: 'analytics' },
   { name: 'Campaigns', href: '/campaigns', icon: MegaphoneIcon, permission: 'campaigns' },
@@ -1,6 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { DatabaseService } from '../services/database';
+import { BackendAPI } from '../services/backend-api';
+import IVRFlowEditor from './IVRFlowEditor';
+import SchedulesManager from './SchedulesManager';
+import CallerRulesManager from './CallerRulesManager';
 import { useAuth } from '../hooks/useAuth';
+import type { Schedule } from '../lib/supabase';
 
 interface PhoneNumber {
   id: string;
@@ -9,59 +14,45 @@ interface PhoneNumber {
   agent_id: string | null;
   is_primary: boolean;
   is_active: boolean;
+  schedule_id?: string | null;
+  after_hours_agent_id?: string | null;
 }
 
 interface Agent {
   id: string;
   name: string;
   agent_type: string;
+  description?: string;
   is_active: boolean;
   business_hours_start?: string;
   business_hours_end?: string;
   business_days?: number[];
 }
 
-interface IVRMenu {
-  id: string;
-  name: string;
-  greeting_text: string;
-  timeout_seconds: number;
-  max_attempts: number;
-  is_active: boolean;
-  ivr_options: IVROption[];
-}
-
-interface IVROption {
-  id?: string;
-  ivr_menu_id?: string;
-  digit: string;
-  description: string;
-  agent_id: string | null;
-  action_type: string;
-  action_data?: any;
-}
-
 const ROUTING_STRATEGIES = [
   { value: 'single_number_ivr', label: 'Single Number with IVR Menu' },
   { value: 'multiple_numbers', label: 'Multiple Dedicated Numbers' },
   { value: 'external_integration', label: 'External System Integration' },
-  { value: 'time_based', label: 'Time-Based Routing' }
-];
-
-const ACTION_TYPES = [
-  { value: 'agent', label: 'Connect to Agent' },
-  { value: 'transfer', label: 'Transfer to External Number' },
-  { value: 'voicemail', label: 'Send to Voicemail' }
+  { value: 'time_based', label: 'Time-Based Routing' },
+  { value: 'ai_router', label: 'AI Receptionist' }
 ];
 
 const RoutingManager: React.FC = () => {
   const { user } = useAuth();
   const [loading, setLoading] = useState(true);
   const [routingStrategy, setRoutingStrategy] = useState('single_number_ivr');
+  const [routerAgentId, setRouterAgentId] = useState('');
+  const [maxConcurrentCalls, setMaxConcurrentCalls] = useState(5);
+  const [overflowSettings, setOverflowSettings] = useState({
+    overflow_action: 'busy' as 'queue' | 'busy' | 'backup_agent',
+    overflow_agent_id: '',
+    overflow_message: '',
+    overflow_hold_music_url: '',
+    overflow_queue_timeout_seconds: 120
+  });
   const [phoneNumbers, setPhoneNumbers] = useState<PhoneNumber[]>([]);
   const [agents, setAgents] = useState<Agent[]>([]);
-  const [ivrMenu, setIvrMenu] = useState<IVRMenu | null>(null);
-  const [ivrOptions, setIvrOptions] = useState<IVROption[]>([]);
+  const [schedules, setSchedules] = useState<Schedule[]>([]);
   const [showPhoneNumberForm, setShowPhoneNumberForm] = useState(false);
   const [editingPhoneNumber, setEditingPhoneNumber] = useState<PhoneNumber | null>(null);
   const [phoneNumberFormData, setPhoneNumberFormData] = useState({
@@ -69,7 +60,9 @@ const RoutingManager: React.FC = () => {
     friendly_name: '',
     agent_id: '',
     is_primary: false,
-    is_active: true
+    is_active: true,
+    schedule_id: '',
+    after_hours_agent_id: ''
   });
 
   useEffect(() => {
@@ -91,6 +84,15 @@ const RoutingManager: React.FC = () => {
       const profile = await DatabaseService.getProfile(user.id);
       if (profile) {
         setRoutingStrategy(profile.routing_strategy || 'single_number_ivr');
+        setRouterAgentId(profile.router_agent_id || '');
+        setMaxConcurrentCalls(profile.max_concurrent_calls || 5);
+        setOverflowSettings({
+          overflow_action: profile.overflow_action || 'busy',
+          overflow_agent_id: profile.overflow_agent_id || '',
+          overflow_message: profile.overflow_message || '',
+          overflow_hold_music_url: profile.overflow_hold_music_url || '',
+          overflow_queue_timeout_seconds: profile.overflow_queue_timeout_seconds || 120
+        });
       }
       
       // Load phone numbers
@@ -101,19 +103,9 @@ const RoutingManager: React.FC = () => {
       const agentsData = await DatabaseService.getAIAgents(user.id);
       setAgents(agentsData);
       
-      // Load IVR menu
-      const ivrData = await DatabaseService.getIVRMenu(user.id);
-      if (ivrData) {
-        setIvrMenu(ivrData);
-        setIvrOptions(ivrData.ivr_options || []);
-      } else {
-        // Create default IVR options if none exist
-        setIvrOptions([
-          { digit: '1', description: 'Sales', agent_id: null, action_type: 'agent' },
-          { digit: '2', description: 'Support', agent_id: null, action_type: 'agent' },
-          { digit: '3', description: 'General Inquiries', agent_id: null, action_type: 'agent' }
-        ]);
-      }
+      // Load schedules for numbers and IVR options
+      const { schedules: schedulesData } = await BackendAPI.getSchedules();
+      setSchedules(schedulesData);
     } catch (error) {
       console.error('Error loading routing data:', error);
     } finally {
@@ -129,7 +121,8 @@ const RoutingManager: React.FC = () => {
       }
       
       await DatabaseService.updateProfile(user.id, {
-        routing_strategy: routingStrategy
+        routing_strategy: routingStrategy,
+        router_agent_id: routerAgentId || null
       });
       
       alert('Routing strategy updated successfully!');
@@ -139,6 +132,28 @@ const RoutingManager: React.FC = () => {
     }
   };
 
+  const saveOverflowSettings = async () => {
+    try {
+      if (!user) {
+        console.error('No user found');
+        return;
+      }
+      
+      await DatabaseService.updateProfile(user.id, {
+        overflow_action: overflowSettings.overflow_action,
+        overflow_agent_id: overflowSettings.overflow_agent_id || null,
+        overflow_message: overflowSettings.overflow_message || null,
+        overflow_hold_music_url: overflowSettings.overflow_hold_music_url || null,
+        overflow_queue_timeout_seconds: overflowSettings.overflow_queue_timeout_seconds
+      });
+      
+      alert('Overflow settings updated successfully!');
+    } catch (error) {
+      console.error('Error saving overflow settings:', error);
+      alert('Error saving overflow settings');
+    }
+  };
+
   const handlePhoneNumberInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
     const { name, value } = e.target;
     setPhoneNumberFormData(prev => ({ ...prev, [name]: value }));
@@ -152,10 +167,16 @@ const RoutingManager: React.FC = () => {
   const handlePhoneNumberSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     
+    const phoneNumberData = {
+      ...phoneNumberFormData,
+      schedule_id: phoneNumberFormData.schedule_id || null,
+      after_hours_agent_id: phoneNumberFormData.after_hours_agent_id || null
+    };
+    
     try {
       if (editingPhoneNumber) {
         // Update existing phone number
-        await DatabaseService.updatePhoneNumber(editingPhoneNumber.id, phoneNumberFormData);
+        await DatabaseService.updatePhoneNumber(editingPhoneNumber.id, phoneNumberData);
       } else {
         // Create new phone number
         if (!user) {
@@ -164,7 +185,7 @@ const RoutingManager: React.FC = () => {
         }
         
         await DatabaseService.createPhoneNumber({
-          ...phoneNumberFormData,
+          ...phoneNumberData,
           profile_id: user.id
         });
       }
@@ -175,7 +196,9 @@ const RoutingManager: React.FC = () => {
         friendly_name: '',
         agent_id: '',
         is_primary: false,
-        is_active: true
+        is_active: true,
+        schedule_id: '',
+        after_hours_agent_id: ''
       });
       setEditingPhoneNumber(null);
       setShowPhoneNumberForm(false);
@@ -193,7 +216,9 @@ const RoutingManager: React.FC = () => {
       friendly_name: phoneNumber.friendly_name || '',
       agent_id: phoneNumber.agent_id || '',
       is_primary: phoneNumber.is_primary,
-      is_active: phoneNumber.is_active
+      is_active: phoneNumber.is_active,
+      schedule_id: phoneNumber.schedule_id || '',
+      after_hours_agent_id: phoneNumber.after_hours_agent_id || ''
     });
     setShowPhoneNumberForm(true);
   };
@@ -219,7 +244,9 @@ const RoutingManager: React.FC = () => {
       friendly_name: '',
       agent_id: '',
       is_primary: false,
-      is_active: true
+      is_active: true,
+      schedule_id: '',
+      after_hours_agent_id: ''
     });
     setShowPhoneNumberForm(true);
   };
@@ -229,212 +256,24 @@ const RoutingManager: React.FC = () => {
     setEditingPhoneNumber(null);
   };
 
-  const handleIVROptionChange = (index: number, field: string, value: any) => {
-    const newOptions = [...ivrOptions];
-    newOptions[index] = { ...newOptions[index], [field]: value };
-    setIvrOptions(newOptions);
-  };
-
-  const handleAddIVROption = () => {
-    const newDigit = (ivrOptions.length + 1).toString();
-    setIvrOptions([...ivrOptions, {
-      digit: newDigit,
-      description: `Option ${newDigit}`,
-      agent_id: null,
-      action_type: 'agent'
-    }]);
-  };
-
-  const handleRemoveIVROption = (index: number) => {
-    const newOptions = ivrOptions.filter((_, i) => i !== index);
-    setIvrOptions(newOptions);
-  };
-
-  const saveIVRConfig = async () => {
-    try {
-      // Save IVR menu
-      let menuId = ivrMenu?.id;
-      
-      if (!menuId) {
-        // Create new IVR menu
-        if (!user) {
-          console.error('No user found');
-          return;
-        }
-        
-        const newMenu = await DatabaseService.createIVRMenu({
-          profile_id: user.id,
-          name: 'Main Menu',
-          greeting_text: ivrMenu?.greeting_text || 'Thank you for calling. Please select from the following options.',
-          is_active: true
-        });
-        
-        menuId = newMenu.id;
-        setIvrMenu(newMenu);
-      } else {
-        // Update existing menu
-        await DatabaseService.updateIVRMenu(menuId, {
-          greeting_text: ivrMenu?.greeting_text || 'Thank you for calling. Please select from the following options.',
-          is_active: true
-        });
-      }
-      
-      // Save IVR options
-      for (const option of ivrOptions) {
-        if (option.id) {
-          // Update existing option
-          await DatabaseService.updateIVROption(option.id, {
-            digit: option.digit,
-            description: option.description,
-            agent_id: option.agent_id,
-            action_type: option.action_type,
-            action_data: option.action_data
-          });
-        } else {
-          // Create new option
-          await DatabaseService.createIVROption({
-            ivr_menu_id: menuId,
-            digit: option.digit,
-            description: option.description,
-            agent_id: option.agent_id,
-            action_type: option.action_type,
-            action_data: option.action_data
-          });
-        }
-      }
-      
-      alert('IVR configuration saved successfully!');
-      loadData();
-    } catch (error) {
-      console.error('Error saving IVR configuration:', error);
-      alert('Error saving IVR configuration');
-    }
-  };
-
-  const handleIVRGreetingChange = (e: React.ChangeEvent<HTMLTextAreaElement>) => {
-    const greeting_text = e.target.value;
-    setIvrMenu(prev => ({
-      ...(prev || {
-        id: '',
-        name: 'Main Menu',
-        greeting_text: '',
-        timeout_seconds: 10,
-        max_attempts: 3,
-        is_active: true,
-        ivr_options: []
-      }),
-      greeting_text
-    }));
-  };
-
   // Render different configuration forms based on routing strategy
   const renderConfigForm = () => {
     switch (routingStrategy) {
       case 'single_number_ivr':
-        return renderIVRConfig();
+        return <IVRFlowEditor agents={agents} schedules={schedules} />;
       case 'multiple_numbers':
         return renderMultipleNumbersConfig();
       case 'external_integration':
         return renderExternalIntegrationConfig();
       case 'time_based':
         return renderTimeBasedConfig();
+      case 'ai_router':
+        return renderAiRouterConfig();
       default:
         return <p>Select a routing strategy to configure</p>;
     }
   };
 
-  // Render IVR configuration form
-  const renderIVRConfig = () => {
-    return (
-      <div className="mt-4 p-4 border rounded">
-        <h3 className="text-lg font-semibold">IVR Menu Configuration</h3>
-        
-        {/* IVR menu form */}
-        <div className="mt-4">
-          <label className="block text-sm font-medium">Greeting Message</label>
-          <textarea 
-            className="mt-1 block w-full border rounded p-2"
-            value={ivrMenu?.greeting_text || 'Thank you for calling. Please select from the following options.'}
-            onChange={handleIVRGreetingChange}
-            rows={3}
-          />
-        </div>
-        
-        {/* IVR options */}
-        <div className="mt-4">
-          <h4 className="font-medium">Menu Options</h4>
-          
-          {ivrOptions.map((option, index) => (
-            <div key={index} className="mt-2 p-2 border rounded flex items-center">
-              <div className="w-12 text-center font-bold">{option.digit}</div>
-              <div className="flex-1 px-2">
-                <input
-                  type="text"
-                  value={option.description}
-                  onChange={(e) => handleIVROptionChange(index, 'description', e.target.value)}
-                  className="w-full border rounded p-1"
-                />
-              </div>
-              <div className="w-32">
-                <select 
-                  className="w-full border rounded p-1"
-                  value={option.action_type}
-                  onChange={(e) => handleIVROptionChange(index, 'action_type', e.target.value)}
-                >
-                  {ACTION_TYPES.map(type => (
-                    <option key={type.value} value={type.value}>{type.label}</option>
-                  ))}
-                </select>
-              </div>
-              <div className="w-48 ml-2">
-                {option.action_type === 'agent' ? (
-                  <select 
-                    className="w-full border rounded p-1"
-                    value={option.agent_id || ''}
-                    onChange={(e) => handleIVROptionChange(index, 'agent_id', e.target.value || null)}
-                  >
-                    <option value="">Select Agent</option>
-                    {agents.map(agent => (
-                      <option key={agent.id} value={agent.id}>{agent.name}</option>
-                    ))}
-                  </select>
-                ) : option.action_type === 'transfer' ? (
-                  <input
-                    type="tel"
-                    placeholder="Phone number"
-                    value={option.action_data?.phone_number || ''}
-                    onChange={(e) => handleIVROptionChange(index, 'action_data', { phone_number: e.target.value })}
-                    className="w-full border rounded p-1"
-                  />
-                ) : null}
-              </div>
-              <button 
-                className="ml-2 p-1 text-red-600"
-                onClick={() => handleRemoveIVROption(index)}
-              >
-                Remove
-              </button>
-            </div>
-          ))}
-          
-          <button 
-            className="mt-2 p-2 bg-blue-500 text-white rounded"
-            onClick={handleAddIVROption}
-          >
-            Add Option
-          </button>
-        </div>
-        
-        <button 
-          className="mt-4 p-2 bg-green-500 text-white rounded"
-          onClick={saveIVRConfig}
-        >
-          Save IVR Configuration
-        </button>
-      </div>
-    );
-  };
-
   // Render multiple numbers configuration form
   const renderMultipleNumbersConfig = () => {
     return (
@@ -496,6 +335,38 @@ const RoutingManager: React.FC = () => {
                   </select>
                 </div>
                 
+                <div>
+                  <label className="block text-sm font-medium mb-1">Schedule</label>
+                  <select
+                    name="schedule_id"
+                    value={phoneNumberFormData.schedule_id}
+                    onChange={handlePhoneNumberInputChange}
+                    className="w-full border rounded p-2"
+                  >
+                    <option value="">Always open</option>
+                    {schedules.map(schedule => (
+                      <option key={schedule.id} value={schedule.id}>{schedule.name}</option>
+                    ))}
+                  </select>
+                </div>
+                
+                {phoneNumberFormData.schedule_id && (
+                  <div>
+                    <label className="block text-sm font-medium mb-1">When Closed</label>
+                    <select
+                      name="after_hours_agent_id"
+                      value={phoneNumberFormData.after_hours_agent_id}
+                      onChange={handlePhoneNumberInputChange}
+                      className="w-full border rounded p-2"
+                    >
+                      <option value="">Take a voicemail</option>
+                      {agents.map(agent => (
+                        <option key={agent.id} value={agent.id}>Connect to {agent.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                
                 <div className="flex items-center space-x-4">
                   <label className="inline-flex items-center">
                     <input
@@ -622,6 +493,55 @@ const RoutingManager: React.FC = () => {
   };
 
   // Render time-based configuration form
+  // Render AI receptionist configuration form
+  const renderAiRouterConfig = () => {
+    const specialists = agents.filter(agent => agent.id !== routerAgentId);
+
+    return (
+      <div className="mt-4 p-4 border rounded">
+        <h3 className="text-lg font-semibold">AI Receptionist Configuration</h3>
+        <p className="text-gray-500 mt-2">
+          A receptionist answers every call, asks the caller who they are and what they need, and hands them over to the right agent without a phone menu.
+        </p>
+
+        <div className="mt-4">
+          <label className="block text-sm font-medium mb-1">Receptionist</label>
+          <select
+            value={routerAgentId}
+            onChange={(e) => setRouterAgentId(e.target.value)}
+            className="w-full border rounded p-2"
+          >
+            <option value="">Built-in receptionist</option>
+            {agents.map(agent => (
+              <option key={agent.id} value={agent.id}>{agent.name}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            The receptionist's voice and instructions come from this agent. Save the strategy to apply it.
+          </p>
+        </div>
+
+        <div className="mt-4">
+          <p className="font-medium">Agents the receptionist routes to:</p>
+          {specialists.length === 0 ? (
+            <p className="text-gray-600 mt-2">No other agents yet, calls go to your first agent.</p>
+          ) : (
+            <ul className="list-disc ml-5 mt-2 space-y-1 text-gray-600">
+              {specialists.map(agent => (
+                <li key={agent.id}>
+                  {agent.name} ({agent.agent_type}){agent.description ? ` - ${agent.description}` : ''}
+                </li>
+              ))}
+            </ul>
+          )}
+          <p className="text-xs text-gray-500 mt-2">
+            The receptionist chooses by each agent's name, type and description, so keep descriptions specific.
+          </p>
+        </div>
+      </div>
+    );
+  };
+
   const renderTimeBasedConfig = () => {
     return (
       <div className="mt-4 p-4 border rounded">
@@ -730,6 +650,91 @@ const RoutingManager: React.FC = () => {
           </div>
           
           {renderConfigForm()}
+          
+          <CallerRulesManager agents={agents} />
+          
+          <SchedulesManager onSaved={setSchedules} />
+          
+          <div className="mt-8 space-y-3">
+            <h3 className="text-lg font-semibold">Call Overflow</h3>
+            <p className="text-sm text-gray-600">
+              Your plan allows {maxConcurrentCalls} simultaneous AI calls, and each agent has its own limit.
+              Choose what callers hear when every assistant is busy.
+            </p>
+            
+            <div>
+              <label className="block text-sm font-medium">When all assistants are busy</label>
+              <select
+                className="mt-1 block w-full border rounded p-2"
+                value={overflowSettings.overflow_action}
+                onChange={(e) => setOverflowSettings({ ...overflowSettings, overflow_action: e.target.value as typeof overflowSettings.overflow_action })}
+              >
+                <option value="busy">Play a busy message and hang up</option>
+                <option value="queue">Hold the caller in a queue with music</option>
+                <option value="backup_agent">Route to a backup agent</option>
+              </select>
+            </div>
+            
+            {overflowSettings.overflow_action === 'backup_agent' && (
+              <div>
+                <label className="block text-sm font-medium">Backup Agent</label>
+                <select
+                  className="mt-1 block w-full border rounded p-2"
+                  value={overflowSettings.overflow_agent_id}
+                  onChange={(e) => setOverflowSettings({ ...overflowSettings, overflow_agent_id: e.target.value })}
+                >
+                  <option value="">Select an agent</option>
+                  {agents.map(agent => (
+                    <option key={agent.id} value={agent.id}>{agent.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            
+            {overflowSettings.overflow_action === 'queue' && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium">Hold Music URL</label>
+                  <input
+                    type="url"
+                    className="mt-1 block w-full border rounded p-2"
+                    placeholder="Default: Twilio classical hold music"
+                    value={overflowSettings.overflow_hold_music_url}
+                    onChange={(e) => setOverflowSettings({ ...overflowSettings, overflow_hold_music_url: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium">Maximum Wait (seconds)</label>
+                  <input
+                    type="number"
+                    min="30"
+                    max="1800"
+                    className="mt-1 block w-full border rounded p-2"
+                    value={overflowSettings.overflow_queue_timeout_seconds}
+                    onChange={(e) => setOverflowSettings({ ...overflowSettings, overflow_queue_timeout_seconds: parseInt(e.target.value) || 120 })}
+                  />
+                </div>
+              </>
+            )}
+            
+            <div>
+              <label className="block text-sm font-medium">Busy Message</label>
+              <textarea
+                className="mt-1 block w-full border rounded p-2"
+                rows={2}
+                placeholder="All of our assistants are busy right now. Please call back in a few minutes. Goodbye."
+                value={overflowSettings.overflow_message}
+                onChange={(e) => setOverflowSettings({ ...overflowSettings, overflow_message: e.target.value })}
+              />
+            </div>
+            
+            <button 
+              className="p-2 bg-blue-500 text-white rounded"
+              onClick={saveOverflowSettings}
+            >
+              Save Overflow Settings
+            </button>
+          </div>
         </>
       )}
     </div>
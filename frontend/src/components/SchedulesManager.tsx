@@ -0,0 +1,402 @@
+import React, { useState, useEffect } from 'react';
+import { BackendAPI } from '../services/backend-api';
+import type { HolidaySet, Schedule, ScheduleInterval, ScheduleStatus } from '../lib/supabase';
+
+type DraftSchedule = Pick<Schedule, 'id' | 'name' | 'timezone' | 'weekly_rules' | 'overrides' | 'holiday_set_ids' | 'status'>;
+type DraftHolidaySet = Pick<HolidaySet, 'id' | 'name' | 'holidays'>;
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const TIMEZONES = [
+  'America/New_York',
+  'America/Chicago',
+  'America/Denver',
+  'America/Phoenix',
+  'America/Los_Angeles',
+  'America/Anchorage',
+  'Pacific/Honolulu',
+  'Europe/London',
+  'Europe/Paris',
+  'Europe/Berlin',
+  'Asia/Tokyo',
+  'Australia/Sydney',
+  'UTC'
+];
+
+// Temporary IDs for new schedules and holiday sets; the backend assigns the real ones
+let draftCounter = 0;
+const draftId = () => `draft-${++draftCounter}`;
+
+const newSchedule = (): DraftSchedule => ({
+  id: draftId(),
+  name: 'Business Hours',
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'America/New_York',
+  weekly_rules: [1, 2, 3, 4, 5].map(day => ({ day, start: '09:00', end: '17:00' })),
+  overrides: [],
+  holiday_set_ids: []
+});
+
+const describeStatus = (status?: ScheduleStatus) => {
+  if (!status) return null;
+  const source = status.reason === 'weekly' ? '' : ` (${status.name || status.reason})`;
+  return `${status.open ? 'Open' : 'Closed'}${source}`;
+};
+
+interface IntervalsEditorProps {
+  intervals: ScheduleInterval[];
+  onChange: (intervals: ScheduleInterval[]) => void;
+}
+
+// Start/end rows of one day; an end at or before the start runs overnight
+const IntervalsEditor: React.FC<IntervalsEditorProps> = ({ intervals, onChange }) => (
+  <div className="flex flex-wrap items-center gap-2">
+    {intervals.length === 0 && <span className="text-sm text-gray-500">Closed</span>}
+    {intervals.map((interval, index) => (
+      <span key={index} className="inline-flex items-center space-x-1">
+        <input
+          type="time"
+          value={interval.start}
+          onChange={(e) => onChange(intervals.map((item, i) => i === index ? { ...item, start: e.target.value } : item))}
+          className="border rounded p-1 text-sm"
+        />
+        <span>-</span>
+        <input
+          type="time"
+          value={interval.end === '24:00' ? '00:00' : interval.end}
+          onChange={(e) => onChange(intervals.map((item, i) => i === index ? { ...item, end: e.target.value } : item))}
+          className="border rounded p-1 text-sm"
+        />
+        {interval.end <= interval.start && <span className="text-xs text-gray-500">next day</span>}
+        <button
+          className="text-red-600 text-sm"
+          onClick={() => onChange(intervals.filter((_, i) => i !== index))}
+        >
+          ×
+        </button>
+      </span>
+    ))}
+    <button
+      className="text-blue-600 text-sm"
+      onClick={() => onChange([...intervals, { start: '09:00', end: '17:00' }])}
+    >
+      + Hours
+    </button>
+  </div>
+);
+
+// Editor for schedules (weekly hours, date overrides and holidays, in a
+// timezone) that agents, phone numbers and IVR options can be assigned
+const SchedulesManager: React.FC<{ onSaved?: (schedules: Schedule[]) => void }> = ({ onSaved }) => {
+  const [schedules, setSchedules] = useState<DraftSchedule[]>([]);
+  const [holidaySets, setHolidaySets] = useState<DraftHolidaySet[]>([]);
+  const [problems, setProblems] = useState<string[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [previewAt, setPreviewAt] = useState('');
+  const [previewStatuses, setPreviewStatuses] = useState<Record<string, ScheduleStatus>>({});
+
+  useEffect(() => {
+    loadSchedules();
+  }, []);
+
+  const loadSchedules = async () => {
+    setLoading(true);
+    const { schedules: saved, holidaySets: savedSets, error } = await BackendAPI.getSchedules();
+
+    if (error) {
+      console.error('Error loading schedules:', error);
+    }
+
+    setSchedules(saved);
+    setHolidaySets(savedSets);
+    setLoading(false);
+  };
+
+  const updateSchedule = (scheduleId: string, changes: Partial<DraftSchedule>) => {
+    setSchedules(prev => prev.map(schedule => schedule.id === scheduleId ? { ...schedule, ...changes } : schedule));
+  };
+
+  const updateHolidaySet = (setId: string, changes: Partial<DraftHolidaySet>) => {
+    setHolidaySets(prev => prev.map(set => set.id === setId ? { ...set, ...changes } : set));
+  };
+
+  const handleRemoveHolidaySet = (setId: string) => {
+    setHolidaySets(prev => prev.filter(set => set.id !== setId));
+    setSchedules(prev => prev.map(schedule => ({
+      ...schedule,
+      holiday_set_ids: schedule.holiday_set_ids.filter(id => id !== setId)
+    })));
+  };
+
+  const setDayIntervals = (schedule: DraftSchedule, day: number, intervals: ScheduleInterval[]) => {
+    updateSchedule(schedule.id, {
+      weekly_rules: [
+        ...schedule.weekly_rules.filter(rule => rule.day !== day),
+        ...intervals.map(interval => ({ ...interval, day }))
+      ]
+    });
+  };
+
+  const saveAll = async () => {
+    setSaving(true);
+    const result = await BackendAPI.saveSchedules(schedules as Schedule[], holidaySets as HolidaySet[]);
+    setSaving(false);
+
+    if (!result.schedules || !result.holidaySets) {
+      setProblems(result.violations || []);
+      if (!result.violations?.length) {
+        alert(result.error || 'Error saving schedules');
+      }
+      return;
+    }
+
+    setProblems([]);
+    setSchedules(result.schedules);
+    setHolidaySets(result.holidaySets);
+    setPreviewStatuses({});
+    onSaved?.(result.schedules);
+    alert('Schedules saved successfully!');
+  };
+
+  // Check the saved schedules at another time, e.g. a holiday or a DST change
+  const checkPreview = async () => {
+    if (!previewAt) return;
+
+    const { statuses, error } = await BackendAPI.getScheduleStatus(new Date(previewAt).toISOString());
+
+    if (error) {
+      alert(error);
+      return;
+    }
+
+    setPreviewStatuses(Object.fromEntries(statuses.map(({ id, ...status }) => [id, status])));
+  };
+
+  if (loading) {
+    return <div className="mt-4 p-4 border rounded">Loading schedules...</div>;
+  }
+
+  return (
+    <div className="mt-4 p-4 border rounded">
+      <h3 className="text-lg font-semibold">Schedules</h3>
+      <p className="mt-1 text-sm text-gray-600">
+        Opening hours for agents, phone numbers and IVR options. Date overrides replace a day's hours; holidays are closed unless overridden.
+      </p>
+
+      {schedules.map(schedule => (
+        <div key={schedule.id} className="mt-4 p-3 border rounded bg-gray-50">
+          <div className="flex items-center space-x-4">
+            <input
+              type="text"
+              value={schedule.name}
+              onChange={(e) => updateSchedule(schedule.id, { name: e.target.value })}
+              className="flex-1 border rounded p-1 font-medium"
+            />
+            <select
+              className="border rounded p-1"
+              value={schedule.timezone}
+              onChange={(e) => updateSchedule(schedule.id, { timezone: e.target.value })}
+            >
+              {[...new Set([schedule.timezone, ...TIMEZONES])].map(timezone => (
+                <option key={timezone} value={timezone}>{timezone}</option>
+              ))}
+            </select>
+            {(previewStatuses[schedule.id] || schedule.status) && (
+              <span className={`text-sm ${(previewStatuses[schedule.id] || schedule.status)?.open ? 'text-green-600' : 'text-gray-500'}`}>
+                {describeStatus(previewStatuses[schedule.id] || schedule.status)}
+              </span>
+            )}
+            <button
+              className="p-1 text-red-600 text-sm"
+              onClick={() => setSchedules(prev => prev.filter(item => item.id !== schedule.id))}
+            >
+              Remove
+            </button>
+          </div>
+
+          <div className="mt-2 space-y-1">
+            {DAYS.map((dayName, day) => (
+              <div key={day} className="flex items-center">
+                <span className="w-28 text-sm font-medium">{dayName}</span>
+                <IntervalsEditor
+                  intervals={schedule.weekly_rules.filter(rule => rule.day === day)}
+                  onChange={(intervals) => setDayIntervals(schedule, day, intervals)}
+                />
+              </div>
+            ))}
+          </div>
+
+          <h4 className="mt-3 font-medium text-sm">Date Overrides</h4>
+          {schedule.overrides.map((override, index) => (
+            <div key={index} className="mt-1 flex items-center space-x-2">
+              <input
+                type="date"
+                value={override.date}
+                onChange={(e) => updateSchedule(schedule.id, {
+                  overrides: schedule.overrides.map((item, i) => i === index ? { ...item, date: e.target.value } : item)
+                })}
+                className="border rounded p-1 text-sm"
+              />
+              <input
+                type="text"
+                placeholder="Name (optional)"
+                value={override.name || ''}
+                onChange={(e) => updateSchedule(schedule.id, {
+                  overrides: schedule.overrides.map((item, i) => i === index ? { ...item, name: e.target.value } : item)
+                })}
+                className="w-40 border rounded p-1 text-sm"
+              />
+              <IntervalsEditor
+                intervals={override.intervals}
+                onChange={(intervals) => updateSchedule(schedule.id, {
+                  overrides: schedule.overrides.map((item, i) => i === index ? { ...item, intervals } : item)
+                })}
+              />
+              <button
+                className="text-red-600 text-sm"
+                onClick={() => updateSchedule(schedule.id, { overrides: schedule.overrides.filter((_, i) => i !== index) })}
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+          <button
+            className="mt-1 text-blue-600 text-sm"
+            onClick={() => updateSchedule(schedule.id, {
+              overrides: [...schedule.overrides, { date: '', intervals: [] }]
+            })}
+          >
+            + Override
+          </button>
+
+          {holidaySets.length > 0 && (
+            <div className="mt-3 flex flex-wrap items-center gap-4">
+              <span className="font-medium text-sm">Holidays</span>
+              {holidaySets.map(set => (
+                <label key={set.id} className="inline-flex items-center text-sm">
+                  <input
+                    type="checkbox"
+                    checked={schedule.holiday_set_ids.includes(set.id)}
+                    onChange={(e) => updateSchedule(schedule.id, {
+                      holiday_set_ids: e.target.checked
+                        ? [...schedule.holiday_set_ids, set.id]
+                        : schedule.holiday_set_ids.filter(id => id !== set.id)
+                    })}
+                    className="h-4 w-4 text-blue-600"
+                  />
+                  <span className="ml-1">{set.name}</span>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+
+      <button
+        className="mt-4 p-2 bg-blue-500 text-white rounded"
+        onClick={() => setSchedules(prev => [...prev, newSchedule()])}
+      >
+        Add Schedule
+      </button>
+
+      <h3 className="mt-6 text-lg font-semibold">Holiday Sets</h3>
+      {holidaySets.map(set => (
+        <div key={set.id} className="mt-2 p-3 border rounded bg-gray-50">
+          <div className="flex items-center space-x-4">
+            <input
+              type="text"
+              value={set.name}
+              onChange={(e) => updateHolidaySet(set.id, { name: e.target.value })}
+              className="flex-1 border rounded p-1 font-medium"
+            />
+            <button
+              className="p-1 text-red-600 text-sm"
+              onClick={() => handleRemoveHolidaySet(set.id)}
+            >
+              Remove
+            </button>
+          </div>
+          {set.holidays.map((holiday, index) => (
+            <div key={index} className="mt-1 flex items-center space-x-2">
+              <input
+                type="text"
+                placeholder="YYYY-MM-DD or MM-DD"
+                value={holiday.date}
+                onChange={(e) => updateHolidaySet(set.id, {
+                  holidays: set.holidays.map((item, i) => i === index ? { ...item, date: e.target.value } : item)
+                })}
+                className="w-40 border rounded p-1 text-sm"
+              />
+              <input
+                type="text"
+                placeholder="Name"
+                value={holiday.name || ''}
+                onChange={(e) => updateHolidaySet(set.id, {
+                  holidays: set.holidays.map((item, i) => i === index ? { ...item, name: e.target.value } : item)
+                })}
+                className="flex-1 border rounded p-1 text-sm"
+              />
+              <button
+                className="text-red-600 text-sm"
+                onClick={() => updateHolidaySet(set.id, { holidays: set.holidays.filter((_, i) => i !== index) })}
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+          <button
+            className="mt-1 text-blue-600 text-sm"
+            onClick={() => updateHolidaySet(set.id, { holidays: [...set.holidays, { date: '', name: '' }] })}
+          >
+            + Holiday
+          </button>
+          <p className="text-xs text-gray-500 mt-1">MM-DD dates repeat every year.</p>
+        </div>
+      ))}
+
+      <button
+        className="mt-2 p-2 bg-blue-500 text-white rounded"
+        onClick={() => setHolidaySets(prev => [...prev, { id: draftId(), name: 'Public Holidays', holidays: [] }])}
+      >
+        Add Holiday Set
+      </button>
+
+      {problems.length > 0 && (
+        <div className="mt-4 p-3 border border-red-200 rounded bg-red-50 text-sm text-red-700">
+          <p className="font-medium">The schedules couldn't be saved:</p>
+          <ul className="mt-1 list-disc list-inside">
+            {problems.map(problem => (
+              <li key={problem}>{problem}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="mt-4 flex items-center space-x-2">
+        <button
+          className="p-2 bg-green-500 text-white rounded disabled:opacity-50"
+          onClick={saveAll}
+          disabled={saving}
+        >
+          {saving ? 'Saving...' : 'Save Schedules'}
+        </button>
+        <span className="ml-4 text-sm text-gray-600">Check saved schedules at</span>
+        <input
+          type="datetime-local"
+          value={previewAt}
+          onChange={(e) => setPreviewAt(e.target.value)}
+          className="border rounded p-1 text-sm"
+        />
+        <button
+          className="p-1 border rounded text-sm disabled:opacity-50"
+          onClick={checkPreview}
+          disabled={!previewAt}
+        >
+          Check
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SchedulesManager;
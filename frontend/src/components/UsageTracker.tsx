@@ -7,7 +7,7 @@ export default function UsageTracker() {
   if (!user) return null;
 
   const usagePercentage = (user.minutes_used / user.monthly_minute_limit) * 100;
-  const isNearLimit = usagePercentage >= 80;
+  const isNearLimit = usagePercentage >= (user.minute_warning_threshold || 80);
   const isOverLimit = usagePercentage >= 100;
 
   const getProgressBarColor = () => {
@@ -65,7 +65,7 @@ export default function UsageTracker() {
         {isOverLimit && (
           <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
             <p className="text-sm text-red-700">
-              <strong>Usage limit exceeded!</strong> New calls will be blocked until your plan is upgraded or the next billing cycle begins.
+              <strong>Usage limit exceeded!</strong> New calls will be {user.quota_exceeded_action === 'forward' && user.quota_forward_number ? `forwarded to ${user.quota_forward_number}` : 'blocked'} until your plan is upgraded or the next billing cycle begins.
             </p>
           </div>
         )}
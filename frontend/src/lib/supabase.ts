@@ -31,8 +31,19 @@ export interface Profile {
   twilio_auth_token?: string
   gemini_api_key?: string
   routing_strategy?: string
+  router_agent_id?: string | null // receptionist agent for routing_strategy 'ai_router'
   call_recording_enabled?: boolean
   transcription_enabled?: boolean
+  caller_memory_enabled?: boolean // tell agents about a returning caller's earlier calls
+  caller_memory_days?: number // how far back caller memory looks
+  overflow_action?: 'queue' | 'busy' | 'backup_agent' // when max_concurrent_calls is reached
+  overflow_agent_id?: string | null
+  overflow_message?: string | null
+  overflow_hold_music_url?: string | null
+  overflow_queue_timeout_seconds?: number
+  minute_warning_threshold?: number // percent of monthly_minute_limit
+  quota_exceeded_action?: 'reject' | 'forward'
+  quota_forward_number?: string | null
   created_at: string
   updated_at: string
 }
@@ -43,6 +54,7 @@ export interface AIAgent {
   name: string
   description?: string
   greeting?: string
+  twilio_greeting_enabled?: boolean
   agent_type: 'customer_service' | 'sales' | 'support' | 'appointment_booking' | 'survey' | 'after_hours' | 'general'
   voice_name: 'Puck' | 'Charon' | 'Kore' | 'Fenrir' | 'Aoede' | 'Leda' | 'Orus' | 'Zephyr'
   language_code: string
@@ -59,6 +71,11 @@ export interface AIAgent {
   escalation_type?: 'human_agent' | 'supervisor' | 'voicemail' | 'callback'
   escalation_phone_number?: string
   escalation_email?: string
+  enabled_functions?: string[]
+  function_settings?: Record<string, Record<string, unknown>>
+  silence_prompt_seconds?: number // 0 = never ask "are you still there?"
+  schedule_id?: string | null // takes calls only while the schedule is open
+  dead_air_timeout_seconds?: number // 0 = never hang up on silence
   status?: 'available' | 'busy' | 'offline'
   created_at: string
   updated_at: string
@@ -72,6 +89,9 @@ export interface PhoneNumber {
   agent_id: string | null
   is_primary: boolean
   is_active: boolean
+  public_base_url?: string | null
+  schedule_id?: string | null // outside it calls go to after_hours_agent_id, or voicemail
+  after_hours_agent_id?: string | null
   created_at: string
   updated_at: string
 }
@@ -110,6 +130,15 @@ export interface ExternalIntegration {
   updated_at: string
 }
 
+export interface TranscriptSegment {
+  speaker: 'caller' | 'agent'
+  text: string
+  started_at: string
+  ended_at: string
+  offset_ms: number
+  final: boolean
+}
+
 export interface CallLog {
   id: string
   profile_id: string
@@ -125,13 +154,23 @@ export interface CallLog {
   duration_seconds: number
   call_summary?: string
   transcript?: string
+  transcript_segments?: TranscriptSegment[]
   recording_url?: string
+  recording_duration_seconds?: number
   sentiment_score?: number
   outcome?: string
   priority: 'low' | 'normal' | 'high' | 'urgent'
   customer_satisfaction_score?: number
   follow_up_required: boolean
   follow_up_date?: string
+  transfer_reason?: string
+  transfer_summary?: string
+  transferred_to?: string
+  transferred_at?: string
+  transfer_status?: string
+  answered_by?: string
+  sip_response_code?: number
+  billed_minutes?: number
   tags?: string[]
   metadata?: Record<string, any>
   created_at: string
@@ -140,6 +179,33 @@ export interface CallLog {
   }
 }
 
+export interface Voicemail {
+  id: string
+  profile_id: string
+  call_sid?: string
+  recording_sid?: string
+  recording_url?: string
+  recording_duration_seconds?: number
+  phone_number_from?: string
+  phone_number_to?: string
+  agent_id?: string
+  ivr_option_id?: string
+  call_log_id?: string
+  transcription_text?: string
+  transcription_status?: string
+  status: 'new' | 'handled'
+  handled_at?: string
+  created_at: string
+  updated_at: string
+  ai_agents?: {
+    name: string
+  }
+  ivr_options?: {
+    digit: string
+    description: string
+  }
+}
+
 export interface Campaign {
   id: string
   profile_id: string
@@ -162,6 +228,14 @@ export interface Campaign {
   custom_voice_name?: 'Puck' | 'Charon' | 'Kore' | 'Fenrir' | 'Aoede' | 'Leda' | 'Orus' | 'Zephyr'
   priority: 'low' | 'normal' | 'high' | 'urgent'
   compliance_settings?: Record<string, any>
+  dialing_rate?: number // calls started per minute
+  dialer_state?: {
+    worker_id?: string
+    heartbeat_at?: string
+    last_dial_at?: string
+    calls_placed?: number
+    reason?: string | null
+  }
   total_leads: number
   leads_called: number
   leads_answered: number
@@ -184,6 +258,9 @@ export interface CampaignLead {
   call_attempts: number
   last_call_at?: string
   next_call_at?: string
+  call_sid?: string
+  leased_by?: string | null // dialer worker currently calling the lead
+  lease_expires_at?: string | null
   outcome?: string
   notes?: string
   custom_fields?: Record<string, any>
@@ -213,6 +290,26 @@ export interface Appointment {
   updated_at: string
 }
 
+export interface CustomFunction {
+  id: string
+  profile_id: string
+  name: string
+  description: string
+  parameters: {
+    type: 'object'
+    properties: Record<string, unknown>
+    required?: string[]
+  }
+  url: string
+  method: 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE'
+  headers?: Record<string, string>
+  secret_key?: string
+  timeout_ms: number
+  is_active: boolean
+  created_at: string
+  updated_at: string
+}
+
 export interface FunctionCallLog {
   id: string
   profile_id: string
@@ -247,6 +344,10 @@ export interface IVRMenu {
   timeout_seconds: number
   max_attempts: number
   is_active: boolean
+  is_entry: boolean
+  input_type: 'dtmf' | 'speech' | 'dtmf speech'
+  max_digits: number
+  collect_variable: string | null
   created_at: string
   updated_at: string
   ivr_options?: IVROption[]
@@ -260,10 +361,112 @@ export interface IVROption {
   agent_id?: string
   action_type: string
   action_data?: Record<string, any>
+  speech_phrases: string[] | null
+  match_any: boolean
+  next_menu_id: string | null
+  schedule_id?: string | null // chosen only while the schedule is open
   created_at: string
   updated_at: string
 }
 
+export interface ScheduleInterval {
+  start: string // HH:MM
+  end: string // HH:MM, 24:00 for midnight; an end not after the start runs overnight
+}
+
+export interface ScheduleRule extends ScheduleInterval {
+  day: number // 0 = Sunday
+}
+
+export interface ScheduleOverride {
+  date: string // YYYY-MM-DD
+  name?: string
+  intervals: ScheduleInterval[] // none closes the day
+}
+
+export interface ScheduleStatus {
+  open: boolean
+  reason: 'weekly' | 'override' | 'holiday'
+  name: string | null
+}
+
+export interface Schedule {
+  id: string
+  profile_id: string
+  name: string
+  timezone: string
+  weekly_rules: ScheduleRule[]
+  overrides: ScheduleOverride[]
+  holiday_set_ids: string[]
+  status?: ScheduleStatus // from the backend, at the time of loading
+  created_at: string
+  updated_at: string
+}
+
+export interface Holiday {
+  date: string // YYYY-MM-DD, or MM-DD for every year
+  name?: string
+}
+
+export interface HolidaySet {
+  id: string
+  profile_id: string
+  name: string
+  holidays: Holiday[]
+  created_at: string
+  updated_at: string
+}
+
+export type CallerRuleCondition =
+  | { type: 'from_pattern'; pattern: string; negate?: boolean } // digits, * (any digits), ? (one digit)
+  | { type: 'area_code'; area_codes: string[]; negate?: boolean }
+  | { type: 'country_code'; country_codes: string[]; negate?: boolean }
+  | { type: 'contact_list'; contact_list_id: string; negate?: boolean }
+  | { type: 'lead_status'; statuses: CampaignLead['status'][]; campaign_id?: string; negate?: boolean }
+  | { type: 'recent_caller'; hours: number; min_calls?: number; negate?: boolean }
+
+export interface CallerRule {
+  id: string
+  profile_id: string
+  name: string
+  position: number // the first active rule that matches wins
+  is_active: boolean
+  match: 'all' | 'any'
+  conditions: CallerRuleCondition[]
+  action_type: 'agent' | 'greeting' | 'block' | 'human'
+  action_data: {
+    agent_id?: string
+    greeting?: string
+    message?: string
+    phone_number?: string
+  }
+  created_at: string
+  updated_at: string
+}
+
+export interface ContactList {
+  id: string
+  profile_id: string
+  name: string
+  description?: string
+  phone_numbers: string[] // E.164
+  created_at: string
+  updated_at: string
+}
+
+export interface CallerRuleDryRun {
+  from: string
+  at: string
+  rule: CallerRule | null
+  trace: {
+    rule_id: string
+    name: string
+    matched: boolean
+    skipped?: 'inactive'
+    conditions: { type: CallerRuleCondition['type']; matched: boolean; error?: string }[]
+  }[]
+}
+
 export interface ExternalIntegration {
   id: string
   profile_id: string
@@ -5,6 +5,7 @@ import {
   CheckCircleIcon, 
   ExclamationTriangleIcon,
   PlayIcon,
+  StopIcon,
   DocumentTextIcon,
   FunnelIcon,
   ArrowDownTrayIcon,
@@ -14,6 +15,7 @@ import { useUser } from '../contexts/UserContext';
 import { DatabaseService } from '../services/database';
 import { RealtimeService } from '../services/realtime';
 import { ExportService } from '../services/export';
+import { BackendAPI } from '../services/backend-api';
 import type { CallLog } from '../lib/supabase';
 import toast from 'react-hot-toast';
 
@@ -28,6 +30,7 @@ export default function CallsPage() {
   const [showTranscript, setShowTranscript] = useState(false);
   const [currentPage, setCurrentPage] = useState(1);
   const [totalCalls, setTotalCalls] = useState(0);
+  const [playback, setPlayback] = useState<{ callId: string; audio: HTMLAudioElement } | null>(null);
   const callsPerPage = 20;
 
   useEffect(() => {
@@ -139,6 +142,34 @@ export default function CallsPage() {
     setShowTranscript(true);
   };
 
+  const stopPlayback = () => {
+    if (playback) {
+      playback.audio.pause();
+      URL.revokeObjectURL(playback.audio.src);
+      setPlayback(null);
+    }
+  };
+
+  const handlePlayRecording = async (call: CallLog) => {
+    const wasPlaying = playback?.callId === call.id;
+    stopPlayback();
+    if (wasPlaying) return;
+
+    const { audio, error } = await BackendAPI.getCallRecording(call.id);
+    if (!audio) {
+      toast.error(error || 'Recording not available');
+      return;
+    }
+
+    const player = new Audio(URL.createObjectURL(audio));
+    player.onended = () => {
+      URL.revokeObjectURL(player.src);
+      setPlayback(current => (current?.audio === player ? null : current));
+    };
+    setPlayback({ callId: call.id, audio: player });
+    player.play();
+  };
+
 
 
   const filteredCalls = calls.filter(call => {
@@ -329,8 +360,14 @@ export default function CallsPage() {
                         </button>
                       )}
                       {call.recording_url && (
-                        <button className="text-green-600 hover:text-green-900">
-                          <PlayIcon className="h-4 w-4" />
+                        <button
+                          onClick={() => handlePlayRecording(call)}
+                          className="text-green-600 hover:text-green-900"
+                          title={playback?.callId === call.id ? 'Stop recording' : 'Play recording'}
+                        >
+                          {playback?.callId === call.id
+                            ? <StopIcon className="h-4 w-4" />
+                            : <PlayIcon className="h-4 w-4" />}
                         </button>
                       )}
                     </div>
@@ -13,6 +13,8 @@ import {
 import { useUser, usePermissions } from '../contexts/UserContext';
 import { DatabaseService } from '../services/database';
 import { RealtimeService } from '../services/realtime';
+import { BackendAPI } from '../services/backend-api';
+import type { CampaignAction } from '../services/backend-api';
 import type { Campaign, CampaignLead, AIAgent } from '../lib/supabase';
 import toast from 'react-hot-toast';
 
@@ -73,13 +75,14 @@ export default function CampaignsPage() {
     };
   };
 
-  const handleStatusChange = async (campaignId: string, newStatus: Campaign['status']) => {
+  const handleStatusChange = async (campaignId: string, action: CampaignAction) => {
     try {
-      await DatabaseService.updateCampaign(campaignId, { status: newStatus });
-      toast.success(`Campaign ${newStatus}`);
+      const { campaign, error } = await BackendAPI.controlCampaign(campaignId, action);
+      if (error) throw new Error(error);
+      toast.success(`Campaign ${campaign?.status}`);
     } catch (error) {
       console.error('Error updating campaign status:', error);
-      toast.error('Failed to update campaign status');
+      toast.error(error instanceof Error ? error.message : 'Failed to update campaign status');
     }
   };
 
@@ -257,7 +260,7 @@ export default function CampaignsPage() {
                 <div className="mt-3 flex space-x-2">
                   {campaign.status === 'draft' && (
                     <button 
-                      onClick={() => handleStatusChange(campaign.id, 'active')}
+                      onClick={() => handleStatusChange(campaign.id, 'start')}
                       className="flex-1 bg-green-100 text-green-700 text-sm font-medium py-2 px-3 rounded-md hover:bg-green-200 transition-colors"
                     >
                       <PlayIcon className="h-4 w-4 inline mr-1" />
@@ -266,7 +269,7 @@ export default function CampaignsPage() {
                   )}
                   {campaign.status === 'active' && (
                     <button 
-                      onClick={() => handleStatusChange(campaign.id, 'paused')}
+                      onClick={() => handleStatusChange(campaign.id, 'pause')}
                       className="flex-1 bg-yellow-100 text-yellow-700 text-sm font-medium py-2 px-3 rounded-md hover:bg-yellow-200 transition-colors"
                     >
                       <PauseIcon className="h-4 w-4 inline mr-1" />
@@ -275,7 +278,7 @@ export default function CampaignsPage() {
                   )}
                   {campaign.status === 'paused' && (
                     <button 
-                      onClick={() => handleStatusChange(campaign.id, 'active')}
+                      onClick={() => handleStatusChange(campaign.id, 'resume')}
                       className="flex-1 bg-green-100 text-green-700 text-sm font-medium py-2 px-3 rounded-md hover:bg-green-200 transition-colors"
                     >
                       <PlayIcon className="h-4 w-4 inline mr-1" />
@@ -351,6 +354,7 @@ function CreateCampaignModal({ onClose, onSuccess }: { onClose: () => void; onSu
     agent_id: '',
     caller_id: '+18553947135', // Default from Twilio settings
     max_concurrent_calls: 1,
+    dialing_rate: 2,
     call_timeout_seconds: 30,
     retry_attempts: 3,
     retry_delay_minutes: 60,
@@ -787,7 +791,7 @@ function CreateCampaignModal({ onClose, onSuccess }: { onClose: () => void; onSu
                 </div>
               </div>
 
-              <div className="grid grid-cols-3 gap-4">
+              <div className="grid grid-cols-4 gap-4">
                 <div>
                   <label className="block text-sm font-medium text-gray-700">Max Concurrent Calls</label>
                   <input
@@ -799,6 +803,17 @@ function CreateCampaignModal({ onClose, onSuccess }: { onClose: () => void; onSu
                     className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
                   />
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Dialing Rate (calls/min)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="60"
+                    value={formData.dialing_rate}
+                    onChange={(e) => setFormData({ ...formData, dialing_rate: parseInt(e.target.value) })}
+                    className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-700">Call Timeout (seconds)</label>
                   <input
@@ -13,6 +13,7 @@ import {
 import { useUser, usePermissions } from '../contexts/UserContext';
 import { DatabaseService } from '../services/database';
 import { RealtimeService } from '../services/realtime';
+import { BackendAPI } from '../services/backend-api';
 import type { Campaign, CampaignLead } from '../lib/supabase';
 import toast from 'react-hot-toast';
 
@@ -152,7 +153,8 @@ export default function EnhancedCampaignsPage() {
 
   const handleStartCampaign = async (campaign: Campaign) => {
     try {
-      await DatabaseService.updateCampaign(campaign.id, { status: 'active' });
+      const { error } = await BackendAPI.controlCampaign(campaign.id, campaign.status === 'paused' ? 'resume' : 'start');
+      if (error) throw new Error(error);
       toast.success(`Campaign "${campaign.name}" started`);
       loadCampaigns();
     } catch (error) {
@@ -163,7 +165,8 @@ export default function EnhancedCampaignsPage() {
 
   const handlePauseCampaign = async (campaign: Campaign) => {
     try {
-      await DatabaseService.updateCampaign(campaign.id, { status: 'paused' });
+      const { error } = await BackendAPI.controlCampaign(campaign.id, 'pause');
+      if (error) throw new Error(error);
       toast.success(`Campaign "${campaign.name}" paused`);
       loadCampaigns();
     } catch (error) {
@@ -178,7 +181,8 @@ export default function EnhancedCampaignsPage() {
     }
 
     try {
-      await DatabaseService.updateCampaign(campaign.id, { status: 'completed' });
+      const { error } = await BackendAPI.controlCampaign(campaign.id, 'stop');
+      if (error) throw new Error(error);
       toast.success(`Campaign "${campaign.name}" stopped`);
       loadCampaigns();
     } catch (error) {
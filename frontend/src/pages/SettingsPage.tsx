@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { EyeIcon, EyeSlashIcon, KeyIcon, UserIcon, PhoneIcon } from '@heroicons/react/24/outline';
+import { EyeIcon, EyeSlashIcon, KeyIcon, UserIcon, PhoneIcon, ShieldCheckIcon } from '@heroicons/react/24/outline';
 import { useUser } from '../contexts/UserContext';
 import toast from 'react-hot-toast';
 
@@ -29,6 +29,10 @@ export default function SettingsPage() {
     twilio_phone_number: '',
     twilio_webhook_url: '',
     
+    // Caller Memory
+    caller_memory_enabled: true,
+    caller_memory_days: 90,
+    
     // API Keys (these would be stored securely)
     gemini_api_key: '',
     twilio_account_sid: '',
@@ -48,6 +52,8 @@ export default function SettingsPage() {
         agent_type: 'customer_service',
         twilio_phone_number: '',
         twilio_webhook_url: '',
+        caller_memory_enabled: user.caller_memory_enabled !== false,
+        caller_memory_days: user.caller_memory_days || 90,
         gemini_api_key: '',
         twilio_account_sid: '',
         twilio_auth_token: ''
@@ -67,7 +73,9 @@ export default function SettingsPage() {
       await updateUser({
         client_name: formData.client_name,
         company_name: formData.company_name,
-        phone_number: formData.phone_number
+        phone_number: formData.phone_number,
+        caller_memory_enabled: formData.caller_memory_enabled,
+        caller_memory_days: formData.caller_memory_days
       });
     } catch (error) {
       console.error('Error saving profile:', error);
@@ -297,6 +305,52 @@ export default function SettingsPage() {
         </div>
       </div>
 
+      {/* Caller Memory */}
+      <div className="bg-white shadow-sm rounded-lg border border-gray-200">
+        <div className="px-4 py-5 sm:p-6">
+          <div className="flex items-center mb-6">
+            <ShieldCheckIcon className="h-6 w-6 text-gray-400 mr-3" />
+            <h3 className="text-lg leading-6 font-medium text-gray-900">
+              Caller Memory
+            </h3>
+          </div>
+          
+          <div className="space-y-4">
+            <label className="flex items-start">
+              <input
+                type="checkbox"
+                checked={formData.caller_memory_enabled}
+                onChange={(e) => handleInputChange('caller_memory_enabled', e.target.checked)}
+                className="mt-1 h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              <span className="ml-3 text-sm">
+                <span className="font-medium text-gray-700">Remember returning callers</span>
+                <span className="block text-gray-500">
+                  When a number calls again, your AI agents see short summaries of its recent calls and its campaign lead, so callers don't have to repeat themselves.
+                </span>
+              </span>
+            </label>
+
+            <div>
+              <label htmlFor="caller-memory-days" className="block text-sm font-medium text-gray-700">
+                Look back (days)
+              </label>
+              <input
+                type="number"
+                id="caller-memory-days"
+                min={1}
+                max={365}
+                value={formData.caller_memory_days}
+                disabled={!formData.caller_memory_enabled}
+                onChange={(e) => handleInputChange('caller_memory_days', Math.min(365, Math.max(1, parseInt(e.target.value) || 90)))}
+                className="mt-1 block w-32 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm disabled:bg-gray-50"
+              />
+              <p className="mt-1 text-xs text-gray-500">Calls and leads older than this are never shown to agents</p>
+            </div>
+          </div>
+        </div>
+      </div>
+
       {/* API Keys */}
       <div className="bg-white shadow-sm rounded-lg border border-gray-200">
         <div className="px-4 py-5 sm:p-6">
@@ -0,0 +1,202 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  InboxIcon,
+  PlayIcon,
+  StopIcon,
+  CheckCircleIcon,
+  ArrowUturnLeftIcon
+} from '@heroicons/react/24/outline';
+import { useUser } from '../contexts/UserContext';
+import { BackendAPI } from '../services/backend-api';
+import type { Voicemail } from '../lib/supabase';
+import toast from 'react-hot-toast';
+
+export default function VoicemailsPage() {
+  const { user } = useUser();
+  const [voicemails, setVoicemails] = useState<Voicemail[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState<'all' | Voicemail['status']>('new');
+  const [playback, setPlayback] = useState<{ voicemailId: string; audio: HTMLAudioElement } | null>(null);
+
+  const loadVoicemails = useCallback(async () => {
+    setLoading(true);
+    const { voicemails, error } = await BackendAPI.listVoicemails({
+      status: statusFilter === 'all' ? undefined : statusFilter
+    });
+
+    if (error) {
+      toast.error('Failed to load voicemails');
+    }
+
+    setVoicemails(voicemails);
+    setLoading(false);
+  }, [statusFilter]);
+
+  useEffect(() => {
+    if (user) {
+      loadVoicemails();
+    }
+  }, [user, loadVoicemails]);
+
+  const stopPlayback = () => {
+    if (playback) {
+      playback.audio.pause();
+      URL.revokeObjectURL(playback.audio.src);
+      setPlayback(null);
+    }
+  };
+
+  const handlePlay = async (voicemail: Voicemail) => {
+    const wasPlaying = playback?.voicemailId === voicemail.id;
+    stopPlayback();
+    if (wasPlaying) return;
+
+    const { audio, error } = await BackendAPI.getVoicemailRecording(voicemail.id);
+    if (!audio) {
+      toast.error(error || 'Recording not available');
+      return;
+    }
+
+    const player = new Audio(URL.createObjectURL(audio));
+    player.onended = () => {
+      URL.revokeObjectURL(player.src);
+      setPlayback(current => (current?.audio === player ? null : current));
+    };
+    setPlayback({ voicemailId: voicemail.id, audio: player });
+    player.play();
+  };
+
+  const handleSetStatus = async (voicemail: Voicemail, status: Voicemail['status']) => {
+    const { voicemail: updated, error } = await BackendAPI.setVoicemailStatus(voicemail.id, status);
+
+    if (!updated) {
+      toast.error(error || 'Failed to update voicemail');
+      return;
+    }
+
+    setVoicemails(prev => statusFilter === 'all'
+      ? prev.map(item => item.id === updated.id ? { ...item, ...updated } : item)
+      : prev.filter(item => item.id !== updated.id));
+    toast.success(status === 'handled' ? 'Voicemail marked as handled' : 'Voicemail marked as new');
+  };
+
+  const formatDuration = (seconds: number) => {
+    const minutes = Math.floor(seconds / 60);
+    const remainingSeconds = seconds % 60;
+    return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+  };
+
+  const getSource = (voicemail: Voicemail) => {
+    if (voicemail.ivr_options) {
+      return `Menu option ${voicemail.ivr_options.digit}: ${voicemail.ivr_options.description}`;
+    }
+    if (voicemail.ai_agents) {
+      return `Transfer from ${voicemail.ai_agents.name}`;
+    }
+    return 'Voicemail';
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="sm:flex sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl font-semibold text-gray-900">Voicemails</h1>
+          <p className="mt-2 text-sm text-gray-700">
+            Messages callers left through the IVR or when no one took a transfer.
+          </p>
+        </div>
+        <div className="mt-4 sm:mt-0">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value as 'all' | Voicemail['status'])}
+            className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="new">New</option>
+            <option value="handled">Handled</option>
+            <option value="all">All Voicemails</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="bg-white shadow-sm rounded-lg border border-gray-200 overflow-hidden">
+        <ul className="divide-y divide-gray-200">
+          {voicemails.map((voicemail) => (
+            <li key={voicemail.id} className="px-6 py-4 hover:bg-gray-50">
+              <div className="flex items-start justify-between">
+                <div className="min-w-0 flex-1">
+                  <div className="flex items-center space-x-3">
+                    <span className="text-sm font-medium text-gray-900 font-mono">
+                      {voicemail.phone_number_from || 'Unknown caller'}
+                    </span>
+                    <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${
+                      voicemail.status === 'new'
+                        ? 'bg-blue-100 text-blue-800'
+                        : 'bg-gray-100 text-gray-600'
+                    }`}>
+                      {voicemail.status}
+                    </span>
+                  </div>
+                  <div className="mt-1 text-xs text-gray-500">
+                    {getSource(voicemail)} · {formatDuration(voicemail.recording_duration_seconds || 0)} · {new Date(voicemail.created_at).toLocaleString()}
+                  </div>
+                  <p className="mt-2 text-sm text-gray-700">
+                    {voicemail.transcription_text
+                      || (voicemail.transcription_status === 'failed' ? 'Transcription failed.' : 'Transcription pending.')}
+                  </p>
+                </div>
+                <div className="ml-4 flex space-x-2">
+                  {voicemail.recording_url && (
+                    <button
+                      onClick={() => handlePlay(voicemail)}
+                      className="text-green-600 hover:text-green-900"
+                      title={playback?.voicemailId === voicemail.id ? 'Stop' : 'Play'}
+                    >
+                      {playback?.voicemailId === voicemail.id
+                        ? <StopIcon className="h-5 w-5" />
+                        : <PlayIcon className="h-5 w-5" />}
+                    </button>
+                  )}
+                  {voicemail.status === 'new' ? (
+                    <button
+                      onClick={() => handleSetStatus(voicemail, 'handled')}
+                      className="text-blue-600 hover:text-blue-900"
+                      title="Mark as handled"
+                    >
+                      <CheckCircleIcon className="h-5 w-5" />
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => handleSetStatus(voicemail, 'new')}
+                      className="text-gray-500 hover:text-gray-700"
+                      title="Mark as new"
+                    >
+                      <ArrowUturnLeftIcon className="h-5 w-5" />
+                    </button>
+                  )}
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {voicemails.length === 0 && (
+        <div className="text-center py-12">
+          <InboxIcon className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No voicemails</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            {statusFilter === 'new' ? 'You have no new voicemails.' : 'No voicemails found.'}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -28,7 +28,9 @@ const WEBHOOK_EVENTS = [
   { value: 'appointment.scheduled', label: 'Appointment Scheduled', description: 'When an appointment is booked' },
   { value: 'appointment.cancelled', label: 'Appointment Cancelled', description: 'When an appointment is cancelled' },
   { value: 'lead.updated', label: 'Lead Updated', description: 'When a lead status changes' },
-  { value: 'agent.status_changed', label: 'Agent Status Changed', description: 'When an agent goes online/offline' }
+  { value: 'agent.status_changed', label: 'Agent Status Changed', description: 'When an agent goes online/offline' },
+  { value: 'usage.threshold_reached', label: 'Usage Threshold Reached', description: 'When monthly minutes reach the warning threshold or the limit' },
+  { value: 'voicemail.received', label: 'Voicemail Received', description: 'When a caller leaves a voicemail' }
 ];
 
 const ZAPIER_TEMPLATES = [
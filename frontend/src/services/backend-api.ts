@@ -0,0 +1,210 @@
+import { supabase } from '../lib/supabase';
+import type { CallerRule, CallerRuleDryRun, Campaign, ContactList, HolidaySet, IVRMenu, Schedule, ScheduleStatus, Voicemail } from '../lib/supabase';
+
+const API_URL = (import.meta.env.VITE_API_URL || '').replace(/\/+$/, '');
+
+export interface OutboundCallRequest {
+  leadId: string
+  agentId?: string
+  callerId?: string
+}
+
+export type CampaignAction = 'start' | 'pause' | 'resume' | 'stop'
+
+export interface OutboundCallResult {
+  callSid: string | null
+  error: string | null
+  violations?: string[]
+  warnings?: string[]
+}
+
+// Client for the call center backend's dashboard API, authenticated with the
+// user's Supabase access token
+export class BackendAPI {
+  private static async authHeaders(): Promise<Record<string, string>> {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {};
+  }
+
+  private static async request<T>(path: string, init: RequestInit = {}): Promise<{ data: T | null; error: string | null; violations?: string[] }> {
+    try {
+      const response = await fetch(`${API_URL}${path}`, {
+        ...init,
+        headers: {
+          'Content-Type': 'application/json',
+          ...await this.authHeaders(),
+          ...init.headers
+        }
+      });
+
+      const body = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        return { data: null, error: body.error || `Request failed with status ${response.status}`, violations: body.violations };
+      }
+
+      return { data: body as T, error: null };
+    } catch (error) {
+      console.error(`Error calling ${path}:`, error);
+      return { data: null, error: error instanceof Error ? error.message : 'Network error' };
+    }
+  }
+
+  // Place an outbound AI call to a campaign lead
+  static async placeOutboundCall(request: OutboundCallRequest): Promise<OutboundCallResult> {
+    const { data, error, violations } = await this.request<{ callSid: string; warnings?: string[] }>('/api/calls/outbound', {
+      method: 'POST',
+      body: JSON.stringify(request)
+    });
+
+    return {
+      callSid: data?.callSid || null,
+      error,
+      violations,
+      warnings: data?.warnings
+    };
+  }
+
+  // Download a call's WAV recording for playback
+  static async getCallRecording(callLogId: string): Promise<{ audio: Blob | null; error: string | null }> {
+    try {
+      const response = await fetch(`${API_URL}/api/calls/${callLogId}/recording`, {
+        headers: await this.authHeaders()
+      });
+
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        return { audio: null, error: body.error || `Request failed with status ${response.status}` };
+      }
+
+      return { audio: await response.blob(), error: null };
+    } catch (error) {
+      console.error('Error downloading call recording:', error);
+      return { audio: null, error: error instanceof Error ? error.message : 'Network error' };
+    }
+  }
+
+  // List voicemails, newest first
+  static async listVoicemails(options: { status?: Voicemail['status']; limit?: number; offset?: number } = {}): Promise<{ voicemails: Voicemail[]; error: string | null }> {
+    const params = new URLSearchParams();
+    if (options.status) params.set('status', options.status);
+    if (options.limit) params.set('limit', String(options.limit));
+    if (options.offset) params.set('offset', String(options.offset));
+
+    const query = params.toString();
+    const { data, error } = await this.request<{ voicemails: Voicemail[] }>(`/api/voicemails${query ? `?${query}` : ''}`);
+
+    return { voicemails: data?.voicemails || [], error };
+  }
+
+  // Download a voicemail's recording for playback
+  static async getVoicemailRecording(voicemailId: string): Promise<{ audio: Blob | null; error: string | null }> {
+    try {
+      const response = await fetch(`${API_URL}/api/voicemails/${voicemailId}/recording`, {
+        headers: await this.authHeaders()
+      });
+
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        return { audio: null, error: body.error || `Request failed with status ${response.status}` };
+      }
+
+      return { audio: await response.blob(), error: null };
+    } catch (error) {
+      console.error('Error downloading voicemail recording:', error);
+      return { audio: null, error: error instanceof Error ? error.message : 'Network error' };
+    }
+  }
+
+  // Mark a voicemail as handled, or back to new
+  static async setVoicemailStatus(voicemailId: string, status: Voicemail['status']): Promise<{ voicemail: Voicemail | null; error: string | null }> {
+    const { data, error } = await this.request<{ voicemail: Voicemail }>(`/api/voicemails/${voicemailId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status })
+    });
+
+    return { voicemail: data?.voicemail || null, error };
+  }
+
+  // Load the IVR flow: all menus with their options
+  static async getIvrFlow(): Promise<{ menus: IVRMenu[]; error: string | null }> {
+    const { data, error } = await this.request<{ menus: IVRMenu[] }>('/api/ivr');
+
+    return { menus: data?.menus || [], error };
+  }
+
+  // Replace the IVR flow. The backend rejects flows with broken, unreachable
+  // or looping menus and lists the problems in violations.
+  static async saveIvrFlow(menus: IVRMenu[]): Promise<{ menus: IVRMenu[] | null; error: string | null; violations?: string[] }> {
+    const { data, error, violations } = await this.request<{ menus: IVRMenu[] }>('/api/ivr', {
+      method: 'PUT',
+      body: JSON.stringify({ menus })
+    });
+
+    return { menus: data?.menus || null, error, violations };
+  }
+
+  // Load the schedules, each with whether it's open now, and the holiday sets
+  static async getSchedules(): Promise<{ schedules: Schedule[]; holidaySets: HolidaySet[]; error: string | null }> {
+    const { data, error } = await this.request<{ schedules: Schedule[]; holidaySets: HolidaySet[] }>('/api/schedules');
+
+    return { schedules: data?.schedules || [], holidaySets: data?.holidaySets || [], error };
+  }
+
+  // Whether each saved schedule is open at the given time
+  static async getScheduleStatus(at: string): Promise<{ statuses: (ScheduleStatus & { id: string })[]; error: string | null }> {
+    const { data, error } = await this.request<{ schedules: Schedule[] }>(`/api/schedules/status?at=${encodeURIComponent(at)}`);
+
+    return {
+      statuses: (data?.schedules || []).map(schedule => ({ id: schedule.id, ...schedule.status as ScheduleStatus })),
+      error
+    };
+  }
+
+  // Replace the schedules and holiday sets; invalid ones are listed in violations
+  static async saveSchedules(schedules: Schedule[], holidaySets: HolidaySet[]): Promise<{ schedules: Schedule[] | null; holidaySets: HolidaySet[] | null; error: string | null; violations?: string[] }> {
+    const { data, error, violations } = await this.request<{ schedules: Schedule[]; holidaySets: HolidaySet[] }>('/api/schedules', {
+      method: 'PUT',
+      body: JSON.stringify({ schedules, holidaySets })
+    });
+
+    return { schedules: data?.schedules || null, holidaySets: data?.holidaySets || null, error, violations };
+  }
+
+  // Load the caller rules, in the order they're checked, and the contact lists
+  static async getCallerRules(): Promise<{ rules: CallerRule[]; contactLists: ContactList[]; error: string | null }> {
+    const { data, error } = await this.request<{ rules: CallerRule[]; contactLists: ContactList[] }>('/api/caller-rules');
+
+    return { rules: data?.rules || [], contactLists: data?.contactLists || [], error };
+  }
+
+  // Replace the caller rules and contact lists; invalid ones are listed in violations
+  static async saveCallerRules(rules: CallerRule[], contactLists: ContactList[]): Promise<{ rules: CallerRule[] | null; contactLists: ContactList[] | null; error: string | null; violations?: string[] }> {
+    const { data, error, violations } = await this.request<{ rules: CallerRule[]; contactLists: ContactList[] }>('/api/caller-rules', {
+      method: 'PUT',
+      body: JSON.stringify({ rules, contactLists })
+    });
+
+    return { rules: data?.rules || null, contactLists: data?.contactLists || null, error, violations };
+  }
+
+  // Which saved rule a call from the number would match, with every rule checked
+  static async dryRunCallerRules(from: string, at?: string): Promise<{ result: CallerRuleDryRun | null; error: string | null }> {
+    const { data, error } = await this.request<CallerRuleDryRun>('/api/caller-rules/dry-run', {
+      method: 'POST',
+      body: JSON.stringify({ from, at })
+    });
+
+    return { result: data, error };
+  }
+
+  // Start, pause, resume or stop a campaign's server-side dialer. Stopping
+  // also hangs up the campaign's calls in progress.
+  static async controlCampaign(campaignId: string, action: CampaignAction): Promise<{ campaign: Campaign | null; error: string | null }> {
+    const { data, error } = await this.request<{ campaign: Campaign }>(`/api/campaigns/${campaignId}/${action}`, {
+      method: 'POST'
+    });
+
+    return { campaign: data?.campaign || null, error };
+  }
+}
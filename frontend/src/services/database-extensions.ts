@@ -384,6 +384,10 @@ class ExtendedDatabaseService {
       timeout_seconds: 10,
       max_attempts: 3,
       is_active: true,
+      is_entry: true,
+      input_type: 'dtmf',
+      max_digits: 1,
+      collect_variable: null,
       created_at: '2023-01-01T00:00:00Z',
       updated_at: '2023-01-01T00:00:00Z',
       ivr_options: [
@@ -394,6 +398,9 @@ class ExtendedDatabaseService {
           description: 'Sales',
           agent_id: 'demo-agent-1',
           action_type: 'agent',
+          speech_phrases: null,
+          match_any: false,
+          next_menu_id: null,
           created_at: '2023-01-01T00:00:00Z',
           updated_at: '2023-01-01T00:00:00Z'
         },
@@ -404,6 +411,9 @@ class ExtendedDatabaseService {
           description: 'Support',
           agent_id: 'demo-agent-2',
           action_type: 'agent',
+          speech_phrases: null,
+          match_any: false,
+          next_menu_id: null,
           created_at: '2023-01-01T00:00:00Z',
           updated_at: '2023-01-01T00:00:00Z'
         },
@@ -414,6 +424,9 @@ class ExtendedDatabaseService {
           description: 'General Inquiries',
           agent_id: 'demo-agent-3',
           action_type: 'agent',
+          speech_phrases: null,
+          match_any: false,
+          next_menu_id: null,
           created_at: '2023-01-01T00:00:00Z',
           updated_at: '2023-01-01T00:00:00Z'
         }
@@ -14,6 +14,7 @@ import type {
   AIAgent,
   Appointment,
   ActiveCall,
+  CustomFunction,
   // FunctionCallLog
 } from '../lib/supabase';
 
@@ -1529,6 +1530,86 @@ export class DatabaseService {
     return true;
   }
 
+  // Custom function (tenant HTTP tool) operations
+  static async getCustomFunctions(profileId: string): Promise<CustomFunction[]> {
+    if (this.isDemoMode()) {
+      return [];
+    }
+
+    const { data, error } = await supabase
+      .from('custom_functions')
+      .select('*')
+      .eq('profile_id', profileId)
+      .order('name');
+
+    if (error) {
+      console.error('Error fetching custom functions:', error);
+      return [];
+    }
+
+    return data || [];
+  }
+
+  static async createCustomFunction(customFunction: Omit<CustomFunction, 'id' | 'created_at' | 'updated_at'>): Promise<CustomFunction> {
+    if (this.isDemoMode()) {
+      throw new Error('Custom functions not available in demo mode');
+    }
+
+    const { data, error } = await supabase
+      .from('custom_functions')
+      .insert(customFunction)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating custom function:', error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  static async updateCustomFunction(id: string, updates: Partial<CustomFunction>): Promise<CustomFunction> {
+    if (this.isDemoMode()) {
+      throw new Error('Custom functions not available in demo mode');
+    }
+
+    const { data, error } = await supabase
+      .from('custom_functions')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error updating custom function:', error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  static async deleteCustomFunction(id: string): Promise<boolean> {
+    if (this.isDemoMode()) {
+      throw new Error('Custom functions not available in demo mode');
+    }
+
+    const { error } = await supabase
+      .from('custom_functions')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      console.error('Error deleting custom function:', error);
+      throw error;
+    }
+
+    return true;
+  }
+
   // Function call logging methods
   static async logFunctionCall(log: {
     profile_id?: string
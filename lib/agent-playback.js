@@ -0,0 +1,108 @@
+// Agent audio playback
+// Sends the agent's μ-law audio to Twilio followed by a mark per chunk. Twilio
+// echoes each mark once the audio before it has been played, so the echoed
+// marks tell how much of the agent's speech the caller actually heard. When
+// the caller talks over the agent, interrupt() clears Twilio's buffer and
+// returns the part of the agent's turn that was heard, for the transcript.
+
+// μ-law at 8kHz: one byte per sample
+const MULAW_BYTES_PER_MS = 8;
+
+export class AgentPlayback {
+  constructor(socket) {
+    this.socket = socket;
+    this.markCount = 0;
+    // Milliseconds of agent audio sent and played since the stream started
+    this.sentMs = 0;
+    this.playedMs = 0;
+    // Mark name -> sentMs at the end of the chunk it follows
+    this.pendingMarks = new Map();
+    // Output transcription of the current turn, with how much audio had been sent when it arrived
+    this.turnText = [];
+    this.turnComplete = false;
+    this.interrupted = false;
+  }
+
+  // Send one chunk of base64 μ-law audio
+  send(payload) {
+    if (!this.socket.twilioStreamSid) {
+      return;
+    }
+
+    // Audio after a completed or interrupted turn starts a new one
+    if (this.turnComplete || this.interrupted) {
+      this.turnText = [];
+      this.turnComplete = false;
+      this.interrupted = false;
+    }
+
+    this.sentMs += Buffer.byteLength(payload, 'base64') / MULAW_BYTES_PER_MS;
+
+    const name = `agent-${++this.markCount}`;
+    this.pendingMarks.set(name, this.sentMs);
+
+    this.socket.sendMedia({ streamSid: this.socket.twilioStreamSid, media: { payload } });
+    this.socket.sendMark({ streamSid: this.socket.twilioStreamSid, mark: { name } });
+  }
+
+  // Twilio played everything up to this mark
+  onMark(name) {
+    const sentMs = this.pendingMarks.get(name);
+
+    if (sentMs === undefined) {
+      return;
+    }
+
+    this.pendingMarks.delete(name);
+    this.playedMs = Math.max(this.playedMs, sentMs);
+  }
+
+  // Output transcription of the agent; dropped once the turn was interrupted
+  // since the caller never hears it. Returns whether the text belongs to the transcript.
+  addTranscript(text) {
+    if (this.interrupted) {
+      return false;
+    }
+
+    this.turnText.push({ text, sentMs: this.sentMs });
+    return true;
+  }
+
+  completeTurn() {
+    this.turnComplete = true;
+  }
+
+  isPlaying() {
+    return this.pendingMarks.size > 0;
+  }
+
+  // The caller barged in: stop playback and report what of the turn was heard
+  interrupt() {
+    const wasPlaying = this.isPlaying();
+
+    if (this.socket.twilioStreamSid) {
+      this.socket.sendClear({ streamSid: this.socket.twilioStreamSid });
+    }
+
+    // Marks Twilio echoes for the cleared audio must not count as played
+    this.pendingMarks.clear();
+    this.interrupted = true;
+
+    if (!wasPlaying) {
+      return null;
+    }
+
+    // null when the turn had no transcription to cut
+    const heardText = this.turnText.length === 0 ? null : this.turnText
+      .filter(chunk => chunk.sentMs <= this.playedMs)
+      .map(chunk => chunk.text)
+      .join('');
+
+    const unplayedMs = Math.round(this.sentMs - this.playedMs);
+
+    // Audio that was cleared never reaches the caller
+    this.sentMs = this.playedMs;
+
+    return { heardText, unplayedMs };
+  }
+}
@@ -0,0 +1,122 @@
+// AI receptionist routing
+// With the 'ai_router' routing strategy a receptionist agent answers the call,
+// works out what the caller needs and calls route_to_agent. The call is then
+// handed to the chosen specialist on the same media stream: the receptionist's
+// Gemini session is replaced by one for the specialist, whose instructions
+// carry the caller's name and reason for calling. The receptionist is the
+// tenant's router agent (profiles.router_agent_id) or a built-in one.
+
+import { isAgentOnDuty } from './schedules.js';
+
+export const ROUTE_FUNCTION_NAME = 'route_to_agent';
+
+// How long a handoff waits for the receptionist to finish speaking
+const HANDOFF_PLAYBACK_WAIT_MS = 8000;
+
+const DEFAULT_RECEPTIONIST_INSTRUCTION = 'You are a friendly, efficient receptionist. Greet the caller warmly, ' +
+  'ask for their name and what they are calling about, and find out which specialist can help them. ' +
+  'Keep the conversation short and do not try to solve the caller\'s problem yourself.';
+
+// The agent answering ai_router calls, marked with is_router
+export function getReceptionistAgent(clientConfig) {
+  const routerAgent = clientConfig.agents?.find(agent => agent.id === clientConfig.routerAgentId);
+
+  if (routerAgent) {
+    return { ...routerAgent, is_router: true };
+  }
+
+  return {
+    id: null,
+    name: 'Receptionist',
+    agent_type: 'router',
+    language_code: clientConfig.agents?.[0]?.language_code || 'en-US',
+    enabled_functions: [],
+    function_settings: {},
+    is_router: true
+  };
+}
+
+// Agents the receptionist can hand calls to: the others on duty
+export function getSpecialistAgents(clientConfig) {
+  return (clientConfig.agents || []).filter(agent =>
+    agent.id !== clientConfig.routerAgentId && isAgentOnDuty(agent, clientConfig));
+}
+
+export function buildRouteFunctionDeclaration(specialists) {
+  return {
+    name: ROUTE_FUNCTION_NAME,
+    description: 'Hand the call over to the specialist agent who can help the caller. ' +
+      'Tell the caller you are connecting them before calling this.',
+    parameters: {
+      type: 'object',
+      properties: {
+        agent_id: {
+          type: 'string',
+          enum: specialists.map(agent => agent.id),
+          description: 'ID of the specialist, from the SPECIALISTS list'
+        },
+        caller_name: { type: 'string', description: 'The caller\'s name, if they gave it' },
+        reason: { type: 'string', description: 'What the caller needs help with, in one or two sentences' }
+      },
+      required: ['agent_id', 'reason']
+    }
+  };
+}
+
+// System instruction of the receptionist: its own (or the default) followed by
+// the specialists it routes to
+export function buildReceptionistInstruction(receptionist, clientConfig) {
+  const lines = [
+    receptionist.system_instruction || DEFAULT_RECEPTIONIST_INSTRUCTION,
+    '',
+    'ROUTING',
+    `You answer calls for ${clientConfig.clientName || 'the business'}. Once you know who should help the caller, ` +
+      `tell them you are connecting them and call ${ROUTE_FUNCTION_NAME} with the specialist's ID, the caller's name ` +
+      'and the reason for the call. If no specialist is an exact fit, choose the closest one.',
+    '',
+    'SPECIALISTS'
+  ];
+
+  for (const agent of getSpecialistAgents(clientConfig)) {
+    const details = [agent.agent_type, agent.description].filter(Boolean).join(': ');
+    lines.push(`- ${agent.id}: ${agent.name}${details ? ` (${details})` : ''}`);
+  }
+
+  return lines.join('\n');
+}
+
+// System instruction section telling the specialist about the handoff
+export function buildHandoffContext(callSession) {
+  const handoff = callSession?.handoff;
+
+  if (!handoff) {
+    return '';
+  }
+
+  const lines = [
+    'CALL HANDOFF',
+    `Our receptionist has just handed this caller over to you. Greet them${handoff.callerName ? ' by name' : ''}, ` +
+      'say that you can help with their request and continue from it without asking them to repeat themselves.'
+  ];
+
+  if (handoff.callerName) lines.push(`Caller name: ${handoff.callerName}`);
+  if (handoff.reason) lines.push(`Reason for the call: ${handoff.reason}`);
+
+  return lines.join('\n');
+}
+
+// Resolve once the agent's queued audio has been played (or after the wait limit)
+export function waitForPlayback(playback, timeoutMs = HANDOFF_PLAYBACK_WAIT_MS) {
+  const deadline = Date.now() + timeoutMs;
+
+  return new Promise(resolve => {
+    const check = () => {
+      if (!playback.isPlaying() || Date.now() >= deadline) {
+        resolve();
+        return;
+      }
+      setTimeout(check, 100);
+    };
+    check();
+  });
+}
@@ -0,0 +1,30 @@
+// Dashboard API authentication
+// Verifies the Supabase access token the dashboard sends as
+// "Authorization: Bearer <token>" and exposes the tenant as req.profileId.
+
+import { supabase } from '../database/supabase-service.js';
+
+// Express middleware rejecting requests without a valid Supabase session
+export async function requireUser(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+  if (!token) {
+    return res.status(401).json({ error: 'Missing access token' });
+  }
+
+  try {
+    const { data, error } = await supabase.auth.getUser(token);
+
+    if (error || !data?.user) {
+      return res.status(401).json({ error: 'Invalid access token' });
+    }
+
+    req.user = data.user;
+    req.profileId = data.user.id;
+    next();
+  } catch (error) {
+    console.error('❌ Error verifying access token:', error);
+    res.status(401).json({ error: 'Invalid access token' });
+  }
+}
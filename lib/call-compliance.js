@@ -0,0 +1,91 @@
+// Outbound call compliance
+// Checks run before any outbound call is placed: the lead's own do-not-call
+// flag, the tenant's DNC list, TCPA consent, local calling hours and a daily
+// frequency cap. Checks that cannot be completed count as violations.
+// Violations that go away with time (calling hours, frequency, failed checks)
+// are reported as retryable so the dialer can try the lead again later.
+//
+// Campaigns can tune them with compliance_settings:
+//   { require_consent: true, calling_hours_start: 8, calling_hours_end: 21, max_calls_per_day: 3 }
+
+import { isOnDncList, getTcpaConsent, countCallsToNumberSince } from '../database/supabase-service.js';
+
+const DEFAULT_COMPLIANCE_SETTINGS = {
+  require_consent: true,
+  calling_hours_start: 8,
+  calling_hours_end: 21,
+  max_calls_per_day: 3
+};
+
+// Hour of day (0-23) in a timezone, or null for an unknown timezone
+function getLocalHour(timezone, now = new Date()) {
+  try {
+    const hour = new Intl.DateTimeFormat('en-US', { timeZone: timezone, hour: 'numeric', hourCycle: 'h23' }).format(now);
+    return parseInt(hour, 10);
+  } catch {
+    return null;
+  }
+}
+
+// Check whether a lead may be called now
+export async function checkOutboundCompliance({ profileId, lead, campaign }) {
+  const settings = { ...DEFAULT_COMPLIANCE_SETTINGS, ...campaign?.compliance_settings };
+  const phoneNumber = lead.phone_number;
+  const violations = [];
+  const warnings = [];
+  let retryable = true;
+
+  if (lead.do_not_call) {
+    violations.push('Lead is marked do not call');
+    retryable = false;
+  }
+
+  const onDncList = await isOnDncList(profileId, phoneNumber);
+  if (onDncList === null) {
+    violations.push('Could not check the Do Not Call list');
+  } else if (onDncList) {
+    violations.push('Phone number is on Do Not Call list');
+    retryable = false;
+  }
+
+  if (settings.require_consent) {
+    const consent = await getTcpaConsent(profileId, phoneNumber);
+
+    if (!consent) {
+      violations.push('TCPA consent required: No consent record found');
+      retryable = false;
+    } else if (consent.expires_at && new Date(consent.expires_at) < new Date()) {
+      violations.push('TCPA consent required: Consent has expired');
+      retryable = false;
+    } else if (consent.expires_at) {
+      const daysUntilExpiry = Math.ceil((new Date(consent.expires_at).getTime() - Date.now()) / (1000 * 60 * 60 * 24));
+      if (daysUntilExpiry <= 30) {
+        warnings.push(`TCPA consent expires in ${daysUntilExpiry} days`);
+      }
+    }
+  }
+
+  const timezone = lead.timezone || campaign?.timezone || 'America/New_York';
+  const localHour = getLocalHour(timezone);
+  if (localHour === null) {
+    violations.push(`Unknown timezone: ${timezone}`);
+    retryable = false;
+  } else if (localHour < settings.calling_hours_start || localHour >= settings.calling_hours_end) {
+    violations.push(`Outside allowed calling hours (${settings.calling_hours_start}:00 - ${settings.calling_hours_end}:00 local time)`);
+  }
+
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const recentCalls = await countCallsToNumberSince(profileId, phoneNumber, since);
+  if (recentCalls === null) {
+    violations.push('Could not check call frequency');
+  } else if (recentCalls >= settings.max_calls_per_day) {
+    violations.push(`Frequency limit exceeded (${recentCalls} calls in last 24 hours)`);
+  }
+
+  return {
+    compliant: violations.length === 0,
+    violations,
+    warnings,
+    retryable: violations.length > 0 && retryable
+  };
+}
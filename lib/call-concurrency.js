@@ -0,0 +1,184 @@
+// Call concurrency limits
+// Tracks live AI calls per tenant (profiles.max_concurrent_calls) and per agent
+// (ai_agents.max_concurrent_calls). A call takes a slot before its media stream
+// TwiML is returned, the server handling the stream keeps the slot alive, and
+// the slot is freed when the stream closes or Twilio reports the call ended.
+// Slots that are not kept alive expire, so a crashed process can't leak them.
+//
+// Slots live in Supabase (call_slots) so every server process sees the same
+// counts. Set CALL_CONCURRENCY_STORE=memory for a single-process setup.
+
+import twilio from 'twilio';
+import { acquireCallSlot, refreshCallSlot, releaseCallSlot } from '../database/supabase-service.js';
+
+// How long a slot lives without being refreshed
+const CALL_SLOT_TTL_SECONDS = parseInt(process.env.CALL_SLOT_TTL_SECONDS || '120', 10);
+
+const DEFAULT_AGENT_LIMIT = 5;
+
+const DEFAULT_HOLD_MUSIC_URL = 'http://com.twilio.music.classical.s3.amazonaws.com/BusyStrings.mp3';
+
+const DEFAULT_BUSY_MESSAGE = 'All of our assistants are busy right now. Please call back in a few minutes. Goodbye.';
+
+// Slots shared by all server processes through Supabase
+export class SupabaseConcurrencyStore {
+  acquire(request) {
+    return acquireCallSlot(request);
+  }
+
+  refresh(callSid, ttlSeconds) {
+    return refreshCallSlot(callSid, ttlSeconds);
+  }
+
+  release(callSid) {
+    return releaseCallSlot(callSid);
+  }
+}
+
+// Slots held in this process only
+export class MemoryConcurrencyStore {
+  constructor() {
+    this.slots = new Map();
+  }
+
+  async acquire({ callSid, profileId, agentId, profileLimit, agentLimit, ttlSeconds, queue = false }) {
+    const now = Date.now();
+
+    for (const [sid, slot] of this.slots) {
+      if (slot.expiresAt < now) {
+        this.slots.delete(sid);
+      }
+    }
+
+    const own = this.slots.get(callSid);
+    const others = [...this.slots.entries()].filter(([sid]) => sid !== callSid).map(([, slot]) => slot);
+    const profileActive = others.filter(slot => slot.profileId === profileId && slot.state === 'active').length;
+    const agentActive = others.filter(slot => slot.agentId === agentId && slot.state === 'active').length;
+    const queuedAt = own?.queuedAt ?? now;
+    // Every waiting call is ahead of a new one; ties are broken by call SID
+    const isAhead = (slot) => !own || slot.queuedAt < own.queuedAt || (slot.queuedAt === own.queuedAt && slot.callSid < callSid);
+    const waitingAhead = others.filter(slot => slot.profileId === profileId && slot.state === 'waiting' && isAhead(slot)).length;
+
+    let result = 'acquired';
+    if (profileActive + waitingAhead >= profileLimit) {
+      result = 'profile_limit';
+    } else if (agentId && agentActive >= agentLimit) {
+      result = 'agent_limit';
+    }
+
+    const expiresAt = now + ttlSeconds * 1000;
+    if (result === 'acquired') {
+      this.slots.set(callSid, { callSid, profileId, agentId, state: 'active', queuedAt, expiresAt });
+    } else if (queue) {
+      this.slots.set(callSid, { callSid, profileId, agentId, state: own?.state || 'waiting', queuedAt, expiresAt });
+    }
+
+    return result;
+  }
+
+  async refresh(callSid, ttlSeconds) {
+    const slot = this.slots.get(callSid);
+    if (slot) {
+      slot.expiresAt = Date.now() + ttlSeconds * 1000;
+    }
+    return true;
+  }
+
+  async release(callSid) {
+    this.slots.delete(callSid);
+    return true;
+  }
+}
+
+export function createConcurrencyStore(type = process.env.CALL_CONCURRENCY_STORE || 'supabase') {
+  if (type === 'memory') {
+    return new MemoryConcurrencyStore();
+  }
+  if (type !== 'supabase') {
+    console.warn(`⚠️ Unknown CALL_CONCURRENCY_STORE "${type}", using supabase`);
+  }
+  return new SupabaseConcurrencyStore();
+}
+
+export class CallConcurrencyTracker {
+  constructor(store = createConcurrencyStore(), { ttlSeconds = CALL_SLOT_TTL_SECONDS } = {}) {
+    this.store = store;
+    this.ttlSeconds = ttlSeconds;
+    this.refreshTimers = new Map();
+  }
+
+  // Take a slot for a call to an agent: 'acquired', 'profile_limit' or 'agent_limit'.
+  // Queued calls stay in line for waitSeconds. When the store can't be
+  // reached the call is let through rather than turned away.
+  async acquire({ callSid, clientConfig, agent, queue = false, waitSeconds = 0 }) {
+    const result = await this.store.acquire({
+      callSid,
+      profileId: clientConfig.clientId,
+      agentId: agent?.id,
+      profileLimit: clientConfig.maxConcurrentCalls || 5,
+      agentLimit: agent?.max_concurrent_calls || DEFAULT_AGENT_LIMIT,
+      ttlSeconds: queue ? Math.max(this.ttlSeconds, waitSeconds) : this.ttlSeconds,
+      queue
+    });
+
+    if (!result) {
+      console.warn('⚠️ Concurrency check failed, allowing call:', callSid);
+      return 'acquired';
+    }
+
+    return result;
+  }
+
+  // Keep the slot of a call with a live media stream from expiring
+  track(callSid) {
+    if (!callSid || this.refreshTimers.has(callSid)) {
+      return;
+    }
+
+    const timer = setInterval(() => {
+      this.store.refresh(callSid, this.ttlSeconds);
+    }, (this.ttlSeconds * 1000) / 3);
+    timer.unref?.();
+
+    this.refreshTimers.set(callSid, timer);
+    this.store.refresh(callSid, this.ttlSeconds);
+  }
+
+  async release(callSid) {
+    if (!callSid) {
+      return;
+    }
+
+    clearInterval(this.refreshTimers.get(callSid));
+    this.refreshTimers.delete(callSid);
+    await this.store.release(callSid);
+  }
+}
+
+// Told to callers turned away because every assistant is busy
+export function buildBusyTwiml(overflow, agent) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.say({ voice: 'alice', language: agent?.language_code || 'en-US' }, overflow?.message || DEFAULT_BUSY_MESSAGE);
+  twiml.hangup();
+  return twiml;
+}
+
+// Hold music, then back to /webhook/overflow-queue to try for a slot again
+export function buildQueueTwiml(overflow, agent, { baseUrl, callSid, queuedAt }) {
+  const twiml = new twilio.twiml.VoiceResponse();
+
+  // Only announce the wait when the caller joins the queue
+  if (!queuedAt) {
+    twiml.say({ voice: 'alice', language: agent?.language_code || 'en-US' },
+      'All of our assistants are busy right now. Please stay on the line and you will be connected shortly.');
+  }
+
+  twiml.play(overflow?.holdMusicUrl || DEFAULT_HOLD_MUSIC_URL);
+
+  const retryUrl = new URL('/webhook/overflow-queue', baseUrl);
+  retryUrl.searchParams.set('callSid', callSid);
+  retryUrl.searchParams.set('queuedAt', String(queuedAt || Date.now()));
+  twiml.redirect({ method: 'POST' }, retryUrl.toString());
+
+  return twiml;
+}
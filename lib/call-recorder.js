@@ -0,0 +1,177 @@
+// Call recorder
+// Writes a stereo 16-bit WAV of a live call: the caller on the left channel,
+// the agent on the right. Caller frames arrive in real time and set the call's
+// clock; the agent's audio arrives in bursts faster than real time, so each
+// chunk is placed where Twilio will play it, after the agent audio before it.
+// Samples behind the caller's position can no longer change and are appended
+// to a temp file as the call goes on, so long calls don't build up in memory.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+const SAMPLE_RATE = 8000;
+const CHANNELS = 2;
+const BYTES_PER_SAMPLE = 2;
+const WAV_HEADER_BYTES = 44;
+
+// Flush to the temp file once this much settled audio is buffered
+const FLUSH_SAMPLES = SAMPLE_RATE * 5;
+
+function buildWavHeader(sampleFrames) {
+  const dataBytes = sampleFrames * CHANNELS * BYTES_PER_SAMPLE;
+  const header = Buffer.alloc(WAV_HEADER_BYTES);
+
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(CHANNELS, 22);
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE * CHANNELS * BYTES_PER_SAMPLE, 28);
+  header.writeUInt16LE(CHANNELS * BYTES_PER_SAMPLE, 32);
+  header.writeUInt16LE(BYTES_PER_SAMPLE * 8, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataBytes, 40);
+
+  return header;
+}
+
+export class CallRecorder {
+  constructor() {
+    this.filePath = path.join(os.tmpdir(), `call-recording-${crypto.randomUUID()}.wav`);
+    this.fd = fs.openSync(this.filePath, 'w');
+    fs.writeSync(this.fd, buildWavHeader(0));
+
+    // Sample frames already written to the file
+    this.flushed = 0;
+    // Caller position (the call's clock) and the end of the agent's queued audio, in sample frames
+    this.callerEnd = 0;
+    this.agentEnd = 0;
+    // Unflushed samples of each channel, starting at this.flushed
+    this.caller = new Int16Array(FLUSH_SAMPLES * 2);
+    this.agent = new Int16Array(FLUSH_SAMPLES * 2);
+    this.finished = false;
+  }
+
+  // Grow both channel buffers to hold samples up to the given position
+  reserve(end) {
+    const needed = end - this.flushed;
+
+    if (needed <= this.caller.length) {
+      return;
+    }
+
+    const size = Math.max(needed, this.caller.length * 2);
+    for (const channel of ['caller', 'agent']) {
+      const grown = new Int16Array(size);
+      grown.set(this[channel]);
+      this[channel] = grown;
+    }
+  }
+
+  // PCM 8kHz from the caller
+  writeCaller(samples) {
+    if (this.finished) {
+      return;
+    }
+
+    this.reserve(this.callerEnd + samples.length);
+    this.caller.set(samples, this.callerEnd - this.flushed);
+    this.callerEnd += samples.length;
+
+    if (this.callerEnd - this.flushed >= FLUSH_SAMPLES) {
+      this.flush(this.callerEnd);
+    }
+  }
+
+  // PCM 8kHz sent to Twilio for the agent; plays after the agent's queued audio
+  writeAgent(samples) {
+    if (this.finished) {
+      return;
+    }
+
+    const start = Math.max(this.agentEnd, this.callerEnd);
+    this.reserve(start + samples.length);
+    this.agent.set(samples, start - this.flushed);
+    this.agentEnd = start + samples.length;
+  }
+
+  // Twilio dropped the agent audio it hadn't played yet (barge-in)
+  clearAgent() {
+    if (this.agentEnd > this.callerEnd) {
+      this.agent.fill(0, this.callerEnd - this.flushed, this.agentEnd - this.flushed);
+      this.agentEnd = this.callerEnd;
+    }
+  }
+
+  // Interleave and write the samples before the given position
+  flush(end) {
+    const frames = end - this.flushed;
+
+    if (frames <= 0) {
+      return;
+    }
+
+    const interleaved = new Int16Array(frames * CHANNELS);
+    for (let i = 0; i < frames; i++) {
+      interleaved[i * 2] = this.caller[i];
+      interleaved[i * 2 + 1] = this.agent[i];
+    }
+
+    fs.writeSync(this.fd, Buffer.from(interleaved.buffer));
+
+    // Keep the unflushed tail at the start of the buffers
+    this.caller.copyWithin(0, frames);
+    this.agent.copyWithin(0, frames);
+    this.caller.fill(0, this.caller.length - frames);
+    this.agent.fill(0, this.agent.length - frames);
+    this.flushed = end;
+  }
+
+  // Close the WAV at the end of the call; returns its temp file and duration,
+  // or null when nothing was recorded. Agent audio never played is left out.
+  finish() {
+    if (this.finished) {
+      return null;
+    }
+
+    this.finished = true;
+
+    try {
+      this.flush(this.callerEnd);
+      fs.writeSync(this.fd, buildWavHeader(this.flushed), 0, WAV_HEADER_BYTES, 0);
+      fs.closeSync(this.fd);
+    } catch (error) {
+      console.error('Error finishing call recording:', error);
+      this.discard();
+      return null;
+    }
+
+    if (this.flushed === 0) {
+      this.discard();
+      return null;
+    }
+
+    return {
+      filePath: this.filePath,
+      durationSeconds: Math.round(this.flushed / SAMPLE_RATE)
+    };
+  }
+
+  // Drop the recording, e.g. when it can't be stored
+  discard() {
+    this.finished = true;
+
+    try {
+      fs.closeSync(this.fd);
+    } catch {
+      // Already closed
+    }
+
+    fs.rm(this.filePath, { force: true }, () => {});
+  }
+}
@@ -0,0 +1,147 @@
+// Call status callbacks
+// Twilio reports each call's progress to /webhook/status. Its final report
+// carries the authoritative duration, which replaces the media stream's
+// wall-clock duration on the call log and in the tenant's minute billing. It
+// also covers calls that ended before a stream connected (busy, no-answer,
+// canceled), which otherwise wouldn't get a call log at all. Each report sends
+// the matching call.* webhook event.
+
+import {
+  getCallLogByCallSid,
+  getCampaignLead,
+  getMinuteUsage,
+  recordCallDuration,
+  updateCallLog,
+  upsertCallLog
+} from '../database/supabase-service.js';
+import { finishCampaignLeadCall } from './campaign-dialer.js';
+import { checkUsageThresholds } from './minute-quota.js';
+import { FINAL_CALL_STATUSES } from './twilio-client.js';
+import { getWebhookService } from './webhooks.js';
+
+const CALL_LOG_STATUS_BY_CALL_STATUS = {
+  completed: 'completed',
+  busy: 'failed',
+  'no-answer': 'failed',
+  failed: 'failed',
+  canceled: 'abandoned'
+};
+
+// Fields a call log created from the callback alone starts with
+function buildCallLogFields(params, callSession, clientConfig) {
+  return {
+    call_sid: params.CallSid,
+    profile_id: clientConfig.clientId,
+    agent_id: callSession?.selectedAgent?.id || null,
+    campaign_id: callSession?.campaignId || null,
+    lead_id: callSession?.lead?.id || null,
+    phone_number_from: callSession?.fromNumber || params.From,
+    phone_number_to: callSession?.toNumber || params.To,
+    direction: callSession?.callType || (params.Direction === 'inbound' ? 'inbound' : 'outbound')
+  };
+}
+
+function parseTimestamp(value) {
+  const date = value ? new Date(value) : new Date();
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+}
+
+function buildEventData(callLog, params, timestamp) {
+  return {
+    call_id: callLog.id,
+    call_sid: params.CallSid,
+    phone_number_from: callLog.phone_number_from,
+    phone_number_to: callLog.phone_number_to,
+    agent_id: callLog.agent_id || undefined,
+    direction: callLog.direction,
+    status: params.CallStatus,
+    duration_seconds: callLog.duration_seconds ?? undefined,
+    outcome: callLog.outcome || undefined,
+    answered_by: params.AnsweredBy || undefined,
+    sip_response_code: parseInt(params.SipResponseCode, 10) || undefined,
+    timestamp: timestamp.toISOString()
+  };
+}
+
+// Answered: make sure the call has a log and send call.started
+async function handleCallAnswered(params, callSession, clientConfig, timestamp) {
+  await upsertCallLog({
+    ...buildCallLogFields(params, callSession, clientConfig),
+    status: 'in_progress',
+    started_at: timestamp.toISOString()
+  }, { ignoreDuplicates: true });
+
+  const callLog = await getCallLogByCallSid(params.CallSid);
+
+  if (callLog) {
+    await getWebhookService().processCallEvent('call.started',
+      buildEventData(callLog, params, timestamp), clientConfig.clientId, { logToDatabase: false });
+  }
+}
+
+// Over: record how it ended, bill Twilio's duration and send call.completed or call.failed
+async function handleCallEnded(params, callSession, clientConfig, timestamp) {
+  const callStatus = params.CallStatus;
+  const durationSeconds = parseInt(params.CallDuration, 10) || 0;
+  const existing = await getCallLogByCallSid(params.CallSid);
+
+  const updates = {
+    status: CALL_LOG_STATUS_BY_CALL_STATUS[callStatus],
+    ended_at: timestamp.toISOString()
+  };
+
+  if (params.AnsweredBy) {
+    updates.answered_by = params.AnsweredBy;
+  }
+  if (params.SipResponseCode) {
+    updates.sip_response_code = parseInt(params.SipResponseCode, 10);
+  }
+  if (callStatus !== 'completed' && !existing?.outcome) {
+    updates.outcome = callStatus.replace('-', '_');
+  }
+
+  const callLog = existing
+    ? await updateCallLog(existing.id, updates)
+    : await upsertCallLog({
+      ...buildCallLogFields(params, callSession, clientConfig),
+      started_at: new Date(timestamp.getTime() - durationSeconds * 1000).toISOString(),
+      ...updates
+    });
+
+  if (!callLog) {
+    return;
+  }
+
+  const billedMinutes = await recordCallDuration(callLog.id, durationSeconds, true);
+  console.log('⏱️ Call', params.CallSid, 'reconciled to', durationSeconds, 'seconds, minutes used changed by', billedMinutes);
+
+  if (billedMinutes > 0) {
+    const usage = await getMinuteUsage(clientConfig.clientId);
+    if (usage) {
+      await checkUsageThresholds(clientConfig.clientId, usage);
+    }
+  }
+
+  await getWebhookService().processCallEvent(callStatus === 'completed' ? 'call.completed' : 'call.failed',
+    buildEventData({ ...callLog, duration_seconds: durationSeconds }, params, timestamp),
+    clientConfig.clientId, { logToDatabase: false });
+
+  // Release the campaign lead now rather than when the dialer next checks its calls
+  if (callSession?.lead?.id) {
+    const lead = await getCampaignLead(callSession.lead.id);
+    if (lead?.leased_by && lead.call_sid === params.CallSid) {
+      await finishCampaignLeadCall(lead, callStatus);
+    }
+  }
+}
+
+// Process a status callback for a call of the given tenant
+export async function handleCallStatus(params, callSession, clientConfig) {
+  const timestamp = parseTimestamp(params.Timestamp);
+
+  if (params.CallStatus === 'in-progress') {
+    await handleCallAnswered(params, callSession, clientConfig, timestamp);
+  } else if (FINAL_CALL_STATUSES.includes(params.CallStatus)) {
+    await handleCallEnded(params, callSession, clientConfig, timestamp);
+  }
+}
@@ -0,0 +1,92 @@
+// Call transcript
+// Builds a timestamped, speaker-labelled transcript from the incremental
+// input (caller) and output (agent) transcriptions streamed by Gemini Live.
+
+export const SPEAKER_LABELS = {
+  caller: 'Caller',
+  agent: 'Agent'
+};
+
+export class CallTranscript {
+  constructor(startTime = new Date()) {
+    this.startTime = startTime;
+    this.segments = [];
+    this.dirty = false;
+  }
+
+  // Append transcribed text; consecutive chunks from the same speaker are
+  // merged into one segment until that speaker's turn is completed
+  append(speaker, text, at = new Date()) {
+    if (!text) {
+      return;
+    }
+
+    const last = this.segments[this.segments.length - 1];
+
+    if (last && last.speaker === speaker && !last.final) {
+      last.text += text;
+      last.ended_at = at.toISOString();
+    } else {
+      if (last) {
+        last.final = true;
+      }
+
+      this.segments.push({
+        speaker,
+        text,
+        started_at: at.toISOString(),
+        ended_at: at.toISOString(),
+        offset_ms: Math.max(0, at - this.startTime),
+        final: false
+      });
+    }
+
+    this.dirty = true;
+  }
+
+  // Close the current segment of a speaker (e.g. on Gemini's turnComplete)
+  completeTurn(speaker) {
+    const last = this.segments[this.segments.length - 1];
+
+    if (last && last.speaker === speaker && !last.final) {
+      last.final = true;
+      this.dirty = true;
+    }
+  }
+
+  // Replace the text of a speaker's latest segment with the part that was
+  // actually heard before the other party interrupted, and close it
+  truncateTurn(speaker, heardText) {
+    const segment = this.segments.findLast(item => item.speaker === speaker);
+
+    if (!segment) {
+      return;
+    }
+
+    segment.text = heardText;
+    segment.interrupted = true;
+    segment.final = true;
+    this.dirty = true;
+  }
+
+  // Structured segments with whitespace normalised, for call_logs.transcript_segments
+  toJSON() {
+    return this.segments
+      .map(segment => ({ ...segment, text: segment.text.replace(/\s+/g, ' ').trim() }))
+      .filter(segment => segment.text);
+  }
+
+  // Flat "[mm:ss] Speaker: text" rendering, for call_logs.transcript
+  toText() {
+    return this.toJSON()
+      .map(segment => `[${formatOffset(segment.offset_ms)}] ${SPEAKER_LABELS[segment.speaker] || segment.speaker}: ${segment.text}`)
+      .join('\n');
+  }
+}
+
+function formatOffset(offsetMs) {
+  const totalSeconds = Math.floor(offsetMs / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
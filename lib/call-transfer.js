@@ -0,0 +1,127 @@
+// Live transfer to a human
+// Declares the built-in transfer_to_human function and builds the TwiML used
+// to move a call off its media stream: a <Dial> to the agent's escalation
+// number with a whispered summary, falling back to voicemail or a callback
+// request when nobody answers.
+
+import twilio from 'twilio';
+import { recordVoicemail } from './voicemail.js';
+
+export const TRANSFER_FUNCTION_NAME = 'transfer_to_human';
+
+// How long the escalation number rings before the fallback kicks in
+const TRANSFER_DIAL_TIMEOUT_SECONDS = parseInt(process.env.TRANSFER_DIAL_TIMEOUT_SECONDS || '25', 10);
+
+// Longest summary whispered to the person answering
+const MAX_WHISPER_LENGTH = 500;
+
+export const TRANSFER_FUNCTION_DECLARATION = {
+  name: TRANSFER_FUNCTION_NAME,
+  description: 'Transfer the caller to a human team member. Use when the caller asks for a person or you cannot help them. Tell the caller you are transferring them before calling this.',
+  parameters: {
+    type: 'object',
+    properties: {
+      reason: { type: 'string', description: 'Why the call is being transferred' },
+      summary: { type: 'string', description: 'One or two sentence summary of the conversation for the person taking the call' }
+    },
+    required: ['reason']
+  }
+};
+
+// Whether the agent's escalation settings allow a transfer
+export function canTransfer(agent) {
+  if (!agent?.escalation_enabled) {
+    return false;
+  }
+
+  // Dialled escalations need a number; voicemail and callback don't
+  return isDialEscalation(agent) ? Boolean(agent.escalation_phone_number) : true;
+}
+
+function isDialEscalation(agent) {
+  return !agent.escalation_type || agent.escalation_type === 'human_agent' || agent.escalation_type === 'supervisor';
+}
+
+function sayOptions(agent) {
+  return { voice: 'alice', language: agent?.language_code || 'en-US' };
+}
+
+// TwiML replacing the media stream once the agent decides to transfer
+export function buildTransferTwiml(agent, { baseUrl, callLogId, summary, announcement }) {
+  if (!isDialEscalation(agent)) {
+    return buildTransferFallbackTwiml(agent, baseUrl, callLogId);
+  }
+
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.say(sayOptions(agent), announcement || 'Please hold while I transfer you to a member of our team.');
+
+  const statusUrl = new URL('/webhook/transfer-status', baseUrl);
+  statusUrl.searchParams.set('agentId', agent.id);
+  if (callLogId) {
+    statusUrl.searchParams.set('callLogId', callLogId);
+  }
+
+  const whisperUrl = new URL('/webhook/transfer-whisper', baseUrl);
+  whisperUrl.searchParams.set('summary', (summary || '').slice(0, MAX_WHISPER_LENGTH));
+
+  const dial = twiml.dial({
+    action: statusUrl.toString(),
+    method: 'POST',
+    timeout: TRANSFER_DIAL_TIMEOUT_SECONDS,
+    answerOnBridge: true
+  });
+  dial.number({ url: whisperUrl.toString(), method: 'POST' }, agent.escalation_phone_number);
+
+  return twiml;
+}
+
+// Played to the person answering the escalation number before the caller is connected
+export function buildWhisperTwiml(summary) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.say(summary
+    ? `Incoming transfer from the AI assistant. ${summary}`
+    : 'Incoming transfer from the AI assistant.');
+  return twiml;
+}
+
+// Voicemail or callback request, used when nobody takes the transfer or the
+// agent escalates without a number
+export function buildTransferFallbackTwiml(agent, baseUrl, callLogId) {
+  const twiml = new twilio.twiml.VoiceResponse();
+
+  if (agent?.escalation_type === 'callback') {
+    twiml.say(sayOptions(agent), 'Sorry, no one is available right now. A member of our team will call you back as soon as possible. Goodbye.');
+    twiml.hangup();
+    return twiml;
+  }
+
+  twiml.say(sayOptions(agent), 'Sorry, no one is available right now. Please leave a message after the tone.');
+  return recordVoicemail(twiml, baseUrl, { agentId: agent?.id, callLogId });
+}
+
+// Replaces the media stream when the AI agent can no longer take part in the
+// call: an apology, then a transfer when the agent can escalate, otherwise a
+// voicemail
+export function buildAgentUnavailableTwiml(agent, { baseUrl, callLogId }) {
+  const apology = 'Sorry, we are having technical difficulties.';
+
+  if (baseUrl && canTransfer(agent) && isDialEscalation(agent)) {
+    return buildTransferTwiml(agent, {
+      baseUrl,
+      callLogId,
+      summary: 'The AI assistant was disconnected during this call.',
+      announcement: `${apology} Please hold while I transfer you to a member of our team.`
+    });
+  }
+
+  const twiml = new twilio.twiml.VoiceResponse();
+
+  if (!baseUrl) {
+    twiml.say(sayOptions(agent), `${apology} Please call back in a few minutes. Goodbye.`);
+    twiml.hangup();
+    return twiml;
+  }
+
+  twiml.say(sayOptions(agent), `${apology} Please leave a message after the tone and we will get back to you.`);
+  return recordVoicemail(twiml, baseUrl, { agentId: agent?.id, callLogId });
+}
@@ -0,0 +1,102 @@
+// Returning-caller memory
+// When a known number calls in, the agent is told what happened on the
+// tenant's recent calls with it (summary, outcome, follow-up) and about its
+// campaign lead, so the caller doesn't start from scratch. Tenants turn this
+// off with profiles.caller_memory_enabled and limit how far back it looks with
+// caller_memory_days; older calls and leads are never read. The block added
+// to the system instruction is bounded in calls, summary length and size.
+
+import { getRecentCallLogsForNumber, getCampaignLeadsForNumber } from '../database/supabase-service.js';
+
+const MAX_CALLS = 5;
+const MAX_SUMMARY_LENGTH = 300;
+const MAX_HISTORY_LENGTH = 2000;
+
+const PHONE_NUMBER_PATTERN = /^\+\d{7,15}$/;
+// Caller ID Twilio reports for withheld numbers, shared by every anonymous caller
+const ANONYMOUS_NUMBERS = ['+266696687'];
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+}
+
+// The caller's recent calls and latest campaign lead, or null when there are
+// none, memory is off or the call isn't an inbound call from a real number
+export async function loadCallerHistory(callSession, callSid, now = new Date()) {
+  const clientConfig = callSession?.clientConfig;
+  const phoneNumber = callSession?.fromNumber;
+
+  if (!clientConfig?.callerMemory?.enabled || callSession.callType !== 'inbound' ||
+      !PHONE_NUMBER_PATTERN.test(phoneNumber || '') || ANONYMOUS_NUMBERS.includes(phoneNumber)) {
+    return null;
+  }
+
+  const days = clientConfig.callerMemory.days;
+  const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  const [calls, leads] = await Promise.all([
+    getRecentCallLogsForNumber(clientConfig.clientId, phoneNumber, { since, limit: MAX_CALLS, excludeCallSid: callSid }),
+    getCampaignLeadsForNumber(clientConfig.clientId, phoneNumber, { since })
+  ]);
+
+  if (!calls?.length && !leads?.length) {
+    return null;
+  }
+
+  return { days, calls: calls || [], lead: leads?.[0] || null };
+}
+
+function describeCall(call) {
+  const date = (call.started_at || call.created_at || '').slice(0, 10);
+  const details = [
+    call.call_summary ? truncate(call.call_summary.trim(), MAX_SUMMARY_LENGTH) : 'No summary.',
+    call.outcome && `Outcome: ${call.outcome}.`,
+    call.transfer_reason && `Transferred to a person: ${truncate(call.transfer_reason, MAX_SUMMARY_LENGTH)}.`,
+    call.follow_up_required && `Follow-up${call.follow_up_date ? ` due ${call.follow_up_date.slice(0, 10)}` : ' required'}.`
+  ].filter(Boolean);
+
+  return `- ${date} (${call.direction || 'inbound'}): ${details.join(' ')}`;
+}
+
+function describeLead(lead) {
+  const name = [lead.first_name, lead.last_name].filter(Boolean).join(' ');
+  const details = [
+    name && `Name: ${name}.`,
+    lead.company && `Company: ${lead.company}.`,
+    `Campaign "${lead.campaign_name}", status ${lead.status}.`,
+    lead.outcome && `Outcome: ${lead.outcome}.`,
+    lead.notes && `Notes: ${truncate(lead.notes, MAX_SUMMARY_LENGTH)}`
+  ].filter(Boolean);
+
+  return `Campaign lead: ${details.join(' ')}`;
+}
+
+// System instruction section with the caller's history, at most
+// MAX_HISTORY_LENGTH characters (older calls are left out first)
+export function buildCallerHistoryContext(history) {
+  if (!history) {
+    return '';
+  }
+
+  const lines = [
+    'CALLER HISTORY',
+    'This caller has been in touch before. Use this to help them without asking again for what is already known, ' +
+      'but confirm details before relying on them and do not read the history out to the caller.'
+  ];
+  if (history.lead) {
+    lines.push(describeLead(history.lead));
+  }
+  if (history.calls.length > 0) {
+    lines.push(`Recent calls (last ${history.days} days, newest first):`);
+  }
+
+  let length = lines.join('\n').length;
+  for (const line of history.calls.map(describeCall)) {
+    if (length + line.length + 1 > MAX_HISTORY_LENGTH) {
+      break;
+    }
+    lines.push(line);
+    length += line.length + 1;
+  }
+
+  return truncate(lines.join('\n'), MAX_HISTORY_LENGTH);
+}
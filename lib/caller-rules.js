@@ -0,0 +1,345 @@
+// Caller rules
+// Ordered, per-tenant rules checked on every inbound call before the number's
+// schedule and routing strategy. A rule matches on the caller's number: a
+// pattern, NANP area code, country code, membership in one of the tenant's
+// contact lists (VIPs, known spammers), the status of their campaign lead or
+// how often they called recently. Conditions are combined with match 'all'
+// (default) or 'any', and any of them can be negated. The first active rule
+// that matches, by position, decides the call:
+//   agent    { agent_id, greeting? }   connect the caller to an agent
+//   greeting { greeting }              usual routing, with a different greeting
+//   block    { message? }              reject the call, or say the message and hang up
+//   human    { phone_number, message? } dial a person, skipping the AI
+// Lookups that fail count as not matching, so a database error never blocks
+// or reroutes a caller.
+
+import crypto from 'crypto';
+import {
+  getContactListIdsForNumber,
+  getCampaignLeadsForNumber,
+  countCallsFromNumberSince
+} from '../database/supabase-service.js';
+
+export const CALLER_RULE_ACTIONS = ['agent', 'greeting', 'block', 'human'];
+
+export const CALLER_RULE_CONDITIONS = [
+  'from_pattern',
+  'area_code',
+  'country_code',
+  'contact_list',
+  'lead_status',
+  'recent_caller'
+];
+
+export const LEAD_STATUSES = ['pending', 'called', 'answered', 'no_answer', 'busy', 'failed', 'completed'];
+
+// call_logs are only looked at this far back
+const MAX_RECENT_HOURS = 24 * 90;
+
+const PHONE_NUMBER_PATTERN = /^\+\d{7,15}$/;
+// Digits with * for any digits and ? for exactly one
+const FROM_PATTERN = /^\+?[\d*?]+$/;
+
+const RULE_FIELDS = ['name', 'is_active', 'match', 'conditions', 'action_type', 'action_data'];
+const CONTACT_LIST_FIELDS = ['name', 'description', 'phone_numbers'];
+
+// E.164 form of a number typed in the dashboard: 10 digits are taken as a US
+// number, anything else needs its country code
+export function normalisePhoneNumber(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+
+  if (!digits) {
+    return '';
+  }
+  if (String(value).trim().startsWith('+')) {
+    return `+${digits}`;
+  }
+  if (digits.length === 10) {
+    return `+1${digits}`;
+  }
+  return `+${digits}`;
+}
+
+function stripFormatting(pattern) {
+  return String(pattern || '').replace(/[\s().-]/g, '');
+}
+
+function matchesFromPattern(pattern, from) {
+  if (!FROM_PATTERN.test(stripFormatting(pattern))) {
+    return false;
+  }
+
+  const source = stripFormatting(pattern)
+    .replace(/\+/g, '\\+')
+    .replace(/\*/g, '\\d*')
+    .replace(/\?/g, '\\d');
+
+  return new RegExp(`^${source}$`).test(from);
+}
+
+// Evaluation state for one caller: each lookup runs at most once
+function createCallerFacts({ profileId, from, at }) {
+  const cache = new Map();
+  const lookup = (key, load) => {
+    if (!cache.has(key)) {
+      cache.set(key, load());
+    }
+    return cache.get(key);
+  };
+
+  return {
+    contactListIds: () => lookup('contact_lists', () => getContactListIdsForNumber(profileId, from)),
+    leads: () => lookup('leads', () => getCampaignLeadsForNumber(profileId, from)),
+    recentCalls: (hours) => lookup(`recent:${hours}`, () =>
+      countCallsFromNumberSince(profileId, from, new Date(at.getTime() - hours * 60 * 60 * 1000)))
+  };
+}
+
+// Whether a condition holds, before negation; null when a lookup failed
+async function testCondition(condition, from, facts) {
+  switch (condition.type) {
+    case 'from_pattern':
+      return matchesFromPattern(condition.pattern, from);
+
+    case 'area_code': {
+      const areaCode = /^\+1(\d{3})\d{7}$/.exec(from)?.[1];
+      return Boolean(areaCode) && (condition.area_codes || []).includes(areaCode);
+    }
+
+    case 'country_code':
+      return (condition.country_codes || []).some(code => from.startsWith(`+${code}`));
+
+    case 'contact_list': {
+      const listIds = await facts.contactListIds();
+      return listIds && listIds.includes(condition.contact_list_id);
+    }
+
+    case 'lead_status': {
+      const leads = await facts.leads();
+      return leads && leads.some(lead => (condition.statuses || []).includes(lead.status) &&
+        (!condition.campaign_id || lead.campaign_id === condition.campaign_id));
+    }
+
+    case 'recent_caller': {
+      const calls = await facts.recentCalls(condition.hours);
+      return calls === null ? null : calls >= (condition.min_calls || 1);
+    }
+
+    default:
+      return false;
+  }
+}
+
+// Check the caller against the tenant's rules in order. Returns the first
+// matching rule (or null) and a trace of every rule checked, for the dry run.
+// Conditions are checked in order and stop at the first one deciding the rule.
+export async function evaluateCallerRules(rules, { profileId, from, at = new Date() }) {
+  const facts = createCallerFacts({ profileId, from: from || '', at });
+  const trace = [];
+  const ordered = [...rules].sort((a, b) => (a.position ?? 0) - (b.position ?? 0) || String(a.id).localeCompare(String(b.id)));
+
+  for (const rule of ordered) {
+    if (rule.is_active === false) {
+      trace.push({ rule_id: rule.id, name: rule.name, matched: false, skipped: 'inactive', conditions: [] });
+      continue;
+    }
+
+    const matchAny = rule.match === 'any';
+    const conditions = [];
+    let matched = !matchAny;
+
+    for (const condition of rule.conditions || []) {
+      const result = await testCondition(condition, from || '', facts);
+      const holds = result === null ? false : Boolean(result) !== Boolean(condition.negate);
+      conditions.push({ type: condition.type, matched: holds, ...(result === null && { error: 'lookup failed' }) });
+
+      if (holds === matchAny) {
+        matched = matchAny;
+        break;
+      }
+    }
+
+    trace.push({ rule_id: rule.id, name: rule.name, matched, conditions });
+
+    if (matched) {
+      return { rule, trace };
+    }
+  }
+
+  return { rule: null, trace };
+}
+
+function validateCondition(label, condition, contactListIds) {
+  switch (condition?.type) {
+    case 'from_pattern':
+      return FROM_PATTERN.test(stripFormatting(condition.pattern))
+        ? []
+        : [`${label} needs a number pattern of digits, * (any digits) and ? (one digit)`];
+
+    case 'area_code': {
+      const codes = condition.area_codes || [];
+      return Array.isArray(codes) && codes.length > 0 && codes.every(code => /^\d{3}$/.test(code))
+        ? []
+        : [`${label} needs one or more 3-digit area codes`];
+    }
+
+    case 'country_code': {
+      const codes = condition.country_codes || [];
+      return Array.isArray(codes) && codes.length > 0 && codes.every(code => /^\d{1,3}$/.test(code))
+        ? []
+        : [`${label} needs one or more country codes (1 to 3 digits, without +)`];
+    }
+
+    case 'contact_list':
+      return contactListIds.includes(condition.contact_list_id)
+        ? []
+        : [`${label} uses a contact list that doesn't exist`];
+
+    case 'lead_status': {
+      const statuses = condition.statuses || [];
+      return Array.isArray(statuses) && statuses.length > 0 && statuses.every(status => LEAD_STATUSES.includes(status))
+        ? []
+        : [`${label} needs one or more lead statuses (${LEAD_STATUSES.join(', ')})`];
+    }
+
+    case 'recent_caller': {
+      const problems = [];
+      if (!Number.isInteger(condition.hours) || condition.hours < 1 || condition.hours > MAX_RECENT_HOURS) {
+        problems.push(`${label} must look back between 1 and ${MAX_RECENT_HOURS} hours`);
+      }
+      if (condition.min_calls !== undefined && (!Number.isInteger(condition.min_calls) || condition.min_calls < 1)) {
+        problems.push(`${label} needs a number of calls of at least 1`);
+      }
+      return problems;
+    }
+
+    default:
+      return [`${label} has an unknown type "${condition?.type}"`];
+  }
+}
+
+// Check a rule before it's saved. Returns a list of problems, empty when the
+// rule is valid.
+export function validateCallerRule(rule, { agentIds = [], contactListIds = [] } = {}) {
+  const problems = [];
+  const name = rule.name?.trim();
+  const actionData = rule.action_data || {};
+
+  if (!name) {
+    problems.push('Every caller rule needs a name');
+  }
+  if (!['all', 'any'].includes(rule.match || 'all')) {
+    problems.push(`Rule "${name}" must match 'all' or 'any' of its conditions`);
+  }
+
+  if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+    problems.push(`Rule "${name}" needs at least one condition`);
+  } else {
+    rule.conditions.forEach((condition, index) => {
+      problems.push(...validateCondition(`Rule "${name}" condition ${index + 1}`, condition, contactListIds));
+    });
+  }
+
+  switch (rule.action_type) {
+    case 'agent':
+      if (!agentIds.includes(actionData.agent_id)) {
+        problems.push(`Rule "${name}" routes to an agent that doesn't exist or isn't active`);
+      }
+      break;
+    case 'greeting':
+      if (!actionData.greeting?.trim()) {
+        problems.push(`Rule "${name}" needs a greeting`);
+      }
+      break;
+    case 'human':
+      if (!PHONE_NUMBER_PATTERN.test(actionData.phone_number || '')) {
+        problems.push(`Rule "${name}" needs a phone number to dial, with its country code`);
+      }
+      break;
+    case 'block':
+      break;
+    default:
+      problems.push(`Rule "${name}" has an unknown action "${rule.action_type}"`);
+  }
+
+  return problems;
+}
+
+export function validateContactList(contactList) {
+  const problems = [];
+  const name = contactList.name?.trim();
+
+  if (!name) {
+    problems.push('Every contact list needs a name');
+  }
+
+  if (!Array.isArray(contactList.phone_numbers)) {
+    return [...problems, `Contact list "${name}" must have a list of phone numbers`];
+  }
+
+  const invalid = contactList.phone_numbers.filter(number => !PHONE_NUMBER_PATTERN.test(number));
+  if (invalid.length > 0) {
+    problems.push(`Contact list "${name}" has invalid phone numbers: ${invalid.slice(0, 5).join(', ')}`);
+  }
+
+  return problems;
+}
+
+// Keep only the saved columns of caller rules and contact lists from the
+// dashboard. Rules are numbered in the order given; rows keep their IDs when
+// they're already the tenant's, new ones get fresh IDs with the rules'
+// contact list references following. Numbers are stored in E.164 form.
+export function prepareCallerRules({ rules, contactLists }, existing = { rules: [], contactLists: [] }) {
+  const pick = (source, fields) => Object.fromEntries(fields
+    .filter(field => source[field] !== undefined)
+    .map(field => [field, source[field]]));
+  const assignIds = (rows, existingRows) => {
+    const existingIds = new Set(existingRows.map(row => row.id));
+    return rows.map(row => existingIds.has(row.id) ? row.id : crypto.randomUUID());
+  };
+
+  const contactListIds = assignIds(contactLists, existing.contactLists);
+  const ruleIds = assignIds(rules, existing.rules);
+  const contactListIdMap = new Map(contactLists.map((contactList, index) => [contactList.id, contactListIds[index]]));
+
+  return {
+    contactLists: contactLists.map((contactList, index) => ({
+      ...pick(contactList, CONTACT_LIST_FIELDS),
+      id: contactListIds[index],
+      phone_numbers: Array.isArray(contactList.phone_numbers)
+        ? [...new Set(contactList.phone_numbers.map(normalisePhoneNumber).filter(Boolean))]
+        : contactList.phone_numbers
+    })),
+    rules: rules.map((rule, index) => {
+      const actionData = rule.action_data || {};
+
+      return {
+        ...pick(rule, RULE_FIELDS),
+        id: ruleIds[index],
+        position: index,
+        match: rule.match || 'all',
+        is_active: rule.is_active !== false,
+        conditions: Array.isArray(rule.conditions)
+          ? rule.conditions.map(condition => condition?.type === 'contact_list'
+            ? { ...condition, contact_list_id: contactListIdMap.get(condition.contact_list_id) || condition.contact_list_id }
+            : condition)
+          : rule.conditions,
+        action_data: actionData.phone_number
+          ? { ...actionData, phone_number: normalisePhoneNumber(actionData.phone_number) }
+          : actionData
+      };
+    })
+  };
+}
+
+// System instruction section with the greeting a caller rule chose
+export function buildCallerRuleContext(callSession) {
+  const greeting = callSession?.clientConfig?.callerRule?.greeting;
+
+  // After a handoff the specialist greets the caller as usual
+  if (!greeting || callSession.handoff) {
+    return '';
+  }
+
+  return `GREETING\nOpen the call with this greeting, in your own voice: "${greeting}"`;
+}
@@ -0,0 +1,399 @@
+// Campaign dialer
+// Server-side replacement for the browser AutoDialerEngine. A worker
+// (dialer-worker.js) periodically leases callable leads of every active
+// campaign from campaign_leads and places them through placeOutboundCall,
+// keeping within the campaign's calling window, concurrency and dialing rate.
+//
+// All state lives in the database so a restarted worker picks up where it
+// left off: leads stay leased while their call is in progress, and pacing and
+// status are kept in outbound_campaigns.dialer_state. Campaigns are started,
+// paused, resumed and stopped through their status (see controlCampaign).
+
+import os from 'os';
+import {
+  countLeasedCampaignLeads,
+  countRemainingCampaignLeads,
+  getActiveCampaigns,
+  getCampaignById,
+  getInFlightCampaignLeads,
+  leaseCampaignLeads,
+  releaseCampaignLead,
+  updateCampaign
+} from '../database/supabase-service.js';
+import { placeOutboundCall } from './outbound-call.js';
+import { FINAL_CALL_STATUSES, getTwilioClient } from './twilio-client.js';
+
+const DIALER_TICK_MS = parseInt(process.env.DIALER_TICK_MS || '5000', 10);
+
+// How long a lead stays leased before its call is placed; covers worker crashes
+const DIALER_LEASE_SECONDS = parseInt(process.env.DIALER_LEASE_SECONDS || '120', 10);
+
+// Refresh dialer_state at least this often so the dashboard can see the worker is alive
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+const DEFAULT_DIALING_RATE = 2; // calls per minute
+
+const LEAD_STATUS_BY_CALL_STATUS = {
+  busy: 'busy',
+  'no-answer': 'no_answer',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+// Campaign status changes available over the API
+const CAMPAIGN_ACTIONS = {
+  start: { from: ['draft', 'paused'], to: 'active' },
+  pause: { from: ['active'], to: 'paused' },
+  resume: { from: ['paused'], to: 'active' },
+  stop: { from: ['draft', 'active', 'paused'], to: 'completed' }
+};
+
+// Current weekday (0=Sunday) and HH:MM in a timezone, or null for an unknown timezone
+function getLocalTime(timezone, now = new Date()) {
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now);
+    const part = (type) => parts.find(p => p.type === type)?.value;
+
+    return {
+      day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(part('weekday')),
+      time: `${part('hour')}:${part('minute')}`
+    };
+  } catch {
+    return null;
+  }
+}
+
+// Why a campaign may not dial right now, or null when it may
+export function getCallingWindowBlock(campaign, now = new Date()) {
+  if (campaign.scheduled_start_date && new Date(campaign.scheduled_start_date) > now) {
+    return 'before_scheduled_start';
+  }
+
+  if (campaign.scheduled_end_date && new Date(campaign.scheduled_end_date) < now) {
+    return 'after_scheduled_end';
+  }
+
+  const local = getLocalTime(campaign.timezone || 'America/New_York', now);
+  if (!local) {
+    return 'unknown_timezone';
+  }
+
+  const days = campaign.days_of_week?.length ? campaign.days_of_week : [1, 2, 3, 4, 5];
+  const start = (campaign.start_time || '09:00').slice(0, 5);
+  const end = (campaign.end_time || '17:00').slice(0, 5);
+
+  // Overnight windows (e.g. 18:00 - 02:00) belong to the day they start on
+  if (start <= end) {
+    if (!days.includes(local.day) || local.time < start || local.time >= end) {
+      return 'outside_calling_hours';
+    }
+  } else {
+    const startedToday = local.time >= start && days.includes(local.day);
+    const startedYesterday = local.time < end && days.includes((local.day + 6) % 7);
+    if (!startedToday && !startedYesterday) {
+      return 'outside_calling_hours';
+    }
+  }
+
+  return null;
+}
+
+function failure(status, error) {
+  return { success: false, status, error };
+}
+
+// Start, pause, resume or stop a campaign. Stopping hangs up its calls in progress.
+export async function controlCampaign({ profileId, campaignId, action }) {
+  const transition = CAMPAIGN_ACTIONS[action];
+  if (!transition) {
+    return failure(400, `Unknown action: ${action}`);
+  }
+
+  const campaign = await getCampaignById(campaignId);
+  if (!campaign || campaign.profile_id !== profileId) {
+    return failure(404, 'Campaign not found');
+  }
+
+  if (!transition.from.includes(campaign.status)) {
+    return failure(409, `Cannot ${action} a campaign that is ${campaign.status}`);
+  }
+
+  if (transition.to === 'active' && (!campaign.agent_id || !campaign.caller_id)) {
+    return failure(400, 'Campaign needs an agent and a caller ID before it can dial');
+  }
+
+  const updated = await updateCampaign(campaignId, {
+    status: transition.to,
+    dialer_state: { ...campaign.dialer_state, reason: action === 'pause' ? 'paused' : null }
+  });
+
+  if (!updated) {
+    return failure(500, 'Failed to update campaign');
+  }
+
+  if (action === 'stop') {
+    await hangUpCampaignCalls(campaign);
+  }
+
+  console.log(`📣 Campaign ${campaignId} ${action}: ${campaign.status} -> ${transition.to}`);
+  return { success: true, campaign: updated };
+}
+
+async function hangUpCampaignCalls(campaign) {
+  const leads = await getInFlightCampaignLeads(campaign.id);
+  if (!leads?.length) {
+    return;
+  }
+
+  const client = await getTwilioClient([campaign.caller_id]);
+  if (!client) {
+    return;
+  }
+
+  await Promise.all(leads.map(async (lead) => {
+    try {
+      await client.calls(lead.call_sid).update({ status: 'completed' });
+      console.log('📴 Hung up campaign call:', lead.call_sid);
+    } catch (error) {
+      console.error('❌ Error hanging up campaign call:', lead.call_sid, error.message);
+    }
+  }));
+}
+
+// Record the end of a leased lead's call and release the lease. Safe to call
+// more than once: only the first call for a lease updates the lead.
+export async function finishCampaignLeadCall(lead, callStatus) {
+  let status = LEAD_STATUS_BY_CALL_STATUS[callStatus] || 'completed';
+
+  // Machine-answered calls are already marked no_answer by /webhook/outbound
+  if (callStatus === 'completed' && lead.status === 'no_answer') {
+    status = 'no_answer';
+  }
+
+  const released = await releaseCampaignLead(lead.id, {
+    status,
+    outcome: lead.outcome || callStatus
+  });
+
+  if (released) {
+    console.log(`📋 Campaign lead ${lead.id} finished: ${callStatus} -> ${status}`);
+  }
+
+  return released;
+}
+
+export class CampaignDialer {
+  constructor({ workerId, tickMs = DIALER_TICK_MS } = {}) {
+    this.workerId = workerId || `${os.hostname()}:${process.pid}`;
+    this.tickMs = tickMs;
+    this.timer = null;
+    this.running = false;
+    this.currentTick = null;
+  }
+
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    console.log(`📞 Campaign dialer ${this.workerId} started (tick ${this.tickMs}ms)`);
+    this.scheduleTick(0);
+  }
+
+  // Stop dialing; in-flight calls keep their leases and are picked up on restart
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    await this.currentTick;
+    console.log(`📞 Campaign dialer ${this.workerId} stopped`);
+  }
+
+  scheduleTick(delay) {
+    this.timer = setTimeout(() => {
+      this.currentTick = this.tick()
+        .catch(error => console.error('❌ Campaign dialer tick failed:', error))
+        .finally(() => {
+          if (this.running) {
+            this.scheduleTick(this.tickMs);
+          }
+        });
+    }, delay);
+  }
+
+  async tick() {
+    await this.reconcileCalls();
+
+    const campaigns = await getActiveCampaigns();
+    for (const campaign of campaigns || []) {
+      if (!this.running) {
+        break;
+      }
+      await this.dialCampaign(campaign);
+    }
+  }
+
+  // Check calls in progress with Twilio and release the leads whose call ended
+  async reconcileCalls() {
+    const leads = await getInFlightCampaignLeads();
+    if (!leads?.length) {
+      return;
+    }
+
+    const campaigns = new Map();
+    for (const lead of leads) {
+      if (!campaigns.has(lead.campaign_id)) {
+        campaigns.set(lead.campaign_id, await getCampaignById(lead.campaign_id));
+      }
+      const campaign = campaigns.get(lead.campaign_id);
+      const client = await getTwilioClient([campaign?.caller_id]);
+      if (!client) {
+        continue;
+      }
+
+      try {
+        const call = await client.calls(lead.call_sid).fetch();
+        if (FINAL_CALL_STATUSES.includes(call.status)) {
+          await finishCampaignLeadCall(lead, call.status);
+        }
+      } catch (error) {
+        // A call Twilio doesn't know about will never report back
+        if (error.status === 404) {
+          await finishCampaignLeadCall(lead, 'failed');
+        } else {
+          console.error('❌ Error fetching campaign call:', lead.call_sid, error.message);
+        }
+      }
+    }
+  }
+
+  async dialCampaign(campaign) {
+    const state = campaign.dialer_state || {};
+    const now = Date.now();
+
+    const blocked = getCallingWindowBlock(campaign, new Date(now));
+    if (blocked === 'after_scheduled_end') {
+      await updateCampaign(campaign.id, { status: 'completed', dialer_state: this.nextState(state, { reason: blocked }) });
+      console.log(`🏁 Campaign ${campaign.id} reached its scheduled end`);
+      return;
+    }
+    if (blocked) {
+      await this.saveState(campaign, state, { reason: blocked });
+      return;
+    }
+
+    const inFlight = await countLeasedCampaignLeads(campaign.id);
+    if (inFlight === null) {
+      return;
+    }
+
+    // Pace calls: at most one call per interval, without bursting after idle time
+    const rate = Number(campaign.dialing_rate) > 0 ? Number(campaign.dialing_rate) : DEFAULT_DIALING_RATE;
+    const intervalMs = 60000 / rate;
+    const lastDialAt = state.last_dial_at ? new Date(state.last_dial_at).getTime() : 0;
+    const paced = Math.min(Math.floor((now - lastDialAt) / intervalMs), Math.max(1, Math.round(this.tickMs / intervalMs)));
+    const available = Math.min((campaign.max_concurrent_calls || 1) - inFlight, paced);
+
+    if (available <= 0) {
+      await this.saveState(campaign, state, { reason: inFlight >= (campaign.max_concurrent_calls || 1) ? 'at_max_concurrent_calls' : null });
+      return;
+    }
+
+    const leads = await leaseCampaignLeads(campaign.id, this.workerId, available, DIALER_LEASE_SECONDS);
+    if (leads === null) {
+      return;
+    }
+
+    if (leads.length === 0) {
+      const remaining = await countRemainingCampaignLeads(campaign.id, (campaign.retry_attempts ?? 3) + 1);
+      if (remaining === 0 && inFlight === 0) {
+        await updateCampaign(campaign.id, { status: 'completed', dialer_state: this.nextState(state, { reason: 'all_leads_called' }) });
+        console.log(`🏁 Campaign ${campaign.id} has called all its leads`);
+      } else {
+        await this.saveState(campaign, state, { reason: 'waiting_for_retries' });
+      }
+      return;
+    }
+
+    let placed = 0;
+    for (const lead of leads) {
+      const result = await this.dialLead(campaign, lead);
+      if (result === 'paused') {
+        return;
+      }
+      if (result === 'placed') {
+        placed++;
+      }
+    }
+
+    await this.saveState(campaign, state, {
+      reason: null,
+      last_dial_at: new Date(now).toISOString(),
+      calls_placed: (state.calls_placed || 0) + placed
+    }, true);
+  }
+
+  // Place one leased lead's call; returns 'placed', 'skipped' or 'paused'
+  async dialLead(campaign, lead) {
+    const result = await placeOutboundCall({
+      profileId: campaign.profile_id,
+      leadId: lead.id,
+      agentId: campaign.agent_id,
+      callerId: campaign.caller_id
+    });
+
+    if (result.success) {
+      return 'placed';
+    }
+
+    // Calling hours or frequency limits: try the lead again after the retry delay
+    if (result.status === 422 && result.retryable) {
+      const retryAt = new Date(Date.now() + (campaign.retry_delay_minutes || 60) * 60000);
+      await releaseCampaignLead(lead.id, { next_call_at: retryAt.toISOString() });
+      return 'skipped';
+    }
+
+    if (result.status === 422 || result.status === 502) {
+      await releaseCampaignLead(lead.id, {
+        status: 'failed',
+        outcome: result.status === 422 ? 'compliance_blocked' : 'dialer_error',
+        notes: [lead.notes, ...(result.violations || [result.error])].filter(Boolean).join('\n')
+      });
+      return 'skipped';
+    }
+
+    // Anything else is a campaign setup problem; stop dialing until it's fixed
+    await releaseCampaignLead(lead.id);
+    await updateCampaign(campaign.id, {
+      status: 'paused',
+      dialer_state: this.nextState(campaign.dialer_state || {}, { reason: result.error })
+    });
+    console.error(`⏸️ Campaign ${campaign.id} paused: ${result.error}`);
+    return 'paused';
+  }
+
+  nextState(state, changes) {
+    return {
+      ...state,
+      ...changes,
+      worker_id: this.workerId,
+      heartbeat_at: new Date().toISOString()
+    };
+  }
+
+  // Persist dialer_state when it changed or the heartbeat is due
+  async saveState(campaign, state, changes, force = false) {
+    const reasonChanged = 'reason' in changes && (changes.reason ?? null) !== (state.reason ?? null);
+    const heartbeatDue = !state.heartbeat_at || Date.now() - new Date(state.heartbeat_at).getTime() > HEARTBEAT_INTERVAL_MS;
+
+    if (force || reasonChanged || heartbeatDue || state.worker_id !== this.workerId) {
+      await updateCampaign(campaign.id, { dialer_state: this.nextState(state, changes) });
+    }
+  }
+}
@@ -0,0 +1,88 @@
+// Dead air
+// Watches a live call for caller silence. After the agent's
+// silence_prompt_seconds of quiet the agent is asked to check whether the
+// caller is still there; after dead_air_timeout_seconds the call is ended.
+// The clock only runs while neither side is talking: caller speech resets it,
+// and so does the agent speaking or running a tool, except for the agent's own
+// "are you still there?" prompt.
+
+import twilio from 'twilio';
+
+const DEFAULT_SILENCE_PROMPT_SECONDS = 10;
+const DEFAULT_DEAD_AIR_TIMEOUT_SECONDS = 30;
+
+const CHECK_INTERVAL_MS = 500;
+
+// An agent's thresholds in milliseconds; 0 turns a stage off
+export function getDeadAirSettings(agent) {
+  return {
+    promptMs: (agent?.silence_prompt_seconds ?? DEFAULT_SILENCE_PROMPT_SECONDS) * 1000,
+    timeoutMs: (agent?.dead_air_timeout_seconds ?? DEFAULT_DEAD_AIR_TIMEOUT_SECONDS) * 1000
+  };
+}
+
+export class DeadAirMonitor {
+  constructor({ promptMs, timeoutMs, isAgentBusy, onPrompt, onTimeout }) {
+    this.promptMs = promptMs;
+    this.timeoutMs = timeoutMs;
+    this.isAgentBusy = isAgentBusy;
+    this.onPrompt = onPrompt;
+    this.onTimeout = onTimeout;
+    this.lastActivityAt = Date.now();
+    this.prompted = false;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer || (!this.promptMs && !this.timeoutMs)) {
+      return;
+    }
+
+    this.lastActivityAt = Date.now();
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // The caller is talking
+  callerActivity() {
+    this.lastActivityAt = Date.now();
+    this.prompted = false;
+  }
+
+  check() {
+    const now = Date.now();
+
+    if (!this.prompted && this.isAgentBusy()) {
+      this.lastActivityAt = now;
+      return;
+    }
+
+    const silentMs = now - this.lastActivityAt;
+
+    if (this.timeoutMs && silentMs >= this.timeoutMs) {
+      console.log('🔇 Dead air timeout after', Math.round(silentMs / 1000), 'seconds');
+      this.stop();
+      this.onTimeout?.();
+      return;
+    }
+
+    if (this.promptMs && !this.prompted && silentMs >= this.promptMs) {
+      this.prompted = true;
+      this.onPrompt?.();
+    }
+  }
+}
+
+// Replaces the media stream when the caller has gone silent
+export function buildSilenceGoodbyeTwiml(agent) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.say({ voice: 'alice', language: agent?.language_code || 'en-US' },
+    'We haven\'t heard from you, so we\'ll end the call now. Please call back any time. Goodbye.');
+  twiml.hangup();
+  return twiml;
+}
@@ -0,0 +1,398 @@
+// IVR flows
+// A tenant's phone menu is a graph stored in ivr_menus (nodes) and ivr_options
+// (edges). Callers start at the entry menu and answer each menu by keypad or,
+// when the menu allows it, by voice. Options either end the menu (connect an
+// agent, transfer, voicemail, hang up, request a callback) or lead to another
+// menu: 'submenu' directly, 'play_message' and 'webhook' after their message,
+// back to the same menu when they don't name one. A menu can also save what
+// the caller enters (an account number, an extension) for the agent.
+
+import crypto from 'crypto';
+import { fetchPublicUrl } from '../packages/tw2gem-server/dist/index.js';
+
+export const IVR_ACTION_TYPES = [
+  'agent',
+  'transfer',
+  'voicemail',
+  'submenu',
+  'play_message',
+  'hangup',
+  'callback_request',
+  'webhook'
+];
+
+export const IVR_INPUT_TYPES = ['dtmf', 'speech', 'dtmf speech'];
+
+// Actions that end the menu flow
+const EXIT_ACTIONS = ['agent', 'transfer', 'voicemail', 'hangup', 'callback_request'];
+
+const MAX_DIGITS = 20;
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+const MENU_FIELDS = ['name', 'greeting_text', 'timeout_seconds', 'max_attempts', 'is_entry', 'input_type', 'max_digits', 'collect_variable'];
+const OPTION_FIELDS = ['digit', 'description', 'agent_id', 'action_type', 'action_data', 'speech_phrases', 'match_any', 'next_menu_id', 'schedule_id'];
+
+const NUMBER_WORDS = {
+  zero: '0', oh: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+};
+
+// The menu callers hear first: the one marked as entry, or the only menu
+export function getEntryMenu(menus = []) {
+  return menus.find(menu => menu.is_entry) || (menus.length === 1 ? menus[0] : null);
+}
+
+export function findIvrMenu(menus = [], menuId) {
+  return menus.find(menu => menu.id === menuId) || null;
+}
+
+function isSpeechMenu(menu) {
+  return (menu.input_type || 'dtmf').includes('speech');
+}
+
+function getSpeechPhrases(option) {
+  return option.speech_phrases?.length ? option.speech_phrases : [option.description].filter(Boolean);
+}
+
+// Add a <Gather> for the menu; no input redirects to /webhook/ivr-timeout
+export function gatherIvrMenu(twiml, menu, callSid, prompt = '') {
+  const gather = twiml.gather({
+    input: menu.input_type || 'dtmf',
+    numDigits: menu.max_digits || 1,
+    finishOnKey: '#',
+    action: `/webhook/ivr-selection?callSid=${callSid}&menuId=${menu.id}`,
+    method: 'POST',
+    timeout: menu.timeout_seconds || 10,
+    ...(isSpeechMenu(menu) && {
+      speechTimeout: 'auto',
+      hints: (menu.ivr_options || []).flatMap(getSpeechPhrases).join(',') || undefined
+    })
+  });
+
+  gather.say([prompt, menu.greeting_text].filter(Boolean).join(' '));
+  twiml.redirect({ method: 'GET' }, `/webhook/ivr-timeout?callSid=${callSid}&menuId=${menu.id}`);
+
+  return twiml;
+}
+
+function normaliseSpeech(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// "one two three", "1 2 3" and "123" all become "123"; null when the speech
+// isn't only digits
+function speechToDigits(text) {
+  const words = normaliseSpeech(text).split(' ');
+  const digits = words.map(word => NUMBER_WORDS[word] ?? (/^\d+$/.test(word) ? word : null));
+  return digits.every(Boolean) ? digits.join('') : null;
+}
+
+// Find the option chosen by the caller's keypad digits or speech. Returns the
+// option with the caller's input (digits, or what they said), or null.
+export function matchIvrOption(menu, { digits, speech }) {
+  const options = menu.ivr_options || [];
+  const spokenDigits = speech ? speechToDigits(speech) : null;
+  const input = digits || spokenDigits || (speech ? speech.trim() : '');
+
+  if (!input) {
+    return null;
+  }
+
+  const byDigits = digits || spokenDigits;
+  let option = byDigits ? options.find(candidate => !candidate.match_any && candidate.digit === byDigits) : null;
+
+  if (!option && speech) {
+    const spoken = ` ${normaliseSpeech(speech)} `;
+    option = options.find(candidate => !candidate.match_any &&
+      getSpeechPhrases(candidate).some(phrase => {
+        const normalised = normaliseSpeech(phrase);
+        return normalised && spoken.includes(` ${normalised} `);
+      }));
+  }
+
+  option = option || options.find(candidate => candidate.match_any);
+
+  return option ? { option, input } : null;
+}
+
+// Menus an option can lead to. Options without a next menu repeat their own.
+function getNextMenuIds(menu, option) {
+  if (option.action_type === 'submenu') {
+    return option.next_menu_id ? [option.next_menu_id] : [];
+  }
+  if (option.action_type === 'play_message' || option.action_type === 'webhook') {
+    return [option.next_menu_id || menu.id];
+  }
+  return [];
+}
+
+function validateOption(menu, option, menuIds, agentIds, scheduleIds) {
+  const label = `Option "${option.description || option.digit}" in menu "${menu.name}"`;
+  const problems = [];
+  const data = option.action_data || {};
+
+  if (!IVR_ACTION_TYPES.includes(option.action_type)) {
+    problems.push(`${label} has an unknown action "${option.action_type}"`);
+  }
+
+  if (!option.match_any) {
+    const maxDigits = menu.max_digits || 1;
+
+    if (!/^[0-9*#]+$/.test(option.digit || '')) {
+      if ((menu.input_type || 'dtmf') !== 'speech') {
+        problems.push(`${label} needs keypad digits (0-9, * or #)`);
+      }
+    } else if (option.digit.length > maxDigits) {
+      problems.push(`${label} has more digits than the menu accepts (${maxDigits})`);
+    } else if (maxDigits > 1 && option.digit.includes('#')) {
+      problems.push(`${label} can't use # because it ends multi-digit input`);
+    }
+  }
+
+  switch (option.action_type) {
+    case 'agent':
+      if (!option.agent_id || (agentIds && !agentIds.includes(option.agent_id))) {
+        problems.push(`${label} needs an active agent`);
+      }
+      break;
+    case 'transfer':
+      if (!/^\+?[1-9]\d{6,14}$/.test(data.phone_number || '')) {
+        problems.push(`${label} needs a phone number to transfer to`);
+      }
+      break;
+    case 'submenu':
+      if (!option.next_menu_id) {
+        problems.push(`${label} needs a menu to go to`);
+      }
+      break;
+    case 'play_message':
+      if (!data.message?.trim()) {
+        problems.push(`${label} needs a message`);
+      }
+      break;
+    case 'webhook':
+      try {
+        if (new URL(data.url).protocol !== 'https:') {
+          throw new Error();
+        }
+      } catch {
+        problems.push(`${label} needs an https webhook URL`);
+      }
+      break;
+  }
+
+  if (option.next_menu_id && !menuIds.includes(option.next_menu_id)) {
+    problems.push(`${label} goes to a menu that isn't part of this flow`);
+  }
+
+  if (option.schedule_id && scheduleIds && !scheduleIds.includes(option.schedule_id)) {
+    problems.push(`${label} uses a schedule that doesn't exist`);
+  }
+
+  return problems;
+}
+
+// Check a flow before it's saved. Returns a list of problems, empty when the
+// flow is valid. Besides each menu's settings it checks that every menu can be
+// reached from the entry menu and that no menu traps callers in a loop with no
+// way to an agent, transfer, voicemail, callback or hangup.
+export function validateIvrFlow(menus, { agentIds, scheduleIds } = {}) {
+  const problems = [];
+  const menuIds = menus.map(menu => menu.id);
+
+  if (menus.length === 0) {
+    return problems;
+  }
+
+  const entryMenus = menus.filter(menu => menu.is_entry);
+  if (entryMenus.length > 1) {
+    problems.push('Only one menu can be the entry menu');
+  }
+
+  const entryMenu = getEntryMenu(menus);
+  if (!entryMenu) {
+    problems.push('Choose the entry menu callers hear first');
+  }
+
+  for (const menu of menus) {
+    const options = menu.ivr_options || [];
+
+    if (!menu.name?.trim()) {
+      problems.push('Every menu needs a name');
+    }
+    if (!menu.greeting_text?.trim()) {
+      problems.push(`Menu "${menu.name}" needs a greeting`);
+    }
+    if (!IVR_INPUT_TYPES.includes(menu.input_type || 'dtmf')) {
+      problems.push(`Menu "${menu.name}" has an unknown input type "${menu.input_type}"`);
+    }
+    if (!Number.isInteger(menu.max_digits ?? 1) || (menu.max_digits ?? 1) < 1 || menu.max_digits > MAX_DIGITS) {
+      problems.push(`Menu "${menu.name}" must accept between 1 and ${MAX_DIGITS} digits`);
+    }
+    if (menu.collect_variable && !/^[a-z_][a-z0-9_]*$/i.test(menu.collect_variable)) {
+      problems.push(`Menu "${menu.name}" saves input under an invalid name (use letters, digits and _)`);
+    }
+    if (options.length === 0) {
+      problems.push(`Menu "${menu.name}" has no options`);
+    }
+    if (options.filter(option => option.match_any).length > 1) {
+      problems.push(`Menu "${menu.name}" can have only one option for any other input`);
+    }
+
+    const digits = options.filter(option => !option.match_any && option.digit).map(option => option.digit);
+    for (const digit of new Set(digits.filter((digit, index) => digits.indexOf(digit) !== index))) {
+      problems.push(`Menu "${menu.name}" uses ${digit} for more than one option`);
+    }
+
+    for (const option of options) {
+      problems.push(...validateOption(menu, option, menuIds, agentIds, scheduleIds));
+    }
+  }
+
+  if (!entryMenu) {
+    return problems;
+  }
+
+  // Menus the entry menu leads to
+  const reachable = new Set([entryMenu.id]);
+  const pending = [entryMenu];
+  while (pending.length > 0) {
+    const menu = pending.pop();
+    for (const option of menu.ivr_options || []) {
+      for (const nextId of getNextMenuIds(menu, option)) {
+        const next = findIvrMenu(menus, nextId);
+        if (next && !reachable.has(next.id)) {
+          reachable.add(next.id);
+          pending.push(next);
+        }
+      }
+    }
+  }
+
+  for (const menu of menus.filter(menu => !reachable.has(menu.id))) {
+    problems.push(`Menu "${menu.name}" can't be reached from the entry menu`);
+  }
+
+  // Menus with a way out, directly or through the menus they lead to
+  const exits = new Set(menus
+    .filter(menu => (menu.ivr_options || []).some(option => EXIT_ACTIONS.includes(option.action_type)))
+    .map(menu => menu.id));
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const menu of menus.filter(menu => !exits.has(menu.id))) {
+      const leadsOut = (menu.ivr_options || []).some(option =>
+        getNextMenuIds(menu, option).some(nextId => exits.has(nextId)));
+      if (leadsOut) {
+        exits.add(menu.id);
+        changed = true;
+      }
+    }
+  }
+
+  for (const menu of menus.filter(menu => reachable.has(menu.id) && !exits.has(menu.id) && menu.ivr_options?.length)) {
+    problems.push(`Menu "${menu.name}" loops: callers can't get from it to an agent, transfer, voicemail, callback or hangup`);
+  }
+
+  return problems;
+}
+
+// Keep only the saved columns of a flow from the dashboard. Menus and options
+// keep their IDs when they're already part of the tenant's flow; new ones (and
+// any other ID) get fresh IDs, with the options' menu references following.
+export function prepareIvrFlow(menus, existingMenus = []) {
+  const existingMenuIds = new Set(existingMenus.map(menu => menu.id));
+  const existingOptionIds = new Set(existingMenus.flatMap(menu => (menu.ivr_options || []).map(option => option.id)));
+  const menuIdMap = new Map(menus.map(menu => [
+    menu.id,
+    existingMenuIds.has(menu.id) ? menu.id : crypto.randomUUID()
+  ]));
+
+  const pick = (source, fields) => Object.fromEntries(fields
+    .filter(field => source[field] !== undefined)
+    .map(field => [field, source[field]]));
+
+  return menus.map(menu => {
+    const id = menuIdMap.get(menu.id);
+
+    return {
+      ...pick(menu, MENU_FIELDS),
+      id,
+      ivr_options: (menu.ivr_options || []).map(option => ({
+        ...pick(option, OPTION_FIELDS),
+        id: existingOptionIds.has(option.id) ? option.id : crypto.randomUUID(),
+        ivr_menu_id: id,
+        digit: option.digit || '',
+        next_menu_id: option.next_menu_id ? (menuIdMap.get(option.next_menu_id) || option.next_menu_id) : null
+      }))
+    };
+  });
+}
+
+// Call a 'webhook' option's URL with the call and the caller's input. The
+// endpoint may answer with JSON { say, menu_id, variables }: something to tell
+// the caller, the menu to continue with and values to save for the agent.
+// Only public https URLs are called (see fetchPublicUrl).
+export async function callIvrWebhook(option, payload) {
+  const { url, secret } = option.action_data || {};
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'AI-Call-Center-IVR/1.0',
+    'X-IVR-Timestamp': timestamp
+  };
+
+  if (secret) {
+    headers['X-IVR-Signature'] = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  try {
+    const response = await fetchPublicUrl(url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      console.error('Error calling IVR webhook:', url, response.status);
+      return {};
+    }
+
+    let result = {};
+    try {
+      result = JSON.parse(response.text) || {};
+    } catch {
+      // Not JSON: nothing to say or save
+    }
+
+    return {
+      say: typeof result.say === 'string' ? result.say : undefined,
+      menuId: typeof result.menu_id === 'string' ? result.menu_id : undefined,
+      variables: result.variables && typeof result.variables === 'object'
+        ? Object.fromEntries(Object.entries(result.variables)
+          .filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value))
+          .map(([key, value]) => [key, String(value)]))
+        : undefined
+    };
+  } catch (error) {
+    console.error('Error calling IVR webhook:', url, error.message);
+    return {};
+  }
+}
+
+// System instruction section with what the caller entered in the menus
+export function buildIvrContext(callSession) {
+  const entries = Object.entries(callSession?.ivrVariables || {});
+
+  if (entries.length === 0) {
+    return '';
+  }
+
+  return [
+    'PHONE MENU INPUT',
+    'Before reaching you, the caller entered the following in the phone menu:',
+    ...entries.map(([key, value]) => `${key}: ${value}`)
+  ].join('\n');
+}
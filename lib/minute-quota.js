@@ -0,0 +1,186 @@
+// Monthly minute quotas
+// Tenants have a hard limit (profiles.monthly_minute_limit) and a soft warning
+// threshold (profiles.minute_warning_threshold, percent of the limit). New
+// calls are refused or forwarded once the limit is reached. Live calls are
+// watched by a CallQuotaMonitor: the agent is asked to wrap up shortly before
+// the balance runs out, and the call ends with a spoken goodbye when it does.
+// The balance left for a live call counts the elapsed time of all the tenant's
+// calls in progress, as none of them is billed until it ends. Crossing either
+// threshold sends a usage.threshold_reached webhook event, once per level per
+// month.
+
+import twilio from 'twilio';
+import { getMinuteUsage, updateUsageAlertState, getActiveCallStartTimes } from '../database/supabase-service.js';
+import { getWebhookService } from './webhooks.js';
+
+// How often live calls re-check the tenant's balance
+const QUOTA_CHECK_INTERVAL_MS = parseInt(process.env.QUOTA_CHECK_INTERVAL_MS || '30000', 10);
+
+// How long before the balance runs out the agent is asked to wrap up
+const QUOTA_WRAP_UP_SECONDS = parseInt(process.env.QUOTA_WRAP_UP_SECONDS || '60', 10);
+
+// Twilio ends calls after four hours, so older call logs still in progress are stale
+const MAX_CALL_SECONDS = 4 * 60 * 60;
+
+const ALERT_LEVELS = ['soft', 'hard'];
+
+function currentPeriod(now = new Date()) {
+  return now.toISOString().slice(0, 7);
+}
+
+// Seconds of the monthly limit left, counting ongoing calls' elapsed time
+export function getRemainingSeconds(usage, elapsedSeconds = 0) {
+  return usage.minutesLimit * 60 - usage.minutesUsed * 60 - elapsedSeconds;
+}
+
+// Whether a tenant can take a new call; true when usage can't be checked
+export async function hasMinutesRemaining(profileId) {
+  const usage = await getMinuteUsage(profileId);
+  if (!usage) {
+    console.warn('⚠️ Minute usage check failed, allowing call for:', profileId);
+    return true;
+  }
+  return getRemainingSeconds(usage) > 0;
+}
+
+// Send usage.threshold_reached when usage (plus live calls' elapsed time)
+// has crossed a threshold not yet reported this month
+export async function checkUsageThresholds(profileId, usage, elapsedSeconds = 0) {
+  const usedMinutes = usage.minutesUsed + elapsedSeconds / 60;
+  const percentUsed = usage.minutesLimit > 0 ? (usedMinutes / usage.minutesLimit) * 100 : 100;
+
+  let level = null;
+  if (percentUsed >= 100) {
+    level = 'hard';
+  } else if (percentUsed >= usage.warningThreshold) {
+    level = 'soft';
+  }
+
+  const period = currentPeriod();
+  const lastAlert = usage.alertState?.period === period ? usage.alertState.level : null;
+
+  if (!level || ALERT_LEVELS.indexOf(level) <= ALERT_LEVELS.indexOf(lastAlert)) {
+    return null;
+  }
+
+  const alertState = { period, level };
+  usage.alertState = alertState;
+  await updateUsageAlertState(profileId, alertState);
+
+  console.log(`📈 Usage threshold reached for ${profileId}: ${level} (${Math.round(percentUsed)}%)`);
+
+  await getWebhookService().processNotificationEvent('usage.threshold_reached', {
+    profile_id: profileId,
+    level,
+    minutes_used: Math.ceil(usedMinutes),
+    minutes_limit: usage.minutesLimit,
+    percent_used: Math.round(percentUsed),
+    period,
+    timestamp: new Date().toISOString()
+  }, profileId);
+
+  return level;
+}
+
+// Played instead of connecting a call once the tenant is out of minutes
+export function buildQuotaExceededTwiml(clientConfig) {
+  const twiml = new twilio.twiml.VoiceResponse();
+
+  if (clientConfig.quotaExceededAction === 'forward' && clientConfig.quotaForwardNumber) {
+    twiml.say('Please hold while we connect your call.');
+    twiml.dial(clientConfig.quotaForwardNumber);
+    return twiml;
+  }
+
+  twiml.say('Sorry, we are unable to take your call right now. Please try again later. Goodbye.');
+  twiml.hangup();
+  return twiml;
+}
+
+// Replaces the media stream when the balance runs out mid-call
+export function buildQuotaGoodbyeTwiml(agent) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.say({ voice: 'alice', language: agent?.language_code || 'en-US' },
+    'I\'m sorry, but we have to end the call here. Thank you for calling, and goodbye.');
+  twiml.hangup();
+  return twiml;
+}
+
+// Watches a tenant's balance during one live call
+export class CallQuotaMonitor {
+  constructor({ profileId, callSid, callStartTime, onWrapUp, onExhausted }) {
+    this.profileId = profileId;
+    this.callSid = callSid;
+    this.callStartTime = callStartTime;
+    this.onWrapUp = onWrapUp;
+    this.onExhausted = onExhausted;
+    this.timer = null;
+    this.stopped = false;
+    this.wrapUpSent = false;
+  }
+
+  start() {
+    this.check();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+  }
+
+  // The tenant's other calls in progress: how many and their elapsed seconds,
+  // none when they can't be looked up
+  async getOtherCalls(now) {
+    const startTimes = await getActiveCallStartTimes(this.profileId, {
+      since: new Date(now - MAX_CALL_SECONDS * 1000),
+      excludeCallSid: this.callSid
+    }) || [];
+
+    return {
+      count: startTimes.length,
+      elapsedSeconds: startTimes.reduce((total, startTime) => total + Math.max(now - startTime.getTime(), 0) / 1000, 0)
+    };
+  }
+
+  async check() {
+    if (this.stopped) {
+      return;
+    }
+
+    const now = Date.now();
+    const [usage, otherCalls] = await Promise.all([
+      getMinuteUsage(this.profileId),
+      this.getOtherCalls(now)
+    ]);
+    let nextCheckMs = QUOTA_CHECK_INTERVAL_MS;
+
+    if (usage && !this.stopped) {
+      const elapsedSeconds = (now - this.callStartTime.getTime()) / 1000 + otherCalls.elapsedSeconds;
+      // The balance runs down once per live call
+      const remainingSeconds = getRemainingSeconds(usage, elapsedSeconds) / (otherCalls.count + 1);
+
+      await checkUsageThresholds(this.profileId, usage, elapsedSeconds);
+
+      if (remainingSeconds <= 0) {
+        console.log('⛔ Minute quota exhausted during call for:', this.profileId);
+        this.stop();
+        this.onExhausted?.();
+        return;
+      }
+
+      if (remainingSeconds <= QUOTA_WRAP_UP_SECONDS && !this.wrapUpSent) {
+        this.wrapUpSent = true;
+        this.onWrapUp?.(Math.floor(remainingSeconds));
+      }
+
+      // Check again right when the wrap-up point or the end of the balance is reached
+      const untilWrapUp = (remainingSeconds - QUOTA_WRAP_UP_SECONDS) * 1000;
+      nextCheckMs = Math.min(nextCheckMs, untilWrapUp > 0 ? untilWrapUp : remainingSeconds * 1000);
+      nextCheckMs = Math.max(nextCheckMs, 1000);
+    }
+
+    if (!this.stopped) {
+      this.timer = setTimeout(() => this.check(), nextCheckMs);
+    }
+  }
+}
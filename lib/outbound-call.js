@@ -0,0 +1,171 @@
+// Outbound calls
+// Places an AI agent call to a campaign lead through Twilio. The call session
+// is stored before Twilio asks for TwiML, so /webhook/outbound can stream the
+// answered call into the same Gemini pipeline as inbound calls, with the lead's
+// details added to the agent's system instruction.
+
+import {
+  getAgentById,
+  getCampaignById,
+  getCampaignLead,
+  getClientConfigByPhoneNumber,
+  storeCallSession,
+  updateCampaignLead
+} from '../database/supabase-service.js';
+import { checkOutboundCompliance } from './call-compliance.js';
+import { getTwilioClient } from './twilio-client.js';
+import { resolvePublicBaseUrl } from './public-url.js';
+import { hasMinutesRemaining } from './minute-quota.js';
+
+const DEFAULT_CALL_TIMEOUT_SECONDS = 30;
+
+// Longest lead note or custom field value put into the system instruction
+const MAX_CONTEXT_FIELD_LENGTH = 500;
+
+function failure(status, error, violations, retryable = false) {
+  return { success: false, status, error, violations, retryable };
+}
+
+// Place an outbound call. agentId and callerId default to the lead's campaign.
+// Returns { success, callSid, sessionData } or { success: false, status, error, violations, retryable }.
+export async function placeOutboundCall({ profileId, leadId, agentId, callerId, req }) {
+  const lead = leadId ? await getCampaignLead(leadId) : null;
+  const campaign = lead?.campaign_id ? await getCampaignById(lead.campaign_id) : null;
+
+  // Leads belong to the tenant directly or through their campaign
+  if (!lead || (lead.profile_id || campaign?.profile_id) !== profileId) {
+    return failure(404, 'Lead not found');
+  }
+
+  const resolvedAgentId = agentId || campaign?.agent_id;
+  const resolvedCallerId = callerId || campaign?.caller_id;
+
+  const agent = resolvedAgentId ? await getAgentById(resolvedAgentId) : null;
+
+  if (!agent || agent.profile_id !== profileId) {
+    return failure(404, 'Agent not found');
+  }
+
+  if (!agent.is_active) {
+    return failure(409, 'Agent is not active');
+  }
+
+  // The caller ID must be one of the tenant's own numbers
+  const clientConfig = resolvedCallerId ? await getClientConfigByPhoneNumber(resolvedCallerId) : null;
+
+  if (!clientConfig || clientConfig.clientId !== profileId) {
+    return failure(400, 'Caller ID is not a phone number of this account');
+  }
+
+  // Campaigns are paused by the dialer when this fails
+  if (!await hasMinutesRemaining(profileId)) {
+    return failure(402, 'Monthly minute quota exhausted');
+  }
+
+  const compliance = await checkOutboundCompliance({ profileId, lead, campaign });
+
+  if (!compliance.compliant) {
+    console.warn('🚫 Outbound call blocked for lead', lead.id, compliance.violations);
+    return failure(422, 'Call is not compliant', compliance.violations, compliance.retryable);
+  }
+
+  const client = await getTwilioClient([resolvedCallerId]);
+
+  if (!client) {
+    return failure(500, 'Twilio is not configured for this account');
+  }
+
+  const baseUrl = resolvePublicBaseUrl(req, clientConfig.phoneNumber);
+
+  let call;
+  try {
+    call = await client.calls.create({
+      to: lead.phone_number,
+      from: resolvedCallerId,
+      url: `${baseUrl}/webhook/outbound`,
+      method: 'POST',
+      statusCallback: `${baseUrl}/webhook/status`,
+      statusCallbackMethod: 'POST',
+      statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+      machineDetection: 'Enable',
+      timeout: campaign?.call_timeout_seconds || DEFAULT_CALL_TIMEOUT_SECONDS
+    });
+  } catch (error) {
+    console.error('❌ Error placing outbound call:', error);
+    return failure(502, `Twilio rejected the call: ${error.message}`);
+  }
+
+  console.log('📤 Outbound call placed:', call.sid, 'to lead', lead.id);
+
+  const sessionData = {
+    callSid: call.sid,
+    fromNumber: resolvedCallerId,
+    toNumber: lead.phone_number,
+    clientConfig,
+    selectedAgent: agent,
+    callType: 'outbound',
+    campaignId: campaign?.id || null,
+    campaignInstruction: campaign?.custom_system_instruction || null,
+    lead: {
+      id: lead.id,
+      first_name: lead.first_name,
+      last_name: lead.last_name,
+      company: lead.company,
+      title: lead.title,
+      email: lead.email,
+      notes: lead.notes,
+      custom_fields: lead.custom_fields,
+      call_attempts: (lead.call_attempts || 0) + 1
+    },
+    timestamp: new Date().toISOString()
+  };
+
+  await storeCallSession(call.sid, sessionData);
+
+  await updateCampaignLead(lead.id, {
+    status: 'called',
+    call_sid: call.sid,
+    call_attempts: (lead.call_attempts || 0) + 1,
+    last_call_at: new Date().toISOString()
+  });
+
+  return { success: true, callSid: call.sid, sessionData, warnings: compliance.warnings };
+}
+
+function truncate(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > MAX_CONTEXT_FIELD_LENGTH ? `${text.slice(0, MAX_CONTEXT_FIELD_LENGTH)}…` : text;
+}
+
+// System instruction block describing the lead of an outbound call
+export function buildOutboundContext(callSession) {
+  const lead = callSession?.lead;
+
+  if (!lead) {
+    return '';
+  }
+
+  const name = [lead.first_name, lead.last_name].filter(Boolean).join(' ') || 'the lead';
+  const lines = [
+    'OUTBOUND CALL CONTEXT',
+    `You placed this call to ${name}${lead.company ? ` at ${lead.company}` : ''}. Introduce yourself and the reason for your call as soon as they answer, and confirm you are speaking with the right person.`,
+    `Lead ID: ${lead.id} (use it with update_lead_status)`
+  ];
+
+  if (lead.title) lines.push(`Title: ${lead.title}`);
+  if (lead.email) lines.push(`Email: ${lead.email}`);
+  if (lead.call_attempts > 1) lines.push(`This is call attempt ${lead.call_attempts}.`);
+  if (lead.notes) lines.push(`Notes: ${truncate(lead.notes)}`);
+
+  for (const [key, value] of Object.entries(lead.custom_fields || {})) {
+    if (value !== null && value !== undefined && value !== '') {
+      lines.push(`${key}: ${truncate(value)}`);
+    }
+  }
+
+  if (callSession.campaignInstruction) {
+    lines.push('', 'CAMPAIGN INSTRUCTIONS', callSession.campaignInstruction);
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,64 @@
+// Public URL resolution
+// Works out the externally reachable base URL and media stream URL that Twilio
+// should use, so the servers don't need hard-coded hostnames per environment.
+//
+// Resolution order:
+//   1. Per-number override (phone_numbers.public_base_url)
+//   2. PUBLIC_BASE_URL / PUBLIC_STREAM_URL environment variables
+//   3. X-Forwarded-Host / X-Forwarded-Proto of the incoming webhook
+//   4. Host header of the incoming webhook
+
+// Take the first value of a possibly comma-separated forwarded header
+function firstHeaderValue(value) {
+  return value ? value.split(',')[0].trim() : '';
+}
+
+// Normalise a configured URL: keep the path, drop any trailing slash
+function normaliseUrl(value) {
+  const url = new URL(value);
+  return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+}
+
+// Resolve the public HTTP(S) base URL, e.g. https://calls.example.com
+export function resolvePublicBaseUrl(req, phoneNumber) {
+  return resolvePublicUrls(req, phoneNumber).baseUrl;
+}
+
+// Resolve the public WebSocket URL Twilio should stream media to
+export function resolveStreamUrl(req, phoneNumber) {
+  return resolvePublicUrls(req, phoneNumber).streamUrl;
+}
+
+// Resolve both URLs and report where they came from
+export function resolvePublicUrls(req, phoneNumber) {
+  let baseUrl;
+  let source;
+
+  if (phoneNumber?.public_base_url) {
+    baseUrl = normaliseUrl(phoneNumber.public_base_url);
+    source = 'phone_number';
+  } else if (process.env.PUBLIC_BASE_URL) {
+    baseUrl = normaliseUrl(process.env.PUBLIC_BASE_URL);
+    source = 'env';
+  } else {
+    const forwardedHost = firstHeaderValue(req?.get?.('X-Forwarded-Host'));
+    const forwardedProto = firstHeaderValue(req?.get?.('X-Forwarded-Proto'));
+    const host = forwardedHost || req?.get?.('Host') || `localhost:${process.env.PORT || '12001'}`;
+    const protocol = forwardedProto || req?.protocol || 'http';
+
+    baseUrl = normaliseUrl(`${protocol}://${host}`);
+    source = forwardedHost ? 'forwarded_headers' : 'host_header';
+  }
+
+  // An explicit stream URL only applies when no per-number base URL is set
+  let streamUrl;
+  if (source !== 'phone_number' && process.env.PUBLIC_STREAM_URL) {
+    streamUrl = normaliseUrl(process.env.PUBLIC_STREAM_URL);
+  } else {
+    const url = new URL(baseUrl);
+    url.protocol = url.protocol === 'http:' ? 'ws:' : 'wss:';
+    streamUrl = normaliseUrl(url.toString());
+  }
+
+  return { baseUrl, streamUrl, source };
+}
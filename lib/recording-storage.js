@@ -0,0 +1,106 @@
+// Call recording storage
+// Where finished WAV recordings are kept. Local disk (RECORDINGS_DIR) is the
+// default; set RECORDING_STORAGE=supabase to upload them to a private
+// Supabase Storage bucket (RECORDINGS_BUCKET) instead. Recordings are served
+// to the dashboard through the API, so neither store is exposed publicly.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { supabase } from '../database/supabase-service.js';
+
+const RECORDINGS_DIR = path.resolve(process.env.RECORDINGS_DIR || 'recordings');
+const RECORDINGS_BUCKET = process.env.RECORDINGS_BUCKET || 'call-recordings';
+
+// Files in a directory on this server
+export class LocalRecordingStorage {
+  constructor(directory = RECORDINGS_DIR) {
+    this.directory = directory;
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+
+    // Keys come from the database; never let one point outside the directory
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid recording key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  // Move a finished recording file into storage
+  async saveFile(key, sourcePath) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    try {
+      await fs.rename(sourcePath, filePath);
+    } catch (error) {
+      // The temp directory may be on another device
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      await fs.copyFile(sourcePath, filePath);
+      await fs.unlink(sourcePath);
+    }
+
+    return key;
+  }
+
+  async read(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      console.error('Error reading recording:', error.message);
+      return null;
+    }
+  }
+}
+
+// Objects in a Supabase Storage bucket
+export class SupabaseRecordingStorage {
+  constructor(bucket = RECORDINGS_BUCKET) {
+    this.bucket = bucket;
+  }
+
+  async saveFile(key, sourcePath) {
+    const data = await fs.readFile(sourcePath);
+
+    const { error } = await supabase.storage
+      .from(this.bucket)
+      .upload(key, data, { contentType: 'audio/wav', upsert: true });
+
+    if (error) {
+      throw error;
+    }
+
+    await fs.unlink(sourcePath);
+    return key;
+  }
+
+  async read(key) {
+    try {
+      const { data, error } = await supabase.storage.from(this.bucket).download(key);
+
+      if (error) {
+        console.error('Error downloading recording:', error);
+        return null;
+      }
+
+      return Buffer.from(await data.arrayBuffer());
+    } catch (error) {
+      console.error('Error downloading recording:', error);
+      return null;
+    }
+  }
+}
+
+export function createRecordingStorage(type = process.env.RECORDING_STORAGE || 'local') {
+  if (type === 'supabase') {
+    return new SupabaseRecordingStorage();
+  }
+  if (type !== 'local') {
+    console.warn(`⚠️ Unknown RECORDING_STORAGE "${type}", using local`);
+  }
+  return new LocalRecordingStorage();
+}
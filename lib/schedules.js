@@ -0,0 +1,289 @@
+// Schedules
+// Opening hours shared by agents, phone numbers and IVR options. A schedule
+// has weekly rules (any number of intervals per day), date overrides that
+// replace a day's hours (an empty override closes the day) and holiday sets,
+// whose dates are closed unless overridden. Times are wall-clock times in the
+// schedule's timezone, so DST changes need no special handling. An interval
+// whose end isn't after its start runs overnight into the next day; it belongs
+// to the day it starts on, including for overrides and holidays. Anything
+// without a schedule is always open.
+
+import crypto from 'crypto';
+
+export const DEFAULT_TIMEZONE = 'America/New_York';
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Holidays on the same date every year
+const RECURRING_DATE_PATTERN = /^\d{2}-\d{2}$/;
+
+const SCHEDULE_FIELDS = ['name', 'timezone', 'weekly_rules', 'overrides', 'holiday_set_ids'];
+const HOLIDAY_SET_FIELDS = ['name', 'holidays'];
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+export function isValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Date (YYYY-MM-DD), weekday (0 = Sunday) and minute of the day in the timezone
+function getLocalTime(now, timezone) {
+  const parts = Object.fromEntries(getFormatter(timezone).formatToParts(now).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: WEEKDAYS[parts.weekday],
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+// A real date in YYYY-MM-DD form
+function isCalendarDate(date) {
+  if (!DATE_PATTERN.test(date)) {
+    return false;
+  }
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10) === date;
+}
+
+function getPreviousDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day - 1)).toISOString().slice(0, 10);
+}
+
+function findHoliday(holidaySets, schedule, date) {
+  const setIds = schedule.holiday_set_ids || [];
+
+  return holidaySets
+    .filter(set => setIds.includes(set.id))
+    .flatMap(set => set.holidays || [])
+    .find(holiday => holiday.date === date || holiday.date === date.slice(5)) || null;
+}
+
+// A date's intervals and what they come from: 'override', 'holiday' or 'weekly'
+function getDayHours(schedule, holidaySets, date, day) {
+  const override = (schedule.overrides || []).find(entry => entry.date === date);
+  if (override) {
+    return { intervals: override.intervals || [], source: 'override', name: override.name };
+  }
+
+  const holiday = findHoliday(holidaySets, schedule, date);
+  if (holiday) {
+    return { intervals: [], source: 'holiday', name: holiday.name };
+  }
+
+  return {
+    intervals: (schedule.weekly_rules || []).filter(rule => rule.day === day),
+    source: 'weekly'
+  };
+}
+
+function isOvernight(interval) {
+  return toMinutes(interval.end) <= toMinutes(interval.start);
+}
+
+// Whether the schedule is open at the given time: { open, reason, name }. The
+// reason is where the hours come from ('weekly', 'override' or 'holiday') and
+// name the override's or holiday's name.
+export function getScheduleStatus(schedule, holidaySets = [], now = new Date()) {
+  const local = getLocalTime(now, schedule.timezone || DEFAULT_TIMEZONE);
+  const today = getDayHours(schedule, holidaySets, local.date, local.day);
+  const yesterday = getDayHours(schedule, holidaySets, getPreviousDate(local.date), (local.day + 6) % 7);
+
+  const openToday = today.intervals.some(interval => local.minutes >= toMinutes(interval.start) &&
+    (isOvernight(interval) || local.minutes < toMinutes(interval.end)));
+  if (openToday) {
+    return { open: true, reason: today.source, name: today.name || null };
+  }
+
+  const openFromYesterday = yesterday.intervals.some(interval => isOvernight(interval) &&
+    local.minutes < toMinutes(interval.end));
+  if (openFromYesterday) {
+    return { open: true, reason: yesterday.source, name: yesterday.name || null };
+  }
+
+  return { open: false, reason: today.source, name: today.name || null };
+}
+
+export function findSchedule(clientConfig, scheduleId) {
+  return clientConfig.schedules?.find(schedule => schedule.id === scheduleId) || null;
+}
+
+// Whether the tenant's schedule is open; true without a schedule
+export function isScheduleOpen(clientConfig, scheduleId, now = new Date()) {
+  const schedule = scheduleId && findSchedule(clientConfig, scheduleId);
+  return !schedule || getScheduleStatus(schedule, clientConfig.holidaySets, now).open;
+}
+
+// Whether the agent is on duty under its schedule; true without a schedule
+export function isAgentOnDuty(agent, clientConfig, now = new Date()) {
+  return isScheduleOpen(clientConfig, agent?.schedule_id, now);
+}
+
+// The agent's working hours for time-based routing: its schedule, or one built
+// from its business_hours_start/end and business_days
+export function getAgentHours(agent, clientConfig) {
+  const schedule = agent.schedule_id && findSchedule(clientConfig, agent.schedule_id);
+  if (schedule) {
+    return schedule;
+  }
+
+  const start = agent.business_hours_start || '09:00';
+  const end = agent.business_hours_end || '17:00';
+
+  return {
+    name: `${agent.name} business hours`,
+    timezone: agent.timezone || DEFAULT_TIMEZONE,
+    weekly_rules: (agent.business_days || [1, 2, 3, 4, 5]).map(day => ({ day, start, end })),
+    overrides: [],
+    holiday_set_ids: []
+  };
+}
+
+function validateIntervals(label, intervals) {
+  const problems = [];
+
+  if (!Array.isArray(intervals)) {
+    return [`${label} must be a list of intervals`];
+  }
+
+  for (const interval of intervals) {
+    if (!TIME_PATTERN.test(interval?.start || '') || !TIME_PATTERN.test(interval?.end || '')) {
+      problems.push(`${label} has an interval without a valid start and end (HH:MM)`);
+    } else if (interval.start === interval.end) {
+      problems.push(`${label} has an interval that starts and ends at ${interval.start}`);
+    }
+  }
+
+  return problems;
+}
+
+// Check a schedule before it's saved. Returns a list of problems, empty when
+// the schedule is valid.
+export function validateSchedule(schedule, { holidaySetIds = [] } = {}) {
+  const problems = [];
+  const name = schedule.name?.trim();
+
+  if (!name) {
+    problems.push('Every schedule needs a name');
+  }
+  if (!isValidTimezone(schedule.timezone || '')) {
+    problems.push(`Schedule "${name}" has an unknown timezone "${schedule.timezone}"`);
+  }
+
+  if (!Array.isArray(schedule.weekly_rules || []) || !Array.isArray(schedule.overrides || [])) {
+    return [...problems, `Schedule "${name}" must have lists of weekly rules and overrides`];
+  }
+
+  for (const rule of schedule.weekly_rules || []) {
+    if (!Number.isInteger(rule.day) || rule.day < 0 || rule.day > 6) {
+      problems.push(`Schedule "${name}" has a weekly rule without a day (0 = Sunday to 6 = Saturday)`);
+    }
+  }
+  problems.push(...validateIntervals(`Schedule "${name}"`, schedule.weekly_rules || []));
+
+  const overrideDates = new Set();
+  for (const override of schedule.overrides || []) {
+    if (!isCalendarDate(override.date || '')) {
+      problems.push(`Schedule "${name}" has an override without a valid date (YYYY-MM-DD)`);
+      continue;
+    }
+    if (overrideDates.has(override.date)) {
+      problems.push(`Schedule "${name}" overrides ${override.date} more than once`);
+    }
+    overrideDates.add(override.date);
+    problems.push(...validateIntervals(`Schedule "${name}" on ${override.date}`, override.intervals || []));
+  }
+
+  for (const setId of schedule.holiday_set_ids || []) {
+    if (!holidaySetIds.includes(setId)) {
+      problems.push(`Schedule "${name}" uses a holiday set that doesn't exist`);
+    }
+  }
+
+  return problems;
+}
+
+export function validateHolidaySet(holidaySet) {
+  const problems = [];
+  const name = holidaySet.name?.trim();
+
+  if (!name) {
+    problems.push('Every holiday set needs a name');
+  }
+
+  if (!Array.isArray(holidaySet.holidays || [])) {
+    return [...problems, `Holiday set "${name}" must have a list of holidays`];
+  }
+
+  for (const holiday of holidaySet.holidays || []) {
+    const date = holiday.date || '';
+    // 2000 is a leap year, so 02-29 is accepted for every year
+    const valid = isCalendarDate(date) || (RECURRING_DATE_PATTERN.test(date) && isCalendarDate(`2000-${date}`));
+
+    if (!valid) {
+      problems.push(`Holiday set "${name}" has a holiday without a valid date (YYYY-MM-DD, or MM-DD for every year)`);
+    }
+  }
+
+  return problems;
+}
+
+// Keep only the saved columns of schedules and holiday sets from the
+// dashboard. Rows keep their IDs when they're already the tenant's; new ones
+// get fresh IDs, with the schedules' holiday set references following.
+export function prepareSchedules({ schedules, holidaySets }, existing = { schedules: [], holidaySets: [] }) {
+  const pick = (source, fields) => Object.fromEntries(fields
+    .filter(field => source[field] !== undefined)
+    .map(field => [field, source[field]]));
+  const assignIds = (rows, existingRows) => {
+    const existingIds = new Set(existingRows.map(row => row.id));
+    return rows.map(row => existingIds.has(row.id) ? row.id : crypto.randomUUID());
+  };
+
+  const holidaySetIds = assignIds(holidaySets, existing.holidaySets);
+  const scheduleIds = assignIds(schedules, existing.schedules);
+  const holidaySetIdMap = new Map(holidaySets.map((holidaySet, index) => [holidaySet.id, holidaySetIds[index]]));
+
+  return {
+    holidaySets: holidaySets.map((holidaySet, index) => ({
+      ...pick(holidaySet, HOLIDAY_SET_FIELDS),
+      id: holidaySetIds[index],
+      holidays: holidaySet.holidays || []
+    })),
+    schedules: schedules.map((schedule, index) => ({
+      ...pick(schedule, SCHEDULE_FIELDS),
+      id: scheduleIds[index],
+      weekly_rules: schedule.weekly_rules || [],
+      overrides: schedule.overrides || [],
+      holiday_set_ids: (schedule.holiday_set_ids || []).map(setId => holidaySetIdMap.get(setId) || setId)
+    }))
+  };
+}
@@ -0,0 +1,227 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getScheduleStatus,
+  isScheduleOpen,
+  getAgentHours,
+  validateSchedule,
+  validateHolidaySet
+} from './schedules.js';
+
+// Days of the week in the schedules' numbering
+const SUNDAY = 0;
+const MONDAY = 1;
+const FRIDAY = 5;
+const SATURDAY = 6;
+
+// The clock every check runs against, given as an ISO time with its offset
+const at = (time) => new Date(time);
+
+function schedule(fields) {
+  return { name: 'Test', timezone: 'America/New_York', weekly_rules: [], overrides: [], holiday_set_ids: [], ...fields };
+}
+
+const holidaySets = [
+  {
+    id: 'us',
+    name: 'US holidays',
+    holidays: [
+      { date: '2026-11-26', name: 'Thanksgiving' },
+      { date: '12-25', name: 'Christmas' }
+    ]
+  },
+  { id: 'other', name: 'Unused', holidays: [{ date: '2026-10-19', name: 'Not attached' }] }
+];
+
+test('split hours are open in each interval and closed between them', () => {
+  const split = schedule({
+    weekly_rules: [
+      { day: MONDAY, start: '09:00', end: '12:00' },
+      { day: MONDAY, start: '13:00', end: '17:00' }
+    ]
+  });
+
+  // Monday 19 October 2026
+  assert.deepEqual(getScheduleStatus(split, [], at('2026-10-19T10:00:00-04:00')), { open: true, reason: 'weekly', name: null });
+  assert.equal(getScheduleStatus(split, [], at('2026-10-19T08:59:00-04:00')).open, false);
+  assert.equal(getScheduleStatus(split, [], at('2026-10-19T12:00:00-04:00')).open, false);
+  assert.equal(getScheduleStatus(split, [], at('2026-10-19T12:30:00-04:00')).open, false);
+  assert.equal(getScheduleStatus(split, [], at('2026-10-19T13:00:00-04:00')).open, true);
+  assert.equal(getScheduleStatus(split, [], at('2026-10-19T16:59:00-04:00')).open, true);
+  assert.equal(getScheduleStatus(split, [], at('2026-10-19T17:00:00-04:00')).open, false);
+  // Tuesday has no rules
+  assert.equal(getScheduleStatus(split, [], at('2026-10-20T10:00:00-04:00')).open, false);
+});
+
+test('overnight hours run into the next day', () => {
+  const nights = schedule({ weekly_rules: [{ day: FRIDAY, start: '22:00', end: '06:00' }] });
+
+  assert.equal(getScheduleStatus(nights, [], at('2026-10-23T21:59:00-04:00')).open, false);
+  assert.equal(getScheduleStatus(nights, [], at('2026-10-23T22:00:00-04:00')).open, true);
+  assert.equal(getScheduleStatus(nights, [], at('2026-10-24T00:00:00-04:00')).open, true);
+  assert.equal(getScheduleStatus(nights, [], at('2026-10-24T05:59:00-04:00')).open, true);
+  assert.equal(getScheduleStatus(nights, [], at('2026-10-24T06:00:00-04:00')).open, false);
+  // Thursday night isn't covered
+  assert.equal(getScheduleStatus(nights, [], at('2026-10-23T03:00:00-04:00')).open, false);
+});
+
+test('an interval ending at 24:00 runs to midnight', () => {
+  const evenings = schedule({ weekly_rules: [{ day: MONDAY, start: '20:00', end: '24:00' }] });
+
+  assert.equal(getScheduleStatus(evenings, [], at('2026-10-19T23:59:00-04:00')).open, true);
+  assert.equal(getScheduleStatus(evenings, [], at('2026-10-20T00:00:00-04:00')).open, false);
+});
+
+test('overrides replace a day\'s hours', () => {
+  const weekdays = schedule({
+    weekly_rules: [{ day: MONDAY, start: '09:00', end: '17:00' }],
+    overrides: [
+      { date: '2026-10-19', name: 'Short day', intervals: [{ start: '10:00', end: '12:00' }] },
+      { date: '2026-10-26', name: 'Offsite', intervals: [] },
+      { date: '2026-10-25', name: 'Sunday cover', intervals: [{ start: '12:00', end: '14:00' }] }
+    ]
+  });
+
+  assert.deepEqual(getScheduleStatus(weekdays, [], at('2026-10-19T11:00:00-04:00')), { open: true, reason: 'override', name: 'Short day' });
+  assert.deepEqual(getScheduleStatus(weekdays, [], at('2026-10-19T09:30:00-04:00')), { open: false, reason: 'override', name: 'Short day' });
+  assert.deepEqual(getScheduleStatus(weekdays, [], at('2026-10-26T11:00:00-04:00')), { open: false, reason: 'override', name: 'Offsite' });
+  // Opens a day without weekly hours
+  assert.equal(getScheduleStatus(weekdays, [], at('2026-10-25T13:00:00-04:00')).open, true);
+});
+
+test('holidays close the day unless it is overridden', () => {
+  const weekdays = schedule({
+    weekly_rules: [1, 2, 3, 4, 5].map(day => ({ day, start: '09:00', end: '17:00' })),
+    holiday_set_ids: ['us']
+  });
+
+  assert.deepEqual(getScheduleStatus(weekdays, holidaySets, at('2026-11-26T10:00:00-05:00')), { open: false, reason: 'holiday', name: 'Thanksgiving' });
+  // Recurring MM-DD dates apply every year
+  assert.deepEqual(getScheduleStatus(weekdays, holidaySets, at('2026-12-25T10:00:00-05:00')), { open: false, reason: 'holiday', name: 'Christmas' });
+  assert.equal(getScheduleStatus(weekdays, holidaySets, at('2027-12-24T10:00:00-05:00')).open, true);
+  // Holiday sets the schedule doesn't use are ignored
+  assert.equal(getScheduleStatus(weekdays, holidaySets, at('2026-10-19T10:00:00-04:00')).open, true);
+
+  const overridden = { ...weekdays, overrides: [{ date: '2026-11-26', name: 'Holiday cover', intervals: [{ start: '09:00', end: '13:00' }] }] };
+  assert.deepEqual(getScheduleStatus(overridden, holidaySets, at('2026-11-26T10:00:00-05:00')), { open: true, reason: 'override', name: 'Holiday cover' });
+});
+
+test('overnight hours follow the day they start on', () => {
+  const nights = schedule({
+    weekly_rules: [
+      { day: FRIDAY, start: '22:00', end: '06:00' },
+      { day: SATURDAY, start: '22:00', end: '06:00' }
+    ],
+    holiday_set_ids: ['us']
+  });
+  const holidays = [{ id: 'us', name: 'Test holidays', holidays: [{ date: '2026-10-24', name: 'Saturday off' }] }];
+
+  // Friday's shift carries on into the holiday
+  assert.deepEqual(getScheduleStatus(nights, holidays, at('2026-10-24T03:00:00-04:00')), { open: true, reason: 'weekly', name: null });
+  // Saturday's shift doesn't start, nor does it carry on into Sunday
+  assert.equal(getScheduleStatus(nights, holidays, at('2026-10-24T23:00:00-04:00')).open, false);
+  assert.deepEqual(getScheduleStatus(nights, holidays, at('2026-10-25T03:00:00-04:00')), { open: false, reason: 'weekly', name: null });
+
+  const shortened = { ...nights, overrides: [{ date: '2026-10-23', name: 'Early finish', intervals: [{ start: '22:00', end: '02:00' }] }] };
+  assert.deepEqual(getScheduleStatus(shortened, [], at('2026-10-24T01:00:00-04:00')), { open: true, reason: 'override', name: 'Early finish' });
+  assert.equal(getScheduleStatus(shortened, [], at('2026-10-24T03:00:00-04:00')).open, false);
+});
+
+test('hours are wall-clock times in the schedule\'s timezone', () => {
+  const hours = (timezone) => schedule({ timezone, weekly_rules: [{ day: MONDAY, start: '09:00', end: '17:00' }] });
+  const instant = at('2026-10-19T15:00:00Z');
+
+  assert.equal(getScheduleStatus(hours('Europe/London'), [], instant).open, true);
+  assert.equal(getScheduleStatus(hours('America/New_York'), [], instant).open, true);
+  assert.equal(getScheduleStatus(hours('America/Los_Angeles'), [], instant).open, false);
+  // Already Tuesday in Tokyo
+  assert.equal(getScheduleStatus(hours('Asia/Tokyo'), [], instant).open, false);
+  // Sunday evening in New York is Monday morning in Tokyo
+  assert.equal(getScheduleStatus(hours('Asia/Tokyo'), [], at('2026-10-18T21:00:00-04:00')).open, true);
+  // New York without a timezone
+  assert.equal(getScheduleStatus({ ...hours(), timezone: undefined }, [], at('2026-10-19T13:30:00Z')).open, true);
+});
+
+test('hours keep their local times across DST changes', () => {
+  const weekdays = schedule({ weekly_rules: [{ day: MONDAY, start: '09:00', end: '17:00' }] });
+
+  // 13:30 UTC is 08:30 in New York before the clocks go forward on 8 March 2026, 09:30 after
+  assert.equal(getScheduleStatus(weekdays, [], at('2026-03-02T13:30:00Z')).open, false);
+  assert.equal(getScheduleStatus(weekdays, [], at('2026-03-09T13:30:00Z')).open, true);
+  // And back again after 1 November
+  assert.equal(getScheduleStatus(weekdays, [], at('2026-10-26T21:30:00Z')).open, false);
+  assert.equal(getScheduleStatus(weekdays, [], at('2026-11-02T21:30:00Z')).open, true);
+  // Europe changes on a different date: 29 March
+  const london = { ...weekdays, timezone: 'Europe/London' };
+  assert.equal(getScheduleStatus(london, [], at('2026-03-23T08:30:00Z')).open, false);
+  assert.equal(getScheduleStatus(london, [], at('2026-03-30T08:30:00Z')).open, true);
+});
+
+test('overnight hours span the DST change nights', () => {
+  const nights = schedule({ weekly_rules: [{ day: SATURDAY, start: '22:00', end: '06:00' }] });
+
+  // Spring forward: 02:00 to 03:00 on Sunday 8 March doesn't exist, so the night is an hour shorter
+  assert.equal(getScheduleStatus(nights, [], at('2026-03-08T06:59:00Z')).open, true);
+  assert.equal(getScheduleStatus(nights, [], at('2026-03-08T07:00:00Z')).open, true);
+  assert.equal(getScheduleStatus(nights, [], at('2026-03-08T09:59:00Z')).open, true);
+  assert.equal(getScheduleStatus(nights, [], at('2026-03-08T10:00:00Z')).open, false);
+
+  // Fall back: 01:00 to 02:00 on Sunday 1 November happens twice, and both are covered
+  const early = schedule({ weekly_rules: [{ day: SATURDAY, start: '22:00', end: '01:45' }] });
+  assert.equal(getScheduleStatus(early, [], at('2026-11-01T05:30:00Z')).open, true);
+  assert.equal(getScheduleStatus(early, [], at('2026-11-01T06:30:00Z')).open, true);
+  assert.equal(getScheduleStatus(early, [], at('2026-11-01T06:50:00Z')).open, false);
+  assert.equal(getScheduleStatus(nights, [], at('2026-11-01T10:59:00Z')).open, true);
+  assert.equal(getScheduleStatus(nights, [], at('2026-11-01T11:00:00Z')).open, false);
+});
+
+test('isScheduleOpen is open without a schedule', () => {
+  const clientConfig = {
+    schedules: [{ ...schedule({ weekly_rules: [{ day: SUNDAY, start: '10:00', end: '11:00' }] }), id: 'sundays' }],
+    holidaySets: []
+  };
+  const monday = at('2026-10-19T10:30:00-04:00');
+
+  assert.equal(isScheduleOpen(clientConfig, 'sundays', monday), false);
+  assert.equal(isScheduleOpen(clientConfig, 'sundays', at('2026-10-18T10:30:00-04:00')), true);
+  assert.equal(isScheduleOpen(clientConfig, null, monday), true);
+  assert.equal(isScheduleOpen(clientConfig, 'deleted', monday), true);
+});
+
+test('getAgentHours builds hours from an agent\'s business hours', () => {
+  const agent = { name: 'Sales', business_hours_start: '08:00', business_hours_end: '16:00', business_days: [MONDAY], timezone: 'Europe/London' };
+  const hours = getAgentHours(agent, { schedules: [] });
+
+  assert.deepEqual(hours.weekly_rules, [{ day: MONDAY, start: '08:00', end: '16:00' }]);
+  assert.equal(getScheduleStatus(hours, [], at('2026-10-19T08:30:00+01:00')).open, true);
+  assert.equal(getScheduleStatus(hours, [], at('2026-10-19T16:30:00+01:00')).open, false);
+
+  const scheduled = { id: 'shared', ...schedule({}) };
+  assert.equal(getAgentHours({ ...agent, schedule_id: 'shared' }, { schedules: [scheduled] }), scheduled);
+});
+
+test('validateSchedule reports bad hours, dates and references', () => {
+  assert.deepEqual(validateSchedule(schedule({ weekly_rules: [{ day: MONDAY, start: '22:00', end: '06:00' }] })), []);
+
+  const problems = validateSchedule(schedule({
+    timezone: 'Mars/Olympus_Mons',
+    weekly_rules: [{ day: 7, start: '09:00', end: '09:00' }, { day: MONDAY, start: '9am', end: '17:00' }],
+    overrides: [{ date: '2026-02-30', intervals: [] }, { date: '2026-10-19', intervals: [] }, { date: '2026-10-19', intervals: [] }],
+    holiday_set_ids: ['missing']
+  }), { holidaySetIds: ['us'] });
+
+  assert.deepEqual(problems, [
+    'Schedule "Test" has an unknown timezone "Mars/Olympus_Mons"',
+    'Schedule "Test" has a weekly rule without a day (0 = Sunday to 6 = Saturday)',
+    'Schedule "Test" has an interval that starts and ends at 09:00',
+    'Schedule "Test" has an interval without a valid start and end (HH:MM)',
+    'Schedule "Test" has an override without a valid date (YYYY-MM-DD)',
+    'Schedule "Test" overrides 2026-10-19 more than once',
+    'Schedule "Test" uses a holiday set that doesn\'t exist'
+  ]);
+});
+
+test('validateHolidaySet accepts recurring dates, including 29 February', () => {
+  assert.deepEqual(validateHolidaySet({ name: 'Leap', holidays: [{ date: '02-29' }, { date: '2028-02-29' }] }), []);
+  assert.equal(validateHolidaySet({ name: 'Bad', holidays: [{ date: '2027-02-29' }, { date: '13-01' }] }).length, 2);
+});
@@ -0,0 +1,40 @@
+// Twilio REST client
+// Creates a REST client with the credentials of the tenant owning a call,
+// falling back to TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN.
+
+import twilio from 'twilio';
+import { getTwilioCredentialsByPhoneNumber } from '../database/supabase-service.js';
+
+// Twilio call statuses after which a call is over
+export const FINAL_CALL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+// Get the account SID and auth token of the tenant owning one of the given
+// numbers (tried in order); null when none are available
+export async function getTwilioCredentials(phoneNumbers) {
+  const numbers = (phoneNumbers || []).filter(Boolean);
+  const credentials = numbers.length > 0
+    ? await getTwilioCredentialsByPhoneNumber(numbers)
+    : null;
+
+  const useTenantCredentials = credentials?.accountSid && credentials?.authToken;
+  const accountSid = useTenantCredentials ? credentials.accountSid : process.env.TWILIO_ACCOUNT_SID;
+  const authToken = useTenantCredentials ? credentials.authToken : process.env.TWILIO_AUTH_TOKEN;
+
+  if (!accountSid || !authToken) {
+    console.error('❌ No Twilio credentials available for:', numbers.join(', '));
+    return null;
+  }
+
+  return { accountSid, authToken };
+}
+
+// Get a client for the tenant owning one of the given numbers (tried in order)
+export async function getTwilioClient(phoneNumbers) {
+  const credentials = await getTwilioCredentials(phoneNumbers);
+
+  if (!credentials) {
+    return null;
+  }
+
+  return twilio(credentials.accountSid, credentials.authToken);
+}
@@ -0,0 +1,147 @@
+// Twilio request security
+// Validates X-Twilio-Signature on webhook requests and issues the short-lived,
+// callSid-bound tokens that media stream WebSocket upgrades must carry.
+
+import crypto from 'crypto';
+import twilio from 'twilio';
+import { getTwilioCredentialsByPhoneNumber, getTwilioCredentialsByAccountSid } from '../database/supabase-service.js';
+import { resolvePublicBaseUrl } from './public-url.js';
+
+const STREAM_TOKEN_TTL_SECONDS = parseInt(process.env.STREAM_TOKEN_TTL_SECONDS || '120', 10);
+
+// Secret for stream tokens; derived from the service role key when not set so
+// every server process sharing the database can verify each other's tokens
+const STREAM_TOKEN_SECRET = process.env.STREAM_TOKEN_SECRET ||
+  crypto.createHash('sha256')
+    .update(`stream-token:${process.env.SUPABASE_SERVICE_ROLE_KEY || ''}`)
+    .digest('hex');
+
+// Signature checks can be turned off for local development with
+// TWILIO_SIGNATURE_VALIDATION=false
+export function isSignatureValidationEnabled() {
+  return process.env.TWILIO_SIGNATURE_VALIDATION !== 'false';
+}
+
+// Express middleware validating X-Twilio-Signature against the tenant's auth
+// token. The tenant is found by its number ("To" for inbound calls, "From" for
+// outbound calls) or else by the AccountSid Twilio sends with every webhook,
+// as on a transfer's child leg neither number is the tenant's. The credential
+// lookups can be replaced, for tests.
+export function createTwilioRequestValidator({
+  findByNumbers = getTwilioCredentialsByPhoneNumber,
+  findByAccountSid = getTwilioCredentialsByAccountSid
+} = {}) {
+  return async function validateTwilioRequest(req, res, next) {
+    if (!isSignatureValidationEnabled()) {
+      return next();
+    }
+
+    const signature = req.get('X-Twilio-Signature');
+
+    if (!signature) {
+      console.warn('🚫 Rejected webhook without X-Twilio-Signature:', req.originalUrl);
+      return res.sendStatus(403);
+    }
+
+    try {
+      // Twilio signs a POST's body parameters; a GET carries them in the query
+      // string, which is signed as part of the URL
+      const params = req.method === 'POST' ? (req.body || {}) : {};
+      const callParams = req.method === 'POST' ? params : (req.query || {});
+
+      const candidateNumbers = [callParams.To || callParams.Called, callParams.From || callParams.Caller].filter(Boolean);
+      const credentials = (candidateNumbers.length > 0 && await findByNumbers(candidateNumbers)) ||
+        (callParams.AccountSid && await findByAccountSid(callParams.AccountSid)) ||
+        null;
+
+      const authToken = credentials?.authToken || process.env.TWILIO_AUTH_TOKEN;
+
+      if (!authToken) {
+        console.error('❌ No Twilio auth token available to validate webhook:', req.originalUrl);
+        return res.sendStatus(403);
+      }
+
+      // Twilio signs the public URL it called, not the one we see behind a
+      // proxy. Found by account, the URL may be any of the tenant's numbers'.
+      const baseUrls = credentials?.phoneNumber
+        ? [resolvePublicBaseUrl(req, credentials.phoneNumber)]
+        : [...new Set([resolvePublicBaseUrl(req), ...(credentials?.phoneNumbers || []).map(phoneNumber => resolvePublicBaseUrl(req, phoneNumber))])];
+      const urls = baseUrls.map(baseUrl => `${baseUrl}${req.originalUrl}`);
+
+      if (!urls.some(url => twilio.validateRequest(authToken, signature, url, params))) {
+        console.warn('🚫 Rejected webhook with invalid X-Twilio-Signature:', urls[0]);
+        return res.sendStatus(403);
+      }
+
+      next();
+    } catch (error) {
+      console.error('❌ Error validating Twilio signature:', error);
+      res.sendStatus(403);
+    }
+  };
+}
+
+export const validateTwilioRequest = createTwilioRequestValidator();
+
+function signStreamToken(callSid, expiresAt) {
+  return crypto
+    .createHmac('sha256', STREAM_TOKEN_SECRET)
+    .update(`${callSid}.${expiresAt}`)
+    .digest('hex');
+}
+
+// Create a short-lived token binding a media stream to a call
+export function createStreamToken(callSid) {
+  const expiresAt = Math.floor(Date.now() / 1000) + STREAM_TOKEN_TTL_SECONDS;
+  return `${callSid}.${expiresAt}.${signStreamToken(callSid, expiresAt)}`;
+}
+
+// Verify a stream token, returning the callSid it was issued for or null
+export function verifyStreamToken(token) {
+  const [callSid, expiresAt, signature] = (token || '').split('.');
+
+  if (!callSid || !expiresAt || !signature) {
+    return null;
+  }
+
+  if (parseInt(expiresAt, 10) < Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  const expected = Buffer.from(signStreamToken(callSid, expiresAt));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return callSid;
+}
+
+// Append a stream token for the call as the last path segment of the stream URL
+// (<Connect><Stream> URLs cannot carry a query string)
+export function buildSignedStreamUrl(streamUrl, callSid) {
+  const url = new URL(streamUrl);
+  url.pathname = `${url.pathname.replace(/\/+$/, '')}/${encodeURIComponent(createStreamToken(callSid))}`;
+  return url.toString();
+}
+
+// ws verifyClient hook: only accept upgrades carrying a valid stream token.
+// The verified callSid is attached to the upgrade request as streamCallSid.
+export function verifyStreamUpgrade(info) {
+  const url = new URL(info.req.url, 'http://localhost');
+  const token = decodeURIComponent(url.pathname.split('/').pop() || '');
+  const callSid = verifyStreamToken(token);
+
+  if (callSid) {
+    info.req.streamCallSid = callSid;
+    return true;
+  }
+
+  if (!isSignatureValidationEnabled()) {
+    return true;
+  }
+
+  console.warn('🚫 Rejected media stream upgrade without a valid stream token');
+  return false;
+}
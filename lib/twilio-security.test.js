@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import twilio from 'twilio';
+
+// The database client is created on import; these tests never reach it
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:9';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test';
+process.env.TWILIO_AUTH_TOKEN = 'platform-token';
+delete process.env.PUBLIC_BASE_URL;
+
+const { createTwilioRequestValidator } = await import('./twilio-security.js');
+
+const TENANT_NUMBER = '+15550001111';
+const CALLER_NUMBER = '+15552223333';
+const tenant = {
+  phoneNumber: { phone_number: TENANT_NUMBER, public_base_url: 'https://tenant.example.com' },
+  accountSid: 'ACtenant',
+  authToken: 'tenant-token'
+};
+
+const validate = createTwilioRequestValidator({
+  findByNumbers: async (numbers) => numbers.includes(TENANT_NUMBER) ? tenant : null,
+  findByAccountSid: async (accountSid) => accountSid === 'ACtenant'
+    ? { phoneNumbers: [tenant.phoneNumber], accountSid: tenant.accountSid, authToken: tenant.authToken }
+    : null
+});
+
+// Run a request signed the way Twilio signs it through the middleware and
+// return the status it was rejected with, or 'next' when it was let through
+async function run({ method = 'POST', path, body = {}, query = {}, authToken = 'tenant-token', baseUrl = 'https://tenant.example.com' }) {
+  const originalUrl = method === 'GET' && Object.keys(query).length > 0
+    ? `${path}${path.includes('?') ? '&' : '?'}${new URLSearchParams(query)}`
+    : path;
+  const signature = twilio.getExpectedTwilioSignature(authToken, `${baseUrl}${originalUrl}`, method === 'POST' ? body : {});
+  const headers = { 'x-twilio-signature': signature, host: 'internal:12001' };
+  const req = {
+    method,
+    originalUrl,
+    body: method === 'POST' ? body : {},
+    query: Object.fromEntries(new URL(originalUrl, 'http://localhost').searchParams),
+    protocol: 'http',
+    get: (name) => headers[name.toLowerCase()]
+  };
+
+  return new Promise((resolve) => {
+    validate(req, { sendStatus: resolve }, () => resolve('next'));
+  });
+}
+
+test('accepts an inbound call signed with the tenant\'s token', async () => {
+  assert.equal(await run({ path: '/webhook/voice', body: { To: TENANT_NUMBER, From: CALLER_NUMBER, CallSid: 'CA1' } }), 'next');
+});
+
+test('rejects a request signed with another token', async () => {
+  const body = { To: TENANT_NUMBER, From: CALLER_NUMBER, CallSid: 'CA1' };
+  assert.equal(await run({ path: '/webhook/voice', body, authToken: 'platform-token' }), 403);
+});
+
+test('finds the tenant of a GET webhook in its query string', async () => {
+  const result = await run({
+    method: 'GET',
+    path: '/webhook/ivr-timeout?callSid=CA1&menuId=menu-1',
+    query: { AccountSid: 'ACtenant', CallSid: 'CA1', To: TENANT_NUMBER, From: CALLER_NUMBER }
+  });
+
+  assert.equal(result, 'next');
+});
+
+test('validates numbers without a tenant against the platform token', async () => {
+  const body = { To: '+15559990000', From: CALLER_NUMBER, CallSid: 'CA2' };
+  assert.equal(await run({ path: '/webhook/voice', body, authToken: 'platform-token', baseUrl: 'http://internal:12001' }), 'next');
+});
+
+test('finds the tenant of a transfer\'s child leg by its account', async () => {
+  // The whisper is requested for the leg dialling the escalation number, from the caller's number
+  const body = { AccountSid: 'ACtenant', CallSid: 'CA3', ParentCallSid: 'CA1', To: '+15557778888', From: CALLER_NUMBER, Direction: 'outbound-dial' };
+  const path = '/webhook/transfer-whisper?summary=Billing%20question';
+
+  assert.equal(await run({ path, body }), 'next');
+  assert.equal(await run({ path, body, authToken: 'platform-token' }), 403);
+  assert.equal(await run({ path, body: { ...body, AccountSid: 'ACother' } }), 403);
+});
@@ -0,0 +1,116 @@
+// Voicemail
+// Messages left through the IVR's voicemail option or when nobody takes a
+// transfer. Twilio posts the finished recording to /webhook/voicemail and,
+// later, its transcription to /webhook/voicemail-transcription; both are saved
+// to the voicemails table. Recordings stay with Twilio and are played in the
+// dashboard through the API, which fetches them with the tenant's credentials.
+
+import { upsertVoicemail } from '../database/supabase-service.js';
+import { getTwilioCredentials } from './twilio-client.js';
+import { getWebhookService } from './webhooks.js';
+
+const MAX_VOICEMAIL_SECONDS = 300;
+
+export const VOICEMAIL_STATUSES = ['new', 'handled'];
+
+// Append a voicemail <Record> to the TwiML. The context (agentId, callLogId,
+// ivrOptionId) is passed to /webhook/voicemail in the action URL.
+export function recordVoicemail(twiml, baseUrl, context = {}) {
+  const actionUrl = new URL('/webhook/voicemail', baseUrl);
+
+  for (const [key, value] of Object.entries(context)) {
+    if (value) {
+      actionUrl.searchParams.set(key, value);
+    }
+  }
+
+  twiml.record({
+    action: actionUrl.toString(),
+    method: 'POST',
+    maxLength: MAX_VOICEMAIL_SECONDS,
+    playBeep: true,
+    transcribe: true,
+    transcribeCallback: new URL('/webhook/voicemail-transcription', baseUrl).toString()
+  });
+
+  return twiml;
+}
+
+// Save a finished recording (the <Record> action request) and send the
+// tenant's voicemail.received webhooks
+export async function saveVoicemail({ profileId, params, agentId, callLogId, ivrOptionId }) {
+  const voicemail = await upsertVoicemail({
+    profile_id: profileId,
+    call_sid: params.CallSid,
+    recording_sid: params.RecordingSid,
+    recording_url: params.RecordingUrl,
+    recording_duration_seconds: parseInt(params.RecordingDuration, 10) || 0,
+    phone_number_from: params.From,
+    phone_number_to: params.To,
+    agent_id: agentId || null,
+    ivr_option_id: ivrOptionId || null,
+    call_log_id: callLogId || null
+  });
+
+  if (!voicemail) {
+    return null;
+  }
+
+  await getWebhookService().processNotificationEvent('voicemail.received', {
+    voicemail_id: voicemail.id,
+    call_sid: voicemail.call_sid,
+    phone_number_from: voicemail.phone_number_from,
+    phone_number_to: voicemail.phone_number_to,
+    agent_id: voicemail.agent_id || undefined,
+    ivr_option_id: voicemail.ivr_option_id || undefined,
+    recording_url: voicemail.recording_url,
+    recording_duration_seconds: voicemail.recording_duration_seconds,
+    // Set when the transcription arrived before the recording callback
+    transcription_text: voicemail.transcription_text || undefined,
+    timestamp: voicemail.created_at
+  }, profileId);
+
+  return voicemail;
+}
+
+// Save a transcription (the transcribeCallback request) with its recording
+export async function saveVoicemailTranscription(params) {
+  return upsertVoicemail({
+    call_sid: params.CallSid,
+    recording_sid: params.RecordingSid,
+    transcription_text: params.TranscriptionStatus === 'completed' ? params.TranscriptionText : null,
+    transcription_status: params.TranscriptionStatus
+  });
+}
+
+// Download a voicemail's recording from Twilio as WAV
+export async function fetchVoicemailRecording(voicemail) {
+  // Only ever send the tenant's credentials to Twilio
+  if (!voicemail.recording_url?.startsWith('https://api.twilio.com/')) {
+    console.error('Error downloading voicemail recording: unexpected URL', voicemail.recording_url);
+    return null;
+  }
+
+  const credentials = await getTwilioCredentials([voicemail.phone_number_to, voicemail.phone_number_from]);
+
+  if (!credentials) {
+    return null;
+  }
+
+  try {
+    const authorization = Buffer.from(`${credentials.accountSid}:${credentials.authToken}`).toString('base64');
+    const response = await fetch(`${voicemail.recording_url}.wav`, {
+      headers: { Authorization: `Basic ${authorization}` }
+    });
+
+    if (!response.ok) {
+      console.error('Error downloading voicemail recording:', response.status);
+      return null;
+    }
+
+    return Buffer.from(await response.arrayBuffer());
+  } catch (error) {
+    console.error('Error downloading voicemail recording:', error);
+    return null;
+  }
+}
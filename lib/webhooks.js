@@ -0,0 +1,15 @@
+// Client webhooks
+// Shared WebhookService instance for sending events to tenants' webhook
+// endpoints (webhook_endpoints) from the multitenant server and its helpers.
+
+import { WebhookService } from '../packages/tw2gem-server/dist/webhook-service.js';
+
+let webhookService = null;
+
+// Created on first use, once the environment has been loaded
+export function getWebhookService() {
+  if (!webhookService) {
+    webhookService = new WebhookService(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+  }
+  return webhookService;
+}
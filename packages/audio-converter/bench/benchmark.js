@@ -0,0 +1,85 @@
+// Audio converter benchmark
+// Converts 20 ms frames the way a live call does (one resampler per stream and
+// direction) and reports frames per second on one core. A call needs 50
+// frames per second in each direction, so calls per core ≈ frames/sec ÷ 50
+// for the slower direction.
+//
+// Usage: npm run build && npm run bench [-- seconds per case]
+
+import { AudioConverter, Resampler } from '../dist/index.js';
+
+const SECONDS_PER_CASE = parseFloat(process.argv[2] || '2');
+const FRAMES_PER_SECOND_PER_CALL = 50;
+
+function tone(sampleRate, frequency, samples) {
+    const pcm = new Int16Array(samples);
+    for (let i = 0; i < samples; i++) {
+        pcm[i] = Math.round(8000 * Math.sin((2 * Math.PI * frequency * i) / sampleRate));
+    }
+    return Buffer.from(pcm.buffer);
+}
+
+// One 20 ms frame of each format
+const pcm24kFrame = tone(24000, 440, 480);
+const muLawFrame = AudioConverter.pcm24kToG711(pcm24kFrame, 'mulaw', new Resampler(24000, 8000));
+const aLawFrame = AudioConverter.pcm24kToG711(pcm24kFrame, 'alaw', new Resampler(24000, 8000));
+const muLawBase64 = muLawFrame.toString('base64');
+const pcm24kBase64 = pcm24kFrame.toString('base64');
+
+const cases = [
+    {
+        name: 'inbound  μ-law 8k → PCM 16k (base64)',
+        run: (stream) => AudioConverter.convertBase64MuLawToBase64PCM16k(muLawBase64, stream.inbound)
+    },
+    {
+        name: 'outbound PCM 24k → μ-law 8k (base64)',
+        run: (stream) => AudioConverter.convertBase64PCM24kToBase64MuLaw8k(pcm24kBase64, stream.outbound)
+    },
+    {
+        name: 'inbound  μ-law 8k → PCM 16k (Buffer)',
+        run: (stream) => AudioConverter.g711ToPCM16k(muLawFrame, 'mulaw', stream.inbound)
+    },
+    {
+        name: 'outbound PCM 24k → μ-law 8k (Buffer)',
+        run: (stream) => AudioConverter.pcm24kToG711(pcm24kFrame, 'mulaw', stream.outbound)
+    },
+    {
+        name: 'inbound  A-law 8k → PCM 16k (Buffer)',
+        run: (stream) => AudioConverter.g711ToPCM16k(aLawFrame, 'alaw', stream.inbound)
+    },
+    {
+        name: 'outbound PCM 24k → A-law 8k (Buffer)',
+        run: (stream) => AudioConverter.pcm24kToG711(pcm24kFrame, 'alaw', stream.outbound)
+    }
+];
+
+function measure(run) {
+    const stream = { inbound: new Resampler(8000, 16000), outbound: new Resampler(24000, 8000) };
+
+    // Warm up the JIT before timing
+    for (let i = 0; i < 2000; i++) {
+        run(stream);
+    }
+
+    const deadline = process.hrtime.bigint() + BigInt(Math.round(SECONDS_PER_CASE * 1e9));
+    const start = process.hrtime.bigint();
+    let frames = 0;
+
+    while (process.hrtime.bigint() < deadline) {
+        for (let i = 0; i < 500; i++) {
+            run(stream);
+        }
+        frames += 500;
+    }
+
+    const elapsedSeconds = Number(process.hrtime.bigint() - start) / 1e9;
+    return frames / elapsedSeconds;
+}
+
+console.log(`Audio converter benchmark (Node ${process.version}, ${SECONDS_PER_CASE}s per case, 20 ms frames)\n`);
+
+for (const { name, run } of cases) {
+    const framesPerSecond = measure(run);
+    const callsPerCore = Math.floor(framesPerSecond / FRAMES_PER_SECOND_PER_CALL);
+    console.log(`${name.padEnd(40)} ${Math.round(framesPerSecond).toLocaleString().padStart(12)} frames/sec  ≈ ${callsPerCore.toLocaleString()} calls/core`);
+}
@@ -1,8 +1,36 @@
+import { Resampler } from './resampler.js';
+import { G711Encoding } from './g711.js';
 export declare class AudioConverter {
-    private static base64ToUint8Array;
-    private static base64ToInt16Array;
-    private static muLawToPCM;
+    static base64ToUint8Array(base64: string): Uint8Array;
+    static base64ToInt16Array(base64: string): Int16Array;
+    private static toInt16Array;
+    private static toBuffer;
+    static muLawToPCM(muLawSample: number): number;
     static pcmToMuLaw(sample: number): number;
-    static convertBase64MuLawToBase64PCM16k(base64: string): string;
-    static convertBase64PCM24kToBase64MuLaw8k(base64: string): string;
+    static aLawToPCM(aLawSample: number): number;
+    static pcmToALaw(sample: number): number;
+    /**
+     * G.711 (μ-law or A-law) 8kHz bytes to little-endian PCM 16kHz bytes,
+     * without going through base64. Pass the same 8kHz → 16kHz resampler for
+     * every chunk of a stream so the filter state carries across chunks.
+     */
+    static g711ToPCM16k(g711: Uint8Array, encoding: G711Encoding, resampler: Resampler): Buffer;
+    /**
+     * Little-endian PCM 24kHz bytes to G.711 (μ-law or A-law) 8kHz bytes,
+     * without going through base64. Pass the same 24kHz → 8kHz resampler for
+     * every chunk of a stream so the filter state carries across chunks.
+     */
+    static pcm24kToG711(pcm: Uint8Array, encoding: G711Encoding, resampler: Resampler): Buffer;
+    /**
+     * Twilio's μ-law 8kHz to Gemini's PCM 16kHz. Pass the same resampler for
+     * every chunk of a stream so the filter state carries across chunks.
+     */
+    static convertBase64MuLawToBase64PCM16k(base64: string, resampler: Resampler): string;
+    /**
+     * Gemini's PCM 24kHz to Twilio's μ-law 8kHz. Pass the same resampler for
+     * every chunk of a stream so the filter state carries across chunks.
+     */
+    static convertBase64PCM24kToBase64MuLaw8k(base64: string, resampler: Resampler): string;
+    static convertBase64ALawToBase64PCM16k(base64: string, resampler: Resampler): string;
+    static convertBase64PCM24kToBase64ALaw8k(base64: string, resampler: Resampler): string;
 }
@@ -1,69 +1,69 @@
+import { ALAW_DECODE_TABLE, ALAW_ENCODE_TABLE, MULAW_DECODE_TABLE, MULAW_ENCODE_TABLE, decodeG711, encodeG711 } from './g711.js';
 export class AudioConverter {
     static base64ToUint8Array(base64) {
-        const binary = Buffer.from(base64, 'base64');
-        return new Uint8Array(binary);
+        return Buffer.from(base64, 'base64');
     }
     static base64ToInt16Array(base64) {
-        const buffer = Buffer.from(base64, 'base64');
-        return new Int16Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 2);
+        return this.toInt16Array(Buffer.from(base64, 'base64'));
+    }
+    // 16-bit samples viewing the buffer in place; copied only when it isn't 2-byte aligned
+    static toInt16Array(bytes) {
+        const length = bytes.byteLength >> 1;
+        if (bytes.byteOffset % 2 === 0)
+            return new Int16Array(bytes.buffer, bytes.byteOffset, length);
+        return new Int16Array(bytes.slice(0, length * 2).buffer);
+    }
+    static toBuffer(samples) {
+        return Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
     }
     static muLawToPCM(muLawSample) {
-        const BIAS = 0x84;
-        muLawSample = ~muLawSample;
-        const sign = muLawSample & 0x80;
-        const exponent = (muLawSample >> 4) & 0x07;
-        const mantissa = muLawSample & 0x0F;
-        let sample = ((mantissa << 3) + BIAS) << exponent;
-        if (sign !== 0)
-            sample = -sample;
-        return sample;
+        return MULAW_DECODE_TABLE[muLawSample & 0xFF];
     }
     static pcmToMuLaw(sample) {
-        const BIAS = 0x84;
-        const CLIP = 32635;
-        const sign = (sample >> 8) & 0x80;
-        if (sign !== 0)
-            sample = -sample;
-        if (sample > CLIP)
-            sample = CLIP;
-        sample += BIAS;
-        let exponent = 7;
-        for (let expMask = 0x4000; (sample & expMask) === 0 && exponent > 0; expMask >>= 1) {
-            exponent--;
-        }
-        const mantissa = (sample >> (exponent + 3)) & 0x0F;
-        const muLawByte = ~(sign | (exponent << 4) | mantissa);
-        return muLawByte & 0xFF;
+        return MULAW_ENCODE_TABLE[sample & 0xFFFF];
+    }
+    static aLawToPCM(aLawSample) {
+        return ALAW_DECODE_TABLE[aLawSample & 0xFF];
+    }
+    static pcmToALaw(sample) {
+        return ALAW_ENCODE_TABLE[sample & 0xFFFF];
+    }
+    /**
+     * G.711 (μ-law or A-law) 8kHz bytes to little-endian PCM 16kHz bytes,
+     * without going through base64. Pass the same 8kHz → 16kHz resampler for
+     * every chunk of a stream so the filter state carries across chunks.
+     */
+    static g711ToPCM16k(g711, encoding, resampler) {
+        const pcm8k = decodeG711(g711, encoding);
+        return this.toBuffer(resampler.process(pcm8k));
+    }
+    /**
+     * Little-endian PCM 24kHz bytes to G.711 (μ-law or A-law) 8kHz bytes,
+     * without going through base64. Pass the same 24kHz → 8kHz resampler for
+     * every chunk of a stream so the filter state carries across chunks.
+     */
+    static pcm24kToG711(pcm, encoding, resampler) {
+        const pcm8k = resampler.process(this.toInt16Array(pcm));
+        return this.toBuffer(encodeG711(pcm8k, encoding));
+    }
+    /**
+     * Twilio's μ-law 8kHz to Gemini's PCM 16kHz. Pass the same resampler for
+     * every chunk of a stream so the filter state carries across chunks.
+     */
+    static convertBase64MuLawToBase64PCM16k(base64, resampler) {
+        return this.g711ToPCM16k(this.base64ToUint8Array(base64), 'mulaw', resampler).toString('base64');
+    }
+    /**
+     * Gemini's PCM 24kHz to Twilio's μ-law 8kHz. Pass the same resampler for
+     * every chunk of a stream so the filter state carries across chunks.
+     */
+    static convertBase64PCM24kToBase64MuLaw8k(base64, resampler) {
+        return this.pcm24kToG711(this.base64ToUint8Array(base64), 'mulaw', resampler).toString('base64');
     }
-    static convertBase64MuLawToBase64PCM16k(base64) {
-        const muLawBytes = this.base64ToUint8Array(base64);
-        const pcm8000 = new Int16Array(muLawBytes.length);
-        for (let i = 0; i < muLawBytes.length; i++) {
-            pcm8000[i] = this.muLawToPCM(muLawBytes[i]);
-        }
-        const pcm16000 = new Int16Array(pcm8000.length * 2);
-        for (let i = 0; i < pcm8000.length; i++) {
-            const sample = pcm8000[i];
-            pcm16000[2 * i] = sample;
-            pcm16000[2 * i + 1] = sample;
-        }
-        const buffer = Buffer.from(pcm16000.buffer);
-        return buffer.toString('base64');
+    static convertBase64ALawToBase64PCM16k(base64, resampler) {
+        return this.g711ToPCM16k(this.base64ToUint8Array(base64), 'alaw', resampler).toString('base64');
     }
-    static convertBase64PCM24kToBase64MuLaw8k(base64) {
-        const pcm24k = this.base64ToInt16Array(base64);
-        const samples8k = Math.floor(pcm24k.length / 3);
-        const interpolated = new Int16Array(samples8k);
-        for (let i = 0; i < samples8k; i++) {
-            const a = pcm24k[i * 3];
-            const b = pcm24k[i * 3 + 1] ?? a;
-            const c = pcm24k[i * 3 + 2] ?? b;
-            interpolated[i] = Math.round((a + b + c) / 3);
-        }
-        const muLaw = new Uint8Array(samples8k);
-        for (let i = 0; i < samples8k; i++) {
-            muLaw[i] = this.pcmToMuLaw(interpolated[i]);
-        }
-        return Buffer.from(muLaw).toString('base64');
+    static convertBase64PCM24kToBase64ALaw8k(base64, resampler) {
+        return this.pcm24kToG711(this.base64ToUint8Array(base64), 'alaw', resampler).toString('base64');
     }
 }
@@ -0,0 +1,7 @@
+export type G711Encoding = 'mulaw' | 'alaw';
+export declare const MULAW_DECODE_TABLE: Int16Array<ArrayBufferLike>;
+export declare const MULAW_ENCODE_TABLE: Uint8Array<ArrayBufferLike>;
+export declare const ALAW_DECODE_TABLE: Int16Array<ArrayBufferLike>;
+export declare const ALAW_ENCODE_TABLE: Uint8Array<ArrayBufferLike>;
+export declare function decodeG711(input: Uint8Array, encoding?: G711Encoding, output?: Int16Array<ArrayBuffer>): Int16Array;
+export declare function encodeG711(input: Int16Array, encoding?: G711Encoding, output?: Uint8Array<ArrayBuffer>): Uint8Array;
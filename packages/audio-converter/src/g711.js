@@ -0,0 +1,91 @@
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+function muLawToLinear(muLawByte) {
+    muLawByte = ~muLawByte;
+    const sign = muLawByte & 0x80;
+    const exponent = (muLawByte >> 4) & 0x07;
+    const mantissa = muLawByte & 0x0F;
+    const sample = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+    return sign !== 0 ? -sample : sample;
+}
+function linearToMuLaw(sample) {
+    const sign = (sample >> 8) & 0x80;
+    if (sign !== 0)
+        sample = -sample;
+    if (sample > MULAW_CLIP)
+        sample = MULAW_CLIP;
+    sample += MULAW_BIAS;
+    let exponent = 7;
+    for (let expMask = 0x4000; (sample & expMask) === 0 && exponent > 0; expMask >>= 1) {
+        exponent--;
+    }
+    const mantissa = (sample >> (exponent + 3)) & 0x0F;
+    return ~(sign | (exponent << 4) | mantissa) & 0xFF;
+}
+// ITU-T G.711 A-law, as used on European and most non-US trunks
+function aLawToLinear(aLawByte) {
+    aLawByte ^= 0x55;
+    const exponent = (aLawByte & 0x70) >> 4;
+    let sample = (aLawByte & 0x0F) << 4;
+    if (exponent === 0) {
+        sample += 8;
+    }
+    else {
+        sample = (sample + 0x108) << (exponent - 1);
+    }
+    return (aLawByte & 0x80) ? sample : -sample;
+}
+function linearToALaw(sample) {
+    let pcm = sample >> 3;
+    let mask;
+    if (pcm >= 0) {
+        mask = 0xD5;
+    }
+    else {
+        mask = 0x55;
+        pcm = -pcm - 1;
+    }
+    let segment = 0;
+    while (segment < 8 && pcm > (0x20 << segment) - 1) {
+        segment++;
+    }
+    if (segment >= 8)
+        return 0x7F ^ mask;
+    const mantissa = segment < 2 ? (pcm >> 1) & 0x0F : (pcm >> segment) & 0x0F;
+    return ((segment << 4) | mantissa) ^ mask;
+}
+function buildDecodeTable(decode) {
+    const table = new Int16Array(256);
+    for (let i = 0; i < 256; i++) {
+        table[i] = decode(i);
+    }
+    return table;
+}
+// Indexed by the 16-bit sample's two's complement bit pattern (sample & 0xFFFF)
+function buildEncodeTable(encode) {
+    const table = new Uint8Array(65536);
+    for (let i = 0; i < 65536; i++) {
+        table[i] = encode((i << 16) >> 16);
+    }
+    return table;
+}
+export const MULAW_DECODE_TABLE = buildDecodeTable(muLawToLinear);
+export const MULAW_ENCODE_TABLE = buildEncodeTable(linearToMuLaw);
+export const ALAW_DECODE_TABLE = buildDecodeTable(aLawToLinear);
+export const ALAW_ENCODE_TABLE = buildEncodeTable(linearToALaw);
+// G.711 bytes to 16-bit PCM samples; output may be passed in to avoid allocating
+export function decodeG711(input, encoding = 'mulaw', output = new Int16Array(input.length)) {
+    const table = encoding === 'alaw' ? ALAW_DECODE_TABLE : MULAW_DECODE_TABLE;
+    for (let i = 0; i < input.length; i++) {
+        output[i] = table[input[i]];
+    }
+    return output;
+}
+// 16-bit PCM samples to G.711 bytes; output may be passed in to avoid allocating
+export function encodeG711(input, encoding = 'mulaw', output = new Uint8Array(input.length)) {
+    const table = encoding === 'alaw' ? ALAW_ENCODE_TABLE : MULAW_ENCODE_TABLE;
+    for (let i = 0; i < input.length; i++) {
+        output[i] = table[input[i] & 0xFFFF];
+    }
+    return output;
+}
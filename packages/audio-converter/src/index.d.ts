@@ -1 +1,4 @@
-export { AudioConverter } from './audio-converter';
+export { AudioConverter } from './audio-converter.js';
+export * from './resampler.js';
+export * from './g711.js';
+export * from './voice-activity-detector.js';
@@ -1 +1,4 @@
-export { AudioConverter } from './audio-converter';
\ No newline at end of file
+export { AudioConverter } from './audio-converter.js';
+export * from './resampler.js';
+export * from './g711.js';
+export * from './voice-activity-detector.js';
\ No newline at end of file
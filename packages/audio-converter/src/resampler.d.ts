@@ -0,0 +1,23 @@
+export interface ResamplerOptions {
+    taps?: number;
+    rolloff?: number;
+    kaiserBeta?: number;
+}
+/**
+ * Streaming polyphase FIR resampler for 16-bit PCM between any two integer
+ * sample rates (8, 16, 22.05, 24, 48 kHz...). The last input samples and the
+ * output phase are kept between calls, so an audio stream can be fed in
+ * chunks of any size without clicks at the chunk boundaries. Use one
+ * instance per stream and direction.
+ */
+export declare class Resampler {
+    readonly inputRate: number;
+    readonly outputRate: number;
+    private bank;
+    private history;
+    private position;
+    private scratch;
+    constructor(inputRate: number, outputRate: number, options?: ResamplerOptions);
+    reset(): void;
+    process(input: Int16Array): Int16Array;
+}
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Resampler } from './resampler.js';
+import { AudioConverter } from './audio-converter.js';
+
+const AMPLITUDE = 10000;
+// Output samples skipped at each end, past the filter's delay
+const SETTLE = 200;
+
+function tone(rate, frequency, length = rate) {
+    const samples = new Int16Array(length);
+    for (let i = 0; i < length; i++) {
+        samples[i] = Math.round(AMPLITUDE * Math.sin(2 * Math.PI * frequency * i / rate));
+    }
+    return samples;
+}
+
+// Feed the input through in 20ms chunks, as a media stream would
+function processInChunks(input, inputRate, makeResampler) {
+    const chunkSize = inputRate / 50;
+    const output = [];
+    for (let i = 0; i < input.length; i += chunkSize) {
+        output.push(...makeResampler().process(input.subarray(i, i + chunkSize)));
+    }
+    return Int16Array.from(output);
+}
+
+// Least-squares fit of a sine at the given frequency: its gain against the
+// reference tone and the power left over, both in dB
+function measure(samples, rate, frequency) {
+    const w = 2 * Math.PI * frequency / rate;
+    let cos = 0;
+    let sin = 0;
+    let count = 0;
+    for (let i = SETTLE; i < samples.length - SETTLE; i++) {
+        cos += samples[i] * Math.cos(w * i);
+        sin += samples[i] * Math.sin(w * i);
+        count++;
+    }
+    cos = 2 * cos / count;
+    sin = 2 * sin / count;
+
+    let residual = 0;
+    let signal = 0;
+    for (let i = SETTLE; i < samples.length - SETTLE; i++) {
+        const fitted = cos * Math.cos(w * i) + sin * Math.sin(w * i);
+        residual += (samples[i] - fitted) ** 2;
+        signal += fitted ** 2;
+    }
+
+    return {
+        gainDb: 20 * Math.log10(Math.hypot(cos, sin) / AMPLITUDE),
+        residualDb: 10 * Math.log10(residual / signal)
+    };
+}
+
+for (const [inputRate, outputRate] of [[8000, 16000], [24000, 8000]]) {
+    test(`${inputRate} → ${outputRate} passes speech frequencies unchanged`, () => {
+        for (const frequency of [300, 1000, 3000]) {
+            const resampler = new Resampler(inputRate, outputRate);
+            const output = processInChunks(tone(inputRate, frequency), inputRate, () => resampler);
+            const { gainDb, residualDb } = measure(output, outputRate, frequency);
+
+            assert.ok(Math.abs(gainDb) < 0.5, `${frequency}Hz gain ${gainDb.toFixed(2)}dB`);
+            assert.ok(residualDb < -60, `${frequency}Hz residual ${residualDb.toFixed(1)}dB`);
+        }
+    });
+
+    test(`${inputRate} → ${outputRate} is continuous across chunks`, () => {
+        const input = tone(inputRate, 1000);
+        const resampler = new Resampler(inputRate, outputRate);
+        const chunked = processInChunks(input, inputRate, () => resampler);
+        const whole = new Resampler(inputRate, outputRate).process(input);
+
+        assert.deepEqual(chunked, whole);
+    });
+
+    test(`${inputRate} → ${outputRate} with a new resampler per chunk distorts`, () => {
+        // What reusing the resampler avoids: each chunk restarts the filter
+        const output = processInChunks(tone(inputRate, 1000), inputRate, () => new Resampler(inputRate, outputRate));
+        const { residualDb } = measure(output, outputRate, 1000);
+
+        assert.ok(residualDb > -20, `residual ${residualDb.toFixed(1)}dB`);
+    });
+}
+
+test('24000 → 8000 removes frequencies above the new Nyquist', () => {
+    for (const frequency of [5000, 6000, 10000]) {
+        const resampler = new Resampler(24000, 8000);
+        const output = processInChunks(tone(24000, frequency), 24000, () => resampler);
+        // Whatever aliases into the 0-4kHz band is what's left of the tone
+        const aliased = 8000 - frequency % 8000;
+        const { gainDb } = measure(output, 8000, Math.min(aliased, 8000 - aliased));
+
+        assert.ok(gainDb < -60, `${frequency}Hz aliases at ${gainDb.toFixed(1)}dB`);
+    }
+});
+
+test('reset clears the history between calls', () => {
+    const resampler = new Resampler(8000, 16000);
+    resampler.process(tone(8000, 1000, 160));
+    resampler.reset();
+
+    assert.deepEqual(resampler.process(tone(8000, 440, 160)), new Resampler(8000, 16000).process(tone(8000, 440, 160)));
+});
+
+test('base64 conversions round-trip a tone through G.711', () => {
+    for (const [toG711, fromG711] of [
+        ['convertBase64PCM24kToBase64MuLaw8k', 'convertBase64MuLawToBase64PCM16k'],
+        ['convertBase64PCM24kToBase64ALaw8k', 'convertBase64ALawToBase64PCM16k']
+    ]) {
+        const downsampler = new Resampler(24000, 8000);
+        const upsampler = new Resampler(8000, 16000);
+        const input = tone(24000, 1000);
+        const chunks = [];
+
+        for (let i = 0; i < input.length; i += 480) {
+            const pcm24k = Buffer.from(input.buffer, input.byteOffset + i * 2, 960).toString('base64');
+            const g711 = AudioConverter[toG711](pcm24k, downsampler);
+            chunks.push(AudioConverter.base64ToInt16Array(AudioConverter[fromG711](g711, upsampler)));
+        }
+
+        const output = Int16Array.from(chunks.flatMap(chunk => [...chunk]));
+        const { gainDb, residualDb } = measure(output, 16000, 1000);
+
+        assert.equal(output.length, 16000);
+        assert.ok(Math.abs(gainDb) < 0.5, `${toG711} gain ${gainDb.toFixed(2)}dB`);
+        // G.711 quantisation noise sits around -35dB for a tone at this level
+        assert.ok(residualDb < -30, `${toG711} residual ${residualDb.toFixed(1)}dB`);
+    }
+});
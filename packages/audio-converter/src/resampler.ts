@@ -0,0 +1,175 @@
+export interface ResamplerOptions {
+    // Filter taps per output phase at 1:1 ratio; more taps give a sharper cutoff
+    taps?: number;
+    // Passband edge as a fraction of the lower Nyquist frequency
+    rolloff?: number;
+    // Kaiser window beta; about 8 gives ~80 dB stopband attenuation
+    kaiserBeta?: number;
+}
+
+interface FilterBank {
+    upFactor: number;
+    downFactor: number;
+    tapsPerPhase: number;
+    // phases[p][j] is the coefficient applied to the j-th most recent input sample
+    phases: Float32Array[];
+}
+
+const DEFAULT_TAPS = 24;
+const DEFAULT_ROLLOFF = 0.9;
+const DEFAULT_KAISER_BETA = 8;
+
+const filterBankCache = new Map<string, FilterBank>();
+
+function gcd(a: number, b: number): number {
+    while (b) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+// Zeroth-order modified Bessel function of the first kind, for the Kaiser window
+function besselI0(x: number): number {
+    let sum = 1;
+    let term = 1;
+    const halfX = x / 2;
+
+    for (let k = 1; k < 50; k++) {
+        term *= (halfX / k) * (halfX / k);
+        sum += term;
+        if (term < sum * 1e-12)
+            break;
+    }
+
+    return sum;
+}
+
+// Windowed-sinc low-pass filter at the upsampled rate, split into its polyphase components
+function designFilterBank(inputRate: number, outputRate: number, options: ResamplerOptions): FilterBank {
+    const taps = options.taps ?? DEFAULT_TAPS;
+    const rolloff = options.rolloff ?? DEFAULT_ROLLOFF;
+    const beta = options.kaiserBeta ?? DEFAULT_KAISER_BETA;
+
+    const key = `${inputRate}:${outputRate}:${taps}:${rolloff}:${beta}`;
+    const cached = filterBankCache.get(key);
+    if (cached)
+        return cached;
+
+    const divisor = gcd(inputRate, outputRate);
+    const upFactor = outputRate / divisor;
+    const downFactor = inputRate / divisor;
+
+    // Downsampling needs a proportionally longer filter for the same transition band
+    const tapsPerPhase = Math.ceil(taps * Math.max(1, downFactor / upFactor));
+    const length = tapsPerPhase * upFactor;
+
+    // Cutoff relative to the upsampled rate (inputRate * upFactor)
+    const cutoff = (rolloff * 0.5 * Math.min(inputRate, outputRate)) / (inputRate * upFactor);
+    const center = (length - 1) / 2;
+    const windowNorm = besselI0(beta);
+
+    const prototype = new Float64Array(length);
+    let sum = 0;
+    for (let n = 0; n < length; n++) {
+        const t = n - center;
+        const sinc = t === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * t) / (Math.PI * t);
+        const ratio = (2 * n) / (length - 1) - 1;
+        const window = besselI0(beta * Math.sqrt(Math.max(0, 1 - ratio * ratio))) / windowNorm;
+        prototype[n] = sinc * window;
+        sum += prototype[n];
+    }
+
+    // Unity gain at DC for every phase once the zero-stuffed samples are accounted for
+    const gain = upFactor / sum;
+
+    const phases: Float32Array[] = [];
+    for (let phase = 0; phase < upFactor; phase++) {
+        const coefficients = new Float32Array(tapsPerPhase);
+        for (let j = 0; j < tapsPerPhase; j++) {
+            coefficients[j] = prototype[phase + j * upFactor] * gain;
+        }
+        phases.push(coefficients);
+    }
+
+    const bank = { upFactor, downFactor, tapsPerPhase, phases };
+    filterBankCache.set(key, bank);
+    return bank;
+}
+
+/**
+ * Streaming polyphase FIR resampler for 16-bit PCM between any two integer
+ * sample rates (8, 16, 22.05, 24, 48 kHz...). The last input samples and the
+ * output phase are kept between calls, so an audio stream can be fed in
+ * chunks of any size without clicks at the chunk boundaries. Use one
+ * instance per stream and direction.
+ */
+export class Resampler {
+
+    readonly inputRate: number;
+    readonly outputRate: number;
+
+    private bank: FilterBank;
+    // Last tapsPerPhase - 1 input samples of the previous chunk
+    private history: Float32Array;
+    // Position of the next output sample, in upsampled samples from the start of the next chunk
+    private position = 0;
+    // History plus the current chunk, reused between chunks
+    private scratch = new Float32Array(0);
+
+    constructor(inputRate: number, outputRate: number, options: ResamplerOptions = {}) {
+        if (!Number.isInteger(inputRate) || !Number.isInteger(outputRate) || inputRate <= 0 || outputRate <= 0)
+            throw new Error(`Unsupported sample rates: ${inputRate} -> ${outputRate}`);
+
+        this.inputRate = inputRate;
+        this.outputRate = outputRate;
+        this.bank = designFilterBank(inputRate, outputRate, options);
+        this.history = new Float32Array(this.bank.tapsPerPhase - 1);
+    }
+
+    // Forget the previous chunk, e.g. when unrelated audio starts
+    reset() {
+        this.history.fill(0);
+        this.position = 0;
+    }
+
+    process(input: Int16Array): Int16Array {
+        if (this.inputRate === this.outputRate)
+            return input.slice();
+
+        const { upFactor, downFactor, tapsPerPhase, phases } = this.bank;
+        const historyLength = this.history.length;
+
+        // History followed by the new chunk
+        if (this.scratch.length < historyLength + input.length)
+            this.scratch = new Float32Array(historyLength + input.length);
+        const samples = this.scratch.subarray(0, historyLength + input.length);
+        samples.set(this.history);
+        for (let i = 0; i < input.length; i++) {
+            samples[historyLength + i] = input[i];
+        }
+
+        const end = input.length * upFactor;
+        const outputLength = this.position < end ? Math.ceil((end - this.position) / downFactor) : 0;
+        const output = new Int16Array(outputLength);
+
+        let position = this.position;
+        for (let k = 0; k < outputLength; k++) {
+            const index = Math.floor(position / upFactor);
+            const coefficients = phases[position - index * upFactor];
+            const newest = historyLength + index;
+
+            let acc = 0;
+            for (let j = 0; j < tapsPerPhase; j++) {
+                acc += coefficients[j] * samples[newest - j];
+            }
+
+            output[k] = acc > 32767 ? 32767 : acc < -32768 ? -32768 : Math.round(acc);
+            position += downFactor;
+        }
+
+        this.position = position - end;
+        this.history.set(samples.subarray(samples.length - historyLength));
+
+        return output;
+    }
+}
@@ -0,0 +1,26 @@
+export interface VoiceActivityDetectorOptions {
+    sampleRate?: number;
+    minSpeechDb?: number;
+    marginDb?: number;
+    maxZeroCrossingRate?: number;
+    speechStartMs?: number;
+    speechEndMs?: number;
+}
+export type VoiceActivityEvent = 'start' | 'end';
+/**
+ * Energy and zero-crossing voice activity detector for 16-bit PCM. Feed it
+ * consecutive frames of one stream (e.g. Twilio's 20 ms frames); it tracks
+ * the line's noise floor and reports when the speaker starts and stops
+ * talking. Use one instance per stream.
+ */
+export declare class VoiceActivityDetector {
+    speaking: boolean;
+    levelDb: number;
+    noiseFloorDb: number;
+    private options;
+    private speechMs;
+    private silenceMs;
+    constructor(options?: VoiceActivityDetectorOptions);
+    reset(): void;
+    process(frame: Int16Array): VoiceActivityEvent | null;
+}
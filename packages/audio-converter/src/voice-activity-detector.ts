@@ -0,0 +1,106 @@
+export interface VoiceActivityDetectorOptions {
+    sampleRate?: number;
+    // Frames quieter than this (dBFS) are never speech
+    minSpeechDb?: number;
+    // How far above the tracked noise floor a frame must be to count as speech
+    marginDb?: number;
+    // Zero-crossing rate (crossings per sample) above which loud frames are treated as hiss
+    maxZeroCrossingRate?: number;
+    // Speech needed before activity starts, and silence needed before it ends
+    speechStartMs?: number;
+    speechEndMs?: number;
+}
+
+export type VoiceActivityEvent = 'start' | 'end';
+
+const DEFAULT_OPTIONS: Required<VoiceActivityDetectorOptions> = {
+    sampleRate: 8000,
+    minSpeechDb: -45,
+    marginDb: 12,
+    maxZeroCrossingRate: 0.45,
+    speechStartMs: 60,
+    speechEndMs: 600
+};
+
+const INITIAL_NOISE_FLOOR_DB = -60;
+const MAX_NOISE_FLOOR_DB = -30;
+
+/**
+ * Energy and zero-crossing voice activity detector for 16-bit PCM. Feed it
+ * consecutive frames of one stream (e.g. Twilio's 20 ms frames); it tracks
+ * the line's noise floor and reports when the speaker starts and stops
+ * talking. Use one instance per stream.
+ */
+export class VoiceActivityDetector {
+
+    speaking = false;
+    // Level of the last frame and the estimated background noise, in dBFS
+    levelDb = -Infinity;
+    noiseFloorDb = INITIAL_NOISE_FLOOR_DB;
+
+    private options: Required<VoiceActivityDetectorOptions>;
+    private speechMs = 0;
+    private silenceMs = 0;
+
+    constructor(options: VoiceActivityDetectorOptions = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    reset() {
+        this.speaking = false;
+        this.levelDb = -Infinity;
+        this.noiseFloorDb = INITIAL_NOISE_FLOOR_DB;
+        this.speechMs = 0;
+        this.silenceMs = 0;
+    }
+
+    // Analyse the next frame; returns 'start' or 'end' when the activity state changes
+    process(frame: Int16Array): VoiceActivityEvent | null {
+        if (frame.length === 0)
+            return null;
+
+        const { sampleRate, minSpeechDb, marginDb, maxZeroCrossingRate, speechStartMs, speechEndMs } = this.options;
+        const frameMs = (frame.length / sampleRate) * 1000;
+
+        let energy = 0;
+        let crossings = 0;
+        for (let i = 0; i < frame.length; i++) {
+            energy += frame[i] * frame[i];
+            if (i > 0 && (frame[i] >= 0) !== (frame[i - 1] >= 0))
+                crossings++;
+        }
+
+        const rms = Math.sqrt(energy / frame.length);
+        this.levelDb = rms > 0 ? 20 * Math.log10(rms / 32768) : -Infinity;
+        const zeroCrossingRate = crossings / frame.length;
+
+        const isSpeech = this.levelDb > Math.max(minSpeechDb, this.noiseFloorDb + marginDb)
+            && zeroCrossingRate < maxZeroCrossingRate;
+
+        // The noise floor follows quiet frames down quickly and creeps up slowly
+        if (!this.speaking && !isSpeech && Number.isFinite(this.levelDb)) {
+            const rate = this.levelDb < this.noiseFloorDb ? 0.5 : 0.02;
+            this.noiseFloorDb = Math.min(MAX_NOISE_FLOOR_DB, this.noiseFloorDb + (this.levelDb - this.noiseFloorDb) * rate);
+        }
+
+        if (isSpeech) {
+            this.speechMs += frameMs;
+            this.silenceMs = 0;
+        } else {
+            this.silenceMs += frameMs;
+            this.speechMs = 0;
+        }
+
+        if (!this.speaking && this.speechMs >= speechStartMs) {
+            this.speaking = true;
+            return 'start';
+        }
+
+        if (this.speaking && this.silenceMs >= speechEndMs) {
+            this.speaking = false;
+            return 'end';
+        }
+
+        return null;
+    }
+}
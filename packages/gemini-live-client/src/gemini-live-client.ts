@@ -1,58 +1,129 @@
-import { BidiGenerateContentRealtimeInput, BidiGenerateContentServerContent, BidiGenerateContentServerMessage, BidiRequest, GeminiLiveClientOptions } from './gemini-live.dto.js';
+import { BidiGenerateContentRealtimeInput, BidiGenerateContentServerContent, BidiGenerateContentServerMessage, BidiGenerateContentToolCall, BidiGenerateContentToolCallCancellation, BidiGenerateContentTranscription, BidiRequest, FunctionResponse, GeminiLiveClientOptions, GeminiReconnectOptions } from './gemini-live.dto.js';
 import { CloseEvent, ErrorEvent, MessageEvent, WebSocket } from 'ws';
 
+const DEFAULT_RECONNECT_OPTIONS: Required<GeminiReconnectOptions> = {
+    enabled: true,
+    deadlineMs: 10000,
+    initialDelayMs: 250,
+    maxDelayMs: 2000,
+    maxBufferedRequests: 1000
+};
+
 export class GeminiLiveClient {
 
     private static readonly DEFAULT_GEMINI_BIDI_SERVER = 'wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent';
 
-    private socket: WebSocket;
+    private socket!: WebSocket;
     public isReady: boolean = false;
+    // True from a lost connection until a new session is ready or reconnecting gives up
+    public isReconnecting: boolean = false;
+
+    private reconnectOptions: Required<GeminiReconnectOptions>;
+    private resumptionHandle?: string;
+    // Set once the first session is ready; a connection that never got that far isn't retried
+    private hasSession = false;
+    private closedByClient = false;
+    private reconnectFailed = false;
+    private reconnectAttempt = 0;
+    private reconnectTimer?: NodeJS.Timeout;
+    private reconnectDeadline?: NodeJS.Timeout;
+    // Requests sent while reconnecting, delivered once the new session is ready
+    private pendingRequests: BidiRequest[] = [];
 
     public onReady?: () => void;
     public onError?: (event: ErrorEvent) => void;
+    // The connection ended for good (not called when reconnecting fails, see onReconnectFailed)
     public onClose?: (event: CloseEvent) => void;
     public onServerContent?: (serverContent: BidiGenerateContentServerContent) => void;
+    // Require inputAudioTranscription / outputAudioTranscription in the setup
+    public onInputTranscription?: (transcription: BidiGenerateContentTranscription) => void;
+    public onOutputTranscription?: (transcription: BidiGenerateContentTranscription) => void;
+    // Answer each function call with sendToolResponse, using the call's id
+    public onToolCall?: (toolCall: BidiGenerateContentToolCall) => void;
+    public onToolCallCancellation?: (cancellation: BidiGenerateContentToolCallCancellation) => void;
+    // The connection was lost (or the server is about to close it) and a new one is being opened
+    public onReconnecting?: (reason: string) => void;
+    // A new session is ready; resumed is false when the conversation so far could not be restored
+    public onReconnected?: (resumed: boolean) => void;
+    // No session could be re-established before the deadline; the client is closed
+    public onReconnectFailed?: () => void;
 
     constructor(
         private options: GeminiLiveClientOptions
     ) {
-        const server = options.server;
+        this.reconnectOptions = { ...DEFAULT_RECONNECT_OPTIONS, ...options.reconnect };
+        this.connect();
+    }
+
+    private connect() {
+        const server = this.options.server;
         const baseUrl = server?.url || GeminiLiveClient.DEFAULT_GEMINI_BIDI_SERVER;
         const queryParams = server?.apiKey ? `key=${server.apiKey}` : '';
 
         const url = `${baseUrl}?${queryParams}`;
-        this.socket = new WebSocket(url);
+        const socket = new WebSocket(url);
+        this.socket = socket;
+
+        // Events of a socket that has been replaced are ignored
+        socket.onopen = () => {
+            if (socket === this.socket)
+                this.sendSetup();
+        };
 
-        this.socket.onopen = this.sendSetup.bind(this);
-        this.socket.onmessage = this.handlerMessage.bind(this);
+        socket.onmessage = (event: MessageEvent) => {
+            if (socket === this.socket)
+                this.handlerMessage(event);
+        };
 
-        this.socket.onerror = (event: ErrorEvent) => {
+        socket.onerror = (event: ErrorEvent) => {
+            if (socket !== this.socket)
+                return;
             this.isReady = false;
             this.onError?.(event);
         };
 
-        this.socket.onclose = (event: CloseEvent) => {
+        socket.onclose = (event: CloseEvent) => {
+            if (socket !== this.socket)
+                return;
             this.isReady = false;
-            this.onClose?.(event);
+
+            if (this.reconnectFailed)
+                return;
+
+            if (this.closedByClient || !this.reconnectOptions.enabled || !this.hasSession)
+                return this.onClose?.(event);
+
+            if (this.isReconnecting)
+                return this.scheduleReconnectAttempt();
+
+            this.startReconnecting(`connection closed (${event.code}${event.reason ? ` ${event.reason}` : ''})`);
         };
     }
 
     protected sendSetup() {
-        const jsonPayload = JSON.stringify({ setup: this.options.setup });
+        const setup = this.reconnectOptions.enabled
+            ? { ...this.options.setup, sessionResumption: { handle: this.resumptionHandle } }
+            : this.options.setup;
+        const jsonPayload = JSON.stringify({ setup });
         this.socket.send(jsonPayload);
     }
 
     protected async handlerMessage(event: MessageEvent) {
         const isBuffer = event.data instanceof Buffer;
         if (!isBuffer)
-            return; 
-        
+            return;
+
         const blob = event.data;
         const text = blob.toString();
         const obj: BidiGenerateContentServerMessage = JSON.parse(text);
         if (obj.setupComplete) {
             this.isReady = true;
-            
+
+            if (this.isReconnecting)
+                return this.finishReconnecting();
+
+            this.hasSession = true;
+
             // Send initial greeting trigger to ensure Gemini speaks first
             setTimeout(() => {
                 this.sendClientContent({
@@ -63,15 +134,108 @@ export class GeminiLiveClient {
                     turnComplete: true
                 });
             }, 100);
-            
+
             return this.onReady?.();
         }
 
+        if (obj.sessionResumptionUpdate) {
+            const { resumable, newHandle } = obj.sessionResumptionUpdate;
+            if (resumable && newHandle)
+                this.resumptionHandle = newHandle;
+            return;
+        }
+
+        if (obj.goAway) {
+            // Move to a new connection before the server closes this one
+            if (this.reconnectOptions.enabled && !this.isReconnecting)
+                this.startReconnecting(`server going away (time left ${obj.goAway.timeLeft || 'unknown'})`);
+            return;
+        }
+
         if (obj.serverContent) {
+            const { inputTranscription, outputTranscription } = obj.serverContent;
+            if (inputTranscription?.text)
+                this.onInputTranscription?.(inputTranscription);
+            if (outputTranscription?.text)
+                this.onOutputTranscription?.(outputTranscription);
+
             return this.onServerContent?.(obj.serverContent);
         }
+
+        if (obj.toolCall) {
+            return this.onToolCall?.(obj.toolCall);
+        }
+
+        if (obj.toolCallCancellation) {
+            return this.onToolCallCancellation?.(obj.toolCallCancellation);
+        }
     };
 
+    private startReconnecting(reason: string) {
+        this.isReady = false;
+        this.isReconnecting = true;
+        this.reconnectAttempt = 0;
+        this.onReconnecting?.(reason);
+
+        this.reconnectDeadline = setTimeout(() => this.giveUpReconnecting(), this.reconnectOptions.deadlineMs);
+        this.reconnectNow();
+    }
+
+    private reconnectNow() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectAttempt++;
+
+        // Drop the old connection without triggering another reconnect
+        const oldSocket = this.socket;
+        this.connect();
+        if (oldSocket.readyState === WebSocket.OPEN || oldSocket.readyState === WebSocket.CONNECTING)
+            oldSocket.close();
+    }
+
+    private scheduleReconnectAttempt() {
+        const { initialDelayMs, maxDelayMs } = this.reconnectOptions;
+        const delay = Math.min(initialDelayMs * 2 ** (this.reconnectAttempt - 1), maxDelayMs);
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.reconnectNow(), delay);
+    }
+
+    private finishReconnecting() {
+        clearTimeout(this.reconnectDeadline);
+        clearTimeout(this.reconnectTimer);
+        this.isReconnecting = false;
+
+        // A new session can't take responses to the old session's function calls
+        const resumed = Boolean(this.resumptionHandle);
+        const pending = resumed
+            ? this.pendingRequests
+            : this.pendingRequests.filter(request => !request.toolResponse);
+        this.pendingRequests = [];
+
+        this.onReconnected?.(resumed);
+        pending.forEach(request => this.send(request));
+    }
+
+    private giveUpReconnecting() {
+        clearTimeout(this.reconnectTimer);
+        this.isReconnecting = false;
+        this.isReady = false;
+        this.closedByClient = true;
+        this.reconnectFailed = true;
+        this.pendingRequests = [];
+        this.socket.close();
+        this.onReconnectFailed?.();
+    }
+
+    // Keep a request for the new session, dropping the oldest audio when full
+    private bufferRequest(request: BidiRequest) {
+        this.pendingRequests.push(request);
+
+        if (this.pendingRequests.length > this.reconnectOptions.maxBufferedRequests) {
+            const oldestAudio = this.pendingRequests.findIndex(pending => pending.realtimeInput?.audio || pending.realtimeInput?.mediaChunks);
+            this.pendingRequests.splice(oldestAudio >= 0 ? oldestAudio : 0, 1);
+        }
+    }
+
     public sendText(text: string) {
         const realtimeInput: BidiGenerateContentRealtimeInput = { text };
         this.send({ realtimeInput });
@@ -89,22 +253,13 @@ export class GeminiLiveClient {
         this.send({ clientContent: content });
     }
 
-    public sendFunctionResponse(functionName: string, response: any) {
-        const functionResponse = {
-            name: functionName,
-            response: response
-        };
-        
-        this.sendClientContent({
-            turns: [{
-                role: 'function',
-                parts: [{ functionResponse }]
-            }],
-            turnComplete: true
-        });
+    public sendToolResponse(functionResponses: FunctionResponse[]) {
+        this.send({ toolResponse: { functionResponses } });
     }
 
     protected send(request: BidiRequest) {
+        if (this.isReconnecting)
+            return this.bufferRequest(request);
         if (!this.isReady)
             return;
         const jsonPayload = JSON.stringify(request);
@@ -112,6 +267,11 @@ export class GeminiLiveClient {
     }
 
     public close() {
+        this.closedByClient = true;
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.reconnectDeadline);
+        this.isReconnecting = false;
+        this.pendingRequests = [];
         this.socket.close();
     }
-}
\ No newline at end of file
+}
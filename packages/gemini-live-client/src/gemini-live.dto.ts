@@ -29,11 +29,25 @@ export interface BidiRequest {
         turns: any;
         turnComplete?: boolean;
     };
+    toolResponse?: BidiGenerateContentToolResponse;
 }
 
 export interface GeminiLiveClientOptions {
     server: GeminiServer;
     setup: BidiGenerateContentSetup;
+    reconnect?: GeminiReconnectOptions;
+}
+
+export interface GeminiReconnectOptions {
+    // Reconnect when the connection drops or the server sends goAway (default true)
+    enabled?: boolean;
+    // Give up when no new session is ready this long after the connection was lost
+    deadlineMs?: number;
+    // Wait before retrying a failed attempt, doubling up to maxDelayMs
+    initialDelayMs?: number;
+    maxDelayMs?: number;
+    // Requests kept while reconnecting; beyond this the oldest audio is dropped
+    maxBufferedRequests?: number;
 }
 
 export interface GeminiServer {
@@ -75,14 +89,23 @@ export interface BidiGenerateContentSetup {
             silenceDurationMs?: number
         }
     }
-    inputAudioTranscription?: {}
-    outputAudioTranscription?: {}
+    inputAudioTranscription?: AudioTranscriptionConfig
+    outputAudioTranscription?: AudioTranscriptionConfig
     enableAffectiveDialog?: boolean
     proactivity?: {
         proactiveAudio?: boolean
     }
+    // Set by the client when reconnecting is enabled
+    sessionResumption?: SessionResumptionConfig
+}
+
+export interface SessionResumptionConfig {
+    // Handle of the session to resume; omitted for a new session
+    handle?: string
 }
 
+export interface AudioTranscriptionConfig { }
+
 export interface FunctionDeclaration {
     function_declarations: [{
         name: string
@@ -99,8 +122,9 @@ export interface BidiGenerateContentRealtimeInput {
     mediaChunks?: GeminiBlob[];
     audio?: GeminiBlob;
     video?: GeminiBlob;
-    // activityStart?: ActivityStart;
-    // activityEnd?: ActivityEnd;
+    // Only sent when automaticActivityDetection is disabled
+    activityStart?: Record<string, never>;
+    activityEnd?: Record<string, never>;
     audioStreamEnd?: boolean;
     text?: string;
 }
@@ -110,21 +134,60 @@ export interface BidiGenerateContentServerContent {
     turnComplete?: boolean;
     interrupted?: boolean;
     modelTurn?: GeminiContent;
-    inputTranscription?: {
-        text: string;
-    };
-    outputTranscription?: {
-        text: string;
-    };
+    inputTranscription?: BidiGenerateContentTranscription;
+    outputTranscription?: BidiGenerateContentTranscription;
     usageMetadata?: {
         totalTokenCount: number;
         responseTokensDetails: any[];
     };
 }
 
+export interface BidiGenerateContentTranscription {
+    text: string;
+}
+
 export interface BidiGenerateContentSetupComplete { }
 
+export interface FunctionCall {
+    id: string;
+    name: string;
+    args?: Record<string, any>;
+}
+
+export interface FunctionResponse {
+    id: string;
+    name: string;
+    response: Record<string, any>;
+}
+
+export interface BidiGenerateContentToolCall {
+    functionCalls: FunctionCall[];
+}
+
+export interface BidiGenerateContentToolCallCancellation {
+    ids: string[];
+}
+
+export interface BidiGenerateContentToolResponse {
+    functionResponses: FunctionResponse[];
+}
+
+export interface BidiGenerateContentGoAway {
+    // Time until the server closes the connection, e.g. "10s"
+    timeLeft?: string;
+}
+
+export interface BidiGenerateContentSessionResumptionUpdate {
+    newHandle?: string;
+    resumable?: boolean;
+    lastConsumedClientMessageIndex?: string;
+}
+
 export interface BidiGenerateContentServerMessage {
     setupComplete?: BidiGenerateContentSetupComplete;
     serverContent?: BidiGenerateContentServerContent;
+    toolCall?: BidiGenerateContentToolCall;
+    toolCallCancellation?: BidiGenerateContentToolCallCancellation;
+    goAway?: BidiGenerateContentGoAway;
+    sessionResumptionUpdate?: BidiGenerateContentSessionResumptionUpdate;
 }
\ No newline at end of file
@@ -0,0 +1,187 @@
+import { createHmac } from 'crypto';
+import type { FunctionContext, FunctionDefinition } from './function-handler.js';
+import { fetchPublicUrl } from './safe-url.js';
+
+// A tenant-defined HTTP tool (custom_functions row)
+export interface CustomFunctionConfig {
+  id: string
+  profile_id: string
+  name: string
+  description: string
+  parameters?: {
+    type: 'object'
+    properties: Record<string, any>
+    required?: string[]
+  }
+  url: string
+  method?: 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE'
+  headers?: Record<string, string>
+  secret_key?: string
+  timeout_ms?: number
+}
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const MAX_TIMEOUT_MS = 30000;
+
+// Longest endpoint response handed back to Gemini, in characters of JSON
+export const MAX_CUSTOM_FUNCTION_RESPONSE_LENGTH = 4000;
+
+// Build a FunctionDefinition that calls the tenant's endpoint
+export function createCustomFunctionDefinition(config: CustomFunctionConfig): FunctionDefinition {
+  const parameters = config.parameters || { type: 'object' as const, properties: {} };
+
+  return {
+    name: config.name,
+    description: config.description,
+    parameters,
+    handler: async (args: Record<string, any>, context: FunctionContext) => {
+      const errors = validateArguments(parameters, args);
+      if (errors.length > 0) {
+        throw new Error(`Invalid arguments: ${errors.join('; ')}`);
+      }
+
+      return invokeCustomFunction(config, args, context);
+    },
+    requiresAuth: true
+  };
+}
+
+// Validate arguments against the JSON schema subset Gemini function
+// declarations use (type, properties, required, enum, items, min/max).
+// Tenants' pattern regexes aren't run here, as one can hang the server.
+export function validateArguments(schema: any, value: any, path = 'args'): string[] {
+  if (!schema) return [];
+
+  const errors: string[] = [];
+  const type = schema.type;
+
+  if (type && !matchesType(type, value)) {
+    return [`${path} must be of type ${type}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} is too short`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} is too long`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateArguments(schema.items, item, `${path}[${index}]`)));
+  }
+
+  if (type === 'object' && value) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateArguments(propertySchema, value[key], `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+function matchesType(type: string, value: any): boolean {
+  switch (type.toLowerCase()) {
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    default: return true;
+  }
+}
+
+// Call the endpoint, which must be a public https URL (see fetchPublicUrl).
+// Requests are signed with X-Function-Signature, the hex HMAC-SHA256 of
+// "<X-Function-Timestamp>.<payload>" using the function's secret, where
+// payload is the JSON body or, for GET/DELETE, the full URL.
+export async function invokeCustomFunction(config: CustomFunctionConfig, args: Record<string, any>, context: FunctionContext) {
+  const method = (config.method || 'POST').toUpperCase();
+  const hasBody = method !== 'GET' && method !== 'DELETE';
+  const url = new URL(config.url);
+
+  const body = hasBody
+    ? JSON.stringify({ function: config.name, arguments: args, call_id: context.callId, agent_id: context.agentId })
+    : undefined;
+
+  if (!hasBody) {
+    for (const [key, value] of Object.entries(args)) {
+      url.searchParams.set(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers: Record<string, string> = {
+    ...config.headers,
+    'Content-Type': 'application/json',
+    'User-Agent': 'AI-Call-Center-Function/1.0',
+    'X-Function-Name': config.name,
+    'X-Function-Timestamp': timestamp
+  };
+
+  if (config.secret_key) {
+    headers['X-Function-Signature'] = createHmac('sha256', config.secret_key)
+      .update(`${timestamp}.${body ?? url.toString()}`)
+      .digest('hex');
+  }
+
+  // Abort on timeout or when Gemini cancels the call
+  const controller = new AbortController();
+  const timeoutMs = Math.min(config.timeout_ms || DEFAULT_TIMEOUT_MS, MAX_TIMEOUT_MS);
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const onCancel = () => controller.abort();
+  context.signal?.addEventListener('abort', onCancel);
+
+  try {
+    const response = await fetchPublicUrl(url, { method, headers, body, signal: controller.signal });
+
+    if (!response.ok) {
+      throw new Error(`Endpoint returned ${response.status} ${response.statusText}`);
+    }
+
+    return truncateResponse(response.text);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new Error(context.signal?.aborted ? 'Function call cancelled' : `Endpoint timed out after ${timeoutMs}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    context.signal?.removeEventListener('abort', onCancel);
+  }
+}
+
+// Parse the endpoint's response, cutting it down to what fits in the model's context
+function truncateResponse(text: string): any {
+  let data: any;
+  try {
+    data = text ? JSON.parse(text) : {};
+  } catch {
+    data = { text };
+  }
+
+  const json = JSON.stringify(data);
+  if (json.length <= MAX_CUSTOM_FUNCTION_RESPONSE_LENGTH) {
+    return data;
+  }
+
+  return {
+    truncated: true,
+    data: json.slice(0, MAX_CUSTOM_FUNCTION_RESPONSE_LENGTH)
+  };
+}
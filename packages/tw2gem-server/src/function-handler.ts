@@ -1,5 +1,6 @@
 // import { DatabaseService } from '../../dashboard/src/services/database'
 import { createClient } from '@supabase/supabase-js';
+import { createCustomFunctionDefinition, CustomFunctionConfig } from './custom-function.js';
 
 export interface FunctionCallRequest {
   name: string
@@ -7,6 +8,10 @@ export interface FunctionCallRequest {
   callId: string
   userId?: string
   agentId?: string
+  // Key of the call's own functions (see registerCallFunctions)
+  sessionId?: string
+  settings?: Record<string, any>
+  signal?: AbortSignal
 }
 
 export interface FunctionCallResponse {
@@ -34,11 +39,44 @@ export interface FunctionContext {
   userId?: string
   agentId?: string
   supabase?: any
+  // Per-agent parameters of the function (ai_agents.function_settings)
+  settings?: Record<string, any>
+  // Aborted when Gemini cancels the tool call; long-running handlers should honour it
+  signal?: AbortSignal
+}
+
+// A function call from a Gemini Live toolCall message
+export interface ToolFunctionCall {
+  id: string
+  name: string
+  args?: Record<string, any>
+}
+
+// A functionResponse for a Gemini Live toolResponse message
+export interface ToolFunctionResponse {
+  id: string
+  name: string
+  response: Record<string, any>
+}
+
+export interface ToolCallContext {
+  callId: string
+  sessionId?: string
+  userId?: string
+  agentId?: string
+  // Functions the agent may call (ai_agents.enabled_functions); all when omitted
+  enabledFunctions?: string[]
+  // Per-function parameters keyed by function name
+  functionSettings?: Record<string, Record<string, any>>
 }
 
 export class FunctionCallHandler {
   private functions: Map<string, FunctionDefinition> = new Map();
   private supabase: any;
+  // In-flight tool calls by Gemini function call id
+  private pendingToolCalls: Map<string, AbortController> = new Map();
+  // Functions registered for a single call (e.g. tenant custom functions), by session id
+  private callFunctions: Map<string, Map<string, FunctionDefinition>> = new Map();
 
   constructor(supabaseUrl?: string, supabaseKey?: string) {
     if (supabaseUrl && supabaseKey) {
@@ -53,15 +91,67 @@ export class FunctionCallHandler {
     console.log(`Registered function: ${definition.name}`);
   }
 
-  // Get all registered functions for Gemini setup
-  getFunctionDefinitions(): object[] {
-    return Array.from(this.functions.values()).map(func => ({
-      function_declarations: [{
-        name: func.name,
-        description: func.description,
-        parameters: func.parameters
-      }]
-    }));
+  // Register functions that only exist for one call; core functions keep precedence
+  registerCallFunctions(sessionId: string, definitions: FunctionDefinition[]) {
+    const functions = new Map<string, FunctionDefinition>();
+
+    for (const definition of definitions) {
+      if (this.functions.has(definition.name)) {
+        console.warn(`Skipping call function '${definition.name}': name is reserved`);
+        continue;
+      }
+      functions.set(definition.name, definition);
+    }
+
+    this.callFunctions.set(sessionId, functions);
+  }
+
+  // Drop the functions registered for a call once it has ended
+  releaseCallFunctions(sessionId: string) {
+    this.callFunctions.delete(sessionId);
+  }
+
+  // Load a tenant's active custom HTTP functions
+  async loadCustomFunctions(profileId: string): Promise<FunctionDefinition[]> {
+    if (!this.supabase || !profileId) return [];
+
+    try {
+      const { data, error } = await this.supabase
+        .from('custom_functions')
+        .select('*')
+        .eq('profile_id', profileId)
+        .eq('is_active', true);
+
+      if (error) {
+        console.error('Error loading custom functions:', error);
+        return [];
+      }
+
+      return (data || []).map((config: CustomFunctionConfig) => createCustomFunctionDefinition(config));
+    } catch (error) {
+      console.error('Error loading custom functions:', error);
+      return [];
+    }
+  }
+
+  private getFunction(name: string, sessionId?: string): FunctionDefinition | undefined {
+    return this.functions.get(name) || (sessionId ? this.callFunctions.get(sessionId)?.get(name) : undefined);
+  }
+
+  // Get registered functions for Gemini setup, optionally limited to an agent's
+  // allow-list and including the functions registered for a call
+  getFunctionDefinitions(names?: string[], sessionId?: string): object[] {
+    const callFunctions = sessionId ? Array.from(this.callFunctions.get(sessionId)?.values() || []) : [];
+
+    return [...Array.from(this.functions.values()), ...callFunctions]
+      .filter(func => !names || names.includes(func.name))
+      .map(func => ({
+        function_declarations: [{
+          name: func.name,
+          description: func.description,
+          parameters: func.parameters
+        }]
+      }));
   }
 
   // Execute a function call
@@ -69,7 +159,7 @@ export class FunctionCallHandler {
     const startTime = Date.now();
     
     try {
-      const functionDef = this.functions.get(request.name);
+      const functionDef = this.getFunction(request.name, request.sessionId);
       if (!functionDef) {
         return {
           success: false,
@@ -92,7 +182,9 @@ export class FunctionCallHandler {
         callId: request.callId,
         userId: request.userId,
         agentId: request.agentId,
-        supabase: this.supabase
+        supabase: this.supabase,
+        settings: request.settings || {},
+        signal: request.signal
       };
 
       // Execute the function
@@ -144,6 +236,62 @@ export class FunctionCallHandler {
     }
   }
 
+  // Execute the function calls of a Gemini Live toolCall message and build the
+  // matching functionResponses. Calls cancelled while running get no response.
+  async handleToolCall(functionCalls: ToolFunctionCall[], context: ToolCallContext): Promise<ToolFunctionResponse[]> {
+    const responses = await Promise.all(functionCalls.map(async (functionCall): Promise<ToolFunctionResponse | null> => {
+      // Gemini should only call declared functions, but never run one the agent isn't allowed
+      if (context.enabledFunctions && !context.enabledFunctions.includes(functionCall.name)) {
+        return {
+          id: functionCall.id,
+          name: functionCall.name,
+          response: { error: `Function '${functionCall.name}' is not enabled for this agent` }
+        };
+      }
+
+      const controller = new AbortController();
+      this.pendingToolCalls.set(functionCall.id, controller);
+
+      try {
+        const result = await this.executeFunction({
+          name: functionCall.name,
+          args: functionCall.args || {},
+          callId: context.callId,
+          userId: context.userId,
+          agentId: context.agentId,
+          sessionId: context.sessionId,
+          settings: context.functionSettings?.[functionCall.name],
+          signal: controller.signal
+        });
+
+        if (controller.signal.aborted) {
+          return null;
+        }
+
+        return {
+          id: functionCall.id,
+          name: functionCall.name,
+          response: result.success ? { result: result.result } : { error: result.error }
+        };
+      } finally {
+        this.pendingToolCalls.delete(functionCall.id);
+      }
+    }));
+
+    return responses.filter((response): response is ToolFunctionResponse => response !== null);
+  }
+
+  // Abort in-flight tool calls cancelled by Gemini (toolCallCancellation)
+  cancelToolCalls(ids: string[]) {
+    for (const id of ids) {
+      const controller = this.pendingToolCalls.get(id);
+      if (controller) {
+        controller.abort();
+        console.log(`Cancelled function call: ${id}`);
+      }
+    }
+  }
+
   // Register core business functions
   private registerCoreFunctions() {
     // Schedule appointment function
@@ -449,42 +597,52 @@ export class FunctionCallHandler {
   }
 
   private async handleCalculatePricing(args: any, context: FunctionContext) {
-    // This would integrate with your pricing engine
-    // For now, we'll return sample pricing
-    
-    const basePrices: Record<string, number> = {
+    // Prices come from the agent's settings (price_table, tier_multipliers,
+    // discount_codes as percentages, currency), falling back to sample pricing
+    const settings = context.settings || {};
+
+    const basePrices: Record<string, number> = settings.price_table || {
       'consultation': 100,
       'basic_service': 200,
       'premium_service': 500,
       'enterprise_service': 1000
     };
 
-    const tierMultipliers: Record<string, number> = {
+    const tierMultipliers: Record<string, number> = settings.tier_multipliers || {
       'basic': 1.0,
       'standard': 0.9,
       'premium': 0.8
     };
 
-    const basePrice = basePrices[args.service_type] || 100;
+    const discountCodes: Record<string, number> = settings.discount_codes || { 'SAVE10': 10 };
+
+    const basePrice = basePrices[args.service_type];
+    if (basePrice === undefined) {
+      return {
+        service_type: args.service_type,
+        message: `No price for '${args.service_type}'. Available services: ${Object.keys(basePrices).join(', ')}`
+      };
+    }
+
     const quantity = args.quantity || 1;
     const tierMultiplier = tierMultipliers[args.customer_tier] || 1.0;
 
     let totalPrice = basePrice * quantity * tierMultiplier;
 
     // Apply discount if provided
-    if (args.discount_code) {
-      // Simple discount logic - in reality, you'd check against a database
-      const discountPercent = args.discount_code === 'SAVE10' ? 0.1 : 0;
-      totalPrice = totalPrice * (1 - discountPercent);
-    }
+    const discountCode = Object.keys(discountCodes)
+      .find(code => args.discount_code && code.toUpperCase() === String(args.discount_code).toUpperCase());
+    const discountPercent = discountCode ? discountCodes[discountCode] : 0;
+    totalPrice = totalPrice * (1 - discountPercent / 100);
 
     return {
       service_type: args.service_type,
       quantity: args.quantity,
       base_price: basePrice,
       tier_discount: Math.round((1 - tierMultiplier) * 100),
+      discount_percent: discountPercent,
       total_price: Math.round(totalPrice * 100) / 100,
-      currency: 'USD'
+      currency: settings.currency || 'USD'
     };
   }
 
@@ -501,19 +659,24 @@ export class FunctionCallHandler {
 
     if (error) throw new Error(`Failed to check availability: ${error.message}`);
 
-    // Generate available time slots (simplified logic)
-    const businessHours = {
-      start: 9, // 9 AM
-      end: 17   // 5 PM
-    };
+    // Generate available time slots within the agent's business hours
+    // (business_hours_start/end as HH:MM, business_days with 0=Sunday, slot_minutes)
+    const settings = context.settings || {};
+    const startMinutes = this.parseTimeOfDay(settings.business_hours_start, 9 * 60);
+    const endMinutes = this.parseTimeOfDay(settings.business_hours_end, 17 * 60);
+    const slotMinutes = Math.max(5, parseInt(settings.slot_minutes, 10) || 60);
+    const businessDays: number[] = settings.business_days || [0, 1, 2, 3, 4, 5, 6];
 
     const availableSlots: string[] = [];
-    const bookedTimes = appointments?.map((apt: any) => apt.appointment_time) || [];
-
-    for (let hour = businessHours.start; hour < businessHours.end; hour++) {
-      const timeSlot = `${hour.toString().padStart(2, '0')}:00`;
-      if (!bookedTimes.includes(timeSlot)) {
-        availableSlots.push(timeSlot);
+    const bookedTimes = appointments?.map((apt: any) => (apt.appointment_time || '').slice(0, 5)) || [];
+    const dayOfWeek = new Date(`${args.date}T12:00:00Z`).getUTCDay();
+
+    if (businessDays.includes(dayOfWeek)) {
+      for (let minutes = startMinutes; minutes + slotMinutes <= endMinutes; minutes += slotMinutes) {
+        const timeSlot = `${Math.floor(minutes / 60).toString().padStart(2, '0')}:${(minutes % 60).toString().padStart(2, '0')}`;
+        if (!bookedTimes.includes(timeSlot)) {
+          availableSlots.push(timeSlot);
+        }
       }
     }
 
@@ -527,6 +690,12 @@ export class FunctionCallHandler {
     };
   }
 
+  // Parse "HH:MM" into minutes since midnight
+  private parseTimeOfDay(value: string | undefined, fallback: number): number {
+    const match = /^(\d{1,2}):(\d{2})/.exec(value || '');
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : fallback;
+  }
+
   private async logFunctionCall(logData: any) {
     try {
       await this.supabase
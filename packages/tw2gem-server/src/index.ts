@@ -1,2 +1,4 @@
 export * from './server.js';
-export * from './server.dto.js';
\ No newline at end of file
+export * from './server.dto.js';
+export { fetchPublicUrl, MAX_PUBLIC_RESPONSE_BYTES } from './safe-url.js';
+export type { PublicRequestOptions, PublicResponse } from './safe-url.js';
\ No newline at end of file
@@ -0,0 +1,138 @@
+import { lookup } from 'dns';
+import { request } from 'https';
+import { BlockList, isIP, type LookupFunction } from 'net';
+
+// Addresses tenant-configured URLs may not reach: this host, the private
+// network and cloud metadata endpoints (169.254.169.254)
+const blockedAddresses = new BlockList();
+
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+] as const) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+] as const) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+// Largest response body read from a tenant's endpoint
+export const MAX_PUBLIC_RESPONSE_BYTES = 64 * 1024;
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 subnets
+function isBlockedAddress(address: string): boolean {
+  return blockedAddresses.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+// DNS lookup for the connection itself, refusing hosts with any address that
+// isn't public. The socket connects to the address checked here, so a host
+// can't pass the check and then resolve to a private address.
+const lookupPublicAddress: LookupFunction = (hostname, options, callback) => {
+  lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) {
+      return callback(error, '', 0);
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(new Error(`${hostname} is not a public address`), '', 0);
+    }
+
+    if (options.all) {
+      return (callback as any)(null, addresses);
+    }
+
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+export interface PublicRequestOptions {
+  method?: string
+  headers?: Record<string, string>
+  body?: string
+  signal?: AbortSignal
+  maxResponseBytes?: number
+}
+
+export interface PublicResponse {
+  status: number
+  statusText: string
+  ok: boolean
+  text: string
+}
+
+// Request a tenant-configured URL: https only, connecting only to public
+// addresses and without following redirects. The response body is read up to
+// maxResponseBytes; a larger one fails the request.
+export function fetchPublicUrl(value: string | URL, options: PublicRequestOptions = {}): Promise<PublicResponse> {
+  const { method = 'GET', headers = {}, body, signal, maxResponseBytes = MAX_PUBLIC_RESPONSE_BYTES } = options;
+
+  let url: URL;
+  try {
+    url = new URL(value);
+  } catch {
+    return Promise.reject(new Error('Invalid URL'));
+  }
+
+  if (url.protocol !== 'https:') {
+    return Promise.reject(new Error('URL must use https'));
+  }
+
+  // Connections to an IP address skip the lookup
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (isIP(hostname) && isBlockedAddress(hostname)) {
+    return Promise.reject(new Error(`${hostname} is not a public address`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = request(url, {
+      method,
+      headers: body === undefined ? headers : { ...headers, 'Content-Length': Buffer.byteLength(body).toString() },
+      lookup: lookupPublicAddress,
+      signal
+    }, (response) => {
+      const chunks: Buffer[] = [];
+      let length = 0;
+
+      response.on('data', (chunk: Buffer) => {
+        length += chunk.length;
+        if (length > maxResponseBytes) {
+          req.destroy(new Error(`Response is larger than ${maxResponseBytes} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      response.on('end', () => {
+        const status = response.statusCode || 0;
+        resolve({
+          status,
+          statusText: response.statusMessage || '',
+          ok: status >= 200 && status < 300,
+          text: Buffer.concat(chunks).toString('utf8')
+        });
+      });
+
+      response.on('error', reject);
+    });
+
+    req.on('error', reject);
+    req.end(body);
+  });
+}
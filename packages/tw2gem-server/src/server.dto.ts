@@ -1,10 +1,13 @@
 import { GeminiLiveClient, GeminiLiveClientOptions } from '@tw2gem/gemini-live-client';
 import { TwilioWebSocket } from '@tw2gem/twilio-server';
+import { Resampler } from '@tw2gem/audio-converter';
 import { ServerOptions } from 'ws';
 
 export class Tw2GemSocket extends TwilioWebSocket {
     twilioStreamSid?: string;
     geminiClient?: GeminiLiveClient;
+    inboundResampler?: Resampler;
+    outboundResampler?: Resampler;
     
     // Call tracking properties
     callId?: string;
@@ -1,7 +1,7 @@
 import { TwilioMediaEvent, TwilioServerOptions, TwilioWebSocketServer } from '@tw2gem/twilio-server';
-import { BidiGenerateContentServerContent, GeminiLiveClient } from '@tw2gem/gemini-live-client';
+import { BidiGenerateContentServerContent, BidiGenerateContentToolCall, GeminiLiveClient } from '@tw2gem/gemini-live-client';
 import { Tw2GemGeminiEvents, Tw2GemServerOptions, Tw2GemSocket } from './server.dto.js';
-import { AudioConverter } from '@tw2gem/audio-converter';
+import { AudioConverter, Resampler } from '@tw2gem/audio-converter';
 import { WebhookService } from './webhook-service.js';
 import { FunctionCallHandler } from './function-handler.js';
 
@@ -50,6 +50,8 @@ export class Tw2GemServer extends TwilioWebSocketServer {
 
                 const geminiClient = new GeminiLiveClient(options.geminiOptions);
                 socket.twilioStreamSid = event.streamSid;
+                socket.inboundResampler = new Resampler(8000, 16000);
+                socket.outboundResampler = new Resampler(24000, 8000);
 
                 geminiClient.onReady = () => {
                     socket.geminiClient = geminiClient;
@@ -69,7 +71,14 @@ export class Tw2GemServer extends TwilioWebSocketServer {
 
                 geminiClient.onServerContent = (serverContent) => {
                     this.onServerContent?.(socket, serverContent);
-                    this.handleFunctionCalls(socket, serverContent);
+                };
+
+                geminiClient.onToolCall = (toolCall) => {
+                    this.handleToolCall(socket, toolCall);
+                };
+
+                geminiClient.onToolCallCancellation = (cancellation) => {
+                    this.functionHandler.cancelToolCalls(cancellation.ids);
                 };
 
                 socket.onclose = (event) => {
@@ -90,7 +99,7 @@ export class Tw2GemServer extends TwilioWebSocketServer {
             return;
 
         const base64MulawAudio = event.media.payload;
-        const base64PCM16k = AudioConverter.convertBase64MuLawToBase64PCM16k(base64MulawAudio);
+        const base64PCM16k = AudioConverter.convertBase64MuLawToBase64PCM16k(base64MulawAudio, socket.inboundResampler);
         socket.geminiClient.sendRealTime({
             audio: {
                 mimeType: 'audio/pcm;rate=16000',
@@ -100,6 +109,13 @@ export class Tw2GemServer extends TwilioWebSocketServer {
     }
 
     public onServerContent(socket: Tw2GemSocket, serverContent: BidiGenerateContentServerContent) {
+        // The caller talked over the agent: drop the audio Twilio has not played yet
+        if (serverContent.interrupted && socket.twilioStreamSid) {
+            socket.sendClear({ streamSid: socket.twilioStreamSid });
+            socket.outboundResampler?.reset();
+            return;
+        }
+
         if (!socket.twilioStreamSid || !socket.geminiClient || !serverContent.modelTurn?.parts?.length)
             return;
 
@@ -109,7 +125,7 @@ export class Tw2GemServer extends TwilioWebSocketServer {
         if (!inlineData?.length)
             return;
 
-        const base64Mulaws = inlineData.map(lineData => AudioConverter.convertBase64PCM24kToBase64MuLaw8k(lineData!.data));
+        const base64Mulaws = inlineData.map(lineData => AudioConverter.convertBase64PCM24kToBase64MuLaw8k(lineData!.data, socket.outboundResampler));
         for (const audios of base64Mulaws) {
             socket.sendMedia({
                 streamSid: socket.twilioStreamSid,
@@ -148,63 +164,39 @@ export class Tw2GemServer extends TwilioWebSocketServer {
         return this.functionHandler.getFunctionDefinitions();
     }
 
-    private async handleFunctionCalls(socket: Tw2GemSocket, serverContent: BidiGenerateContentServerContent) {
-        if (!serverContent.modelTurn?.parts) return;
-
-        const functionCalls = serverContent.modelTurn.parts
-            .filter((part: any) => part.functionCall)
-            .map((part: any) => part.functionCall);
-
-        for (const functionCall of functionCalls) {
-            if (functionCall?.name && functionCall?.args) {
-                // Store function call on socket
-                if (!socket.functionCalls) socket.functionCalls = [];
-                socket.functionCalls.push(functionCall);
-
-                try {
-                    // Execute the function call
-                    const result = await this.functionHandler.executeFunction({
-                        name: functionCall.name,
-                        args: functionCall.args,
-                        callId: socket.callId!,
-                        userId: socket.userId,
-                        agentId: socket.agentId
-                    });
-
-                    // Send function call webhook with result
-                    this.webhookService.processFunctionCall({
-                        call_id: socket.callId!,
-                        function_name: functionCall.name,
-                        parameters: functionCall.args,
-                        result: result.result,
-                        timestamp: new Date().toISOString()
-                    }, socket.userId);
-
-                    // Send function result back to Gemini
-                    if (socket.geminiClient) {
-                        if (result.success) {
-                            (socket.geminiClient as any).sendFunctionResponse(functionCall.name, result.result);
-                        } else {
-                            (socket.geminiClient as any).sendFunctionResponse(functionCall.name, {
-                                error: result.error,
-                                success: false
-                            });
-                        }
-                    }
+    private async handleToolCall(socket: Tw2GemSocket, toolCall: BidiGenerateContentToolCall) {
+        const functionCalls = toolCall.functionCalls || [];
 
-                } catch (error) {
-                    console.error('Error executing function call:', error);
-                    
-                    // Send error webhook
-                    this.webhookService.processFunctionCall({
-                        call_id: socket.callId!,
-                        function_name: functionCall.name,
-                        parameters: functionCall.args,
-                        result: { error: error instanceof Error ? error.message : 'Unknown error' },
-                        timestamp: new Date().toISOString()
-                    }, socket.userId);
-                }
+        // Store function calls on socket
+        if (!socket.functionCalls) socket.functionCalls = [];
+        socket.functionCalls.push(...functionCalls);
+
+        try {
+            const functionResponses = await this.functionHandler.handleToolCall(functionCalls, {
+                callId: socket.callId!,
+                userId: socket.userId,
+                agentId: socket.agentId
+            });
+
+            // Send function call webhooks with results
+            for (const functionResponse of functionResponses) {
+                const functionCall = functionCalls.find(call => call.id === functionResponse.id);
+                this.webhookService.processFunctionCall({
+                    call_id: socket.callId!,
+                    function_name: functionResponse.name,
+                    parameters: functionCall?.args || {},
+                    result: functionResponse.response,
+                    timestamp: new Date().toISOString()
+                }, socket.userId);
+            }
+
+            // Send function results back to Gemini (cancelled calls get no response)
+            if (socket.geminiClient && functionResponses.length > 0) {
+                socket.geminiClient.sendToolResponse(functionResponses);
             }
+
+        } catch (error) {
+            console.error('Error executing function calls:', error);
         }
     }
-}
\ No newline at end of file
+}
@@ -1,7 +1,9 @@
 import { createClient } from '@supabase/supabase-js';
+import { createHmac } from 'crypto';
 
 interface CallEventData {
   call_id: string
+  call_sid?: string
   phone_number_from?: string
   phone_number_to?: string
   agent_id?: string
@@ -12,9 +14,36 @@ interface CallEventData {
   transcript?: string
   function_calls?: any[]
   customer_satisfaction?: number
+  answered_by?: string
+  sip_response_code?: number
   timestamp: string
 }
 
+interface UsageEventData {
+  profile_id: string
+  level: 'soft' | 'hard'
+  minutes_used: number
+  minutes_limit: number
+  percent_used: number
+  period: string // billing month, YYYY-MM
+  timestamp: string
+}
+
+interface VoicemailEventData {
+  voicemail_id: string
+  call_sid?: string
+  phone_number_from?: string
+  phone_number_to?: string
+  agent_id?: string
+  ivr_option_id?: string
+  recording_url?: string
+  recording_duration_seconds?: number
+  transcription_text?: string
+  timestamp: string
+}
+
+type WebhookEventData = CallEventData | UsageEventData | VoicemailEventData
+
 interface FunctionCallData {
   call_id: string
   function_name: string
@@ -32,10 +61,11 @@ export class WebhookService {
     }
   }
 
-  async processCallEvent(eventType: string, data: CallEventData, userId?: string) {
+  // Pass logToDatabase: false when the caller keeps call_logs up to date itself
+  async processCallEvent(eventType: string, data: CallEventData, userId?: string, { logToDatabase = true } = {}) {
     try {
       // Log the call event to database
-      if (this.supabase && userId) {
+      if (this.supabase && userId && logToDatabase) {
         await this.logCallEvent(eventType, data, userId);
       }
 
@@ -48,6 +78,18 @@ export class WebhookService {
     }
   }
 
+  // Events that are only sent to the tenant's webhooks, e.g. usage.threshold_reached
+  // and voicemail.received
+  async processNotificationEvent(eventType: string, data: UsageEventData | VoicemailEventData, userId: string) {
+    try {
+      await this.sendWebhookNotifications(eventType, data, userId);
+      
+      console.log(`Webhook event processed: ${eventType}`, data);
+    } catch (error) {
+      console.error('Error processing webhook event:', error);
+    }
+  }
+
   private async logCallEvent(eventType: string, data: CallEventData, userId: string) {
     try {
       switch (eventType) {
@@ -96,7 +138,7 @@ export class WebhookService {
     }
   }
 
-  private async sendWebhookNotifications(eventType: string, data: CallEventData, userId?: string) {
+  private async sendWebhookNotifications(eventType: string, data: WebhookEventData, userId?: string) {
     if (!this.supabase || !userId) return;
 
     try {
@@ -122,7 +164,7 @@ export class WebhookService {
     }
   }
 
-  private async sendWebhook(webhook: any, eventType: string, data: CallEventData) {
+  private async sendWebhook(webhook: any, eventType: string, data: WebhookEventData) {
     try {
       const payload = {
         event: eventType,
@@ -176,9 +218,7 @@ export class WebhookService {
   }
 
   private generateSignature(payload: string, secret: string): string {
-    const crypto = require('crypto');
-    return crypto
-      .createHmac('sha256', secret)
+    return createHmac('sha256', secret)
       .update(payload)
       .digest('hex');
   }
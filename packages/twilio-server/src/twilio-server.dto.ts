@@ -48,6 +48,17 @@ export interface TwilioSendMedia {
     }
 }
 
+export interface TwilioSendMark {
+    streamSid: string;
+    mark: {
+        name: string;
+    }
+}
+
+export interface TwilioSendClear {
+    streamSid: string;
+}
+
 export interface TwilioStopEvent extends TwilioSequentialMessage {
     event: 'stop';
     stop: {
@@ -93,6 +104,22 @@ export class TwilioWebSocket extends WebSocket {
         });
     }
 
+    // Twilio echoes a mark back once all media sent before it has been played
+    sendMark(mark: TwilioSendMark) {
+        this.sendEvent({
+            event: 'mark',
+            ...mark
+        });
+    }
+
+    // Drop media Twilio has buffered but not played yet; pending marks are echoed back
+    sendClear(clear: TwilioSendClear) {
+        this.sendEvent({
+            event: 'clear',
+            ...clear
+        });
+    }
+
     sendEvent(event: TwilioEvent) {
         const json = JSON.stringify(event);
         this.send(json);
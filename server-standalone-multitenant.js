@@ -1,6 +1,7 @@
 import { TwilioWebSocketServer } from './packages/twilio-server/dist/index.js';
 import { GeminiLiveClient } from './packages/gemini-live-client/dist/index.js';
-import { AudioConverter } from './packages/audio-converter/dist/index.js';
+import { AudioConverter, Resampler, VoiceActivityDetector, decodeG711 } from './packages/audio-converter/dist/index.js';
+import { FunctionCallHandler } from './packages/tw2gem-server/dist/function-handler.js';
 import dotenv from 'dotenv';
 import express from 'express';
 import cors from 'cors';
@@ -9,10 +10,97 @@ import {
   getAgentById, 
   storeCallSession, 
   getCallSession,
-  createCallLog,
+  upsertCallLog,
   updateCallLog,
-  incrementMinutesUsed
+  recordCallDuration,
+  getMinuteUsage,
+  getCallLog,
+  updateCampaignLead,
+  getVoicemail,
+  listVoicemails,
+  updateVoicemail,
+  getIvrFlow,
+  saveIvrFlow,
+  getActiveAgentIds,
+  createCallbackRequest,
+  getSchedules,
+  saveSchedules,
+  getCallerRules,
+  saveCallerRules
 } from './database/supabase-service.js';
+import { resolvePublicBaseUrl, resolvePublicUrls, resolveStreamUrl } from './lib/public-url.js';
+import { validateTwilioRequest, buildSignedStreamUrl, verifyStreamUpgrade } from './lib/twilio-security.js';
+import { CallTranscript } from './lib/call-transcript.js';
+import { AgentPlayback } from './lib/agent-playback.js';
+import { DeadAirMonitor, getDeadAirSettings, buildSilenceGoodbyeTwiml } from './lib/dead-air.js';
+import { CallRecorder } from './lib/call-recorder.js';
+import { createRecordingStorage } from './lib/recording-storage.js';
+import { FINAL_CALL_STATUSES, getTwilioClient } from './lib/twilio-client.js';
+import { requireUser } from './lib/api-auth.js';
+import { placeOutboundCall, buildOutboundContext } from './lib/outbound-call.js';
+import { controlCampaign } from './lib/campaign-dialer.js';
+import { handleCallStatus } from './lib/call-status.js';
+import {
+    getEntryMenu,
+    findIvrMenu,
+    gatherIvrMenu,
+    matchIvrOption,
+    validateIvrFlow,
+    prepareIvrFlow,
+    callIvrWebhook,
+    buildIvrContext
+} from './lib/ivr-flow.js';
+import {
+    VOICEMAIL_STATUSES,
+    recordVoicemail,
+    saveVoicemail,
+    saveVoicemailTranscription,
+    fetchVoicemailRecording
+} from './lib/voicemail.js';
+import {
+    getScheduleStatus,
+    getAgentHours,
+    isAgentOnDuty,
+    isScheduleOpen,
+    validateSchedule,
+    validateHolidaySet,
+    prepareSchedules
+} from './lib/schedules.js';
+import {
+    ROUTE_FUNCTION_NAME,
+    getReceptionistAgent,
+    getSpecialistAgents,
+    buildRouteFunctionDeclaration,
+    buildReceptionistInstruction,
+    buildHandoffContext,
+    waitForPlayback
+} from './lib/ai-router.js';
+import {
+    evaluateCallerRules,
+    validateCallerRule,
+    validateContactList,
+    prepareCallerRules,
+    normalisePhoneNumber,
+    buildCallerRuleContext
+} from './lib/caller-rules.js';
+import { loadCallerHistory, buildCallerHistoryContext } from './lib/caller-history.js';
+import { CallConcurrencyTracker, buildBusyTwiml, buildQueueTwiml } from './lib/call-concurrency.js';
+import {
+    CallQuotaMonitor,
+    hasMinutesRemaining,
+    checkUsageThresholds,
+    buildQuotaExceededTwiml,
+    buildQuotaGoodbyeTwiml
+} from './lib/minute-quota.js';
+import {
+    TRANSFER_FUNCTION_NAME,
+    TRANSFER_FUNCTION_DECLARATION,
+    canTransfer,
+    buildTransferTwiml,
+    buildTransferFallbackTwiml,
+    buildWhisperTwiml,
+    buildAgentUnavailableTwiml
+} from './lib/call-transfer.js';
 
 // Load environment variables
 dotenv.config();
@@ -33,6 +121,57 @@ if (missingEnvVars.length > 0) {
 // In-memory call session store (fallback if database is unavailable)
 const callSessionStore = new Map();
 
+// Live AI calls per tenant and agent, shared across server processes
+const concurrencyTracker = new CallConcurrencyTracker();
+
+// Where finished call recordings are kept (RECORDING_STORAGE)
+const recordingStorage = createRecordingStorage();
+
+// 'client': our own VAD tells Gemini when the caller starts and stops talking and
+// silence isn't streamed; 'gemini': all audio is streamed and Gemini detects speech
+const ACTIVITY_DETECTION = process.env.ACTIVITY_DETECTION === 'gemini' ? 'gemini' : 'client';
+
+// Caller audio kept from before speech is detected, so the first syllable isn't cut
+const SPEECH_PREROLL_FRAMES = 15;
+
+// How often a live call's transcript is saved to its call log
+const TRANSCRIPT_SAVE_INTERVAL_MS = parseInt(process.env.TRANSCRIPT_SAVE_INTERVAL_MS || '5000', 10);
+
+// How long a call waits for a lost Gemini session to come back before it is
+// transferred or sent to voicemail
+const GEMINI_RECONNECT_DEADLINE_MS = parseInt(process.env.GEMINI_RECONNECT_DEADLINE_MS || '10000', 10);
+
+// Per-function parameters of an agent. check_availability defaults to the
+// agent's own business hours unless its settings override them.
+function buildFunctionSettings(agent) {
+    const settings = agent?.function_settings || {};
+    
+    return {
+        ...settings,
+        check_availability: {
+            business_hours_start: agent?.business_hours_start,
+            business_hours_end: agent?.business_hours_end,
+            business_days: agent?.business_days,
+            ...settings.check_availability
+        }
+    };
+}
+
+// Functions an agent may call: its allow-list plus transfer_to_human when escalation is set up
+function getAgentFunctionNames(agent) {
+    const names = [...(agent?.enabled_functions || [])];
+    
+    if (canTransfer(agent)) {
+        names.push(TRANSFER_FUNCTION_NAME);
+    }
+    
+    if (agent?.is_router) {
+        names.push(ROUTE_FUNCTION_NAME);
+    }
+    
+    return names;
+}
+
 // Custom Tw2GemServer implementation with multi-tenant support
 class Tw2GemServer extends TwilioWebSocketServer {
     constructor(options) {
@@ -40,145 +179,31 @@ class Tw2GemServer extends TwilioWebSocketServer {
         this.geminiOptions = options.geminiOptions;
         this.geminiLive = new GeminiLiveEvents();
         this.audioConverter = new AudioConverter();
+        this.functionHandler = new FunctionCallHandler(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
         this.setupEventHandlers();
     }
 
     setupEventHandlers() {
-        this.on('connection', async (socket, request) => {
+        this.on('connection', (socket, request) => {
             console.log('📞 New WebSocket connection from Twilio');
             
-            // Extract call SID from the request URL or headers
-            const url = new URL(request.url, 'http://localhost');
-            const callSid = url.searchParams.get('callSid') || '';
-            
-            console.log('🔍 Call SID from URL:', callSid);
-            
-            // Get call session data
-            let callSession = null;
-            
-            // Try to get from database first
-            if (callSid) {
-                callSession = await getCallSession(callSid);
-                
-                // If not in database, try in-memory store
-                if (!callSession && callSessionStore.has(callSid)) {
-                    callSession = callSessionStore.get(callSid);
-                }
-                
-                console.log('📋 Call session retrieved:', callSession ? 'Found' : 'Not found');
-            }
-            
-            // Create Gemini Live client for this call with appropriate configuration
-            let geminiClientOptions = { ...this.geminiOptions };
-            
-            if (callSession && callSession.selectedAgent) {
-                // Use agent-specific configuration
-                const agent = callSession.selectedAgent;
-                
-                console.log('🤖 Using agent-specific configuration:', agent.name);
-                
-                // Customize Gemini options based on agent configuration
-                geminiClientOptions = {
-                    ...geminiClientOptions,
-                    setup: {
-                        ...geminiClientOptions.setup,
-                        systemInstruction: {
-                            parts: [{ text: agent.system_instruction || geminiClientOptions.setup.systemInstruction.parts[0].text }]
-                        },
-                        generationConfig: {
-                            ...geminiClientOptions.setup.generationConfig,
-                            speechConfig: {
-                                voiceConfig: {
-                                    prebuiltVoiceConfig: {
-                                        voiceName: agent.voice_name || 'Puck'
-                                    }
-                                },
-                                languageCode: agent.language_code || 'en-US'
-                            }
-                        }
-                    }
-                };
-                
-                // Store agent and client info on the socket
-                socket.agentInfo = agent;
-                socket.clientInfo = callSession.clientConfig;
-                socket.callSession = callSession;
-            }
-            
-            const geminiClient = new GeminiLiveClient(geminiClientOptions);
-            socket.geminiLive = geminiClient;
-            socket.twilioStreamSid = callSid;
+            // callSid bound to the stream token checked during the upgrade
+            socket.streamCallSid = request.streamCallSid;
             socket.callStartTime = new Date();
-            socket.transcript = '';
-            
-            // Create call log in database
-            if (socket.clientInfo && socket.agentInfo) {
-                try {
-                    const callLogData = {
-                        profile_id: socket.clientInfo.clientId,
-                        agent_id: socket.agentInfo.id,
-                        call_sid: callSid,
-                        phone_number_from: callSession?.fromNumber || 'unknown',
-                        phone_number_to: callSession?.toNumber || 'unknown',
-                        direction: callSession?.callType || 'inbound',
-                        status: 'in_progress',
-                        started_at: new Date().toISOString()
-                    };
-                    
-                    const callLog = await createCallLog(callLogData);
-                    
-                    if (callLog) {
-                        socket.callLogId = callLog.id;
-                        console.log('📝 Call log created with ID:', callLog.id);
-                    }
-                } catch (error) {
-                    console.error('❌ Error creating call log:', error);
-                }
-            }
-            
-            // Handle Gemini audio responses
-            geminiClient.onServerContent = (serverContent) => {
-                console.log('🤖 Received from Gemini:', JSON.stringify(serverContent, null, 2));
-                this.handleGeminiResponse(socket, serverContent);
-                
-                // Capture transcript for logging
-                if (serverContent.modelTurn?.parts) {
-                    for (const part of serverContent.modelTurn.parts) {
-                        if (part.text) {
-                            socket.transcript += `AI: ${part.text}\n`;
-                        }
-                    }
-                }
-            };
-            
-            // Handle Gemini connection events
-            geminiClient.onReady = () => {
-                console.log('🤖 Gemini Live client connected and ready');
-            };
-            
-            geminiClient.onError = (error) => {
-                console.error('❌ Gemini Live client error:', error);
-            };
-            
-            geminiClient.onClose = (event) => {
-                console.log('📴 Gemini Live client closed:', event.reason);
-            };
+            socket.transcript = new CallTranscript(socket.callStartTime);
+            socket.playback = new AgentPlayback(socket);
+            // Resampling filters keep their state across the audio chunks of this call
+            socket.inboundResampler = new Resampler(8000, 16000);
+            socket.outboundResampler = new Resampler(24000, 8000);
+            socket.vad = new VoiceActivityDetector();
+            socket.speechPreroll = [];
+            socket.pendingToolCallIds = new Set();
             
             // Handle Twilio messages
             socket.on('message', (data) => {
                 try {
                     const message = JSON.parse(data.toString());
                     this.handleTwilioMessage(socket, message);
-                    
-                    // Capture user transcript
-                    if (message.event === 'media' && message.media?.payload) {
-                        // We don't have the actual transcript from the audio,
-                        // but we can mark that the user spoke
-                        if (!socket.lastUserSpeech || Date.now() - socket.lastUserSpeech > 5000) {
-                            socket.transcript += `User: [Speech]\n`;
-                            socket.lastUserSpeech = Date.now();
-                        }
-                    }
                 } catch (error) {
                     console.error('❌ Error parsing Twilio message:', error);
                 }
@@ -187,6 +212,17 @@ class Tw2GemServer extends TwilioWebSocketServer {
             socket.on('close', async () => {
                 console.log('📴 Twilio connection closed');
                 
+                clearTimeout(socket.transcriptSaveTimer);
+                socket.quotaMonitor?.stop();
+                socket.deadAirMonitor?.stop();
+                
+                // Nobody is left to hear the result of running tool calls
+                this.functionHandler.cancelToolCalls([...socket.pendingToolCallIds]);
+                if (socket.callSid) {
+                    this.functionHandler.releaseCallFunctions(socket.callSid);
+                    concurrencyTracker.release(socket.callSid);
+                }
+                
                 // Update call log in database
                 if (socket.callLogId) {
                     try {
@@ -197,19 +233,22 @@ class Tw2GemServer extends TwilioWebSocketServer {
                         const updates = {
                             status: 'completed',
                             ended_at: endTime.toISOString(),
-                            duration_seconds: durationSeconds,
-                            transcript: socket.transcript
+                            transcript: socket.transcript.toText(),
+                            transcript_segments: socket.transcript.toJSON(),
+                            ...await this.saveRecording(socket)
                         };
                         
                         await updateCallLog(socket.callLogId, updates);
-                        console.log('📝 Call log updated with duration:', durationSeconds, 'seconds');
                         
-                        // Update minutes used
-                        if (socket.clientInfo) {
-                            const minutesUsed = Math.ceil(durationSeconds / 60);
-                            
-                            await incrementMinutesUsed(socket.clientInfo.clientId, minutesUsed);
-                            console.log('⏱️ Minutes used incremented by:', minutesUsed);
+                        // Billed on the wall-clock duration until Twilio's status callback reports the real one
+                        const minutesUsed = await recordCallDuration(socket.callLogId, durationSeconds, false);
+                        console.log('📝 Call log updated with duration:', durationSeconds, 'seconds, minutes used incremented by:', minutesUsed);
+                        
+                        if (socket.clientInfo && minutesUsed > 0) {
+                            const usage = await getMinuteUsage(socket.clientInfo.clientId);
+                            if (usage) {
+                                await checkUsageThresholds(socket.clientInfo.clientId, usage);
+                            }
                         }
                     } catch (error) {
                         console.error('❌ Error updating call log:', error);
@@ -238,6 +277,556 @@ class Tw2GemServer extends TwilioWebSocketServer {
         });
     }
 
+    // Set up the Gemini session once Twilio's "start" message tells us which call this is
+    async startCallSession(socket, start) {
+        const customParameters = start?.customParameters || {};
+        const callSid = customParameters.callSid || start?.callSid || '';
+        
+        console.log('🔍 Call SID from stream parameters:', callSid);
+        
+        // The stream must belong to the call its token was issued for
+        if (socket.streamCallSid && socket.streamCallSid !== callSid) {
+            console.warn('🚫 Stream token was issued for a different call:', callSid);
+            socket.close();
+            return;
+        }
+        
+        // Get call session data
+        let callSession = null;
+        
+        // Try to get from database first
+        if (callSid) {
+            callSession = await getCallSession(callSid);
+            
+            // If not in database, try in-memory store
+            if (!callSession && callSessionStore.has(callSid)) {
+                callSession = callSessionStore.get(callSid);
+            }
+            
+            console.log('📋 Call session retrieved:', callSession ? 'Found' : 'Not found');
+        }
+        
+        // Fall back to the agent passed in the stream parameters
+        if (!callSession?.selectedAgent && customParameters.agentId) {
+            const agent = await getAgentById(customParameters.agentId);
+            
+            if (agent) {
+                callSession = {
+                    ...callSession,
+                    selectedAgent: agent,
+                    clientConfig: callSession?.clientConfig || { clientId: customParameters.profileId }
+                };
+            }
+        }
+        
+        // Tenant-defined HTTP functions are registered for this call only. A
+        // returning caller's history is looked up meanwhile.
+        const [customFunctions, callerHistory] = await Promise.all([
+            this.functionHandler.loadCustomFunctions(callSession?.clientConfig?.clientId),
+            loadCallerHistory(callSession, callSid)
+        ]);
+        socket.callerHistory = callerHistory;
+        
+        if (callerHistory) {
+            console.log(`🧠 Returning caller with ${callerHistory.calls.length} recent calls:`, callSession.fromNumber);
+        }
+        this.functionHandler.registerCallFunctions(callSid, [
+            ...customFunctions,
+            {
+                ...TRANSFER_FUNCTION_DECLARATION,
+                handler: (args) => this.transferToHuman(socket, args)
+            },
+            // The AI receptionist hands calls over to the tenant's specialists
+            ...(callSession?.selectedAgent?.is_router ? [{
+                ...buildRouteFunctionDeclaration(getSpecialistAgents(callSession.clientConfig)),
+                handler: (args) => this.handOffToAgent(socket, args)
+            }] : [])
+        ]);
+        
+        // Public URL Twilio reached us on, for TwiML pushed to the call later
+        socket.baseUrl = customParameters.baseUrl;
+        
+        if (callSession && callSession.selectedAgent) {
+            // Store agent and client info on the socket
+            socket.agentInfo = callSession.selectedAgent;
+            socket.clientInfo = callSession.clientConfig;
+            socket.callSession = callSession;
+        }
+        
+        const geminiClientOptions = this.buildGeminiOptions(socket, callSid);
+        
+        // The caller may have hung up while the session was loading
+        if (socket.readyState !== socket.OPEN) {
+            this.functionHandler.releaseCallFunctions(callSid);
+            concurrencyTracker.release(callSid);
+            return;
+        }
+        
+        socket.callSid = callSid;
+        this.connectGemini(socket, geminiClientOptions);
+        concurrencyTracker.track(callSid);
+        
+        // Create call log in database
+        if (socket.clientInfo && socket.agentInfo) {
+            try {
+                const callLogData = {
+                    profile_id: socket.clientInfo.clientId,
+                    agent_id: socket.agentInfo.id,
+                    call_sid: callSid,
+                    phone_number_from: callSession?.fromNumber || 'unknown',
+                    phone_number_to: callSession?.toNumber || 'unknown',
+                    direction: callSession?.callType || 'inbound',
+                    campaign_id: callSession?.campaignId || null,
+                    lead_id: callSession?.lead?.id || null,
+                    status: 'in_progress',
+                    started_at: socket.callStartTime.toISOString()
+                };
+                
+                // The status callback may have created the call's log already
+                const callLog = await upsertCallLog(callLogData);
+                
+                if (callLog) {
+                    socket.callLogId = callLog.id;
+                    console.log('📝 Call log created with ID:', callLog.id);
+                    
+                    // Both sides of the call are recorded here, the media stream can't be recorded by Twilio
+                    if (socket.clientInfo.recordingEnabled) {
+                        socket.recorder = new CallRecorder();
+                    }
+                }
+            } catch (error) {
+                console.error('❌ Error creating call log:', error);
+            }
+        }
+        
+        // The close handler has already run if the caller hung up while the call
+        // log was saved, and would not stop the quota or dead air monitors
+        if (socket.readyState !== socket.OPEN) {
+            return;
+        }
+        
+        // Warn the agent before the tenant's minutes run out, and end the call when they do
+        if (socket.clientInfo?.clientId) {
+            socket.quotaMonitor = new CallQuotaMonitor({
+                profileId: socket.clientInfo.clientId,
+                callSid,
+                callStartTime: socket.callStartTime,
+                onWrapUp: (remainingSeconds) => {
+                    console.log('⏳ Asking agent to wrap up, seconds of quota left:', remainingSeconds);
+                    this.sendSystemNotice(socket, `This call must end in about ${remainingSeconds} seconds. ` +
+                        'Politely let the caller know, wrap up the conversation and say goodbye.');
+                },
+                onExhausted: () => {
+                    console.log('⛔ Ending call, minute quota exhausted:', callSid);
+                    this.endCall(socket, buildQuotaGoodbyeTwiml(socket.agentInfo), 'quota_exhausted');
+                }
+            });
+            socket.quotaMonitor.start();
+        }
+        
+        // Check on a silent caller, and hang up if the line stays dead (started once Gemini is ready)
+        socket.deadAirMonitor = new DeadAirMonitor({
+            ...getDeadAirSettings(socket.agentInfo),
+            isAgentBusy: () => socket.playback.isPlaying() || socket.pendingToolCallIds.size > 0 ||
+                socket.geminiLive?.isReconnecting,
+            onPrompt: () => {
+                console.log('🔇 Caller is silent, asking if they are still there:', callSid);
+                this.sendSystemNotice(socket, 'The caller has been silent for a while. ' +
+                    'Briefly ask whether they are still there.');
+            },
+            onTimeout: () => {
+                this.endCall(socket, buildSilenceGoodbyeTwiml(socket.agentInfo), 'silence_timeout');
+            }
+        });
+    }
+
+    // Gemini Live options for the call's current agent (socket.agentInfo)
+    buildGeminiOptions(socket, callSid) {
+        let geminiClientOptions = { ...this.geminiOptions };
+        const callSession = socket.callSession;
+        const agent = socket.agentInfo;
+        
+        if (agent) {
+            // Use agent-specific configuration
+            console.log('🤖 Using agent-specific configuration:', agent.name);
+            
+            // The AI receptionist gets the specialists it routes to
+            let systemInstruction = agent.is_router
+                ? buildReceptionistInstruction(agent, socket.clientInfo)
+                : agent.system_instruction || geminiClientOptions.setup.systemInstruction.parts[0].text;
+            
+            // Outbound calls tell the agent who it is calling and why
+            if (callSession.callType === 'outbound') {
+                systemInstruction = [systemInstruction, buildOutboundContext(callSession)].filter(Boolean).join('\n\n');
+            }
+            
+            // What the caller entered in the phone menu (account number, ...), what
+            // they told the receptionist, the greeting a caller rule chose and
+            // their earlier calls
+            systemInstruction = [
+                systemInstruction,
+                buildIvrContext(callSession),
+                buildHandoffContext(callSession),
+                buildCallerRuleContext(callSession),
+                buildCallerHistoryContext(socket.callerHistory)
+            ].filter(Boolean).join('\n\n');
+            
+            // Customize Gemini options based on agent configuration
+            geminiClientOptions = {
+                ...geminiClientOptions,
+                setup: {
+                    ...geminiClientOptions.setup,
+                    systemInstruction: {
+                        parts: [{ text: systemInstruction }]
+                    },
+                    generationConfig: {
+                        ...geminiClientOptions.setup.generationConfig,
+                        speechConfig: {
+                            voiceConfig: {
+                                prebuiltVoiceConfig: {
+                                    voiceName: agent.voice_name || 'Puck'
+                                }
+                            },
+                            languageCode: agent.language_code || 'en-US'
+                        }
+                    },
+                    // Only declare the functions on the agent's allow-list
+                    tools: this.functionHandler.getFunctionDefinitions(getAgentFunctionNames(agent), callSid)
+                }
+            };
+        }
+        
+        // Our VAD sends activityStart/activityEnd instead of Gemini detecting speech
+        if (ACTIVITY_DETECTION === 'client') {
+            geminiClientOptions = {
+                ...geminiClientOptions,
+                setup: {
+                    ...geminiClientOptions.setup,
+                    realtimeInputConfig: {
+                        automaticActivityDetection: { disabled: true }
+                    }
+                }
+            };
+        }
+        
+        // Only ask Gemini for transcriptions when the tenant has them enabled
+        if (socket.clientInfo?.transcriptionEnabled === false) {
+            const { inputAudioTranscription, outputAudioTranscription, ...setup } = geminiClientOptions.setup;
+            geminiClientOptions = { ...geminiClientOptions, setup };
+        }
+        
+        return geminiClientOptions;
+    }
+    
+    // Open the call's Gemini Live session and wire it to the call
+    connectGemini(socket, geminiClientOptions) {
+        const geminiClient = new GeminiLiveClient(geminiClientOptions);
+        socket.geminiLive = geminiClient;
+        
+        // Handle Gemini audio responses
+        geminiClient.onServerContent = (serverContent) => {
+            console.log('🤖 Received from Gemini:', JSON.stringify(serverContent, null, 2));
+            this.handleGeminiResponse(socket, serverContent);
+            
+            // The agent's transcript segment ends with its turn
+            if (serverContent.turnComplete || serverContent.interrupted) {
+                socket.transcript.completeTurn('agent');
+            }
+            
+            if (serverContent.turnComplete) {
+                socket.playback.completeTurn();
+            }
+        };
+        
+        // Build the transcript from Gemini's input (caller) and output (agent) transcriptions
+        geminiClient.onInputTranscription = (transcription) => {
+            socket.transcript.append('caller', transcription.text);
+            this.scheduleTranscriptSave(socket);
+        };
+        
+        geminiClient.onOutputTranscription = (transcription) => {
+            if (!socket.playback.addTranscript(transcription.text)) {
+                return;
+            }
+            socket.transcript.append('agent', transcription.text);
+            this.scheduleTranscriptSave(socket);
+        };
+        
+        // Run Gemini's function calls and answer them with a toolResponse
+        geminiClient.onToolCall = (toolCall) => {
+            this.handleToolCall(socket, toolCall);
+        };
+        
+        geminiClient.onToolCallCancellation = (cancellation) => {
+            console.log('🚫 Gemini cancelled function calls:', cancellation.ids);
+            this.functionHandler.cancelToolCalls(cancellation.ids);
+        };
+        
+        // Handle Gemini connection events
+        geminiClient.onReady = () => {
+            console.log('🤖 Gemini Live client connected and ready');
+            if (socket.readyState === socket.OPEN) {
+                socket.deadAirMonitor?.start();
+            }
+        };
+        
+        geminiClient.onError = (error) => {
+            console.error('❌ Gemini Live client error:', error);
+        };
+        
+        geminiClient.onClose = (event) => {
+            console.log('📴 Gemini Live client closed:', event.reason);
+        };
+        
+        // The client reconnects by itself, buffering the caller's audio meanwhile
+        geminiClient.onReconnecting = (reason) => {
+            console.warn('🔄 Gemini Live session lost, reconnecting:', reason);
+            // The agent's turn in progress won't be finished
+            socket.transcript.completeTurn('agent');
+            socket.playback.completeTurn();
+        };
+        
+        geminiClient.onReconnected = (resumed) => {
+            console.log('🔄 Gemini Live session', resumed ? 'resumed' : 'restarted without its history');
+            if (!resumed) {
+                this.sendSystemNotice(socket, 'The connection was briefly lost and the conversation so far is unavailable. ' +
+                    'Apologise for the interruption and ask the caller to repeat what they last said.');
+            }
+        };
+        
+        geminiClient.onReconnectFailed = () => {
+            console.error('❌ Gemini Live session could not be re-established for call:', socket.callSid);
+            this.endCall(socket, buildAgentUnavailableTwiml(socket.agentInfo, {
+                baseUrl: socket.baseUrl,
+                callLogId: socket.callLogId
+            }), 'agent_unavailable');
+        };
+        
+        return geminiClient;
+    }
+    
+    // route_to_agent: hand the call from the AI receptionist to a specialist
+    // agent by replacing the Gemini session on the same media stream
+    async handOffToAgent(socket, args) {
+        const agent = getSpecialistAgents(socket.clientInfo).find(specialist => specialist.id === args.agent_id);
+        
+        if (!agent) {
+            throw new Error('Unknown agent, choose one of the listed specialists');
+        }
+        
+        // Move the call's concurrency slot over to the specialist
+        const slot = await concurrencyTracker.acquire({
+            callSid: socket.callSid,
+            clientConfig: socket.clientInfo,
+            agent
+        });
+        
+        if (slot !== 'acquired') {
+            throw new Error(`${agent.name} is not available right now. Offer the caller another specialist or to take a message.`);
+        }
+        
+        console.log('🔀 Handing call', socket.callSid, 'from the receptionist to', agent.name + ':', args.reason);
+        
+        // Let the caller hear the receptionist's last words
+        await waitForPlayback(socket.playback);
+        
+        if (socket.transferred || socket.readyState !== socket.OPEN) {
+            return { status: 'call_ended' };
+        }
+        
+        const callSession = {
+            ...socket.callSession,
+            selectedAgent: agent,
+            handoff: {
+                fromAgentId: socket.agentInfo?.id || null,
+                callerName: args.caller_name || null,
+                reason: args.reason || null,
+                at: new Date().toISOString()
+            }
+        };
+        
+        socket.transcript.completeTurn('agent');
+        socket.playback.completeTurn();
+        socket.outboundResampler.reset();
+        
+        // The receptionist's session is dropped, along with anything still in flight from it
+        const receptionistClient = socket.geminiLive;
+        for (const handler of Object.keys(receptionistClient).filter(key => key.startsWith('on'))) {
+            receptionistClient[handler] = undefined;
+        }
+        socket.agentInfo = agent;
+        socket.callSession = callSession;
+        this.connectGemini(socket, this.buildGeminiOptions(socket, socket.callSid));
+        receptionistClient.close();
+        
+        await storeCallSession(socket.callSid, callSession);
+        callSessionStore.set(socket.callSid, callSession);
+        
+        if (socket.callLogId) {
+            await updateCallLog(socket.callLogId, { agent_id: agent.id });
+        }
+        
+        return { status: 'handed_off', agent: agent.name };
+    }
+
+    // Store the call's recording; returns the call log fields pointing at it
+    async saveRecording(socket) {
+        const recording = socket.recorder?.finish();
+        
+        if (!recording) {
+            return {};
+        }
+        
+        const key = `${socket.clientInfo.clientId}/${socket.callSid || socket.callLogId}.wav`;
+        
+        try {
+            await recordingStorage.saveFile(key, recording.filePath);
+            console.log('🎙️ Call recording saved:', key, recording.durationSeconds, 'seconds');
+            
+            return {
+                recording_path: key,
+                recording_url: `/api/calls/${socket.callLogId}/recording`,
+                recording_duration_seconds: recording.durationSeconds
+            };
+        } catch (error) {
+            console.error('❌ Error saving call recording:', error);
+            socket.recorder.discard();
+            return {};
+        }
+    }
+
+    // Tell the agent about something happening on the call, as a turn it must answer
+    sendSystemNotice(socket, text) {
+        socket.geminiLive?.sendClientContent({
+            turns: [{
+                role: 'user',
+                parts: [{ text: `[System notice: ${text}]` }]
+            }],
+            turnComplete: true
+        });
+    }
+
+    // Replace the media stream with closing TwiML and record why the call ended
+    async endCall(socket, twiml, outcome) {
+        if (socket.transferred || socket.readyState !== socket.OPEN) {
+            return;
+        }
+        
+        try {
+            const client = await getTwilioClient([socket.callSession?.toNumber, socket.callSession?.fromNumber]);
+            
+            if (!client) {
+                console.warn('⚠️ Twilio is not configured, closing stream for call:', socket.callSid);
+                socket.close();
+                return;
+            }
+            
+            await client.calls(socket.callSid).update({ twiml: twiml.toString() });
+            
+            if (socket.callLogId) {
+                await updateCallLog(socket.callLogId, { outcome });
+            }
+        } catch (error) {
+            console.error('❌ Error ending call:', error);
+            socket.close();
+        }
+    }
+
+    async handleToolCall(socket, toolCall) {
+        const functionCalls = toolCall.functionCalls || [];
+        console.log('🔧 Gemini function calls:', functionCalls.map(call => call.name).join(', '));
+        
+        functionCalls.forEach(call => socket.pendingToolCallIds.add(call.id));
+        
+        // A handoff replaces the session; its responses go to the session that asked
+        const geminiClient = socket.geminiLive;
+        
+        try {
+            const functionResponses = await this.functionHandler.handleToolCall(functionCalls, {
+                callId: socket.callLogId || socket.callSid,
+                sessionId: socket.callSid,
+                userId: socket.clientInfo?.clientId,
+                agentId: socket.agentInfo?.id,
+                enabledFunctions: getAgentFunctionNames(socket.agentInfo),
+                functionSettings: buildFunctionSettings(socket.agentInfo)
+            });
+            
+            // Cancelled calls get no response
+            if (functionResponses.length > 0 && geminiClient === socket.geminiLive) {
+                geminiClient.sendToolResponse(functionResponses);
+            }
+        } catch (error) {
+            console.error('❌ Error handling function calls:', error);
+        } finally {
+            functionCalls.forEach(call => socket.pendingToolCallIds.delete(call.id));
+        }
+    }
+
+    // transfer_to_human: move the call off the media stream to the agent's
+    // escalation number (or voicemail/callback) through Twilio's REST API
+    async transferToHuman(socket, args) {
+        const agent = socket.agentInfo;
+        
+        if (!canTransfer(agent)) {
+            throw new Error('Transfers are not set up for this agent');
+        }
+        
+        if (!socket.baseUrl) {
+            throw new Error('Public URL of this call is unknown');
+        }
+        
+        const client = await getTwilioClient([socket.callSession?.toNumber, socket.callSession?.fromNumber]);
+        
+        if (!client) {
+            throw new Error('Twilio is not configured for this account');
+        }
+        
+        const twiml = buildTransferTwiml(agent, {
+            baseUrl: socket.baseUrl,
+            callLogId: socket.callLogId,
+            summary: args.summary
+        });
+        
+        console.log('🧑‍💼 Transferring call', socket.callSid, 'to a human:', args.reason);
+        
+        // Replacing the call's TwiML ends the media stream
+        await client.calls(socket.callSid).update({ twiml: twiml.toString() });
+        socket.transferred = true;
+        
+        if (socket.callLogId) {
+            await updateCallLog(socket.callLogId, {
+                outcome: 'transferred',
+                transfer_reason: args.reason,
+                transfer_summary: args.summary || null,
+                transferred_to: agent.escalation_phone_number || agent.escalation_type,
+                transferred_at: new Date().toISOString()
+            });
+        }
+        
+        return { status: 'transferring', message: 'The caller is being transferred' };
+    }
+
+    // Save the live transcript to the call log, at most once per interval
+    scheduleTranscriptSave(socket) {
+        if (!socket.callLogId || socket.transcriptSaveTimer) {
+            return;
+        }
+        
+        socket.transcriptSaveTimer = setTimeout(async () => {
+            socket.transcriptSaveTimer = null;
+            
+            if (!socket.transcript.dirty) {
+                return;
+            }
+            
+            socket.transcript.dirty = false;
+            await updateCallLog(socket.callLogId, {
+                transcript: socket.transcript.toText(),
+                transcript_segments: socket.transcript.toJSON()
+            });
+        }, TRANSCRIPT_SAVE_INTERVAL_MS);
+    }
+
     handleGeminiResponse(socket, serverContent) {
         try {
             // Handle audio response from Gemini
@@ -251,23 +840,24 @@ class Tw2GemServer extends TwilioWebSocketServer {
                         });
                         
                         // Convert Gemini's PCM audio to Twilio's muLaw format
-                        const twilioAudio = AudioConverter.convertBase64PCM24kToBase64MuLaw8k(part.inlineData.data);
+                        const muLaw = AudioConverter.pcm24kToG711(Buffer.from(part.inlineData.data, 'base64'), 'mulaw', socket.outboundResampler);
+                        const twilioAudio = muLaw.toString('base64');
                         
-                        // Send audio to Twilio
-                        const audioMessage = {
-                            event: 'media',
-                            streamSid: socket.twilioStreamSid,
-                            media: {
-                                payload: twilioAudio
-                            }
-                        };
+                        // Record what the caller hears
+                        socket.recorder?.writeAgent(decodeG711(muLaw));
                         
-                        socket.send(JSON.stringify(audioMessage));
+                        // Send audio to Twilio, marked so we know when it has been played
+                        socket.playback.send(twilioAudio);
                         console.log('🎵 Sent audio to Twilio, payload length:', twilioAudio.length);
                     }
                 }
             }
             
+            // The caller talked over the agent
+            if (serverContent.interrupted) {
+                this.handleInterruption(socket);
+            }
+            
             // Handle text responses (for debugging)
             if (serverContent.modelTurn?.parts) {
                 for (const part of serverContent.modelTurn.parts) {
@@ -281,6 +871,74 @@ class Tw2GemServer extends TwilioWebSocketServer {
         }
     }
 
+    // Stop the agent's queued audio and keep only what the caller heard in the transcript
+    handleInterruption(socket) {
+        const heard = socket.playback.interrupt();
+        // The agent's next turn must not blend into the cleared audio
+        socket.outboundResampler.reset();
+        socket.recorder?.clearAgent();
+        
+        if (!heard) {
+            return;
+        }
+        
+        console.log('✋ Caller interrupted the agent, cleared audio ms:', heard.unplayedMs);
+        
+        if (heard.heardText !== null) {
+            socket.transcript.truncateTurn('agent', heard.heardText);
+            this.scheduleTranscriptSave(socket);
+        }
+    }
+
+    // Run the caller's μ-law frame through the VAD and forward it to Gemini as PCM 16kHz
+    handleCallerAudio(socket, payload) {
+        const pcm8k = decodeG711(Buffer.from(payload, 'base64'));
+        const activity = socket.vad.process(pcm8k);
+        socket.recorder?.writeCaller(pcm8k);
+        
+        // Resample every frame so the filter state stays continuous
+        const pcm16k = socket.inboundResampler.process(pcm8k);
+        const audio = {
+            mimeType: 'audio/pcm;rate=16000',
+            data: Buffer.from(pcm16k.buffer, pcm16k.byteOffset, pcm16k.byteLength).toString('base64')
+        };
+        
+        if (socket.vad.speaking || activity === 'end') {
+            socket.deadAirMonitor?.callerActivity();
+        }
+        
+        if (ACTIVITY_DETECTION === 'gemini') {
+            socket.geminiLive.sendRealtimeInput({ audio });
+            return;
+        }
+        
+        if (activity === 'start') {
+            console.log('🗣️ Caller started speaking');
+            socket.geminiLive.sendRealtimeInput({ activityStart: {} });
+            
+            for (const buffered of socket.speechPreroll) {
+                socket.geminiLive.sendRealtimeInput({ audio: buffered });
+            }
+            socket.speechPreroll = [];
+        }
+        
+        // Silence isn't streamed, only kept briefly in case speech starts
+        if (!socket.vad.speaking && activity !== 'end') {
+            socket.speechPreroll.push(audio);
+            if (socket.speechPreroll.length > SPEECH_PREROLL_FRAMES) {
+                socket.speechPreroll.shift();
+            }
+            return;
+        }
+        
+        socket.geminiLive.sendRealtimeInput({ audio });
+        
+        if (activity === 'end') {
+            console.log('🤫 Caller stopped speaking');
+            socket.geminiLive.sendRealtimeInput({ activityEnd: {} });
+        }
+    }
+
     handleTwilioMessage(socket, message) {
         switch (message.event) {
             case 'connected':
@@ -291,36 +949,26 @@ class Tw2GemServer extends TwilioWebSocketServer {
                 console.log('🎬 Call started:', message.start?.streamSid);
                 socket.twilioStreamSid = message.start?.streamSid;
                 
-                // Gemini Live client connects automatically in constructor
-                console.log('🤖 Gemini Live client ready for audio');
+                // Load the call session and connect to Gemini Live
+                this.startCallSession(socket, message.start).catch((error) => {
+                    console.error('❌ Error starting call session:', error);
+                });
                 break;
                 
             case 'media':
                 if (socket.geminiLive && message.media?.payload) {
-                    // Convert audio and send to Gemini
                     try {
-                        // Convert Twilio's muLaw to PCM 16kHz for Gemini
-                        const audioData = AudioConverter.convertBase64MuLawToBase64PCM16k(message.media.payload);
-                        
-                        console.log('🎤 Sending audio to Gemini:', {
-                            originalLength: message.media.payload.length,
-                            convertedLength: audioData.length,
-                            streamSid: socket.twilioStreamSid
-                        });
-                        
-                        // Send audio to Gemini Live in the correct format
-                        socket.geminiLive.sendRealtimeInput({
-                            audio: {
-                                mimeType: 'audio/pcm;rate=16000',
-                                data: audioData
-                            }
-                        });
+                        this.handleCallerAudio(socket, message.media.payload);
                     } catch (error) {
                         console.error('❌ Audio conversion error:', error);
                     }
                 }
                 break;
                 
+            case 'mark':
+                socket.playback.onMark(message.mark?.name);
+                break;
+                
             case 'stop':
                 console.log('🛑 Call stopped');
                 if (socket.geminiLive) {
@@ -348,25 +996,112 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Every Twilio webhook must carry a valid X-Twilio-Signature
+app.use('/webhook', validateTwilioRequest);
+
 // Import Twilio for webhook responses
 import twilio from 'twilio';
 import { createServer as createHttpServer } from 'http';
 
 const httpServer = createHttpServer(app);
 
-// Get the base URL for webhooks
-const WEBHOOK_URL = `https://work-2-uqgmjligulgfvwib.prod-runtime.all-hands.dev`;
-const WEBSOCKET_URL = `wss://work-2-uqgmjligulgfvwib.prod-runtime.all-hands.dev`;
+const DEFAULT_AGENT_GREETING = 'Hello! I am your AI assistant. How can I help you today?';
+
+// Build the TwiML that hands a call over to an AI agent.
+// A bidirectional <Connect><Stream> keeps the call up for as long as the media
+// stream is open, so no <Pause> is needed. Twilio's <Say> pre-greeting is only
+// played when the agent opts in with twilio_greeting_enabled; otherwise Gemini
+// greets the caller itself, with the greeting of a matched caller rule when
+// there is one. An announcement (e.g. after an IVR timeout) is always played.
+// The stream URL is resolved from config or the request headers and carries a
+// short-lived token bound to the call.
+function buildAgentStreamTwiml(req, callSid, agent, clientConfig, options = {}) {
+    const twiml = options.twiml || new twilio.twiml.VoiceResponse();
+
+    if (options.announcement) {
+        twiml.say(options.announcement);
+    } else if (agent?.twilio_greeting_enabled) {
+        twiml.say({
+            voice: 'alice',
+            language: agent.language_code || 'en-US'
+        }, clientConfig?.callerRule?.greeting || agent.greeting || DEFAULT_AGENT_GREETING);
+    }
+
+    // Custom parameters are delivered in the stream's "start" message,
+    // since <Connect><Stream> URLs cannot carry a query string
+    const connect = twiml.connect();
+    const stream = connect.stream({
+        url: buildSignedStreamUrl(resolveStreamUrl(req, clientConfig?.phoneNumber), callSid)
+    });
+    stream.parameter({ name: 'callSid', value: callSid });
+    stream.parameter({ name: 'agentId', value: agent?.id || '' });
+    stream.parameter({ name: 'profileId', value: clientConfig?.clientId || '' });
+    stream.parameter({ name: 'baseUrl', value: resolvePublicBaseUrl(req, clientConfig?.phoneNumber) });
+
+    return twiml;
+}
+
+// Reserve a concurrency slot before streaming a call to an agent. Calls over
+// the tenant's or agent's limit overflow to a backup agent, the hold queue or
+// a busy message, as the tenant configured.
+async function connectToAgent(req, callSid, agent, clientConfig, options = {}) {
+    const overflow = clientConfig.overflow || { action: 'busy' };
+    const queue = overflow.action === 'queue';
+    
+    const result = await concurrencyTracker.acquire({
+        callSid,
+        clientConfig,
+        agent,
+        queue,
+        waitSeconds: overflow.queueTimeoutSeconds
+    });
+    
+    if (result === 'acquired') {
+        return buildAgentStreamTwiml(req, callSid, agent, clientConfig, options);
+    }
+    
+    console.warn(`🚦 Call ${callSid} over ${result === 'profile_limit' ? 'tenant' : 'agent'} concurrency limit, overflow: ${overflow.action}`);
+    
+    if (overflow.action === 'backup_agent') {
+        const backupAgent = clientConfig.agents?.find(a => a.id === overflow.agentId);
+        
+        if (backupAgent && backupAgent.id !== agent?.id &&
+            await concurrencyTracker.acquire({ callSid, clientConfig, agent: backupAgent }) === 'acquired') {
+            console.log('🤖 Overflow routing to backup agent:', backupAgent.name);
+            
+            const callSession = await getCallSession(callSid) || callSessionStore.get(callSid);
+            const updatedSession = { ...callSession, selectedAgent: backupAgent };
+            await storeCallSession(callSid, updatedSession);
+            callSessionStore.set(callSid, updatedSession);
+            
+            return buildAgentStreamTwiml(req, callSid, backupAgent, clientConfig, options);
+        }
+    }
+    
+    if (queue) {
+        return buildQueueTwiml(overflow, agent, {
+            baseUrl: resolvePublicBaseUrl(req, clientConfig.phoneNumber),
+            callSid,
+            queuedAt: options.queuedAt
+        });
+    }
+    
+    return buildBusyTwiml(overflow, agent);
+}
 
 // Create TW2GEM Server instance with HTTP server
 const server = new Tw2GemServer({
     serverOptions: {
-        server: httpServer
+        server: httpServer,
+        verifyClient: verifyStreamUpgrade
     },
     geminiOptions: {
         server: {
             apiKey: process.env.GEMINI_API_KEY,
         },
+        reconnect: {
+            deadlineMs: GEMINI_RECONNECT_DEADLINE_MS
+        },
         setup: {
             model: 'models/gemini-2.0-flash-live-001',
             generationConfig: {
@@ -386,6 +1121,8 @@ const server = new Tw2GemServer({
                           'You are a professional AI assistant for customer service calls. IMPORTANT: You MUST speak first immediately when the call connects. Start with a warm greeting like "Hello! Thank you for calling. How can I help you today?" Be helpful, polite, and efficient. Always initiate the conversation and maintain a friendly, professional tone throughout the call.'
                 }]
             },
+            inputAudioTranscription: {},
+            outputAudioTranscription: {},
             tools: []
         }
     }
@@ -435,165 +1172,175 @@ server.onClose = (socket, event) => {
 app.post('/webhook/voice', async (req, res) => {
     console.log('📞 Incoming call webhook:', req.body);
     
-    // Get the Twilio number that received the call
-    const toNumber = req.body.To;
-    const fromNumber = req.body.From;
-    const callSid = req.body.CallSid;
-    
-    // Get client configuration based on the Twilio number
-    const clientConfig = await getClientConfigByPhoneNumber(toNumber);
-    
-    if (!clientConfig) {
-        console.error('❌ No client configuration found for number:', toNumber);
-        const twiml = new twilio.twiml.VoiceResponse();
-        twiml.say('Sorry, this number is not configured properly.');
-        res.type('text/xml');
-        res.send(twiml.toString());
-        return;
-    }
-    
-    console.log('✅ Found client configuration for:', clientConfig.clientName);
-    
-    // Check if this is a direct agent number
-    if (clientConfig.phoneNumber.agent_id) {
-        // Direct routing to specific agent
-        const agent = clientConfig.agents.find(a => a.id === clientConfig.phoneNumber.agent_id);
+    try {
+        // Get the Twilio number that received the call
+        const toNumber = req.body.To;
+        const fromNumber = req.body.From;
+        const callSid = req.body.CallSid;
         
-        if (!agent) {
-            console.error('❌ Agent not found for direct number:', toNumber);
+        // Get client configuration based on the Twilio number
+        let clientConfig = await getClientConfigByPhoneNumber(toNumber);
+        
+        if (!clientConfig) {
+            console.error('❌ No client configuration found for number:', toNumber);
             const twiml = new twilio.twiml.VoiceResponse();
-            twiml.say('Sorry, the AI agent for this number is not available.');
+            twiml.say('Sorry, this number is not configured properly.');
             res.type('text/xml');
             res.send(twiml.toString());
             return;
         }
         
-        console.log('🤖 Direct routing to agent:', agent.name);
-        
-        // Store call session
-        const sessionData = {
-            clientConfig,
-            selectedAgent: agent,
-            callType: 'inbound',
-            fromNumber,
-            toNumber,
-            startTime: new Date().toISOString()
-        };
-        
-        // Store in database
-        await storeCallSession(callSid, sessionData);
-        
-        // Also store in memory as backup
-        callSessionStore.set(callSid, sessionData);
+        console.log('✅ Found client configuration for:', clientConfig.clientName);
         
-        // Connect directly to the agent
-        const twiml = new twilio.twiml.VoiceResponse();
-        
-        // Enable call recording if configured
-        if (clientConfig.recordingEnabled) {
-            twiml.record({
-                action: '/webhook/recording',
-                method: 'POST',
-                maxLength: 14400, // 4 hours max
-                recordingStatusCallback: '/webhook/recording-status',
-                recordingStatusCallbackMethod: 'POST'
-            });
+        // Tenants out of minutes can't take new calls
+        if (!await hasMinutesRemaining(clientConfig.clientId)) {
+            console.warn('⛔ Monthly minute quota exhausted for:', clientConfig.clientName);
+            res.type('text/xml');
+            res.send(buildQuotaExceededTwiml(clientConfig).toString());
+            return;
         }
         
-        // Start a stream to capture audio
-        const start = twiml.start();
-        start.stream({
-            url: `${WEBSOCKET_URL}?callSid=${callSid}`,
-            track: 'both_tracks'
+        // The tenant's caller rules come first: they can block the caller, send them
+        // straight to an agent or a person, or change the greeting
+        const { rule: callerRule } = await evaluateCallerRules(clientConfig.callerRules || [], {
+            profileId: clientConfig.clientId,
+            from: fromNumber
         });
         
-        // Use agent-specific greeting
-        const greeting = agent.greeting || 'Hello! I am your AI assistant. How can I help you today?';
+        if (callerRule) {
+            console.log(`📇 Caller rule "${callerRule.name}" matched ${fromNumber}:`, callerRule.action_type);
+        
+            // Kept with the call session for the agent's greeting
+            clientConfig = {
+                ...clientConfig,
+                callerRule: {
+                    id: callerRule.id,
+                    name: callerRule.name,
+                    actionType: callerRule.action_type,
+                    greeting: callerRule.action_data?.greeting || null
+                }
+            };
         
-        twiml.say({
-            voice: 'alice',
-            language: agent.language_code || 'en-US'
-        }, greeting);
+            if (await handleCallerRule(req, res, clientConfig, callerRule)) {
+                return;
+            }
+        }
         
-        // Keep the call alive
-        twiml.pause({ length: 60 });
+        // Outside the number's schedule calls skip its usual routing
+        if (!isScheduleOpen(clientConfig, clientConfig.phoneNumber.schedule_id)) {
+            await handleClosedNumber(req, res, clientConfig);
+            return;
+        }
         
-        res.type('text/xml');
-        res.send(twiml.toString());
-        return;
-    }
-    
-    // Check routing strategy
-    switch (clientConfig.routingStrategy) {
-        case 'single_number_ivr':
-            // Handle IVR menu routing
-            handleIVRRouting(req, res, clientConfig);
-            break;
-            
-        case 'external_integration':
-            // Handle external system integration
-            handleExternalIntegration(req, res, clientConfig);
-            break;
-            
-        case 'time_based':
-            // Handle time-based routing
-            handleTimeBasedRouting(req, res, clientConfig);
-            break;
-            
-        default:
-            // Default to simple greeting and connection to default agent
-            const defaultAgent = clientConfig.agents[0];
-            
-            if (!defaultAgent) {
-                console.error('❌ No agents available for client:', clientConfig.clientId);
+        // Check if this is a direct agent number
+        if (clientConfig.phoneNumber.agent_id) {
+            // Direct routing to specific agent
+            const agent = clientConfig.agents.find(a => a.id === clientConfig.phoneNumber.agent_id);
+        
+            if (!agent) {
+                console.error('❌ Agent not found for direct number:', toNumber);
                 const twiml = new twilio.twiml.VoiceResponse();
-                twiml.say('Sorry, no AI agents are available. Please try again later.');
+                twiml.say('Sorry, the AI agent for this number is not available.');
                 res.type('text/xml');
                 res.send(twiml.toString());
                 return;
             }
-            
-            console.log('🤖 Default routing to agent:', defaultAgent.name);
-            
+        
+            console.log('🤖 Direct routing to agent:', agent.name);
+        
             // Store call session
             const sessionData = {
                 clientConfig,
-                selectedAgent: defaultAgent,
+                selectedAgent: agent,
                 callType: 'inbound',
                 fromNumber,
                 toNumber,
                 startTime: new Date().toISOString()
             };
-            
+        
             // Store in database
             await storeCallSession(callSid, sessionData);
-            
+        
             // Also store in memory as backup
             callSessionStore.set(callSid, sessionData);
+        
+            // Connect directly to the agent; the media stream server records the call
+            const response = await connectToAgent(req, callSid, agent, clientConfig);
+        
+            res.type('text/xml');
+            res.send(response.toString());
+            return;
+        }
+        
+        // Check routing strategy
+        switch (clientConfig.routingStrategy) {
+            case 'single_number_ivr':
+                // Handle IVR menu routing
+                await handleIVRRouting(req, res, clientConfig);
+                break;
             
-            // Connect to default agent
-            const twiml = new twilio.twiml.VoiceResponse();
+            case 'external_integration':
+                // Handle external system integration
+                await handleExternalIntegration(req, res, clientConfig);
+                break;
             
-            // Start a stream to capture audio
-            const start = twiml.start();
-            start.stream({
-                url: `${WEBSOCKET_URL}?callSid=${callSid}`,
-                track: 'both_tracks'
-            });
+            case 'time_based':
+                // Handle time-based routing
+                await handleTimeBasedRouting(req, res, clientConfig);
+                break;
             
-            // Use agent-specific greeting
-            const greeting = defaultAgent.greeting || 'Hello! I am your AI assistant. How can I help you today?';
+            case 'ai_router':
+                // An AI receptionist finds out what the caller needs and hands them over
+                await handleAiRouterRouting(req, res, clientConfig);
+                break;
             
-            twiml.say({
-                voice: 'alice',
-                language: defaultAgent.language_code || 'en-US'
-            }, greeting);
+            default:
+                // Default to simple greeting and connection to default agent
+                const defaultAgent = clientConfig.agents[0];
+            
+                if (!defaultAgent) {
+                    console.error('❌ No agents available for client:', clientConfig.clientId);
+                    const twiml = new twilio.twiml.VoiceResponse();
+                    twiml.say('Sorry, no AI agents are available. Please try again later.');
+                    res.type('text/xml');
+                    res.send(twiml.toString());
+                    return;
+                }
             
-            // Keep the call alive
-            twiml.pause({ length: 60 });
+                console.log('🤖 Default routing to agent:', defaultAgent.name);
             
+                // Store call session
+                const sessionData = {
+                    clientConfig,
+                    selectedAgent: defaultAgent,
+                    callType: 'inbound',
+                    fromNumber,
+                    toNumber,
+                    startTime: new Date().toISOString()
+                };
+            
+                // Store in database
+                await storeCallSession(callSid, sessionData);
+            
+                // Also store in memory as backup
+                callSessionStore.set(callSid, sessionData);
+            
+                // Connect to default agent
+                const twiml = await connectToAgent(req, callSid, defaultAgent, clientConfig);
+            
+                res.type('text/xml');
+                res.send(twiml.toString());
+        }
+    } catch (error) {
+        console.error('❌ Error handling incoming call:', error);
+        
+        if (!res.headersSent) {
+            const twiml = new twilio.twiml.VoiceResponse();
+            twiml.say('Sorry, there was an error processing your call. Please call back.');
+            twiml.hangup();
             res.type('text/xml');
             res.send(twiml.toString());
+        }
     }
 });
 
@@ -602,9 +1349,10 @@ async function handleIVRRouting(req, res, clientConfig) {
     const callSid = req.body.CallSid;
     const fromNumber = req.body.From;
     const toNumber = req.body.To;
+    const entryMenu = getEntryMenu(clientConfig.ivrMenus);
     
     // Check if IVR menu exists
-    if (!clientConfig.ivrMenu) {
+    if (!entryMenu) {
         console.error('❌ No IVR menu configured for client:', clientConfig.clientId);
         
         // Fall back to default agent
@@ -632,76 +1380,89 @@ async function handleIVRRouting(req, res, clientConfig) {
         callSessionStore.set(callSid, sessionData);
         
         // Connect to default agent
-        const twiml = new twilio.twiml.VoiceResponse();
-        
-        // Start a stream to capture audio
-        const start = twiml.start();
-        start.stream({
-            url: `${WEBSOCKET_URL}?callSid=${callSid}`,
-            track: 'both_tracks'
-        });
-        
-        // Use agent-specific greeting
-        const greeting = defaultAgent.greeting || 'Hello! I am your AI assistant. How can I help you today?';
-        
-        twiml.say({
-            voice: 'alice',
-            language: defaultAgent.language_code || 'en-US'
-        }, greeting);
-        
-        // Keep the call alive
-        twiml.pause({ length: 60 });
+        const twiml = await connectToAgent(req, callSid, defaultAgent, clientConfig);
         
         res.type('text/xml');
         res.send(twiml.toString());
         return;
     }
     
-    console.log('📱 Using IVR menu:', clientConfig.ivrMenu.name);
-    
-    // Create IVR menu
-    const twiml = new twilio.twiml.VoiceResponse();
-    
-    // Gather agent selection
-    const gather = twiml.gather({
-        numDigits: 1,
-        action: `/webhook/ivr-selection?callSid=${callSid}`,
-        method: 'POST',
-        timeout: clientConfig.ivrMenu.timeout_seconds || 10
-    });
-    
-    // Play greeting
-    gather.say(clientConfig.ivrMenu.greeting_text);
-    
-    // If no input, repeat the menu or go to default agent
-    twiml.redirect(`/webhook/ivr-timeout?callSid=${callSid}`);
+    console.log('📱 Using IVR menu:', entryMenu.name);
     
-    // Store call session with IVR context
     const sessionData = {
         clientConfig,
-        ivrContext: {
-            menuId: clientConfig.ivrMenu.id,
-            attempts: 0
-        },
         callType: 'inbound',
         fromNumber,
         toNumber,
         startTime: new Date().toISOString()
     };
     
-    await storeCallSession(callSid, sessionData);
-    callSessionStore.set(callSid, sessionData);
+    await playIvrMenu(res, callSid, sessionData, entryMenu);
+}
+
+// Play an IVR menu and store it as the call's current menu. Options that
+// speak before the menu pass their TwiML in.
+async function playIvrMenu(res, callSid, callSession, menu, { prompt, attempts = 0, twiml = new twilio.twiml.VoiceResponse() } = {}) {
+    gatherIvrMenu(twiml, menu, callSid, prompt);
+    
+    const updatedSession = {
+        ...callSession,
+        ivrContext: {
+            menuId: menu.id,
+            attempts,
+            variables: callSession.ivrContext?.variables || {}
+        }
+    };
+    
+    await storeCallSession(callSid, updatedSession);
+    callSessionStore.set(callSid, updatedSession);
+    
+    res.type('text/xml');
+    res.send(twiml.toString());
+}
+
+// Leave the IVR for an agent, passing on what the caller entered in the menus
+async function connectIvrAgent(req, res, callSid, callSession, agent, options = {}) {
+    const updatedSession = {
+        ...callSession,
+        selectedAgent: agent,
+        ivrContext: null,
+        ivrVariables: callSession.ivrContext?.variables || {}
+    };
+    
+    await storeCallSession(callSid, updatedSession);
+    callSessionStore.set(callSid, updatedSession);
+    
+    const twiml = await connectToAgent(req, callSid, agent, callSession.clientConfig, options);
     
     res.type('text/xml');
     res.send(twiml.toString());
 }
 
+// Caller didn't choose in time or often enough: go to the default agent
+async function connectIvrDefaultAgent(req, res, callSid, callSession, announcement) {
+    const defaultAgent = callSession.clientConfig.agents[0];
+    
+    if (!defaultAgent) {
+        const twiml = new twilio.twiml.VoiceResponse();
+        twiml.say('Sorry, no agents are available. Please try again later.');
+        res.type('text/xml');
+        res.send(twiml.toString());
+        return;
+    }
+    
+    console.log('🤖 IVR routing to default agent:', defaultAgent.name);
+    
+    await connectIvrAgent(req, res, callSid, callSession, defaultAgent, { announcement });
+}
+
 // Handle IVR selection
 app.post('/webhook/ivr-selection', async (req, res) => {
     const digits = req.body.Digits;
+    const speech = req.body.SpeechResult;
     const callSid = req.query.callSid || req.body.CallSid;
     
-    console.log('📱 IVR selection:', digits, 'for call:', callSid);
+    console.log('📱 IVR selection:', digits || speech, 'for call:', callSid);
     
     // Get call session
     let callSession = await getCallSession(callSid);
@@ -711,8 +1472,11 @@ app.post('/webhook/ivr-selection', async (req, res) => {
         callSession = callSessionStore.get(callSid);
     }
     
-    if (!callSession) {
-        console.error('❌ No call session found for SID:', callSid);
+    const ivrContext = callSession?.ivrContext || {};
+    const menu = callSession && findIvrMenu(callSession.clientConfig.ivrMenus, req.query.menuId || ivrContext.menuId);
+    
+    if (!menu) {
+        console.error('❌ No call session or IVR menu found for SID:', callSid);
         const twiml = new twilio.twiml.VoiceResponse();
         twiml.say('Sorry, there was an error processing your selection. Please call back.');
         res.type('text/xml');
@@ -720,191 +1484,176 @@ app.post('/webhook/ivr-selection', async (req, res) => {
         return;
     }
     
-    // Find the selected option
-    const selectedOption = callSession.clientConfig.ivrMenu.ivr_options.find(
-        option => option.digit === digits
-    );
+    const match = matchIvrOption(menu, { digits, speech });
+    const closed = match && !isIvrOptionOpen(match.option, callSession.clientConfig);
     
-    if (!selectedOption) {
-        console.log('❌ Invalid IVR selection:', digits);
+    if (!match || closed) {
+        console.log(closed ? '🌙 Closed IVR option chosen:' : '❌ Invalid IVR selection:', digits || speech, 'in menu:', menu.name);
         
-        // Update attempts count
-        const ivrContext = callSession.ivrContext || {};
         const attempts = (ivrContext.attempts || 0) + 1;
         
-        // Check if max attempts reached
-        if (attempts >= (callSession.clientConfig.ivrMenu.max_attempts || 3)) {
-            // Transfer to default agent
-            const defaultAgent = callSession.clientConfig.agents[0];
-            
-            if (!defaultAgent) {
-                const twiml = new twilio.twiml.VoiceResponse();
-                twiml.say('Sorry, no agents are available. Please try again later.');
-                res.type('text/xml');
-                res.send(twiml.toString());
-                return;
-            }
-            
-            // Update call session
-            const updatedSession = {
-                ...callSession,
-                selectedAgent: defaultAgent,
-                ivrContext: null
-            };
-            
-            await storeCallSession(callSid, updatedSession);
-            callSessionStore.set(callSid, updatedSession);
-            
-            // Connect to default agent
-            const twiml = new twilio.twiml.VoiceResponse();
-            
-            // Start a stream to capture audio
-            const start = twiml.start();
-            start.stream({
-                url: `${WEBSOCKET_URL}?callSid=${callSid}`,
-                track: 'both_tracks'
-            });
-            
-            twiml.say('I\'ll connect you with our general assistant.');
-            
-            // Keep the call alive
-            twiml.pause({ length: 60 });
-            
-            res.type('text/xml');
-            res.send(twiml.toString());
+        // Transfer to default agent once max attempts are reached
+        if (attempts >= (menu.max_attempts || 3)) {
+            await connectIvrDefaultAgent(req, res, callSid, callSession, 'I\'ll connect you with our general assistant.');
             return;
         }
         
         // Try again
-        const twiml = new twilio.twiml.VoiceResponse();
-        
-        // Gather agent selection
-        const gather = twiml.gather({
-            numDigits: 1,
-            action: `/webhook/ivr-selection?callSid=${callSid}`,
-            method: 'POST',
-            timeout: callSession.clientConfig.ivrMenu.timeout_seconds || 10
+        await playIvrMenu(res, callSid, callSession, menu, {
+            prompt: closed ? 'Sorry, that option is closed right now.' : 'Sorry, that\'s not a valid option.',
+            attempts
         });
-        
-        gather.say('Sorry, that\'s not a valid option. ' + callSession.clientConfig.ivrMenu.greeting_text);
-        
-        // If no input again, redirect to timeout handler
-        twiml.redirect(`/webhook/ivr-timeout?callSid=${callSid}`);
-        
-        // Update call session with attempt count
-        const updatedSession = {
-            ...callSession,
-            ivrContext: {
-                ...ivrContext,
-                attempts
-            }
-        };
-        
-        await storeCallSession(callSid, updatedSession);
-        callSessionStore.set(callSid, updatedSession);
-        
-        res.type('text/xml');
-        res.send(twiml.toString());
         return;
     }
     
-    // Process the selected option
-    if (selectedOption.action_type === 'agent') {
-        // Find the selected agent
-        const selectedAgent = callSession.clientConfig.agents.find(
-            agent => agent.id === selectedOption.agent_id
-        );
-        
-        if (!selectedAgent) {
-            console.error('❌ Selected agent not found:', selectedOption.agent_id);
-            const twiml = new twilio.twiml.VoiceResponse();
-            twiml.say('Sorry, the selected department is not available. Please try again later.');
-            res.type('text/xml');
-            res.send(twiml.toString());
+    const { option, input } = match;
+    
+    // Menus that collect input (account numbers, extensions) keep it for the agent
+    const variables = menu.collect_variable
+        ? { ...ivrContext.variables, [menu.collect_variable]: input }
+        : ivrContext.variables;
+    
+    await handleIvrOption(req, res, {
+        ...callSession,
+        ivrContext: { ...ivrContext, variables }
+    }, menu, option, input);
+});
+
+// Options are available during their schedule, agent options also only while
+// the agent is on duty
+function isIvrOptionOpen(option, clientConfig) {
+    const agent = option.action_type === 'agent' && clientConfig.agents.find(a => a.id === option.agent_id);
+    return isScheduleOpen(clientConfig, option.schedule_id) && (!agent || isAgentOnDuty(agent, clientConfig));
+}
+
+// Carry out the IVR option the caller chose
+async function handleIvrOption(req, res, callSession, menu, option, input) {
+    const callSid = req.query.callSid || req.body.CallSid;
+    const { clientConfig } = callSession;
+    const variables = callSession.ivrContext?.variables || {};
+    const actionData = option.action_data || {};
+    // Options without a next menu return to their own
+    const nextMenu = findIvrMenu(clientConfig.ivrMenus, option.next_menu_id) || menu;
+    const twiml = new twilio.twiml.VoiceResponse();
+    
+    switch (option.action_type) {
+        case 'agent': {
+            // Find the selected agent
+            const selectedAgent = clientConfig.agents.find(
+                agent => agent.id === option.agent_id
+            );
+            
+            if (!selectedAgent) {
+                console.error('❌ Selected agent not found:', option.agent_id);
+                twiml.say('Sorry, the selected department is not available. Please try again later.');
+                break;
+            }
+            
+            console.log('🤖 IVR routing to agent:', selectedAgent.name);
+            
+            await connectIvrAgent(req, res, callSid, callSession, selectedAgent);
             return;
         }
         
-        console.log('🤖 IVR routing to agent:', selectedAgent.name);
-        
-        // Update call session
-        const updatedSession = {
-            ...callSession,
-            selectedAgent,
-            ivrContext: null
-        };
-        
-        await storeCallSession(callSid, updatedSession);
-        callSessionStore.set(callSid, updatedSession);
-        
-        // Connect to selected agent
-        const twiml = new twilio.twiml.VoiceResponse();
-        
-        // Start a stream to capture audio
-        const start = twiml.start();
-        start.stream({
-            url: `${WEBSOCKET_URL}?callSid=${callSid}`,
-            track: 'both_tracks'
-        });
-        
-        // Use agent-specific greeting
-        const greeting = selectedAgent.greeting || 'Hello! I am your AI assistant. How can I help you today?';
+        case 'transfer': {
+            // Handle transfer to external number
+            const transferNumber = actionData.phone_number;
+            
+            if (!transferNumber) {
+                console.error('❌ Transfer number not configured for option:', option.id);
+                twiml.say('Sorry, the transfer number is not configured properly.');
+                break;
+            }
+            
+            console.log('📞 Transferring call to:', transferNumber);
+            
+            twiml.say('Transferring your call. Please hold.');
+            twiml.dial(transferNumber);
+            break;
+        }
         
-        twiml.say({
-            voice: 'alice',
-            language: selectedAgent.language_code || 'en-US'
-        }, greeting);
+        case 'voicemail':
+            // Handle voicemail recording
+            console.log('📝 Routing to voicemail');
+            
+            twiml.say('Please leave a message after the tone.');
+            recordVoicemail(twiml, resolvePublicBaseUrl(req, clientConfig.phoneNumber), {
+                ivrOptionId: option.id
+            });
+            break;
         
-        // Keep the call alive
-        twiml.pause({ length: 60 });
+        case 'submenu':
+            console.log('📱 IVR moving to menu:', nextMenu.name);
+            await playIvrMenu(res, callSid, callSession, nextMenu);
+            return;
         
-        res.type('text/xml');
-        res.send(twiml.toString());
-    } else if (selectedOption.action_type === 'transfer') {
-        // Handle transfer to external number
-        const transferNumber = selectedOption.action_data?.phone_number;
+        case 'play_message':
+            twiml.say(actionData.message);
+            await playIvrMenu(res, callSid, callSession, nextMenu, { twiml });
+            return;
         
-        if (!transferNumber) {
-            console.error('❌ Transfer number not configured for option:', selectedOption.id);
-            const twiml = new twilio.twiml.VoiceResponse();
-            twiml.say('Sorry, the transfer number is not configured properly.');
-            res.type('text/xml');
-            res.send(twiml.toString());
+        case 'webhook': {
+            const result = await callIvrWebhook(option, {
+                call_sid: callSid,
+                from: callSession.fromNumber,
+                to: callSession.toNumber,
+                menu_id: menu.id,
+                option_id: option.id,
+                input,
+                variables
+            });
+            
+            // The endpoint may pick the next menu and add values for the agent
+            const updatedSession = {
+                ...callSession,
+                ivrContext: {
+                    ...callSession.ivrContext,
+                    variables: { ...variables, ...result.variables }
+                }
+            };
+            
+            await playIvrMenu(res, callSid, updatedSession, findIvrMenu(clientConfig.ivrMenus, result.menuId) || nextMenu, {
+                prompt: result.say
+            });
             return;
         }
         
-        console.log('📞 Transferring call to:', transferNumber);
-        
-        const twiml = new twilio.twiml.VoiceResponse();
-        twiml.say('Transferring your call. Please hold.');
-        twiml.dial(transferNumber);
-        
-        res.type('text/xml');
-        res.send(twiml.toString());
-    } else if (selectedOption.action_type === 'voicemail') {
-        // Handle voicemail recording
-        console.log('📝 Routing to voicemail');
+        case 'callback_request': {
+            const callbackRequest = await createCallbackRequest({
+                profile_id: clientConfig.clientId,
+                call_sid: callSid,
+                phone_number: callSession.fromNumber,
+                ivr_option_id: option.id,
+                ivr_variables: variables
+            });
+            
+            if (!callbackRequest) {
+                await playIvrMenu(res, callSid, callSession, menu, {
+                    prompt: 'Sorry, we couldn\'t take your callback request.'
+                });
+                return;
+            }
+            
+            console.log('📲 Callback requested by:', callSession.fromNumber);
+            
+            twiml.say(actionData.message || 'Thank you. We\'ll call you back as soon as possible. Goodbye.');
+            twiml.hangup();
+            break;
+        }
         
-        const twiml = new twilio.twiml.VoiceResponse();
-        twiml.say('Please leave a message after the tone.');
-        twiml.record({
-            action: '/webhook/voicemail',
-            method: 'POST',
-            maxLength: 300,
-            playBeep: true,
-            transcribe: true,
-            transcribeCallback: '/webhook/voicemail-transcription'
-        });
+        case 'hangup':
+            twiml.say(actionData.message || 'Thank you for calling. Goodbye.');
+            twiml.hangup();
+            break;
         
-        res.type('text/xml');
-        res.send(twiml.toString());
-    } else {
-        console.error('❌ Unknown action type:', selectedOption.action_type);
-        const twiml = new twilio.twiml.VoiceResponse();
-        twiml.say('Sorry, that option is not available.');
-        res.type('text/xml');
-        res.send(twiml.toString());
+        default:
+            console.error('❌ Unknown action type:', option.action_type);
+            twiml.say('Sorry, that option is not available.');
     }
-});
+    
+    res.type('text/xml');
+    res.send(twiml.toString());
+}
 
 // Handle IVR timeout
 app.get('/webhook/ivr-timeout', async (req, res) => {
@@ -929,47 +1678,45 @@ app.get('/webhook/ivr-timeout', async (req, res) => {
         return;
     }
     
-    // Default to first agent
-    const defaultAgent = callSession.clientConfig.agents[0];
+    await connectIvrDefaultAgent(req, res, callSid, callSession, 'I\'ll connect you with our assistant.');
+});
+
+// Handle AI receptionist routing
+async function handleAiRouterRouting(req, res, clientConfig) {
+    const callSid = req.body.CallSid;
+    const specialists = getSpecialistAgents(clientConfig);
     
-    if (!defaultAgent) {
+    // Without specialists there is nobody to route to
+    const agent = specialists.length > 0 ? getReceptionistAgent(clientConfig) : clientConfig.agents[0];
+    
+    if (!agent) {
+        console.error('❌ No agents available for client:', clientConfig.clientId);
         const twiml = new twilio.twiml.VoiceResponse();
-        twiml.say('Sorry, no agents are available. Please try again later.');
+        twiml.say('Sorry, no AI agents are available. Please try again later.');
         res.type('text/xml');
         res.send(twiml.toString());
         return;
     }
     
-    console.log('🤖 IVR timeout, routing to default agent:', defaultAgent.name);
+    console.log('🛎️ AI router answering with:', agent.name, 'specialists:', specialists.length);
     
-    // Update call session
-    const updatedSession = {
-        ...callSession,
-        selectedAgent: defaultAgent,
-        ivrContext: null
+    const sessionData = {
+        clientConfig,
+        selectedAgent: agent,
+        callType: 'inbound',
+        fromNumber: req.body.From,
+        toNumber: req.body.To,
+        startTime: new Date().toISOString()
     };
     
-    await storeCallSession(callSid, updatedSession);
-    callSessionStore.set(callSid, updatedSession);
-    
-    // Connect to default agent
-    const twiml = new twilio.twiml.VoiceResponse();
-    
-    // Start a stream to capture audio
-    const start = twiml.start();
-    start.stream({
-        url: `${WEBSOCKET_URL}?callSid=${callSid}`,
-        track: 'both_tracks'
-    });
-    
-    twiml.say('I\'ll connect you with our assistant.');
+    await storeCallSession(callSid, sessionData);
+    callSessionStore.set(callSid, sessionData);
     
-    // Keep the call alive
-    twiml.pause({ length: 60 });
+    const twiml = await connectToAgent(req, callSid, agent, clientConfig);
     
     res.type('text/xml');
     res.send(twiml.toString());
-});
+}
 
 // Handle external system integration
 async function handleExternalIntegration(req, res, clientConfig) {
@@ -1006,25 +1753,7 @@ async function handleExternalIntegration(req, res, clientConfig) {
         callSessionStore.set(callSid, sessionData);
         
         // Connect to default agent
-        const twiml = new twilio.twiml.VoiceResponse();
-        
-        // Start a stream to capture audio
-        const start = twiml.start();
-        start.stream({
-            url: `${WEBSOCKET_URL}?callSid=${callSid}`,
-            track: 'both_tracks'
-        });
-        
-        // Use agent-specific greeting
-        const greeting = defaultAgent.greeting || 'Hello! I am your AI assistant. How can I help you today?';
-        
-        twiml.say({
-            voice: 'alice',
-            language: defaultAgent.language_code || 'en-US'
-        }, greeting);
-        
-        // Keep the call alive
-        twiml.pause({ length: 60 });
+        const twiml = await connectToAgent(req, callSid, defaultAgent, clientConfig);
         
         res.type('text/xml');
         res.send(twiml.toString());
@@ -1117,25 +1846,7 @@ async function handleExternalIntegration(req, res, clientConfig) {
             callSessionStore.set(callSid, sessionData);
             
             // Connect to the agent
-            const twiml = new twilio.twiml.VoiceResponse();
-            
-            // Start a stream to capture audio
-            const start = twiml.start();
-            start.stream({
-                url: `${WEBSOCKET_URL}?callSid=${callSid}`,
-                track: 'both_tracks'
-            });
-            
-            // Use agent-specific greeting
-            const greeting = agent.greeting || 'Hello! I am your AI assistant. How can I help you today?';
-            
-            twiml.say({
-                voice: 'alice',
-                language: agent.language_code || 'en-US'
-            }, greeting);
-            
-            // Keep the call alive
-            twiml.pause({ length: 60 });
+            const twiml = await connectToAgent(req, callSid, agent, clientConfig);
             
             res.type('text/xml');
             res.send(twiml.toString());
@@ -1183,25 +1894,7 @@ async function handleExternalIntegration(req, res, clientConfig) {
             callSessionStore.set(callSid, forwardingSessionData);
             
             // Connect to the agent
-            const twimlForwarding = new twilio.twiml.VoiceResponse();
-            
-            // Start a stream to capture audio
-            const startForwarding = twimlForwarding.start();
-            startForwarding.stream({
-                url: `${WEBSOCKET_URL}?callSid=${callSid}`,
-                track: 'both_tracks'
-            });
-            
-            // Use agent-specific greeting
-            const greetingForwarding = agentForwarding.greeting || 'Hello! I am your AI assistant. How can I help you today?';
-            
-            twimlForwarding.say({
-                voice: 'alice',
-                language: agentForwarding.language_code || 'en-US'
-            }, greetingForwarding);
-            
-            // Keep the call alive
-            twimlForwarding.pause({ length: 60 });
+            const twimlForwarding = await connectToAgent(req, callSid, agentForwarding, clientConfig);
             
             res.type('text/xml');
             res.send(twimlForwarding.toString());
@@ -1216,97 +1909,132 @@ async function handleExternalIntegration(req, res, clientConfig) {
     }
 }
 
-// Handle time-based routing
-async function handleTimeBasedRouting(req, res, clientConfig) {
+// Handle calls outside their number's schedule: the number's after hours agent
+// takes them, or callers can leave a voicemail
+async function handleClosedNumber(req, res, clientConfig) {
     const callSid = req.body.CallSid;
-    const fromNumber = req.body.From;
-    const toNumber = req.body.To;
+    const agent = clientConfig.agents.find(a => a.id === clientConfig.phoneNumber.after_hours_agent_id);
     
-    // Get current time in client's timezone
-    const clientTimezone = clientConfig.timezone || 'America/New_York';
-    const now = new Date();
-    const clientTime = new Intl.DateTimeFormat('en-US', {
-        timeZone: clientTimezone,
-        hour: 'numeric',
-        minute: 'numeric',
-        hour12: false
-    }).format(now);
-    
-    // Get day of week (0 = Sunday, 1 = Monday, etc.)
-    const clientDay = new Intl.DateTimeFormat('en-US', {
-        timeZone: clientTimezone,
-        weekday: 'numeric'
-    }).format(now);
-    
-    const dayMap = {
-        'Sunday': 0,
-        'Monday': 1,
-        'Tuesday': 2,
-        'Wednesday': 3,
-        'Thursday': 4,
-        'Friday': 5,
-        'Saturday': 6
+    console.log('🌙 Number closed by its schedule:', req.body.To, agent ? `routing to ${agent.name}` : 'taking a voicemail');
+    
+    if (!agent) {
+        const twiml = new twilio.twiml.VoiceResponse();
+        twiml.say('Thank you for calling. We are closed right now. Please leave a message after the tone and we will get back to you.');
+        recordVoicemail(twiml, resolvePublicBaseUrl(req, clientConfig.phoneNumber));
+        res.type('text/xml');
+        res.send(twiml.toString());
+        return;
+    }
+    
+    const sessionData = {
+        clientConfig,
+        selectedAgent: agent,
+        callType: 'inbound',
+        fromNumber: req.body.From,
+        toNumber: req.body.To,
+        startTime: new Date().toISOString()
     };
     
-    const dayOfWeek = dayMap[clientDay];
+    await storeCallSession(callSid, sessionData);
+    callSessionStore.set(callSid, sessionData);
     
-    console.log('⏰ Time-based routing check:', {
-        clientTime,
-        clientDay,
-        dayOfWeek
-    });
+    const twiml = await connectToAgent(req, callSid, agent, clientConfig);
     
-    // Find business hours agent and after hours agent
-    let businessHoursAgent = null;
-    let afterHoursAgent = null;
+    res.type('text/xml');
+    res.send(twiml.toString());
+}
+
+// Carry out a caller rule's action. Returns false when the call should go on
+// to the usual routing: 'greeting' rules, and agents no longer active.
+async function handleCallerRule(req, res, clientConfig, rule) {
+    const callSid = req.body.CallSid;
+    const actionData = rule.action_data || {};
+    const twiml = new twilio.twiml.VoiceResponse();
     
-    for (const agent of clientConfig.agents) {
-        if (agent.agent_type === 'general') {
-            // Default agent for any time
-            if (!businessHoursAgent) {
-                businessHoursAgent = agent;
+    switch (rule.action_type) {
+        case 'block':
+            console.log('🚫 Blocking caller:', req.body.From);
+            
+            if (actionData.message) {
+                twiml.say(actionData.message);
+                twiml.hangup();
+            } else {
+                twiml.reject({ reason: 'rejected' });
+            }
+            break;
+            
+        case 'human':
+            console.log('📞 Caller rule transferring call to:', actionData.phone_number);
+            
+            twiml.say(actionData.message || 'Transferring your call. Please hold.');
+            twiml.dial(actionData.phone_number);
+            break;
+            
+        case 'agent': {
+            const agent = clientConfig.agents.find(a => a.id === actionData.agent_id);
+            
+            if (!agent) {
+                console.warn('⚠️ Agent of caller rule not available, using the usual routing:', rule.name);
+                return false;
             }
-        } else if (agent.agent_type === 'after_hours') {
-            afterHoursAgent = agent;
+            
+            console.log('🤖 Caller rule routing to agent:', agent.name);
+            
+            const sessionData = {
+                clientConfig,
+                selectedAgent: agent,
+                callType: 'inbound',
+                fromNumber: req.body.From,
+                toNumber: req.body.To,
+                startTime: new Date().toISOString()
+            };
+            
+            await storeCallSession(callSid, sessionData);
+            callSessionStore.set(callSid, sessionData);
+            
+            const response = await connectToAgent(req, callSid, agent, clientConfig);
+            
+            res.type('text/xml');
+            res.send(response.toString());
+            return true;
         }
+        
+        default:
+            return false;
     }
     
-    // If no specific agents found, use the first available agent
-    if (!businessHoursAgent && clientConfig.agents.length > 0) {
-        businessHoursAgent = clientConfig.agents[0];
-    }
-    
-    if (!afterHoursAgent && clientConfig.agents.length > 0) {
-        // Use business hours agent as fallback
-        afterHoursAgent = businessHoursAgent;
-    }
+    res.type('text/xml');
+    res.send(twiml.toString());
+    return true;
+}
+
+// Handle time-based routing
+async function handleTimeBasedRouting(req, res, clientConfig) {
+    const callSid = req.body.CallSid;
+    const fromNumber = req.body.From;
+    const toNumber = req.body.To;
+    const now = new Date();
     
-    // Check if current time is within business hours
-    let isBusinessHours = false;
+    // General agents and agents with a schedule take calls during their hours;
+    // agents without a schedule work their business_hours_start/end and business_days
+    const scheduledAgents = clientConfig.agents.filter(agent =>
+        agent.agent_type !== 'after_hours' && (agent.agent_type === 'general' || agent.schedule_id));
+    // Without any, the first agent keeps the business hours
+    const businessHoursAgents = scheduledAgents.length > 0 ? scheduledAgents : clientConfig.agents.slice(0, 1);
+    const afterHoursAgent = clientConfig.agents.find(agent => agent.agent_type === 'after_hours');
     
-    // Check if the current day is a business day
-    const businessDays = businessHoursAgent?.business_days || [1, 2, 3, 4, 5]; // Default: Monday-Friday
-    const isBusinessDay = businessDays.includes(dayOfWeek);
+    const onDutyAgent = businessHoursAgents.find(agent =>
+        getScheduleStatus(getAgentHours(agent, clientConfig), clientConfig.holidaySets, now).open);
+    const isBusinessHours = Boolean(onDutyAgent);
     
-    if (isBusinessDay) {
-        // Check if current time is within business hours
-        const businessHoursStart = businessHoursAgent?.business_hours_start || '09:00';
-        const businessHoursEnd = businessHoursAgent?.business_hours_end || '17:00';
-        
-        // Convert to 24-hour format for comparison
-        const [currentHour, currentMinute] = clientTime.split(':').map(Number);
-        const [startHour, startMinute] = businessHoursStart.split(':').map(Number);
-        const [endHour, endMinute] = businessHoursEnd.split(':').map(Number);
-        
-        const currentMinutes = currentHour * 60 + currentMinute;
-        const startMinutes = startHour * 60 + startMinute;
-        const endMinutes = endHour * 60 + endMinute;
-        
-        isBusinessHours = currentMinutes >= startMinutes && currentMinutes <= endMinutes;
-    }
+    console.log('⏰ Time-based routing check:', {
+        time: now.toISOString(),
+        businessHoursAgents: businessHoursAgents.length,
+        onDutyAgent: onDutyAgent?.name
+    });
     
-    // Select the appropriate agent
-    const selectedAgent = isBusinessHours ? businessHoursAgent : afterHoursAgent;
+    // Select the appropriate agent, falling back to the first business hours agent
+    const selectedAgent = onDutyAgent || afterHoursAgent || businessHoursAgents[0];
     
     if (!selectedAgent) {
         console.error('❌ No agent available for time-based routing');
@@ -1333,45 +2061,210 @@ async function handleTimeBasedRouting(req, res, clientConfig) {
     callSessionStore.set(callSid, sessionData);
     
     // Connect to the selected agent
-    const twiml = new twilio.twiml.VoiceResponse();
+    const twiml = await connectToAgent(req, callSid, selectedAgent, clientConfig);
     
-    // Start a stream to capture audio
-    const start = twiml.start();
-    start.stream({
-        url: `${WEBSOCKET_URL}?callSid=${callSid}`,
-        track: 'both_tracks'
-    });
+    res.type('text/xml');
+    res.send(twiml.toString());
+}
+
+// Twilio webhook for call status: reconciles the call log and minute billing
+app.post('/webhook/status', async (req, res) => {
+    const { CallSid: callSid, CallStatus: callStatus } = req.body;
+    
+    console.log('📊 Call status update:', callStatus, 'for call:', callSid);
+    
+    // Backstop for streams that never connected or closed uncleanly
+    if (FINAL_CALL_STATUSES.includes(callStatus)) {
+        await concurrencyTracker.release(callSid);
+    }
+    
+    try {
+        const callSession = await getCallSession(callSid) || callSessionStore.get(callSid);
+        
+        // The tenant number is "To" for inbound calls and "From" for outbound calls
+        const clientConfig = callSession?.clientConfig ||
+            await getClientConfigByPhoneNumber(req.body.Direction === 'inbound' ? req.body.To : req.body.From);
+        
+        if (clientConfig) {
+            await handleCallStatus(req.body, callSession, clientConfig);
+        } else {
+            console.error('❌ No tenant found for call status update:', callSid);
+        }
+    } catch (error) {
+        console.error('❌ Error processing call status update:', error);
+    }
+    
+    res.sendStatus(200);
+});
+
+// Caller waiting for a free assistant: try again, or give up after the queue timeout
+app.post('/webhook/overflow-queue', async (req, res) => {
+    const callSid = req.query.callSid || req.body.CallSid;
+    const queuedAt = parseInt(req.query.queuedAt, 10) || Date.now();
+    
+    const callSession = await getCallSession(callSid) || callSessionStore.get(callSid);
+    
+    if (!callSession?.selectedAgent) {
+        console.error('❌ No call session for queued call:', callSid);
+        await concurrencyTracker.release(callSid);
+        res.type('text/xml');
+        res.send(buildBusyTwiml(null, null).toString());
+        return;
+    }
     
-    // Use agent-specific greeting
-    const greeting = selectedAgent.greeting || 'Hello! I am your AI assistant. How can I help you today?';
+    const { clientConfig, selectedAgent } = callSession;
+    const timeoutSeconds = clientConfig.overflow?.queueTimeoutSeconds || 120;
     
-    twiml.say({
-        voice: 'alice',
-        language: selectedAgent.language_code || 'en-US'
-    }, greeting);
+    if (Date.now() - queuedAt > timeoutSeconds * 1000) {
+        console.log('⌛ Call left the overflow queue after', timeoutSeconds, 'seconds:', callSid);
+        await concurrencyTracker.release(callSid);
+        res.type('text/xml');
+        res.send(buildBusyTwiml(clientConfig.overflow, selectedAgent).toString());
+        return;
+    }
     
-    // Keep the call alive
-    twiml.pause({ length: 60 });
+    const twiml = await connectToAgent(req, callSid, selectedAgent, clientConfig, {
+        queuedAt,
+        announcement: 'Thank you for holding. Connecting you now.'
+    });
     
     res.type('text/xml');
     res.send(twiml.toString());
-}
+});
 
-// Twilio webhook for call status
-app.post('/webhook/status', (req, res) => {
-    console.log('📊 Call status update:', req.body);
-    res.sendStatus(200);
+// Outbound call answered: stream it to the agent, or hang up on answering machines
+app.post('/webhook/outbound', async (req, res) => {
+    const callSid = req.body.CallSid;
+    const answeredBy = req.body.AnsweredBy;
+    
+    console.log('📤 Outbound call answered:', callSid, 'by', answeredBy || 'unknown');
+    
+    try {
+        const callSession = await getCallSession(callSid) || callSessionStore.get(callSid);
+        
+        if (!callSession?.selectedAgent) {
+            console.error('❌ No call session for outbound call:', callSid);
+            const twiml = new twilio.twiml.VoiceResponse();
+            twiml.hangup();
+            res.type('text/xml');
+            res.send(twiml.toString());
+            return;
+        }
+        
+        // Answering machine detection (machine_start, machine_end_beep, fax, ...)
+        if (answeredBy && (answeredBy.startsWith('machine') || answeredBy === 'fax')) {
+            if (callSession.lead?.id) {
+                await updateCampaignLead(callSession.lead.id, {
+                    status: 'no_answer',
+                    outcome: answeredBy === 'fax' ? 'fax' : 'answering_machine'
+                });
+            }
+            
+            const twiml = new twilio.twiml.VoiceResponse();
+            twiml.hangup();
+            res.type('text/xml');
+            res.send(twiml.toString());
+            return;
+        }
+        
+        if (callSession.lead?.id) {
+            await updateCampaignLead(callSession.lead.id, { status: 'answered' });
+        }
+        
+        const twiml = await connectToAgent(req, callSid, callSession.selectedAgent, callSession.clientConfig);
+        
+        res.type('text/xml');
+        res.send(twiml.toString());
+    } catch (error) {
+        console.error('❌ Error handling outbound call:', error);
+        const twiml = new twilio.twiml.VoiceResponse();
+        twiml.hangup();
+        res.type('text/xml');
+        res.send(twiml.toString());
+    }
 });
 
-// Recording status webhook
-app.post('/webhook/recording-status', (req, res) => {
-    console.log('🎙️ Recording status update:', req.body);
-    res.sendStatus(200);
+// Whisper played to the person answering a transfer
+app.post('/webhook/transfer-whisper', (req, res) => {
+    const twiml = buildWhisperTwiml(req.query.summary);
+    
+    res.type('text/xml');
+    res.send(twiml.toString());
+});
+
+// Outcome of a transfer's <Dial>; falls back to voicemail or a callback when nobody answered
+app.post('/webhook/transfer-status', async (req, res) => {
+    const { agentId, callLogId } = req.query;
+    const dialStatus = req.body.DialCallStatus;
+    
+    console.log('🧑‍💼 Transfer status:', dialStatus, 'for call:', req.body.CallSid);
+    
+    try {
+        if (dialStatus === 'completed' || dialStatus === 'answered') {
+            if (callLogId) {
+                await updateCallLog(callLogId, { transfer_status: 'completed' });
+            }
+            
+            const twiml = new twilio.twiml.VoiceResponse();
+            twiml.hangup();
+            res.type('text/xml');
+            res.send(twiml.toString());
+            return;
+        }
+        
+        const agent = agentId ? await getAgentById(agentId) : null;
+        
+        if (callLogId) {
+            const callback = agent?.escalation_type === 'callback';
+            
+            await updateCallLog(callLogId, {
+                transfer_status: dialStatus || 'failed',
+                outcome: callback ? 'callback_requested' : 'voicemail',
+                follow_up_required: true
+            });
+        }
+        
+        const twiml = buildTransferFallbackTwiml(agent, resolvePublicBaseUrl(req), callLogId);
+        res.type('text/xml');
+        res.send(twiml.toString());
+    } catch (error) {
+        console.error('❌ Error handling transfer status:', error);
+        const twiml = new twilio.twiml.VoiceResponse();
+        twiml.say('Sorry, we could not complete the transfer. Goodbye.');
+        twiml.hangup();
+        res.type('text/xml');
+        res.send(twiml.toString());
+    }
 });
 
-// Voicemail webhook
-app.post('/webhook/voicemail', (req, res) => {
-    console.log('📝 Voicemail received:', req.body);
+// Voicemail recorded: save it for the tenant owning the call
+app.post('/webhook/voicemail', async (req, res) => {
+    const callSid = req.body.CallSid;
+    const { agentId, callLogId, ivrOptionId } = req.query;
+    
+    console.log('📝 Voicemail received for call:', callSid);
+    
+    try {
+        // No recording when the caller hung up before leaving a message
+        if (req.body.RecordingSid) {
+            const callSession = await getCallSession(callSid) || callSessionStore.get(callSid);
+            const clientConfig = callSession?.clientConfig || await getClientConfigByPhoneNumber(req.body.To);
+            
+            if (clientConfig) {
+                await saveVoicemail({
+                    profileId: clientConfig.clientId,
+                    params: req.body,
+                    agentId,
+                    callLogId,
+                    ivrOptionId
+                });
+            } else {
+                console.error('❌ No tenant found for voicemail on call:', callSid);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error saving voicemail:', error);
+    }
     
     const twiml = new twilio.twiml.VoiceResponse();
     twiml.say('Thank you for your message. We will get back to you as soon as possible.');
@@ -1381,12 +2274,334 @@ app.post('/webhook/voicemail', (req, res) => {
     res.send(twiml.toString());
 });
 
-// Voicemail transcription webhook
-app.post('/webhook/voicemail-transcription', (req, res) => {
-    console.log('📝 Voicemail transcription received:', req.body);
+// Voicemail transcription ready (or failed)
+app.post('/webhook/voicemail-transcription', async (req, res) => {
+    console.log('📝 Voicemail transcription', req.body.TranscriptionStatus, 'for recording:', req.body.RecordingSid);
+    
+    if (req.body.RecordingSid) {
+        await saveVoicemailTranscription(req.body);
+    }
+    
     res.sendStatus(200);
 });
 
+// Place an outbound AI call to a campaign lead
+app.post('/api/calls/outbound', requireUser, async (req, res) => {
+    const { agentId, leadId, callerId } = req.body || {};
+    
+    if (!leadId) {
+        return res.status(400).json({ error: 'leadId is required' });
+    }
+    
+    try {
+        const result = await placeOutboundCall({ profileId: req.profileId, leadId, agentId, callerId, req });
+        
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error, violations: result.violations });
+        }
+        
+        callSessionStore.set(result.callSid, result.sessionData);
+        
+        res.status(201).json({ callSid: result.callSid, status: 'queued', warnings: result.warnings });
+    } catch (error) {
+        console.error('❌ Error placing outbound call:', error);
+        res.status(500).json({ error: 'Failed to place outbound call' });
+    }
+});
+
+// Play back a call's recording in the dashboard
+app.get('/api/calls/:callLogId/recording', requireUser, async (req, res) => {
+    const callLog = await getCallLog(req.params.callLogId);
+    
+    if (!callLog || callLog.profile_id !== req.profileId || !callLog.recording_path) {
+        return res.status(404).json({ error: 'Recording not found' });
+    }
+    
+    const recording = await recordingStorage.read(callLog.recording_path);
+    
+    if (!recording) {
+        return res.status(404).json({ error: 'Recording not found' });
+    }
+    
+    res.type('audio/wav');
+    res.send(recording);
+});
+
+// Voicemails for the dashboard, newest first (?status=new|handled)
+app.get('/api/voicemails', requireUser, async (req, res) => {
+    const { status } = req.query;
+    
+    if (status && !VOICEMAIL_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${VOICEMAIL_STATUSES.join(', ')}` });
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const voicemails = await listVoicemails(req.profileId, { status, limit, offset });
+    
+    if (!voicemails) {
+        return res.status(500).json({ error: 'Failed to load voicemails' });
+    }
+    
+    res.json({ voicemails });
+});
+
+// Play a voicemail in the dashboard
+app.get('/api/voicemails/:voicemailId/recording', requireUser, async (req, res) => {
+    const voicemail = await getVoicemail(req.params.voicemailId);
+    
+    if (!voicemail || voicemail.profile_id !== req.profileId || !voicemail.recording_url) {
+        return res.status(404).json({ error: 'Recording not found' });
+    }
+    
+    const recording = await fetchVoicemailRecording(voicemail);
+    
+    if (!recording) {
+        return res.status(502).json({ error: 'Recording could not be downloaded' });
+    }
+    
+    res.type('audio/wav');
+    res.send(recording);
+});
+
+// Mark a voicemail as handled, or back to new
+app.patch('/api/voicemails/:voicemailId', requireUser, async (req, res) => {
+    const { status } = req.body || {};
+    
+    if (!VOICEMAIL_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${VOICEMAIL_STATUSES.join(', ')}` });
+    }
+    
+    const voicemail = await getVoicemail(req.params.voicemailId);
+    
+    if (!voicemail || voicemail.profile_id !== req.profileId) {
+        return res.status(404).json({ error: 'Voicemail not found' });
+    }
+    
+    const updated = await updateVoicemail(voicemail.id, {
+        status,
+        handled_at: status === 'handled' ? new Date().toISOString() : null
+    });
+    
+    if (!updated) {
+        return res.status(500).json({ error: 'Failed to update voicemail' });
+    }
+    
+    res.json({ voicemail: updated });
+});
+
+// The tenant's IVR flow: menus with their options
+app.get('/api/ivr', requireUser, async (req, res) => {
+    const menus = await getIvrFlow(req.profileId);
+    
+    if (!menus) {
+        return res.status(500).json({ error: 'Failed to load IVR flow' });
+    }
+    
+    res.json({ menus });
+});
+
+// Replace the tenant's IVR flow after checking it for broken, unreachable or
+// looping menus
+app.put('/api/ivr', requireUser, async (req, res) => {
+    const { menus } = req.body || {};
+    
+    if (!Array.isArray(menus)) {
+        return res.status(400).json({ error: 'menus must be an array' });
+    }
+    
+    const [existingMenus, agentIds, schedules] = await Promise.all([
+        getIvrFlow(req.profileId),
+        getActiveAgentIds(req.profileId),
+        getSchedules(req.profileId)
+    ]);
+    
+    if (!existingMenus || !agentIds || !schedules) {
+        return res.status(500).json({ error: 'Failed to save IVR flow' });
+    }
+    
+    const flow = prepareIvrFlow(menus, existingMenus);
+    const problems = validateIvrFlow(flow, {
+        agentIds,
+        scheduleIds: schedules.schedules.map(schedule => schedule.id)
+    });
+    
+    if (problems.length > 0) {
+        return res.status(400).json({ error: 'The IVR flow has problems', violations: problems });
+    }
+    
+    const saved = await saveIvrFlow(req.profileId, flow);
+    
+    if (!saved) {
+        return res.status(500).json({ error: 'Failed to save IVR flow' });
+    }
+    
+    res.json({ menus: saved });
+});
+
+// The tenant's schedules, each with whether it's open now, and holiday sets
+app.get('/api/schedules', requireUser, async (req, res) => {
+    const saved = await getSchedules(req.profileId);
+    
+    if (!saved) {
+        return res.status(500).json({ error: 'Failed to load schedules' });
+    }
+    
+    res.json(withScheduleStatus(saved));
+});
+
+// Whether the tenant's schedules are open at a given time (?at=ISO timestamp),
+// e.g. to check holidays or a DST change ahead of time
+app.get('/api/schedules/status', requireUser, async (req, res) => {
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    
+    if (Number.isNaN(at.getTime())) {
+        return res.status(400).json({ error: 'at must be an ISO 8601 timestamp' });
+    }
+    
+    const saved = await getSchedules(req.profileId);
+    
+    if (!saved) {
+        return res.status(500).json({ error: 'Failed to load schedules' });
+    }
+    
+    res.json({ at: at.toISOString(), schedules: withScheduleStatus(saved, at).schedules });
+});
+
+// Replace the tenant's schedules and holiday sets
+app.put('/api/schedules', requireUser, async (req, res) => {
+    const { schedules, holidaySets } = req.body || {};
+    
+    if (!Array.isArray(schedules) || !Array.isArray(holidaySets)) {
+        return res.status(400).json({ error: 'schedules and holidaySets must be arrays' });
+    }
+    
+    const existing = await getSchedules(req.profileId);
+    
+    if (!existing) {
+        return res.status(500).json({ error: 'Failed to save schedules' });
+    }
+    
+    const prepared = prepareSchedules({ schedules, holidaySets }, existing);
+    const holidaySetIds = prepared.holidaySets.map(holidaySet => holidaySet.id);
+    const problems = [
+        ...prepared.holidaySets.flatMap(holidaySet => validateHolidaySet(holidaySet)),
+        ...prepared.schedules.flatMap(schedule => validateSchedule(schedule, { holidaySetIds }))
+    ];
+    
+    if (problems.length > 0) {
+        return res.status(400).json({ error: 'The schedules have problems', violations: problems });
+    }
+    
+    const saved = await saveSchedules(req.profileId, prepared);
+    
+    if (!saved) {
+        return res.status(500).json({ error: 'Failed to save schedules' });
+    }
+    
+    res.json(withScheduleStatus(saved));
+});
+
+function withScheduleStatus({ schedules, holidaySets }, at = new Date()) {
+    return {
+        schedules: schedules.map(schedule => ({ ...schedule, status: getScheduleStatus(schedule, holidaySets, at) })),
+        holidaySets
+    };
+}
+
+// The tenant's caller rules, in order, and contact lists
+app.get('/api/caller-rules', requireUser, async (req, res) => {
+    const saved = await getCallerRules(req.profileId);
+    
+    if (!saved) {
+        return res.status(500).json({ error: 'Failed to load caller rules' });
+    }
+    
+    res.json(saved);
+});
+
+// Replace the tenant's caller rules and contact lists; rules are checked in
+// the order given
+app.put('/api/caller-rules', requireUser, async (req, res) => {
+    const { rules, contactLists } = req.body || {};
+    
+    if (!Array.isArray(rules) || !Array.isArray(contactLists)) {
+        return res.status(400).json({ error: 'rules and contactLists must be arrays' });
+    }
+    
+    const [existing, agentIds] = await Promise.all([
+        getCallerRules(req.profileId),
+        getActiveAgentIds(req.profileId)
+    ]);
+    
+    if (!existing || !agentIds) {
+        return res.status(500).json({ error: 'Failed to save caller rules' });
+    }
+    
+    const prepared = prepareCallerRules({ rules, contactLists }, existing);
+    const contactListIds = prepared.contactLists.map(contactList => contactList.id);
+    const problems = [
+        ...prepared.contactLists.flatMap(contactList => validateContactList(contactList)),
+        ...prepared.rules.flatMap(rule => validateCallerRule(rule, { agentIds, contactListIds }))
+    ];
+    
+    if (problems.length > 0) {
+        return res.status(400).json({ error: 'The caller rules have problems', violations: problems });
+    }
+    
+    const saved = await saveCallerRules(req.profileId, prepared);
+    
+    if (!saved) {
+        return res.status(500).json({ error: 'Failed to save caller rules' });
+    }
+    
+    res.json(saved);
+});
+
+// Which saved rule a call from a number would match ({ from, at: ISO timestamp }),
+// with every rule checked on the way
+app.post('/api/caller-rules/dry-run', requireUser, async (req, res) => {
+    const from = normalisePhoneNumber(req.body?.from);
+    const at = req.body?.at ? new Date(req.body.at) : new Date();
+    
+    if (!from) {
+        return res.status(400).json({ error: 'from must be a phone number' });
+    }
+    if (Number.isNaN(at.getTime())) {
+        return res.status(400).json({ error: 'at must be an ISO 8601 timestamp' });
+    }
+    
+    const saved = await getCallerRules(req.profileId);
+    
+    if (!saved) {
+        return res.status(500).json({ error: 'Failed to load caller rules' });
+    }
+    
+    const { rule, trace } = await evaluateCallerRules(saved.rules, { profileId: req.profileId, from, at });
+    
+    res.json({ from, at: at.toISOString(), rule, trace });
+});
+
+// Campaign dialer controls; the dialer worker picks up the status change
+app.post('/api/campaigns/:campaignId/:action(start|pause|resume|stop)', requireUser, async (req, res) => {
+    try {
+        const result = await controlCampaign({
+            profileId: req.profileId,
+            campaignId: req.params.campaignId,
+            action: req.params.action
+        });
+        
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        
+        res.json({ campaign: result.campaign });
+    } catch (error) {
+        console.error(`❌ Error trying to ${req.params.action} campaign:`, error);
+        res.status(500).json({ error: `Failed to ${req.params.action} campaign` });
+    }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({
@@ -1400,7 +2615,7 @@ app.get('/health', (req, res) => {
 });
 
 // Test endpoint for Twilio integration
-app.get('/test/twilio', async (req, res) => {
+app.get('/test/twilio', requireUser, async (req, res) => {
     try {
         if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
             throw new Error('Twilio credentials not configured');
@@ -1411,14 +2626,20 @@ app.get('/test/twilio', async (req, res) => {
         // Test Twilio connection
         const account = await client.api.accounts(process.env.TWILIO_ACCOUNT_SID).fetch();
         
+        // Report the URLs in effect for this request (one of the user's numbers can be passed as ?to=)
+        const config = req.query.to ? await getClientConfigByPhoneNumber(req.query.to) : null;
+        const phoneNumber = config?.phoneNumber?.profile_id === req.profileId ? config.phoneNumber : null;
+        const { baseUrl, streamUrl, source } = resolvePublicUrls(req, phoneNumber);
+        
         res.json({
             status: 'success',
             twilio: {
                 connected: true,
                 account_sid: account.sid,
                 account_status: account.status,
-                webhook_url: `${WEBHOOK_URL}/webhook/voice`,
-                stream_url: `${WEBSOCKET_URL}`
+                webhook_url: `${baseUrl}/webhook/voice`,
+                stream_url: streamUrl,
+                url_source: source
             }
         });
     } catch (error) {
@@ -1491,8 +2712,14 @@ app.get('/test/supabase', async (req, res) => {
 
 // Start the server
 httpServer.listen(PORT, () => {
+    const { baseUrl, streamUrl, source } = resolvePublicUrls(null, null);
+    
     console.log(`🚀 Server running on port ${PORT}`);
-    console.log(`🌐 WebSocket URL: ${WEBSOCKET_URL}`);
-    console.log(`🔗 Webhook URL: ${WEBHOOK_URL}/webhook/voice`);
-    console.log(`🩺 Health check: ${WEBHOOK_URL}/health`);
+    if (source === 'env') {
+        console.log(`🌐 WebSocket URL: ${streamUrl}`);
+        console.log(`🔗 Webhook URL: ${baseUrl}/webhook/voice`);
+        console.log(`🩺 Health check: ${baseUrl}/health`);
+    } else {
+        console.log('🌐 PUBLIC_BASE_URL not set, public URLs are resolved per request from X-Forwarded-Host/Host');
+    }
 });
\ No newline at end of file
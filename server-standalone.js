@@ -1,6 +1,6 @@
 import { TwilioWebSocketServer } from './packages/twilio-server/dist/index.js';
 import { GeminiLiveClient } from './packages/gemini-live-client/dist/index.js';
-import { AudioConverter } from './packages/audio-converter/dist/index.js';
+import { AudioConverter, Resampler } from './packages/audio-converter/dist/index.js';
 import dotenv from 'dotenv';
 import express from 'express';
 import cors from 'cors';
@@ -40,6 +40,10 @@ class Tw2GemServer extends TwilioWebSocketServer {
             socket.geminiLive = geminiClient;
             socket.twilioStreamSid = null;
             
+            // One resampler per direction, so the filter state carries across chunks
+            socket.inboundResampler = new Resampler(8000, 16000);
+            socket.outboundResampler = new Resampler(24000, 8000);
+            
             // Handle Gemini audio responses
             geminiClient.onServerContent = (serverContent) => {
                 console.log('🤖 Received from Gemini:', JSON.stringify(serverContent, null, 2));
@@ -105,7 +109,7 @@ class Tw2GemServer extends TwilioWebSocketServer {
                         });
                         
                         // Convert Gemini's PCM audio to Twilio's muLaw format
-                        const twilioAudio = AudioConverter.convertBase64PCM24kToBase64MuLaw8k(part.inlineData.data);
+                        const twilioAudio = AudioConverter.convertBase64PCM24kToBase64MuLaw8k(part.inlineData.data, socket.outboundResampler);
                         
                         // Send audio to Twilio
                         const audioMessage = {
@@ -154,7 +158,7 @@ class Tw2GemServer extends TwilioWebSocketServer {
                     // Convert audio and send to Gemini
                     try {
                         // Convert Twilio's muLaw to PCM 16kHz for Gemini
-                        const audioData = AudioConverter.convertBase64MuLawToBase64PCM16k(message.media.payload);
+                        const audioData = AudioConverter.convertBase64MuLawToBase64PCM16k(message.media.payload, socket.inboundResampler);
                         
                         console.log('🎤 Sending audio to Gemini:', {
                             originalLength: message.media.payload.length,
@@ -281,7 +285,7 @@ server.onClose = (socket, event) => {
 import twilio from 'twilio';
 import { createServer as createHttpServer } from 'http';
 
-const WEBHOOK_URL = `https://work-2-uqgmjligulgfvwib.prod-runtime.all-hands.dev`;
+import { resolvePublicUrls, resolveStreamUrl } from './lib/public-url.js';
 
 // Twilio webhook for incoming calls
 app.post('/webhook/voice', (req, res) => {
@@ -292,7 +296,7 @@ app.post('/webhook/voice', (req, res) => {
     // Start a stream to capture audio
     const start = twiml.start();
     start.stream({
-        url: `wss://work-2-uqgmjligulgfvwib.prod-runtime.all-hands.dev`,
+        url: resolveStreamUrl(req),
         track: 'both_tracks'
     });
     
@@ -329,14 +333,18 @@ app.get('/test/twilio', async (req, res) => {
         // Test Twilio connection
         const account = await client.api.accounts(process.env.TWILIO_ACCOUNT_SID).fetch();
         
+        // Report the URLs in effect for this request
+        const { baseUrl, streamUrl, source } = resolvePublicUrls(req);
+        
         res.json({
             status: 'success',
             twilio: {
                 connected: true,
                 account_sid: account.sid,
                 account_status: account.status,
-                webhook_url: `${WEBHOOK_URL}/webhook/voice`,
-                stream_url: `wss://work-2-uqgmjligulgfvwib.prod-runtime.all-hands.dev:${PORT}`
+                webhook_url: `${baseUrl}/webhook/voice`,
+                stream_url: streamUrl,
+                url_source: source
             }
         });
     } catch (error) {
@@ -408,6 +416,7 @@ app.post('/test/audio', async (req, res) => {
 
 // Comprehensive system test
 app.get('/test/system', async (req, res) => {
+    const { baseUrl, streamUrl } = resolvePublicUrls(req);
     const results = {
         timestamp: new Date().toISOString(),
         tests: {}
@@ -421,8 +430,8 @@ app.get('/test/system', async (req, res) => {
             results.tests.twilio = {
                 status: 'pass',
                 account_status: account.status,
-                webhook_url: `${WEBHOOK_URL}/webhook/voice`,
-                stream_url: `wss://work-2-uqgmjligulgfvwib.prod-runtime.all-hands.dev:${PORT}`
+                webhook_url: `${baseUrl}/webhook/voice`,
+                stream_url: streamUrl
             };
         } else {
             results.tests.twilio = {
@@ -476,7 +485,7 @@ app.get('/test/system', async (req, res) => {
         results.tests.websocket = {
             status: 'pass',
             port: PORT,
-            url: `wss://work-2-uqgmjligulgfvwib.prod-runtime.all-hands.dev:${PORT}`,
+            url: streamUrl,
             message: 'Ready for Twilio streams'
         };
     } catch (error) {
@@ -492,7 +501,7 @@ app.get('/test/system', async (req, res) => {
     res.json({
         overall_status: passCount === totalCount ? 'pass' : 'partial',
         score: `${passCount}/${totalCount}`,
-        webhook_url_for_twilio: `${WEBHOOK_URL}/webhook/voice`,
+        webhook_url_for_twilio: `${baseUrl}/webhook/voice`,
         ...results
     });
 });
@@ -529,7 +538,7 @@ app.get('/', (req, res) => {
     res.json({
         message: 'AI Calling Backend Server',
         status: 'running',
-        webhook_url: `${WEBHOOK_URL}/webhook/voice`,
+        webhook_url: `${resolvePublicUrls(req).baseUrl}/webhook/voice`,
         endpoints: {
             health: '/health',
             status: '/status',
@@ -545,12 +554,18 @@ app.get('/', (req, res) => {
 
 // Start HTTP server with WebSocket and webhook support
 httpServer.listen(PORT, '0.0.0.0', () => {
+    const { baseUrl, streamUrl, source } = resolvePublicUrls(null);
+    
     console.log('🚀 Starting AI Calling Backend Server...');
     console.log(`📞 TW2GEM Server running on port ${PORT}`);
-    console.log(`🔗 Twilio webhook URL: ${WEBHOOK_URL}/webhook/voice`);
-    console.log(`🎵 Twilio stream URL: wss://work-2-uqgmjligulgfvwib.prod-runtime.all-hands.dev:${PORT}`);
     console.log(`🤖 Gemini API: ${process.env.GEMINI_API_KEY ? '✅ Configured' : '❌ Not configured'}`);
-    console.log(`🏥 Health check: ${WEBHOOK_URL}/health`);
-    console.log(`🧪 System tests: ${WEBHOOK_URL}/test/system`);
+    if (source === 'env') {
+        console.log(`🔗 Twilio webhook URL: ${baseUrl}/webhook/voice`);
+        console.log(`🎵 Twilio stream URL: ${streamUrl}`);
+        console.log(`🏥 Health check: ${baseUrl}/health`);
+        console.log(`🧪 System tests: ${baseUrl}/test/system`);
+    } else {
+        console.log('🔗 PUBLIC_BASE_URL not set, public URLs are resolved per request from X-Forwarded-Host/Host');
+    }
     console.log('📋 Ready to receive calls!');
 });
\ No newline at end of file